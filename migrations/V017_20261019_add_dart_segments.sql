@@ -0,0 +1,43 @@
+-- ============================================================================
+-- Migration V017: Add dart segments to turns
+-- Created: 2026-10-19
+-- Description: Stores the board segment and multiplier of every dart next to
+--              dart_scores so a T20 can be told apart from other 60s.
+--              Both arrays are NULL for per-turn entries (only a total is known).
+-- ============================================================================
+
+-- Step 1: Add segment and multiplier arrays
+ALTER TABLE turns
+ADD COLUMN IF NOT EXISTS dart_segments INTEGER[],
+ADD COLUMN IF NOT EXISTS dart_multipliers INTEGER[];
+
+COMMENT ON COLUMN turns.dart_segments IS 'Board segment per dart: 1-20, 25 for the bull, 0 for a miss (NULL in per-turn mode)';
+COMMENT ON COLUMN turns.dart_multipliers IS 'Multiplier per dart: 1 single, 2 double, 3 treble, 0 for a miss (NULL in per-turn mode)';
+
+-- Step 2: Reject impossible darts
+ALTER TABLE turns DROP CONSTRAINT IF EXISTS valid_dart_segments;
+ALTER TABLE turns
+ADD CONSTRAINT valid_dart_segments CHECK (
+  (dart_segments IS NULL AND dart_multipliers IS NULL)
+  OR (
+    array_length(dart_segments, 1) = array_length(dart_scores, 1)
+    AND array_length(dart_multipliers, 1) = array_length(dart_scores, 1)
+    AND dart_segments <@ ARRAY[0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 25]
+    AND dart_multipliers <@ ARRAY[0, 1, 2, 3]
+  )
+);
+
+-- Step 3: Index segments for per-segment stats (doubles, trebles, favourite segment)
+CREATE INDEX IF NOT EXISTS idx_turns_dart_segments ON turns USING GIN (dart_segments);
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V017: Dart segments added to turns';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added dart_segments and dart_multipliers columns';
+  RAISE NOTICE '✓ Added valid_dart_segments constraint';
+  RAISE NOTICE '✓ Created GIN index on dart_segments';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- Migration V018: Add in/out rule variants to games
+-- Created: 2026-10-19
+-- Description: Stores the checkout rule (straight, double, master) and the
+--              opening rule (straight, double) of each X01 game.
+--              Existing games keep straight in / straight out.
+-- ============================================================================
+
+-- Step 1: Add rule columns
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS out_rule TEXT NOT NULL DEFAULT 'straight',
+ADD COLUMN IF NOT EXISTS in_rule TEXT NOT NULL DEFAULT 'straight';
+
+COMMENT ON COLUMN games.out_rule IS 'Checkout rule: straight (any dart), double (finish on a double/bull), master (finish on a double or treble)';
+COMMENT ON COLUMN games.in_rule IS 'Opening rule: straight (any dart scores), double (scoring starts with a double)';
+
+-- Step 2: Constrain values
+ALTER TABLE games DROP CONSTRAINT IF EXISTS valid_out_rule;
+ALTER TABLE games
+ADD CONSTRAINT valid_out_rule CHECK (out_rule IN ('straight', 'double', 'master'));
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS valid_in_rule;
+ALTER TABLE games
+ADD CONSTRAINT valid_in_rule CHECK (in_rule IN ('straight', 'double'));
+
+-- Double/master out finish on exactly zero, so they can't be combined with "below zero wins"
+ALTER TABLE games DROP CONSTRAINT IF EXISTS out_rule_requires_exact;
+ALTER TABLE games
+ADD CONSTRAINT out_rule_requires_exact CHECK (out_rule = 'straight' OR win_condition = 'exact');
+
+-- Step 3: Index for filtering history by rule
+CREATE INDEX IF NOT EXISTS idx_games_out_rule ON games(out_rule);
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V018: Checkout rules added to games';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added out_rule and in_rule columns';
+  RAISE NOTICE '✓ Added valid_out_rule, valid_in_rule and out_rule_requires_exact constraints';
+  RAISE NOTICE '✓ Created index on out_rule';
+  RAISE NOTICE '========================================';
+END $$;
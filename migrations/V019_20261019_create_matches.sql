@@ -0,0 +1,102 @@
+-- ============================================================================
+-- Migration V019: Legs and sets matches
+-- Created: 2026-10-19
+-- Description: Adds a matches table that groups games into legs and sets.
+--              Each game of a match is one leg and records its set/leg number.
+--              A legs-only match ("best of 5 legs") is stored as a single set.
+-- ============================================================================
+
+-- Step 1: Matches
+CREATE TABLE IF NOT EXISTS matches (
+  -- Primary key
+  id UUID PRIMARY KEY,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Format
+  legs_to_win INTEGER NOT NULL CHECK (legs_to_win >= 1),
+  sets_to_win INTEGER NOT NULL DEFAULT 1 CHECK (sets_to_win >= 1),
+
+  -- Settings applied to every leg
+  game_type INTEGER NOT NULL CHECK (game_type > 0),
+  win_condition TEXT NOT NULL CHECK (win_condition IN ('exact', 'below')),
+  scoring_mode TEXT NOT NULL CHECK (scoring_mode IN ('per-dart', 'per-turn')),
+  out_rule TEXT NOT NULL DEFAULT 'straight' CHECK (out_rule IN ('straight', 'double', 'master')),
+  in_rule TEXT NOT NULL DEFAULT 'straight' CHECK (in_rule IN ('straight', 'double')),
+
+  -- State
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  device_id TEXT,
+  winner_id UUID REFERENCES players(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE matches IS 'Legs/sets matches; each leg is a row in games';
+COMMENT ON COLUMN matches.legs_to_win IS 'Legs needed to win a set (or the match when sets_to_win = 1)';
+COMMENT ON COLUMN matches.sets_to_win IS 'Sets needed to win the match (1 for a legs-only match)';
+
+-- Step 2: Match players (match throw order, legs/sets won)
+CREATE TABLE IF NOT EXISTS match_players (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  player_order INTEGER NOT NULL,
+  legs_won INTEGER NOT NULL DEFAULT 0,
+  sets_won INTEGER NOT NULL DEFAULT 0,
+  is_winner BOOLEAN NOT NULL DEFAULT false,
+
+  CONSTRAINT unique_match_player UNIQUE (match_id, player_id),
+  CONSTRAINT unique_match_player_order UNIQUE (match_id, player_order)
+);
+
+COMMENT ON COLUMN match_players.player_order IS 'Throw order of leg 1; later legs rotate the starting player';
+COMMENT ON COLUMN match_players.legs_won IS 'Total legs won across all sets';
+
+-- Step 3: Link games to matches
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS set_number INTEGER CHECK (set_number >= 1),
+ADD COLUMN IF NOT EXISTS leg_number INTEGER CHECK (leg_number >= 1);
+
+COMMENT ON COLUMN games.match_id IS 'Match this game is a leg of (NULL for single games)';
+COMMENT ON COLUMN games.leg_number IS 'Leg number within the set';
+
+-- Step 4: Indexes
+CREATE INDEX IF NOT EXISTS idx_games_match_id ON games(match_id) WHERE match_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_match_players_match_id ON match_players(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_players_player_id ON match_players(player_id);
+CREATE INDEX IF NOT EXISTS idx_matches_created_at ON matches(created_at DESC);
+
+-- Step 5: Permissions (same open policies as games, see V013)
+GRANT SELECT, INSERT, UPDATE, DELETE ON matches TO anon, authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON match_players TO anon, authenticated;
+
+ALTER TABLE matches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_players ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on matches" ON matches;
+CREATE POLICY "Allow all operations on matches"
+  ON matches FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Allow all operations on match_players" ON match_players;
+CREATE POLICY "Allow all operations on match_players"
+  ON match_players FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V019: Legs and sets matches';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created matches and match_players tables';
+  RAISE NOTICE '✓ Added match_id, set_number, leg_number to games';
+  RAISE NOTICE '✓ Created indexes';
+  RAISE NOTICE '✓ Granted permissions and enabled RLS';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,124 @@
+-- ============================================================================
+-- Migration V020: Cricket game mode
+-- Created: 2026-10-19
+-- Description: Adds Cricket (standard and cut-throat) next to X01.
+--              Cricket games store game_type = 0, every turn stores its marks,
+--              and players get separate Cricket aggregates (marks per round).
+--              X01 scoring aggregates are no longer fed by Cricket games.
+-- ============================================================================
+
+-- Step 1: Game mode on games and matches
+ALTER TABLE games
+ADD COLUMN IF NOT EXISTS game_mode TEXT NOT NULL DEFAULT 'x01',
+ADD COLUMN IF NOT EXISTS cricket_variant TEXT;
+
+COMMENT ON COLUMN games.game_mode IS 'x01 (count down from game_type) or cricket (marks on 15-20 and bull)';
+COMMENT ON COLUMN games.cricket_variant IS 'standard or cut-throat (NULL for X01 games)';
+
+ALTER TABLE games DROP CONSTRAINT IF EXISTS valid_game_mode;
+ALTER TABLE games
+ADD CONSTRAINT valid_game_mode CHECK (
+  (game_mode = 'x01' AND cricket_variant IS NULL)
+  OR (game_mode = 'cricket' AND cricket_variant IN ('standard', 'cut-throat') AND scoring_mode = 'per-dart')
+);
+
+-- Cricket has no starting score
+ALTER TABLE games DROP CONSTRAINT IF EXISTS valid_game_type;
+ALTER TABLE games
+ADD CONSTRAINT valid_game_type CHECK (game_type > 0 OR game_mode = 'cricket');
+
+ALTER TABLE matches
+ADD COLUMN IF NOT EXISTS game_mode TEXT NOT NULL DEFAULT 'x01' CHECK (game_mode IN ('x01', 'cricket')),
+ADD COLUMN IF NOT EXISTS cricket_variant TEXT CHECK (cricket_variant IN ('standard', 'cut-throat'));
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_game_type_check;
+ALTER TABLE matches
+ADD CONSTRAINT matches_game_type_check CHECK (game_type > 0 OR game_mode = 'cricket');
+
+CREATE INDEX IF NOT EXISTS idx_games_game_mode ON games(game_mode);
+
+-- Step 2: Marks per turn and per game
+ALTER TABLE turns
+ADD COLUMN IF NOT EXISTS marks INTEGER CHECK (marks BETWEEN 0 AND 9);
+
+COMMENT ON COLUMN turns.marks IS 'Cricket marks that counted this turn (closing or scoring), NULL for X01';
+
+ALTER TABLE game_players
+ADD COLUMN IF NOT EXISTS total_marks INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS max_marks INTEGER NOT NULL DEFAULT 0;
+
+-- Step 3: Cricket aggregates on players
+ALTER TABLE players
+ADD COLUMN IF NOT EXISTS cricket_games_played INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cricket_games_won INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cricket_total_marks INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cricket_total_rounds INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cricket_best_marks INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE players
+ADD COLUMN IF NOT EXISTS cricket_mpr NUMERIC(5,2)
+GENERATED ALWAYS AS (
+  CASE
+    WHEN cricket_total_rounds = 0 THEN 0
+    ELSE ROUND(cricket_total_marks::NUMERIC / cricket_total_rounds, 2)
+  END
+) STORED;
+
+COMMENT ON COLUMN players.cricket_mpr IS 'Cricket marks per round (cricket_total_marks / cricket_total_rounds)';
+
+-- Step 4: Aggregate trigger - games played/won for every mode,
+--         scoring stats split between X01 and Cricket
+CREATE OR REPLACE FUNCTION update_player_aggregates_from_game()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Only update if game is being marked as completed
+  IF NEW.completed_at IS NOT NULL AND (OLD.completed_at IS NULL OR OLD IS NULL) THEN
+    IF NEW.game_mode = 'cricket' THEN
+      UPDATE players p
+      SET
+        total_games_played = p.total_games_played + 1,
+        total_games_won = p.total_games_won + CASE WHEN gp.is_winner THEN 1 ELSE 0 END,
+        cricket_games_played = p.cricket_games_played + 1,
+        cricket_games_won = p.cricket_games_won + CASE WHEN gp.is_winner THEN 1 ELSE 0 END,
+        cricket_total_marks = p.cricket_total_marks + gp.total_marks,
+        cricket_total_rounds = p.cricket_total_rounds + gp.total_turns,
+        cricket_best_marks = GREATEST(p.cricket_best_marks, gp.max_marks),
+        updated_at = NOW()
+      FROM game_players gp
+      WHERE p.id = gp.player_id AND gp.game_id = NEW.id;
+    ELSE
+      UPDATE players p
+      SET
+        total_games_played = p.total_games_played + 1,
+        total_games_won = p.total_games_won + CASE WHEN gp.is_winner THEN 1 ELSE 0 END,
+        total_turns = p.total_turns + gp.total_turns,
+        total_darts_thrown = p.total_darts_thrown + gp.total_darts,
+        total_score = p.total_score + gp.total_score,
+        total_180s = p.total_180s + gp.count_180s,
+        total_140_plus = p.total_140_plus + gp.count_140_plus,
+        max_dart_score = GREATEST(p.max_dart_score, gp.max_dart),
+        max_turn_score = GREATEST(p.max_turn_score, gp.max_turn),
+        total_checkout_attempts = p.total_checkout_attempts + gp.checkout_attempts,
+        total_checkout_successes = p.total_checkout_successes + gp.checkout_successes,
+        updated_at = NOW()
+      FROM game_players gp
+      WHERE p.id = gp.player_id AND gp.game_id = NEW.id;
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V020: Cricket game mode';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added game_mode and cricket_variant to games and matches';
+  RAISE NOTICE '✓ Added marks to turns, total_marks/max_marks to game_players';
+  RAISE NOTICE '✓ Added Cricket aggregates and cricket_mpr to players';
+  RAISE NOTICE '✓ Updated trigger function';
+  RAISE NOTICE '========================================';
+END $$;
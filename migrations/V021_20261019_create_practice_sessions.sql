@@ -0,0 +1,68 @@
+-- ============================================================================
+-- Migration V021: Practice sessions
+-- Created: 2026-10-19
+-- Description: Adds a practice_sessions table for solo training
+--              (Around the Clock, Bob's 27, doubles practice, checkout drill).
+--              Sessions are kept apart from games, so the aggregate trigger,
+--              player stats and the leaderboard never see them.
+-- ============================================================================
+
+-- Step 1: Practice sessions
+CREATE TABLE IF NOT EXISTS practice_sessions (
+  -- Primary key
+  id UUID PRIMARY KEY,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+
+  -- Player and mode
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('around-the-clock', 'bobs-27', 'doubles', 'checkout-drill')),
+
+  -- Result
+  is_complete BOOLEAN NOT NULL DEFAULT false,
+  score INTEGER,
+  hits INTEGER NOT NULL DEFAULT 0,
+  darts_thrown INTEGER NOT NULL DEFAULT 0 CHECK (darts_thrown >= 0),
+  summary TEXT,
+
+  -- Replay data
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  turns JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  device_id TEXT
+);
+
+COMMENT ON TABLE practice_sessions IS 'Solo practice sessions; not part of games, stats or the leaderboard';
+COMMENT ON COLUMN practice_sessions.is_complete IS 'Mode ran to its end (false when stopped early); only complete sessions count as personal bests';
+COMMENT ON COLUMN practice_sessions.score IS 'Darts used for around-the-clock (lower is better), points/doubles/checkouts otherwise';
+COMMENT ON COLUMN practice_sessions.options IS 'Mode options needed to replay the session (e.g. checkout drill finishes)';
+COMMENT ON COLUMN practice_sessions.turns IS 'Visits as arrays of { segment, multiplier } darts';
+
+-- Step 2: Indexes
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_player_mode ON practice_sessions(player_id, mode);
+CREATE INDEX IF NOT EXISTS idx_practice_sessions_created_at ON practice_sessions(created_at DESC);
+
+-- Step 3: Permissions (same open policies as games, see V013)
+GRANT SELECT, INSERT, UPDATE, DELETE ON practice_sessions TO anon, authenticated;
+
+ALTER TABLE practice_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on practice_sessions" ON practice_sessions;
+CREATE POLICY "Allow all operations on practice_sessions"
+  ON practice_sessions FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V021: Practice sessions';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created practice_sessions table';
+  RAISE NOTICE '✓ Created indexes';
+  RAISE NOTICE '✓ Granted permissions and enabled RLS';
+  RAISE NOTICE '========================================';
+END $$;
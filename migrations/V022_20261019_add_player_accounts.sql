@@ -0,0 +1,147 @@
+-- ============================================================================
+-- Migration V022: Player accounts
+-- Created: 2026-10-19
+-- Description: Optional Supabase Auth accounts linked to player records.
+--              A signed-in user claims one player (existing or new) and with it
+--              every game already played under that name. Only the linked
+--              account can change the player's profile. Anonymous play is
+--              unchanged: unlinked players work exactly as before.
+-- ============================================================================
+
+-- Step 1: Account link and profile fields on players
+ALTER TABLE players
+ADD COLUMN IF NOT EXISTS auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS nickname TEXT CHECK (char_length(nickname) <= 40),
+ADD COLUMN IF NOT EXISTS avatar TEXT CHECK (char_length(avatar) <= 8);
+
+COMMENT ON COLUMN players.auth_user_id IS 'Supabase Auth user linked to this player (NULL for anonymous players)';
+COMMENT ON COLUMN players.claimed_at IS 'When the account claimed this player';
+COMMENT ON COLUMN players.nickname IS 'Optional nickname shown on the profile (editable by the linked account)';
+COMMENT ON COLUMN players.avatar IS 'Optional emoji avatar (editable by the linked account)';
+
+-- Step 2: Protect the link and the profile
+-- The players policies are open (see V013), so a trigger enforces what they can't:
+-- links only change through claim_player()/release_player(), and a linked
+-- player's name and profile only change from their own account
+CREATE OR REPLACE FUNCTION protect_player_account()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_account_change BOOLEAN := current_setting('dart_bee.account_change', true) = 'on';
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.auth_user_id IS NOT NULL AND NOT v_account_change THEN
+      RAISE EXCEPTION 'Players can only be linked to an account with claim_player()';
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.auth_user_id IS DISTINCT FROM OLD.auth_user_id AND NOT v_account_change THEN
+    RAISE EXCEPTION 'Players can only be linked to an account with claim_player()';
+  END IF;
+
+  IF OLD.auth_user_id IS NOT NULL
+     AND OLD.auth_user_id IS DISTINCT FROM auth.uid()
+     AND NOT v_account_change
+     AND (NEW.name IS DISTINCT FROM OLD.name
+          OR NEW.nickname IS DISTINCT FROM OLD.nickname
+          OR NEW.avatar IS DISTINCT FROM OLD.avatar) THEN
+    RAISE EXCEPTION 'Only the player''s own account can change their profile';
+  END IF;
+
+  IF OLD.auth_user_id IS NULL
+     AND NOT v_account_change
+     AND (NEW.nickname IS DISTINCT FROM OLD.nickname OR NEW.avatar IS DISTINCT FROM OLD.avatar) THEN
+    RAISE EXCEPTION 'Claim the player before editing their profile';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION protect_player_account IS 'Keeps player account links and profiles under the linked account''s control';
+
+DROP TRIGGER IF EXISTS trigger_protect_player_account ON players;
+CREATE TRIGGER trigger_protect_player_account
+BEFORE INSERT OR UPDATE ON players
+FOR EACH ROW
+EXECUTE FUNCTION protect_player_account();
+
+-- Step 3: Claim a player for the signed-in account (creates the player if the name is new)
+CREATE OR REPLACE FUNCTION claim_player(p_name TEXT)
+RETURNS players AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_name TEXT := btrim(p_name);
+  v_player players;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Sign in to claim a player';
+  END IF;
+
+  IF v_name IS NULL OR v_name = '' THEN
+    RAISE EXCEPTION 'Enter a player name';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM players WHERE auth_user_id = v_user_id) THEN
+    RAISE EXCEPTION 'This account is already linked to a player';
+  END IF;
+
+  PERFORM set_config('dart_bee.account_change', 'on', true);
+
+  INSERT INTO players (name)
+  VALUES (v_name)
+  ON CONFLICT (name) DO NOTHING;
+
+  UPDATE players
+  SET auth_user_id = v_user_id,
+      claimed_at = NOW()
+  WHERE name = v_name
+    AND auth_user_id IS NULL
+  RETURNING * INTO v_player;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player "%" is already linked to another account', v_name;
+  END IF;
+
+  RETURN v_player;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION claim_player IS 'Links the signed-in account to a player (and all their games), creating the player if needed';
+
+-- Step 4: Unlink the signed-in account from its player (the player and games stay)
+CREATE OR REPLACE FUNCTION release_player()
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to unlink a player';
+  END IF;
+
+  PERFORM set_config('dart_bee.account_change', 'on', true);
+
+  UPDATE players
+  SET auth_user_id = NULL,
+      claimed_at = NULL
+  WHERE auth_user_id = auth.uid();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION release_player IS 'Unlinks the signed-in account from its player; games and stats are kept';
+
+REVOKE ALL ON FUNCTION claim_player(TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION release_player() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION claim_player(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION release_player() TO authenticated;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V022: Player accounts';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added auth_user_id, claimed_at, nickname and avatar to players';
+  RAISE NOTICE '✓ Created trigger: protect_player_account';
+  RAISE NOTICE '✓ Created functions: claim_player, release_player';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,272 @@
+-- ============================================================================
+-- Migration V023: Player admin tools
+-- Created: 2026-10-19
+-- Description: Rename and merge players, and rebuild player aggregates from
+--              game_players. Players used to be created by exact name, so
+--              "Sam" and "sam" ended up as two players with split stats.
+--              The admin functions are limited to accounts listed in app_admins
+--              (see V022 for accounts); recalculation refreshes the leaderboard.
+-- ============================================================================
+
+-- Step 1: Admin accounts
+-- Add an admin with: INSERT INTO app_admins (auth_user_id) SELECT id FROM auth.users WHERE email = '...';
+CREATE TABLE IF NOT EXISTS app_admins (
+  auth_user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE app_admins IS 'Accounts allowed to rename and merge players; managed from SQL only';
+
+-- No policies: the table is only read through is_app_admin()
+ALTER TABLE app_admins ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION is_app_admin()
+RETURNS BOOLEAN AS $$
+  SELECT auth.uid() IS NOT NULL
+     AND EXISTS (SELECT 1 FROM app_admins WHERE auth_user_id = auth.uid());
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION is_app_admin IS 'Whether the signed-in account is an admin';
+
+-- Step 2: Rebuild aggregates from completed games
+-- Same split as the aggregate trigger (V020): games played/won for every mode,
+-- scoring stats from X01 games, marks from Cricket games
+CREATE OR REPLACE FUNCTION recalculate_player_aggregates(p_player_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  v_updated INTEGER;
+BEGIN
+  UPDATE players p
+  SET
+    total_games_played = COALESCE(stats.games_played, 0),
+    total_games_won = COALESCE(stats.games_won, 0),
+    total_turns = COALESCE(stats.total_turns, 0),
+    total_darts_thrown = COALESCE(stats.total_darts, 0),
+    total_score = COALESCE(stats.total_score, 0),
+    total_180s = COALESCE(stats.total_180s, 0),
+    total_140_plus = COALESCE(stats.total_140_plus, 0),
+    max_dart_score = COALESCE(stats.max_dart, 0),
+    max_turn_score = COALESCE(stats.max_turn, 0),
+    total_checkout_attempts = COALESCE(stats.checkout_attempts, 0),
+    total_checkout_successes = COALESCE(stats.checkout_successes, 0),
+    best_checkout = COALESCE(checkouts.best_checkout, 0),
+    cricket_games_played = COALESCE(stats.cricket_games_played, 0),
+    cricket_games_won = COALESCE(stats.cricket_games_won, 0),
+    cricket_total_marks = COALESCE(stats.cricket_total_marks, 0),
+    cricket_total_rounds = COALESCE(stats.cricket_total_rounds, 0),
+    cricket_best_marks = COALESCE(stats.cricket_best_marks, 0),
+    updated_at = NOW()
+  FROM players target
+  LEFT JOIN (
+    SELECT
+      gp.player_id,
+      COUNT(*) AS games_played,
+      COUNT(*) FILTER (WHERE gp.is_winner) AS games_won,
+      SUM(gp.total_turns) FILTER (WHERE g.game_mode = 'x01') AS total_turns,
+      SUM(gp.total_darts) FILTER (WHERE g.game_mode = 'x01') AS total_darts,
+      SUM(gp.total_score) FILTER (WHERE g.game_mode = 'x01') AS total_score,
+      SUM(gp.count_180s) FILTER (WHERE g.game_mode = 'x01') AS total_180s,
+      SUM(gp.count_140_plus) FILTER (WHERE g.game_mode = 'x01') AS total_140_plus,
+      MAX(gp.max_dart) FILTER (WHERE g.game_mode = 'x01') AS max_dart,
+      MAX(gp.max_turn) FILTER (WHERE g.game_mode = 'x01') AS max_turn,
+      SUM(gp.checkout_attempts) FILTER (WHERE g.game_mode = 'x01') AS checkout_attempts,
+      SUM(gp.checkout_successes) FILTER (WHERE g.game_mode = 'x01') AS checkout_successes,
+      COUNT(*) FILTER (WHERE g.game_mode = 'cricket') AS cricket_games_played,
+      COUNT(*) FILTER (WHERE g.game_mode = 'cricket' AND gp.is_winner) AS cricket_games_won,
+      SUM(gp.total_marks) FILTER (WHERE g.game_mode = 'cricket') AS cricket_total_marks,
+      SUM(gp.total_turns) FILTER (WHERE g.game_mode = 'cricket') AS cricket_total_rounds,
+      MAX(gp.max_marks) FILTER (WHERE g.game_mode = 'cricket') AS cricket_best_marks
+    FROM game_players gp
+    JOIN games g ON g.id = gp.game_id
+    WHERE g.completed_at IS NOT NULL
+    GROUP BY gp.player_id
+  ) stats ON stats.player_id = target.id
+  LEFT JOIN (
+    SELECT gp.player_id, MAX(t.turn_total) AS best_checkout
+    FROM turns t
+    JOIN game_players gp ON gp.id = t.game_player_id
+    JOIN games g ON g.id = gp.game_id
+    WHERE g.completed_at IS NOT NULL
+      AND g.game_mode = 'x01'
+      AND t.is_successful_checkout
+    GROUP BY gp.player_id
+  ) checkouts ON checkouts.player_id = target.id
+  WHERE p.id = target.id
+    AND (p_player_id IS NULL OR target.id = p_player_id);
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  REFRESH MATERIALIZED VIEW CONCURRENTLY player_leaderboard;
+
+  RETURN v_updated;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION recalculate_player_aggregates IS 'Rebuilds aggregate stats from completed games (one player, or all when NULL) and refreshes player_leaderboard';
+
+-- Step 3: Rename a player
+-- Games refer to players by id, so the new name shows up everywhere at once
+CREATE OR REPLACE FUNCTION admin_rename_player(p_player_id UUID, p_new_name TEXT)
+RETURNS players AS $$
+DECLARE
+  v_name TEXT := btrim(p_new_name);
+  v_player players;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'Only admins can rename players';
+  END IF;
+
+  IF v_name IS NULL OR v_name = '' THEN
+    RAISE EXCEPTION 'Enter a player name';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM players WHERE lower(name) = lower(v_name) AND id <> p_player_id) THEN
+    RAISE EXCEPTION 'Another player is already called "%" - merge them instead', v_name;
+  END IF;
+
+  -- Admins may rename claimed players too (see protect_player_account in V022)
+  PERFORM set_config('dart_bee.account_change', 'on', true);
+
+  UPDATE players
+  SET name = v_name
+  WHERE id = p_player_id
+  RETURNING * INTO v_player;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  REFRESH MATERIALIZED VIEW CONCURRENTLY player_leaderboard;
+
+  RETURN v_player;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION admin_rename_player IS 'Renames a player (admins only); the name must not match another player, ignoring case';
+
+-- Step 4: Merge one player into another
+-- Every game, match and practice session of the source moves to the target,
+-- the source is deleted and the target's aggregates are rebuilt
+CREATE OR REPLACE FUNCTION admin_merge_players(p_source_id UUID, p_target_id UUID)
+RETURNS players AS $$
+DECLARE
+  v_source players;
+  v_target players;
+  v_shared_games INTEGER;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'Only admins can merge players';
+  END IF;
+
+  IF p_source_id = p_target_id THEN
+    RAISE EXCEPTION 'Pick two different players to merge';
+  END IF;
+
+  SELECT * INTO v_source FROM players WHERE id = p_source_id FOR UPDATE;
+  SELECT * INTO v_target FROM players WHERE id = p_target_id FOR UPDATE;
+
+  IF v_source.id IS NULL OR v_target.id IS NULL THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  IF v_source.auth_user_id IS NOT NULL AND v_target.auth_user_id IS NOT NULL THEN
+    RAISE EXCEPTION '"%" and "%" are linked to different accounts', v_source.name, v_target.name;
+  END IF;
+
+  -- Two players in the same game are two different people
+  SELECT COUNT(*) INTO v_shared_games
+  FROM game_players a
+  JOIN game_players b ON b.game_id = a.game_id
+  WHERE a.player_id = p_source_id AND b.player_id = p_target_id;
+
+  IF v_shared_games > 0 OR EXISTS (
+    SELECT 1
+    FROM match_players a
+    JOIN match_players b ON b.match_id = a.match_id
+    WHERE a.player_id = p_source_id AND b.player_id = p_target_id
+  ) THEN
+    RAISE EXCEPTION '"%" and "%" played each other, so they can''t be merged', v_source.name, v_target.name;
+  END IF;
+
+  UPDATE game_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE games SET winner_id = p_target_id WHERE winner_id = p_source_id;
+  UPDATE match_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE matches SET winner_id = p_target_id WHERE winner_id = p_source_id;
+  UPDATE practice_sessions SET player_id = p_target_id WHERE player_id = p_source_id;
+
+  PERFORM set_config('dart_bee.account_change', 'on', true);
+
+  -- The account link moves with the games
+  IF v_source.auth_user_id IS NOT NULL THEN
+    UPDATE players SET auth_user_id = NULL, claimed_at = NULL WHERE id = p_source_id;
+    UPDATE players
+    SET auth_user_id = v_source.auth_user_id,
+        claimed_at = v_source.claimed_at,
+        nickname = COALESCE(v_target.nickname, v_source.nickname),
+        avatar = COALESCE(v_target.avatar, v_source.avatar)
+    WHERE id = p_target_id;
+  END IF;
+
+  DELETE FROM players WHERE id = p_source_id;
+
+  PERFORM recalculate_player_aggregates(p_target_id);
+
+  SELECT * INTO v_target FROM players WHERE id = p_target_id;
+  RETURN v_target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION admin_merge_players IS 'Moves all games of the source player to the target, deletes the source and rebuilds the target''s stats (admins only)';
+
+-- Step 5: Rebuild every player's aggregates
+CREATE OR REPLACE FUNCTION admin_recalculate_players()
+RETURNS INTEGER AS $$
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'Only admins can recalculate stats';
+  END IF;
+
+  RETURN recalculate_player_aggregates(NULL);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION admin_recalculate_players IS 'Rebuilds all player aggregates and refreshes the leaderboard (admins only)';
+
+-- Step 6: Permissions
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION recalculate_player_aggregates(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION admin_rename_player(UUID, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION admin_merge_players(UUID, UUID) FROM PUBLIC;
+REVOKE ALL ON FUNCTION admin_recalculate_players() FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION is_app_admin() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_rename_player(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_merge_players(UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_recalculate_players() TO authenticated;
+
+-- Step 7: Bring existing aggregates up to date (best_checkout was never maintained)
+SELECT recalculate_player_aggregates(NULL);
+
+-- Verification
+DO $$
+DECLARE
+  duplicate_names INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO duplicate_names
+  FROM (
+    SELECT lower(name)
+    FROM players
+    GROUP BY lower(name)
+    HAVING COUNT(*) > 1
+  ) dupes;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V023: Player admin tools';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created table: app_admins';
+  RAISE NOTICE '✓ Created functions: recalculate_player_aggregates, admin_rename_player, admin_merge_players, admin_recalculate_players';
+  RAISE NOTICE '✓ Recalculated player aggregates and refreshed player_leaderboard';
+  IF duplicate_names > 0 THEN
+    RAISE NOTICE '⚠ % names are used by more than one player (ignoring case) - merge them from Manage Players', duplicate_names;
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
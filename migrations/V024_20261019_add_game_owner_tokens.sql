@@ -0,0 +1,313 @@
+-- ============================================================================
+-- Migration V024: Game owner tokens
+-- Created: 2026-10-19
+-- Description: Only the device that created a game can change it.
+--              Each game gets a secret owner token when it is created; the
+--              database keeps a hash of it. games, game_players and turns become
+--              read-only for clients, and every write goes through create_game(),
+--              update_game() or delete_game(), which check the token.
+--              Games created before V024 have no token and stay read-only: the
+--              device_id they carry is public, so it can't prove who created them.
+-- ============================================================================
+
+-- Step 1: Token hashes (never readable by clients)
+CREATE TABLE IF NOT EXISTS game_owner_tokens (
+  game_id UUID PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE game_owner_tokens IS 'SHA-256 of each game''s owner token; only the game functions read it';
+
+ALTER TABLE game_owner_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_owner_tokens FROM anon, authenticated;
+
+-- Step 2: Ownership check
+CREATE OR REPLACE FUNCTION hash_owner_token(p_token TEXT)
+RETURNS TEXT AS $$
+  SELECT encode(sha256(convert_to(p_token, 'UTF8')), 'hex');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION assert_game_owner(p_game_id UUID, p_owner_token TEXT)
+RETURNS VOID AS $$
+DECLARE
+  v_token_hash TEXT;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing game owner token' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT token_hash INTO v_token_hash FROM game_owner_tokens WHERE game_id = p_game_id;
+
+  IF v_token_hash IS NULL THEN
+    IF NOT EXISTS (SELECT 1 FROM games WHERE id = p_game_id) THEN
+      RAISE EXCEPTION 'Game not found' USING ERRCODE = 'P0002';
+    END IF;
+    -- Game from before V024: nobody can prove they created it
+    RAISE EXCEPTION 'This game was recorded before owner tokens and can''t be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_token_hash <> hash_owner_token(p_owner_token) THEN
+    RAISE EXCEPTION 'Only the scoring device can change this game' USING ERRCODE = '42501';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION assert_game_owner IS 'Raises insufficient_privilege (42501) unless the token matches the game''s owner token';
+
+-- Step 3: Create a game with its players and turns
+-- p_game: games columns (plus winner_order once finished); p_players: game_players columns,
+-- each with a "turns" array of turns columns (game_player_id is filled in here)
+CREATE OR REPLACE FUNCTION create_game(p_game JSONB, p_players JSONB, p_owner_token TEXT)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing game owner token' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO games (
+    id, created_at, game_type, win_condition, scoring_mode, game_mode, cricket_variant,
+    out_rule, in_rule, match_id, set_number, leg_number, is_active, current_turn,
+    device_id, total_players
+  )
+  SELECT
+    g.id, COALESCE(g.created_at, NOW()), g.game_type, g.win_condition, g.scoring_mode,
+    COALESCE(g.game_mode, 'x01'), g.cricket_variant,
+    COALESCE(g.out_rule, 'straight'), COALESCE(g.in_rule, 'straight'),
+    g.match_id, g.set_number, g.leg_number, COALESCE(g.is_active, true), COALESCE(g.current_turn, 0),
+    g.device_id, jsonb_array_length(p_players)
+  FROM jsonb_populate_record(NULL::games, p_game) g
+  RETURNING * INTO v_game;
+
+  INSERT INTO game_owner_tokens (game_id, token_hash)
+  VALUES (v_game.id, hash_owner_token(p_owner_token));
+
+  INSERT INTO game_players (
+    game_id, player_id, player_order, starting_score, final_score, is_winner, finish_rank,
+    finish_round, total_turns, total_darts, total_score, max_dart, max_turn, count_180s,
+    count_140_plus, total_marks, max_marks, checkout_attempts, checkout_successes
+  )
+  SELECT
+    v_game.id, gp.player_id, gp.player_order, gp.starting_score, COALESCE(gp.final_score, 0),
+    COALESCE(gp.is_winner, false), gp.finish_rank, gp.finish_round,
+    COALESCE(gp.total_turns, 0), COALESCE(gp.total_darts, 0), COALESCE(gp.total_score, 0),
+    COALESCE(gp.max_dart, 0), COALESCE(gp.max_turn, 0), COALESCE(gp.count_180s, 0),
+    COALESCE(gp.count_140_plus, 0), COALESCE(gp.total_marks, 0), COALESCE(gp.max_marks, 0),
+    COALESCE(gp.checkout_attempts, 0), COALESCE(gp.checkout_successes, 0)
+  FROM jsonb_populate_recordset(NULL::game_players, p_players) gp;
+
+  PERFORM save_game_turns(v_game.id, p_players);
+
+  -- A game finished before it was first pushed (offline) is completed last, once
+  -- game_players are in place for the aggregate trigger
+  IF p_game->>'completed_at' IS NOT NULL THEN
+    UPDATE games
+    SET
+      completed_at = (p_game->>'completed_at')::TIMESTAMPTZ,
+      winner_id = (
+        SELECT player_id
+        FROM game_players
+        WHERE game_id = v_game.id
+          AND player_order = (p_game->>'winner_order')::INTEGER
+      )
+    WHERE id = v_game.id
+    RETURNING * INTO v_game;
+  END IF;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION create_game IS 'Creates a game, its players and turns in one go and registers the owner token';
+
+-- Step 4: Bring turns in line with the scorer's copy
+-- A stored turn is dropped when the payload no longer has it (undone) or has it with
+-- a different time (undone and thrown again); payload turns not stored yet are added
+CREATE OR REPLACE FUNCTION save_game_turns(p_game_id UUID, p_players JSONB)
+RETURNS VOID AS $$
+BEGIN
+  WITH pending AS (
+    SELECT
+      gp.id AS game_player_id, t.turn_number, t.round_number, t.dart_scores, t.dart_segments,
+      t.dart_multipliers, t.score_before, t.score_after, t.turn_total, t.is_busted,
+      t.is_checkout_attempt, t.is_successful_checkout, t.marks, t.created_at
+    FROM jsonb_array_elements(p_players) player
+    JOIN game_players gp
+      ON gp.game_id = p_game_id
+     AND gp.player_order = (player->>'player_order')::INTEGER
+    CROSS JOIN LATERAL jsonb_populate_recordset(NULL::turns, COALESCE(player->'turns', '[]'::jsonb)) t
+  ),
+  removed AS (
+    DELETE FROM turns existing
+    USING game_players gp
+    WHERE gp.id = existing.game_player_id
+      AND gp.game_id = p_game_id
+      AND NOT EXISTS (
+        SELECT 1
+        FROM pending
+        WHERE pending.game_player_id = existing.game_player_id
+          AND pending.turn_number = existing.turn_number
+          AND (pending.created_at IS NULL OR pending.created_at = existing.created_at)
+      )
+    RETURNING existing.id
+  )
+  INSERT INTO turns (
+    game_player_id, turn_number, round_number, dart_scores, dart_segments, dart_multipliers,
+    score_before, score_after, turn_total, is_busted, is_checkout_attempt,
+    is_successful_checkout, marks, created_at
+  )
+  SELECT
+    pending.game_player_id, pending.turn_number, pending.round_number, pending.dart_scores,
+    pending.dart_segments, pending.dart_multipliers, pending.score_before, pending.score_after,
+    pending.turn_total, COALESCE(pending.is_busted, false), COALESCE(pending.is_checkout_attempt, false),
+    COALESCE(pending.is_successful_checkout, false), pending.marks, COALESCE(pending.created_at, NOW())
+  FROM pending
+  -- The statement still sees the rows it deletes, so those don't count as stored
+  WHERE NOT EXISTS (
+    SELECT 1
+    FROM turns existing
+    WHERE existing.game_player_id = pending.game_player_id
+      AND existing.turn_number = pending.turn_number
+      AND existing.id NOT IN (SELECT id FROM removed)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION save_game_turns IS 'Replaces undone turns and adds new ones for a game (called by create_game and update_game)';
+
+-- Step 5: Save the scorer's copy of a game
+-- p_game: completed_at, is_active, current_turn and winner_order (player_order of the winner);
+-- keys left out are not changed
+-- game_players are updated before games, because the aggregate trigger on
+-- games.completed_at reads them
+CREATE OR REPLACE FUNCTION update_game(
+  p_game_id UUID,
+  p_owner_token TEXT,
+  p_game JSONB,
+  p_players JSONB
+)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+  v_winner_id UUID;
+BEGIN
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+
+  UPDATE game_players gp
+  SET
+    final_score = COALESCE(x.final_score, 0),
+    is_winner = COALESCE(x.is_winner, false),
+    finish_rank = x.finish_rank,
+    finish_round = x.finish_round,
+    total_turns = COALESCE(x.total_turns, 0),
+    total_darts = COALESCE(x.total_darts, 0),
+    total_score = COALESCE(x.total_score, 0),
+    max_dart = COALESCE(x.max_dart, 0),
+    max_turn = COALESCE(x.max_turn, 0),
+    count_180s = COALESCE(x.count_180s, 0),
+    count_140_plus = COALESCE(x.count_140_plus, 0),
+    total_marks = COALESCE(x.total_marks, 0),
+    max_marks = COALESCE(x.max_marks, 0),
+    checkout_attempts = COALESCE(x.checkout_attempts, 0),
+    checkout_successes = COALESCE(x.checkout_successes, 0),
+    updated_at = NOW()
+  FROM jsonb_populate_recordset(NULL::game_players, p_players) x
+  WHERE gp.game_id = p_game_id
+    AND gp.player_order = x.player_order;
+
+  PERFORM save_game_turns(p_game_id, p_players);
+
+  IF p_game ? 'winner_order' AND p_game->>'winner_order' IS NOT NULL THEN
+    SELECT player_id INTO v_winner_id
+    FROM game_players
+    WHERE game_id = p_game_id
+      AND player_order = (p_game->>'winner_order')::INTEGER;
+  END IF;
+
+  UPDATE games
+  SET
+    completed_at = CASE WHEN p_game ? 'completed_at' THEN (p_game->>'completed_at')::TIMESTAMPTZ ELSE completed_at END,
+    is_active = COALESCE((p_game->>'is_active')::BOOLEAN, is_active),
+    current_turn = COALESCE((p_game->>'current_turn')::INTEGER, current_turn),
+    winner_id = COALESCE(v_winner_id, winner_id)
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION update_game IS 'Saves scores, turns and status of a game; owner token required';
+
+-- Step 6: Delete a game (game_players, turns and the token cascade)
+CREATE OR REPLACE FUNCTION delete_game(p_game_id UUID, p_owner_token TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM games WHERE id = p_game_id) THEN
+    RETURN;
+  END IF;
+
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+
+  DELETE FROM games WHERE id = p_game_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION delete_game IS 'Deletes a game; owner token required';
+
+-- Step 7: Clients read games, game_players and turns, and write through the functions above
+REVOKE INSERT, UPDATE, DELETE ON games, game_players, turns FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Allow all operations on games" ON games;
+DROP POLICY IF EXISTS "Allow all operations on game_players" ON game_players;
+DROP POLICY IF EXISTS "Allow all operations on turns" ON turns;
+
+DROP POLICY IF EXISTS "Games are readable by everyone" ON games;
+CREATE POLICY "Games are readable by everyone"
+  ON games FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Game players are readable by everyone" ON game_players;
+CREATE POLICY "Game players are readable by everyone"
+  ON game_players FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Turns are readable by everyone" ON turns;
+CREATE POLICY "Turns are readable by everyone"
+  ON turns FOR SELECT
+  USING (true);
+
+-- Supabase grants EXECUTE on new functions to anon and authenticated directly, so
+-- revoking from PUBLIC alone would leave the internal functions callable
+REVOKE ALL ON FUNCTION assert_game_owner(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION save_game_turns(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_game(JSONB, JSONB, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_game(UUID, TEXT, JSONB, JSONB) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_game(UUID, TEXT) TO anon, authenticated;
+
+-- Verification
+DO $$
+DECLARE
+  writable_policies INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO writable_policies
+  FROM pg_policies
+  WHERE tablename IN ('games', 'game_players', 'turns')
+    AND cmd <> 'SELECT';
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V024: Game owner tokens';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created table: game_owner_tokens';
+  RAISE NOTICE '✓ Created functions: create_game, update_game, delete_game';
+  RAISE NOTICE '✓ games, game_players and turns are read-only for clients';
+  RAISE NOTICE 'Games without an owner token (read-only): %', (
+    SELECT COUNT(*) FROM games g WHERE NOT EXISTS (SELECT 1 FROM game_owner_tokens t WHERE t.game_id = g.id)
+  );
+  IF writable_policies > 0 THEN
+    RAISE WARNING '⚠ % write policies remain on games/game_players/turns', writable_policies;
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,259 @@
+-- ============================================================================
+-- Migration V025: Hand over scoring control
+-- Created: 2026-10-19
+-- Description: Lets another device take over scoring a live game (e.g. when the
+--              scorer's phone dies). The scoring device asks for a short-lived
+--              6-digit PIN; a spectator device that enters it becomes the scorer:
+--              its owner token replaces the old one and games.device_id moves to
+--              it, so the old device's writes are rejected from then on. Both
+--              clients see the device_id change on the game's realtime channel.
+--              The scorer can also hand over to a device watching the game without
+--              a PIN: that device asks with its new owner token and shows a code
+--              worked out from it, and the scorer grants the game to it by typing
+--              that code in. Device IDs are public, so the code is what proves the
+--              request came from the device the scorer is looking at. The PIN
+--              never leaves the scoring device's screen.
+-- ============================================================================
+
+-- Step 1: Outstanding PINs (never readable by clients)
+CREATE TABLE IF NOT EXISTS game_control_pins (
+  game_id UUID PRIMARY KEY REFERENCES games(id) ON DELETE CASCADE,
+  pin_hash TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE game_control_pins IS 'SHA-256 of the PIN that hands over scoring a game; one per game, single use';
+
+ALTER TABLE game_control_pins ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_control_pins FROM anon, authenticated;
+
+-- Step 2: The scoring device creates a PIN (replacing any earlier one)
+CREATE OR REPLACE FUNCTION create_control_pin(p_game_id UUID, p_owner_token TEXT)
+RETURNS TEXT AS $$
+DECLARE
+  v_pin TEXT;
+BEGIN
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+
+  IF EXISTS (SELECT 1 FROM games WHERE id = p_game_id AND completed_at IS NOT NULL) THEN
+    RAISE EXCEPTION 'This game is already finished' USING ERRCODE = '22023';
+  END IF;
+
+  -- gen_random_uuid() draws from the strong random source, unlike random()
+  v_pin := lpad((('x' || substr(md5(gen_random_uuid()::TEXT), 1, 8))::BIT(32)::BIGINT % 1000000)::TEXT, 6, '0');
+
+  INSERT INTO game_control_pins (game_id, pin_hash, expires_at)
+  VALUES (p_game_id, hash_owner_token(v_pin), NOW() + INTERVAL '10 minutes')
+  ON CONFLICT (game_id) DO UPDATE
+  SET
+    pin_hash = EXCLUDED.pin_hash,
+    failed_attempts = 0,
+    expires_at = EXCLUDED.expires_at,
+    created_at = NOW();
+
+  RETURN v_pin;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION create_control_pin IS 'Returns a 6-digit PIN (valid 10 minutes) that hands over scoring; owner token required';
+
+-- Step 3: Another device claims the game with the PIN and its own new owner token
+-- Returns the game, or NULL when the PIN is wrong (the failed attempt is counted,
+-- so it can't be raised as an error); five wrong PINs use the PIN up
+CREATE OR REPLACE FUNCTION claim_game_control(
+  p_game_id UUID,
+  p_pin TEXT,
+  p_owner_token TEXT,
+  p_device_id TEXT
+)
+RETURNS games AS $$
+DECLARE
+  v_control game_control_pins;
+  v_game games;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing game owner token' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'Missing device ID' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_control FROM game_control_pins WHERE game_id = p_game_id FOR UPDATE;
+
+  IF NOT FOUND OR v_control.expires_at < NOW() THEN
+    RAISE EXCEPTION 'No handover code is active for this game - ask the scorer for a new one' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_control.pin_hash <> hash_owner_token(COALESCE(p_pin, '')) THEN
+    IF v_control.failed_attempts + 1 >= 5 THEN
+      DELETE FROM game_control_pins WHERE game_id = p_game_id;
+    ELSE
+      UPDATE game_control_pins
+      SET failed_attempts = failed_attempts + 1
+      WHERE game_id = p_game_id;
+    END IF;
+    RETURN NULL;
+  END IF;
+
+  DELETE FROM game_control_pins WHERE game_id = p_game_id;
+  DELETE FROM game_control_requests WHERE game_id = p_game_id;
+
+  INSERT INTO game_owner_tokens (game_id, token_hash)
+  VALUES (p_game_id, hash_owner_token(p_owner_token))
+  ON CONFLICT (game_id) DO UPDATE
+  SET
+    token_hash = EXCLUDED.token_hash,
+    created_at = NOW();
+
+  UPDATE games
+  SET device_id = p_device_id
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION claim_game_control IS 'Makes the calling device the scorer of a game when the PIN matches; NULL for a wrong PIN';
+
+-- Step 4: Devices watching a game that asked to take over (never readable by clients)
+CREATE TABLE IF NOT EXISTS game_control_requests (
+  game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+  device_id TEXT NOT NULL,
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (game_id, device_id)
+);
+
+COMMENT ON TABLE game_control_requests IS 'SHA-256 of the owner token a watching device takes over with, once the scorer grants it the game';
+
+ALTER TABLE game_control_requests ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_control_requests FROM anon, authenticated;
+
+-- Step 5: The code a request is granted with: 6 digits from the requester's token hash,
+-- so only the device holding the token can show it (the app works it out the same way)
+CREATE OR REPLACE FUNCTION control_request_code(p_token_hash TEXT)
+RETURNS TEXT AS $$
+  SELECT lpad((('x' || substr(p_token_hash, 1, 8))::BIT(32)::BIGINT % 1000000)::TEXT, 6, '0');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- A watching device asks to take over, with its own new owner token
+-- A pending request is never replaced by another token, as anyone can claim to be
+-- any device; asking again with the same token (e.g. after a reload) renews it
+CREATE OR REPLACE FUNCTION request_game_control(
+  p_game_id UUID,
+  p_owner_token TEXT,
+  p_device_id TEXT
+)
+RETURNS VOID AS $$
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing game owner token' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'Missing device ID' USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM games WHERE id = p_game_id) THEN
+    RAISE EXCEPTION 'Game not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM games WHERE id = p_game_id AND completed_at IS NOT NULL) THEN
+    RAISE EXCEPTION 'This game is already finished' USING ERRCODE = '22023';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM game_control_requests
+    WHERE game_id = p_game_id
+      AND device_id = p_device_id
+      AND expires_at >= NOW()
+      AND token_hash <> hash_owner_token(p_owner_token)
+  ) THEN
+    RAISE EXCEPTION 'This device has already asked to take over - try again in 10 minutes' USING ERRCODE = '55000';
+  END IF;
+
+  INSERT INTO game_control_requests (game_id, device_id, token_hash, expires_at)
+  VALUES (p_game_id, p_device_id, hash_owner_token(p_owner_token), NOW() + INTERVAL '10 minutes')
+  ON CONFLICT (game_id, device_id) DO UPDATE
+  SET
+    token_hash = EXCLUDED.token_hash,
+    expires_at = EXCLUDED.expires_at,
+    created_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION request_game_control IS 'Registers the owner token a watching device takes over with, if the scorer grants it the game';
+
+-- Step 6: The scoring device grants the game to a device that asked, with the code
+-- that device shows
+CREATE OR REPLACE FUNCTION grant_game_control(
+  p_game_id UUID,
+  p_owner_token TEXT,
+  p_device_id TEXT,
+  p_code TEXT
+)
+RETURNS games AS $$
+DECLARE
+  v_request game_control_requests;
+  v_game games;
+BEGIN
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+
+  IF EXISTS (SELECT 1 FROM games WHERE id = p_game_id AND completed_at IS NOT NULL) THEN
+    RAISE EXCEPTION 'This game is already finished' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT * INTO v_request
+  FROM game_control_requests
+  WHERE game_id = p_game_id AND device_id = p_device_id AND expires_at >= NOW()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'That device hasn''t asked to take over - send it the game again' USING ERRCODE = '22023';
+  END IF;
+
+  IF control_request_code(v_request.token_hash) <> trim(COALESCE(p_code, '')) THEN
+    RAISE EXCEPTION 'That code doesn''t match - check the code on the other device' USING ERRCODE = '22023';
+  END IF;
+
+  -- The game changes hands once: outstanding PINs and requests go with it
+  DELETE FROM game_control_requests WHERE game_id = p_game_id;
+  DELETE FROM game_control_pins WHERE game_id = p_game_id;
+
+  UPDATE game_owner_tokens
+  SET
+    token_hash = v_request.token_hash,
+    created_at = NOW()
+  WHERE game_id = p_game_id;
+
+  UPDATE games
+  SET device_id = p_device_id
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION grant_game_control IS 'Makes a device that asked to take over the scorer of a game, given the code it shows; owner token required';
+
+GRANT EXECUTE ON FUNCTION create_control_pin(UUID, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_game_control(UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_game_control(UUID, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION grant_game_control(UUID, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V025: Hand over scoring control';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created tables: game_control_pins, game_control_requests';
+  RAISE NOTICE '✓ Created functions: create_control_pin, claim_game_control, control_request_code, request_game_control, grant_game_control';
+  RAISE NOTICE '========================================';
+END $$;
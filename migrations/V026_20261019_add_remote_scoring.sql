@@ -0,0 +1,471 @@
+-- ============================================================================
+-- Migration V026: Remote scoring
+-- Created: 2026-10-19
+-- Description: Players can score their own turns from their own phones.
+--              The scoring device turns remote scoring on for a game; anyone with
+--              the share link can then take a player's seat (a seat token, like
+--              the owner token, is kept on their device and hashed here) and
+--              submit that player's turns through submit_turn(), which only
+--              accepts the turn of the player who is due to throw.
+--              Whose throw it is comes from the stored turns: players throw in
+--              player_order, skipping X01 players who have checked out.
+--              A seat only adds that player's own turns: their scores are worked
+--              out here from the stored turns, and only the owner token changes
+--              other players' rows or the game's status (finishing it included).
+--              Cricket games can't be scored from a seat: a dart there can change
+--              the other players' points too (cut-throat), so their scores can't be
+--              worked out from one player's turns.
+-- ============================================================================
+
+-- Step 1: Columns
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS remote_scoring BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE game_players
+  ADD COLUMN IF NOT EXISTS seat_device_id TEXT;
+
+COMMENT ON COLUMN games.remote_scoring IS 'Players may submit their own turns from their own devices';
+COMMENT ON COLUMN game_players.seat_device_id IS 'Device scoring this player''s turns under remote scoring (NULL = the scoring device)';
+
+-- Step 2: Seat token hashes (never readable by clients)
+CREATE TABLE IF NOT EXISTS game_seats (
+  game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+  player_order INTEGER NOT NULL,
+  token_hash TEXT NOT NULL,
+  device_id TEXT NOT NULL,
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (game_id, player_order)
+);
+
+COMMENT ON TABLE game_seats IS 'SHA-256 of the seat token of each player scoring from their own device';
+
+ALTER TABLE game_seats ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON game_seats FROM anon, authenticated;
+
+-- Step 3: Whose throw it is
+CREATE OR REPLACE FUNCTION next_thrower(p_game_id UUID)
+RETURNS INTEGER AS $$
+  SELECT gp.player_order
+  FROM game_players gp
+  JOIN games g ON g.id = gp.game_id
+  CROSS JOIN LATERAL (
+    SELECT COUNT(*) AS turn_count FROM turns t WHERE t.game_player_id = gp.id
+  ) c
+  WHERE gp.game_id = p_game_id
+    -- X01 players who have checked out stop throwing; Cricket ends at the first win
+    AND (g.game_mode = 'cricket' OR gp.final_score <> 0)
+  ORDER BY c.turn_count, gp.player_order
+  LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION next_thrower IS 'player_order of the player due to throw next in a game';
+
+-- Step 4: Shared by update_game and submit_turn
+-- p_players: game_players columns by player_order (turns are saved separately)
+CREATE OR REPLACE FUNCTION save_game_player_scores(p_game_id UUID, p_players JSONB)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE game_players gp
+  SET
+    final_score = COALESCE(x.final_score, 0),
+    is_winner = COALESCE(x.is_winner, false),
+    finish_rank = x.finish_rank,
+    finish_round = x.finish_round,
+    total_turns = COALESCE(x.total_turns, 0),
+    total_darts = COALESCE(x.total_darts, 0),
+    total_score = COALESCE(x.total_score, 0),
+    max_dart = COALESCE(x.max_dart, 0),
+    max_turn = COALESCE(x.max_turn, 0),
+    count_180s = COALESCE(x.count_180s, 0),
+    count_140_plus = COALESCE(x.count_140_plus, 0),
+    total_marks = COALESCE(x.total_marks, 0),
+    max_marks = COALESCE(x.max_marks, 0),
+    checkout_attempts = COALESCE(x.checkout_attempts, 0),
+    checkout_successes = COALESCE(x.checkout_successes, 0),
+    updated_at = NOW()
+  FROM jsonb_populate_recordset(NULL::game_players, p_players) x
+  WHERE gp.game_id = p_game_id
+    AND gp.player_order = x.player_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- p_game: completed_at, is_active, current_turn and winner_order; keys left out are not changed
+-- Call after game_players are saved: the aggregate trigger on games.completed_at reads them
+CREATE OR REPLACE FUNCTION save_game_status(p_game_id UUID, p_game JSONB)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+  v_winner_id UUID;
+BEGIN
+  IF p_game ? 'winner_order' AND p_game->>'winner_order' IS NOT NULL THEN
+    SELECT player_id INTO v_winner_id
+    FROM game_players
+    WHERE game_id = p_game_id
+      AND player_order = (p_game->>'winner_order')::INTEGER;
+  END IF;
+
+  UPDATE games
+  SET
+    completed_at = CASE WHEN p_game ? 'completed_at' THEN (p_game->>'completed_at')::TIMESTAMPTZ ELSE completed_at END,
+    is_active = COALESCE((p_game->>'is_active')::BOOLEAN, is_active),
+    current_turn = COALESCE((p_game->>'current_turn')::INTEGER, current_turn),
+    -- A game put back in play (its final turn undone) has no winner
+    winner_id = CASE
+      WHEN p_game ? 'completed_at' AND p_game->>'completed_at' IS NULL THEN NULL
+      ELSE COALESCE(v_winner_id, winner_id)
+    END
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION update_game(
+  p_game_id UUID,
+  p_owner_token TEXT,
+  p_game JSONB,
+  p_players JSONB
+)
+RETURNS games AS $$
+BEGIN
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+  PERFORM save_game_player_scores(p_game_id, p_players);
+  PERFORM save_game_turns(p_game_id, p_players);
+  RETURN save_game_status(p_game_id, p_game);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION update_game IS 'Saves scores, turns and status of a game; owner token required';
+
+-- Step 5: The scoring device turns remote scoring on or off (off frees every seat)
+CREATE OR REPLACE FUNCTION set_remote_scoring(
+  p_game_id UUID,
+  p_owner_token TEXT,
+  p_enabled BOOLEAN
+)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+BEGIN
+  PERFORM assert_game_owner(p_game_id, p_owner_token);
+
+  IF p_enabled AND EXISTS (SELECT 1 FROM games WHERE id = p_game_id AND game_mode = 'cricket') THEN
+    RAISE EXCEPTION 'Cricket can''t be scored from players'' phones' USING ERRCODE = '55000';
+  END IF;
+
+  IF NOT p_enabled THEN
+    DELETE FROM game_seats WHERE game_id = p_game_id;
+    UPDATE game_players SET seat_device_id = NULL WHERE game_id = p_game_id AND seat_device_id IS NOT NULL;
+  END IF;
+
+  UPDATE games
+  SET remote_scoring = p_enabled
+  WHERE id = p_game_id
+  RETURNING * INTO v_game;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION set_remote_scoring IS 'Lets players score their own turns (or stops it); owner token required';
+
+-- Step 6: Take and leave seats
+-- A device holds one seat per game: taking another one gives up the first.
+-- Joining again with the same seat token (e.g. after a reload) keeps the seat.
+-- Anyone with the game link can take a free seat, so a seat can only add that
+-- player's own turns, and the scoring device can free it again.
+CREATE OR REPLACE FUNCTION join_game_seat(
+  p_game_id UUID,
+  p_player_order INTEGER,
+  p_seat_token TEXT,
+  p_device_id TEXT
+)
+RETURNS game_players AS $$
+DECLARE
+  v_game games;
+  v_seat game_seats;
+  v_player game_players;
+BEGIN
+  IF p_seat_token IS NULL OR length(p_seat_token) < 32 THEN
+    RAISE EXCEPTION 'Missing seat token' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO v_game FROM games WHERE id = p_game_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_game.completed_at IS NOT NULL OR NOT v_game.remote_scoring OR v_game.game_mode = 'cricket' THEN
+    RAISE EXCEPTION 'Players can''t score from their own phones in this game' USING ERRCODE = '55000';
+  END IF;
+
+  SELECT * INTO v_seat FROM game_seats WHERE game_id = p_game_id AND player_order = p_player_order;
+
+  IF FOUND AND v_seat.token_hash <> hash_owner_token(p_seat_token) THEN
+    RAISE EXCEPTION 'Someone else is already scoring for this player' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM game_seats
+  WHERE game_id = p_game_id
+    AND device_id = p_device_id
+    AND player_order <> p_player_order;
+
+  UPDATE game_players
+  SET seat_device_id = NULL
+  WHERE game_id = p_game_id
+    AND seat_device_id = p_device_id
+    AND player_order <> p_player_order;
+
+  INSERT INTO game_seats (game_id, player_order, token_hash, device_id)
+  VALUES (p_game_id, p_player_order, hash_owner_token(p_seat_token), p_device_id)
+  ON CONFLICT (game_id, player_order) DO UPDATE
+  SET device_id = EXCLUDED.device_id;
+
+  UPDATE game_players
+  SET seat_device_id = p_device_id
+  WHERE game_id = p_game_id
+    AND player_order = p_player_order
+  RETURNING * INTO v_player;
+
+  IF v_player.id IS NULL THEN
+    RAISE EXCEPTION 'Player not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  RETURN v_player;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION join_game_seat IS 'Takes a player''s seat so this device scores their turns';
+
+-- The seat holder leaves, or the scoring device frees the seat (p_token is either token)
+CREATE OR REPLACE FUNCTION leave_game_seat(
+  p_game_id UUID,
+  p_player_order INTEGER,
+  p_token TEXT
+)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM game_seats
+    WHERE game_id = p_game_id
+      AND player_order = p_player_order
+      AND token_hash = hash_owner_token(COALESCE(p_token, ''))
+  ) THEN
+    PERFORM assert_game_owner(p_game_id, p_token);
+  END IF;
+
+  DELETE FROM game_seats WHERE game_id = p_game_id AND player_order = p_player_order;
+
+  UPDATE game_players
+  SET seat_device_id = NULL
+  WHERE game_id = p_game_id
+    AND player_order = p_player_order;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION leave_game_seat IS 'Frees a player''s seat; seat token or owner token required';
+
+-- Step 7: A seat holder's scores, worked out from their stored turns (X01 only, as
+-- Cricket isn't scored from seats). Finish ranks and the winner are left to the scoring device
+CREATE OR REPLACE FUNCTION refresh_game_player_scores(p_game_player_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_player game_players;
+  v_game games;
+  v_totals RECORD;
+BEGIN
+  SELECT * INTO v_player FROM game_players WHERE id = p_game_player_id;
+  SELECT * INTO v_game FROM games WHERE id = v_player.game_id;
+
+  SELECT
+    COUNT(*) AS turn_count,
+    COALESCE(SUM(CASE WHEN v_game.scoring_mode = 'per-turn' THEN 3 ELSE COALESCE(array_length(t.dart_scores, 1), 0) END), 0) AS dart_count,
+    COALESCE(SUM(t.turn_total), 0) AS total_score,
+    COALESCE(MAX(t.turn_total), 0) AS max_turn,
+    COALESCE(MAX((SELECT MAX(d) FROM unnest(t.dart_scores) d)), 0) AS max_dart,
+    COUNT(*) FILTER (WHERE t.turn_total = 180) AS count_180s,
+    COUNT(*) FILTER (WHERE t.turn_total BETWEEN 140 AND 179) AS count_140_plus,
+    COUNT(*) FILTER (WHERE t.is_checkout_attempt) AS checkout_attempts,
+    COUNT(*) FILTER (WHERE t.is_successful_checkout) AS checkout_successes,
+    (ARRAY_AGG(t.score_after ORDER BY t.turn_number DESC))[1] AS last_score
+  INTO v_totals
+  FROM turns t
+  WHERE t.game_player_id = p_game_player_id;
+
+  UPDATE game_players
+  SET
+    final_score = GREATEST(0, COALESCE(v_totals.last_score, starting_score)),
+    total_turns = v_totals.turn_count,
+    total_darts = v_totals.dart_count,
+    total_score = v_totals.total_score,
+    max_dart = v_totals.max_dart,
+    max_turn = v_totals.max_turn,
+    count_180s = v_totals.count_180s,
+    count_140_plus = v_totals.count_140_plus,
+    checkout_attempts = v_totals.checkout_attempts,
+    checkout_successes = v_totals.checkout_successes,
+    updated_at = NOW()
+  WHERE id = p_game_player_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Step 8: Submit one turn under remote scoring
+-- p_game and p_players are the submitter's copy after the turn (as for update_game).
+-- Only the new turn of p_player_order is stored. With the owner token, scores and status
+-- of every player are saved from the copy, as for update_game; with a seat token, the
+-- turn has to carry on from the player's stored score and only that player's row is
+-- updated, worked out from their turns (X01 only). In per-dart mode each dart's score
+-- has to match its segment and multiplier. A seat holder's turn that ends the game is
+-- finished by the scoring device.
+-- Raises 55000 when it isn't that player's throw or the copy is out of date, and 22023
+-- when a seat holder's turn doesn't add up.
+CREATE OR REPLACE FUNCTION submit_turn(
+  p_game_id UUID,
+  p_player_order INTEGER,
+  p_token TEXT,
+  p_game JSONB,
+  p_players JSONB
+)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+  v_player game_players;
+  v_is_seat BOOLEAN;
+  v_stored_turns INTEGER;
+  v_score INTEGER;
+  v_turn JSONB;
+  v_new turns;
+BEGIN
+  -- Locking the game row makes concurrent submissions take turns
+  SELECT * INTO v_game FROM games WHERE id = p_game_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Game not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  -- The seat holder scores their own turns; the scoring device can score anyone's
+  v_is_seat := EXISTS (
+    SELECT 1 FROM game_seats
+    WHERE game_id = p_game_id
+      AND player_order = p_player_order
+      AND token_hash = hash_owner_token(COALESCE(p_token, ''))
+  );
+  IF NOT v_is_seat THEN
+    PERFORM assert_game_owner(p_game_id, p_token);
+  END IF;
+
+  IF v_game.completed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'This game is already finished' USING ERRCODE = '55000';
+  END IF;
+
+  IF NOT v_game.remote_scoring THEN
+    RAISE EXCEPTION 'Players can''t score from their own phones in this game' USING ERRCODE = '55000';
+  END IF;
+
+  IF next_thrower(p_game_id) IS DISTINCT FROM p_player_order THEN
+    RAISE EXCEPTION 'It''s not this player''s turn' USING ERRCODE = '55000';
+  END IF;
+
+  SELECT * INTO v_player FROM game_players WHERE game_id = p_game_id AND player_order = p_player_order;
+  SELECT COUNT(*) INTO v_stored_turns FROM turns WHERE game_player_id = v_player.id;
+
+  SELECT player->'turns'->v_stored_turns INTO v_turn
+  FROM jsonb_array_elements(p_players) player
+  WHERE (player->>'player_order')::INTEGER = p_player_order;
+
+  IF v_turn IS NULL OR (v_turn->>'turn_number')::INTEGER IS DISTINCT FROM v_stored_turns + 1 THEN
+    RAISE EXCEPTION 'The game has moved on - reload it and try again' USING ERRCODE = '55000';
+  END IF;
+
+  v_new := jsonb_populate_record(NULL::turns, v_turn);
+
+  -- A seat holder's turn: up to 3 darts on the board, carrying on from the player's
+  -- score (darts before a double-in may score nothing)
+  IF v_is_seat THEN
+    IF v_game.game_mode = 'cricket' THEN
+      RAISE EXCEPTION 'Players can''t score from their own phones in this game' USING ERRCODE = '55000';
+    END IF;
+
+    SELECT COALESCE(
+      (SELECT score_after FROM turns WHERE game_player_id = v_player.id ORDER BY turn_number DESC LIMIT 1),
+      v_player.starting_score
+    ) INTO v_score;
+
+    IF COALESCE(array_length(v_new.dart_scores, 1), 0) NOT BETWEEN 1 AND 3
+      OR v_new.turn_total IS DISTINCT FROM (SELECT SUM(d) FROM unnest(v_new.dart_scores) d)
+      OR v_new.turn_total NOT BETWEEN 0 AND 180
+      -- Per dart: a miss (0 x 0), 1-20 single to treble or the bull (25 or 50)
+      OR (v_game.scoring_mode <> 'per-turn' AND (
+        array_length(v_new.dart_segments, 1) IS DISTINCT FROM array_length(v_new.dart_scores, 1)
+        OR array_length(v_new.dart_multipliers, 1) IS DISTINCT FROM array_length(v_new.dart_scores, 1)
+        OR EXISTS (
+          SELECT 1
+          FROM unnest(v_new.dart_scores, v_new.dart_segments, v_new.dart_multipliers) AS d(score, segment, multiplier)
+          WHERE score IS DISTINCT FROM segment * multiplier
+            OR NOT (
+              (segment = 0 AND multiplier = 0)
+              OR (segment BETWEEN 1 AND 20 AND multiplier BETWEEN 1 AND 3)
+              OR (segment = 25 AND multiplier BETWEEN 1 AND 2)
+            )
+        )
+      ))
+      OR v_new.score_before IS DISTINCT FROM v_score
+      OR (COALESCE(v_new.is_busted, false) AND v_new.score_after IS DISTINCT FROM v_score)
+      OR (NOT COALESCE(v_new.is_busted, false)
+        AND v_new.score_after NOT BETWEEN v_score - v_new.turn_total AND v_score)
+      OR (v_new.score_after < 0 AND v_game.win_condition <> 'below')
+      OR (COALESCE(v_new.is_successful_checkout, false)
+        AND (v_new.score_after <> 0 OR COALESCE(v_new.is_busted, false)))
+    THEN
+      RAISE EXCEPTION 'This turn doesn''t add up - reload the game and enter it again' USING ERRCODE = '22023';
+    END IF;
+  ELSE
+    PERFORM save_game_player_scores(p_game_id, p_players);
+  END IF;
+
+  INSERT INTO turns (
+    game_player_id, turn_number, round_number, dart_scores, dart_segments, dart_multipliers,
+    score_before, score_after, turn_total, is_busted, is_checkout_attempt,
+    is_successful_checkout, marks, created_at
+  )
+  VALUES (
+    v_player.id, v_new.turn_number, v_new.round_number, v_new.dart_scores, v_new.dart_segments,
+    v_new.dart_multipliers, v_new.score_before, v_new.score_after, v_new.turn_total,
+    COALESCE(v_new.is_busted, false), COALESCE(v_new.is_checkout_attempt, false),
+    COALESCE(v_new.is_successful_checkout, false), v_new.marks, COALESCE(v_new.created_at, NOW())
+  );
+
+  IF v_is_seat THEN
+    PERFORM refresh_game_player_scores(v_player.id);
+    RETURN v_game;
+  END IF;
+
+  RETURN save_game_status(p_game_id, p_game);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION submit_turn IS 'Adds the next turn of the player due to throw; seat token (that player''s turn only) or owner token required';
+
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION save_game_player_scores(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION save_game_status(UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION refresh_game_player_scores(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION set_remote_scoring(UUID, TEXT, BOOLEAN) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION join_game_seat(UUID, INTEGER, TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION leave_game_seat(UUID, INTEGER, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_turn(UUID, INTEGER, TEXT, JSONB, JSONB) TO anon, authenticated;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V026: Remote scoring';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added columns: games.remote_scoring, game_players.seat_device_id';
+  RAISE NOTICE '✓ Created table: game_seats';
+  RAISE NOTICE '✓ Created functions: next_thrower, refresh_game_player_scores, set_remote_scoring, join_game_seat, leave_game_seat, submit_turn';
+  RAISE NOTICE '✓ update_game now shares save_game_player_scores and save_game_status with submit_turn';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,57 @@
+-- ============================================================================
+-- Migration V027: turns.game_id
+-- Created: 2026-10-19
+-- Description: Stores each turn's game on the turn itself, so realtime
+--              subscriptions can listen to the turns of one game
+--              (filter game_id=eq.<id>) instead of every turn of every game.
+--              A trigger fills it from game_player_id, so the functions that
+--              insert turns don't change.
+-- ============================================================================
+
+-- Step 1: Column and backfill
+ALTER TABLE turns
+  ADD COLUMN IF NOT EXISTS game_id UUID REFERENCES games(id) ON DELETE CASCADE;
+
+UPDATE turns t
+SET game_id = gp.game_id
+FROM game_players gp
+WHERE gp.id = t.game_player_id
+  AND t.game_id IS NULL;
+
+ALTER TABLE turns ALTER COLUMN game_id SET NOT NULL;
+
+COMMENT ON COLUMN turns.game_id IS 'Game of the turn (same as its game_player''s), for per-game realtime filters';
+
+CREATE INDEX IF NOT EXISTS idx_turns_game_id ON turns(game_id);
+
+-- Step 2: Fill game_id on insert
+CREATE OR REPLACE FUNCTION set_turn_game_id()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT game_id INTO NEW.game_id FROM game_players WHERE id = NEW.game_player_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION set_turn_game_id IS 'Copies the game_player''s game_id onto a new turn';
+
+DROP TRIGGER IF EXISTS trigger_set_turn_game_id ON turns;
+CREATE TRIGGER trigger_set_turn_game_id
+BEFORE INSERT ON turns
+FOR EACH ROW
+EXECUTE FUNCTION set_turn_game_id();
+
+-- Verification
+DO $$
+DECLARE
+  turn_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO turn_count FROM turns;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V027: turns.game_id';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Added column: turns.game_id (% turns backfilled, indexed)', turn_count;
+  RAISE NOTICE '✓ Created trigger: trigger_set_turn_game_id';
+  RAISE NOTICE '========================================';
+END $$;
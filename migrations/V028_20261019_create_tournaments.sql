@@ -0,0 +1,95 @@
+-- ============================================================================
+-- Migration V028: Tournaments
+-- Created: 2026-10-19
+-- Description: Adds a tournaments table for single elimination, double
+--              elimination and round robin tournaments. The bracket is kept as
+--              JSONB fixtures; each fixture that has been played points at the
+--              game it was played in (fixtures[].game_id), so games themselves
+--              don't change.
+-- ============================================================================
+
+-- Step 1: Tournaments
+CREATE TABLE IF NOT EXISTS tournaments (
+  -- Primary key
+  id UUID PRIMARY KEY,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Format
+  name TEXT NOT NULL,
+  format TEXT NOT NULL CHECK (format IN ('single-elimination', 'double-elimination', 'round-robin')),
+  game_options JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Entrants (names in seeding order) and the bracket
+  players JSONB NOT NULL DEFAULT '[]'::jsonb,
+  fixtures JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- State
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  device_id TEXT,
+  winner_id UUID REFERENCES players(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE tournaments IS 'Tournaments; each fixture is one game in games';
+COMMENT ON COLUMN tournaments.game_options IS 'Settings applied to every fixture''s game (Game.createGame options)';
+COMMENT ON COLUMN tournaments.fixtures IS 'Fixtures: { id, bracket, round, players, sources, game_id, winner, loser, status, result }';
+
+-- Step 2: Keep updated_at current
+CREATE OR REPLACE FUNCTION set_tournament_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_set_tournament_updated_at ON tournaments;
+CREATE TRIGGER trigger_set_tournament_updated_at
+BEFORE UPDATE ON tournaments
+FOR EACH ROW
+EXECUTE FUNCTION set_tournament_updated_at();
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS idx_tournaments_created_at ON tournaments(created_at DESC);
+-- Finding the tournament of a game (fixtures @> '[{"game_id": ...}]')
+CREATE INDEX IF NOT EXISTS idx_tournaments_fixtures ON tournaments USING GIN (fixtures jsonb_path_ops);
+
+-- Step 4: Permissions (same open policies as matches, see V019)
+GRANT SELECT, INSERT, UPDATE, DELETE ON tournaments TO anon, authenticated;
+
+ALTER TABLE tournaments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on tournaments" ON tournaments;
+CREATE POLICY "Allow all operations on tournaments"
+  ON tournaments FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Step 5: Realtime, so open bracket pages follow results recorded on other devices
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'tournaments'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE tournaments;
+  END IF;
+END $$;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V028: Tournaments';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created tournaments table';
+  RAISE NOTICE '✓ Created trigger: trigger_set_tournament_updated_at';
+  RAISE NOTICE '✓ Created indexes';
+  RAISE NOTICE '✓ Granted permissions and enabled RLS';
+  RAISE NOTICE '✓ Added tournaments to supabase_realtime';
+  RAISE NOTICE '========================================';
+END $$;
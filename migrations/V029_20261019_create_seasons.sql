@@ -0,0 +1,97 @@
+-- ============================================================================
+-- Migration V029: League Seasons
+-- Created: 2026-10-19
+-- Description: Adds a seasons table for leagues: registered players, a fixture
+--              list and the points awarded per fixture. Each fixture is a legs
+--              match; fixtures[].match_id links it to matches, and so to the
+--              games (legs) played for it. Legs recorded on a fixture keep each
+--              player's scoring for the standings averages.
+-- ============================================================================
+
+-- Step 1: Seasons
+CREATE TABLE IF NOT EXISTS seasons (
+  -- Primary key
+  id UUID PRIMARY KEY,
+
+  -- Timestamps
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Format
+  name TEXT NOT NULL,
+  legs_to_win INTEGER NOT NULL DEFAULT 2 CHECK (legs_to_win >= 1),
+  points_for_win INTEGER NOT NULL DEFAULT 2 CHECK (points_for_win >= 0),
+  points_for_loss INTEGER NOT NULL DEFAULT 0 CHECK (points_for_loss >= 0),
+  game_options JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Registered players and the fixture list
+  players JSONB NOT NULL DEFAULT '[]'::jsonb,
+  fixtures JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- State
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  device_id TEXT,
+  winner_id UUID REFERENCES players(id) ON DELETE SET NULL
+);
+
+COMMENT ON TABLE seasons IS 'League seasons; each fixture is one match in matches';
+COMMENT ON COLUMN seasons.game_options IS 'Settings applied to every fixture''s legs (Game.createGame options)';
+COMMENT ON COLUMN seasons.fixtures IS 'Fixtures: { id, round, players, match_id, game_id, status, winner, legs: [{ game_id, winner, scoring }] }';
+
+-- Step 2: Keep updated_at current
+CREATE OR REPLACE FUNCTION set_season_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_set_season_updated_at ON seasons;
+CREATE TRIGGER trigger_set_season_updated_at
+BEFORE UPDATE ON seasons
+FOR EACH ROW
+EXECUTE FUNCTION set_season_updated_at();
+
+-- Step 3: Indexes
+CREATE INDEX IF NOT EXISTS idx_seasons_created_at ON seasons(created_at DESC);
+-- Finding the season of a match (fixtures @> '[{"match_id": ...}]')
+CREATE INDEX IF NOT EXISTS idx_seasons_fixtures ON seasons USING GIN (fixtures jsonb_path_ops);
+
+-- Step 4: Permissions (same open policies as matches, see V019)
+GRANT SELECT, INSERT, UPDATE, DELETE ON seasons TO anon, authenticated;
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on seasons" ON seasons;
+CREATE POLICY "Allow all operations on seasons"
+  ON seasons FOR ALL
+  USING (true)
+  WITH CHECK (true);
+
+-- Step 5: Realtime, so open season pages follow results recorded on other devices
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_publication WHERE pubname = 'supabase_realtime')
+     AND NOT EXISTS (
+       SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'seasons'
+     ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE seasons;
+  END IF;
+END $$;
+
+-- Verification
+DO $$
+BEGIN
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V029: League Seasons';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created seasons table';
+  RAISE NOTICE '✓ Created trigger: trigger_set_season_updated_at';
+  RAISE NOTICE '✓ Created indexes';
+  RAISE NOTICE '✓ Granted permissions and enabled RLS';
+  RAISE NOTICE '✓ Added seasons to supabase_realtime';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,418 @@
+-- ============================================================================
+-- Migration V030: Player ratings
+-- Created: 2026-10-19
+-- Description: Adds a skill rating (multiplayer Elo) to players, updated when
+--              a game is completed. Every game is scored as a set of head-to-
+--              heads between its players by finish_rank, so 2nd of 6 beats
+--              four players and loses to one. Each rated game keeps a row per
+--              player in rating_history for the trend chart on the profile.
+--              Deleting completed games replays the ratings without them.
+--              Only the rating functions can change a player's rating.
+--              The leaderboard gets rating and rank_by_rating.
+-- ============================================================================
+
+-- Step 1: Rating columns on players
+ALTER TABLE players
+ADD COLUMN IF NOT EXISTS rating NUMERIC(7,2) NOT NULL DEFAULT 1500,
+ADD COLUMN IF NOT EXISTS rated_games INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN players.rating IS 'Skill rating (multiplayer Elo, starts at 1500)';
+COMMENT ON COLUMN players.rated_games IS 'Number of completed games the rating is based on';
+
+-- The players policies are open (see V013), so like protect_player_account (V022) a
+-- trigger keeps rating and rated_games to apply_game_ratings() and
+-- recalculate_player_ratings(), which set dart_bee.rating_change while they write them
+CREATE OR REPLACE FUNCTION protect_player_rating()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_setting('dart_bee.rating_change', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.rating <> 1500 OR NEW.rated_games <> 0 THEN
+      RAISE EXCEPTION 'Ratings are only worked out from completed games' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.rating IS DISTINCT FROM OLD.rating OR NEW.rated_games IS DISTINCT FROM OLD.rated_games THEN
+    RAISE EXCEPTION 'Ratings are only worked out from completed games' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION protect_player_rating IS 'Keeps player ratings to the rating functions';
+
+DROP TRIGGER IF EXISTS trigger_protect_player_rating ON players;
+CREATE TRIGGER trigger_protect_player_rating
+BEFORE INSERT OR UPDATE ON players
+FOR EACH ROW
+EXECUTE FUNCTION protect_player_rating();
+
+-- Step 2: Rating history, one row per player per rated game
+CREATE TABLE IF NOT EXISTS rating_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+
+  rating_before NUMERIC(7,2) NOT NULL,
+  rating_after NUMERIC(7,2) NOT NULL,
+  change NUMERIC(7,2) NOT NULL,
+  finish_rank INTEGER,
+  field_size INTEGER NOT NULL,
+
+  -- When the game was completed (history is replayed in this order)
+  completed_at TIMESTAMPTZ NOT NULL,
+
+  UNIQUE (game_id, player_id)
+);
+
+COMMENT ON TABLE rating_history IS 'Rating change of each player in each rated game';
+COMMENT ON COLUMN rating_history.field_size IS 'Number of players in the game';
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player ON rating_history(player_id, completed_at DESC);
+
+-- Read only for clients: rows are written by apply_game_ratings()
+GRANT SELECT ON rating_history TO anon, authenticated;
+
+ALTER TABLE rating_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow read access to rating_history" ON rating_history;
+CREATE POLICY "Allow read access to rating_history"
+  ON rating_history FOR SELECT
+  USING (true);
+
+-- Step 3: Rate a completed game
+-- Each pair of players is one head-to-head: the better finish_rank scores 1,
+-- equal ranks 0.5 each. A player's change is K * (score - expected score),
+-- divided by the number of opponents so a 6 player game moves ratings about
+-- as much as a 1 on 1. New players (under 10 rated games) move twice as fast.
+-- A game is only rated once, so completing it again after an undo changes nothing.
+CREATE OR REPLACE FUNCTION apply_game_ratings(p_game_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  c_k_factor CONSTANT NUMERIC := 32;
+  c_provisional_k_factor CONSTANT NUMERIC := 64;
+  c_provisional_games CONSTANT INTEGER := 10;
+  v_completed_at TIMESTAMPTZ;
+  v_field_size INTEGER;
+  v_rated INTEGER;
+BEGIN
+  SELECT completed_at INTO v_completed_at FROM games WHERE id = p_game_id;
+
+  IF v_completed_at IS NULL OR EXISTS (SELECT 1 FROM rating_history WHERE game_id = p_game_id) THEN
+    RETURN 0;
+  END IF;
+
+  SELECT COUNT(*) INTO v_field_size FROM game_players WHERE game_id = p_game_id;
+
+  IF v_field_size < 2 THEN
+    RETURN 0;
+  END IF;
+
+  PERFORM set_config('dart_bee.rating_change', 'on', true);
+
+  WITH field AS (
+    -- Players without a finish_rank share last place (or first, for the winner)
+    SELECT
+      gp.player_id,
+      gp.finish_rank,
+      COALESCE(gp.finish_rank, CASE WHEN gp.is_winner THEN 1 END, v_field_size) AS place,
+      p.rating,
+      p.rated_games
+    FROM game_players gp
+    JOIN players p ON p.id = gp.player_id
+    WHERE gp.game_id = p_game_id
+  ),
+  results AS (
+    SELECT
+      a.player_id,
+      a.finish_rank,
+      a.rating,
+      a.rated_games,
+      SUM(CASE WHEN a.place < b.place THEN 1 WHEN a.place = b.place THEN 0.5 ELSE 0 END) AS score,
+      SUM(1 / (1 + power(10::NUMERIC, (b.rating - a.rating) / 400))) AS expected
+    FROM field a
+    JOIN field b ON b.player_id <> a.player_id
+    GROUP BY a.player_id, a.finish_rank, a.rating, a.rated_games
+  ),
+  changes AS (
+    SELECT
+      player_id,
+      finish_rank,
+      rating,
+      ROUND(
+        CASE WHEN rated_games < c_provisional_games THEN c_provisional_k_factor ELSE c_k_factor END
+        * (score - expected) / (v_field_size - 1),
+        2
+      ) AS change
+    FROM results
+  ),
+  history AS (
+    INSERT INTO rating_history (game_id, player_id, rating_before, rating_after, change, finish_rank, field_size, completed_at)
+    SELECT p_game_id, player_id, rating, rating + change, change, finish_rank, v_field_size, v_completed_at
+    FROM changes
+    RETURNING player_id, rating_after
+  )
+  UPDATE players p
+  SET
+    rating = h.rating_after,
+    rated_games = p.rated_games + 1,
+    updated_at = NOW()
+  FROM history h
+  WHERE p.id = h.player_id;
+
+  GET DIAGNOSTICS v_rated = ROW_COUNT;
+  PERFORM set_config('dart_bee.rating_change', 'off', true);
+  RETURN v_rated;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION apply_game_ratings IS 'Updates the ratings of the players of a completed game and records rating_history; returns the number of players rated';
+
+-- Step 4: Rate games as they are completed
+-- Named so it runs before trigger_refresh_leaderboard_on_completion (triggers fire in name order)
+CREATE OR REPLACE FUNCTION apply_ratings_on_game_completion()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM apply_game_ratings(NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_apply_game_ratings ON games;
+CREATE TRIGGER trigger_apply_game_ratings
+AFTER UPDATE OF completed_at ON games
+FOR EACH ROW
+WHEN (NEW.completed_at IS NOT NULL AND OLD.completed_at IS NULL)
+EXECUTE FUNCTION apply_ratings_on_game_completion();
+
+-- Step 5: Replay every completed game in order
+-- Ratings depend on the opponents' ratings at the time, so they can only be
+-- rebuilt for everyone at once
+CREATE OR REPLACE FUNCTION recalculate_player_ratings()
+RETURNS INTEGER AS $$
+DECLARE
+  v_game RECORD;
+  v_games INTEGER := 0;
+BEGIN
+  DELETE FROM rating_history WHERE true;
+
+  PERFORM set_config('dart_bee.rating_change', 'on', true);
+
+  UPDATE players
+  SET rating = 1500, rated_games = 0
+  WHERE rating <> 1500 OR rated_games <> 0;
+
+  PERFORM set_config('dart_bee.rating_change', 'off', true);
+
+  FOR v_game IN
+    SELECT id FROM games
+    WHERE completed_at IS NOT NULL
+    ORDER BY completed_at, created_at
+  LOOP
+    IF apply_game_ratings(v_game.id) > 0 THEN
+      v_games := v_games + 1;
+    END IF;
+  END LOOP;
+
+  RETURN v_games;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION recalculate_player_ratings IS 'Rebuilds all ratings and rating_history from completed games; returns the number of games rated';
+
+-- Step 6: Rebuild ratings along with the aggregates in the admin tools (V023)
+CREATE OR REPLACE FUNCTION admin_merge_players(p_source_id UUID, p_target_id UUID)
+RETURNS players AS $$
+DECLARE
+  v_source players;
+  v_target players;
+  v_shared_games INTEGER;
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'Only admins can merge players';
+  END IF;
+
+  IF p_source_id = p_target_id THEN
+    RAISE EXCEPTION 'Pick two different players to merge';
+  END IF;
+
+  SELECT * INTO v_source FROM players WHERE id = p_source_id FOR UPDATE;
+  SELECT * INTO v_target FROM players WHERE id = p_target_id FOR UPDATE;
+
+  IF v_source.id IS NULL OR v_target.id IS NULL THEN
+    RAISE EXCEPTION 'Player not found';
+  END IF;
+
+  IF v_source.auth_user_id IS NOT NULL AND v_target.auth_user_id IS NOT NULL THEN
+    RAISE EXCEPTION '"%" and "%" are linked to different accounts', v_source.name, v_target.name;
+  END IF;
+
+  -- Two players in the same game are two different people
+  SELECT COUNT(*) INTO v_shared_games
+  FROM game_players a
+  JOIN game_players b ON b.game_id = a.game_id
+  WHERE a.player_id = p_source_id AND b.player_id = p_target_id;
+
+  IF v_shared_games > 0 OR EXISTS (
+    SELECT 1
+    FROM match_players a
+    JOIN match_players b ON b.match_id = a.match_id
+    WHERE a.player_id = p_source_id AND b.player_id = p_target_id
+  ) THEN
+    RAISE EXCEPTION '"%" and "%" played each other, so they can''t be merged', v_source.name, v_target.name;
+  END IF;
+
+  UPDATE game_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE games SET winner_id = p_target_id WHERE winner_id = p_source_id;
+  UPDATE match_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE matches SET winner_id = p_target_id WHERE winner_id = p_source_id;
+  UPDATE practice_sessions SET player_id = p_target_id WHERE player_id = p_source_id;
+
+  PERFORM set_config('dart_bee.account_change', 'on', true);
+
+  -- The account link moves with the games
+  IF v_source.auth_user_id IS NOT NULL THEN
+    UPDATE players SET auth_user_id = NULL, claimed_at = NULL WHERE id = p_source_id;
+    UPDATE players
+    SET auth_user_id = v_source.auth_user_id,
+        claimed_at = v_source.claimed_at,
+        nickname = COALESCE(v_target.nickname, v_source.nickname),
+        avatar = COALESCE(v_target.avatar, v_source.avatar)
+    WHERE id = p_target_id;
+  END IF;
+
+  DELETE FROM players WHERE id = p_source_id;
+
+  -- The target's opponents were rated against two separate players, so every rating is replayed
+  PERFORM recalculate_player_ratings();
+  PERFORM recalculate_player_aggregates(p_target_id);
+
+  SELECT * INTO v_target FROM players WHERE id = p_target_id;
+  RETURN v_target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION admin_recalculate_players()
+RETURNS INTEGER AS $$
+BEGIN
+  IF NOT is_app_admin() THEN
+    RAISE EXCEPTION 'Only admins can recalculate stats';
+  END IF;
+
+  PERFORM recalculate_player_ratings();
+  RETURN recalculate_player_aggregates(NULL);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION admin_recalculate_players IS 'Rebuilds all player aggregates and ratings and refreshes the leaderboard (admins only)';
+
+-- Step 7: Replay ratings when completed games are deleted
+-- Their rating_history rows are already gone (ON DELETE CASCADE) by the time this
+-- runs, so any completed game among the deleted ones replays every rating
+CREATE OR REPLACE FUNCTION recalculate_ratings_on_game_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM deleted_games WHERE completed_at IS NOT NULL) THEN
+    PERFORM recalculate_player_ratings();
+    REFRESH MATERIALIZED VIEW CONCURRENTLY player_leaderboard;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_recalculate_ratings_on_delete ON games;
+CREATE TRIGGER trigger_recalculate_ratings_on_delete
+AFTER DELETE ON games
+REFERENCING OLD TABLE AS deleted_games
+FOR EACH STATEMENT
+EXECUTE FUNCTION recalculate_ratings_on_game_delete();
+
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION apply_game_ratings(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION recalculate_player_ratings() FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION recalculate_ratings_on_game_delete() FROM PUBLIC, anon, authenticated;
+
+-- Step 8: Drop and recreate the materialized view to include rating
+DROP MATERIALIZED VIEW IF EXISTS player_leaderboard CASCADE;
+
+CREATE MATERIALIZED VIEW player_leaderboard AS
+SELECT
+  p.id,
+  p.name,
+  p.created_at,
+  p.total_games_played,
+  p.total_games_won,
+  p.win_rate,
+  p.total_turns,
+  p.total_darts_thrown,
+  p.total_score,
+  p.avg_per_turn,
+  p.avg_per_dart,
+  p.total_180s,
+  p.total_140_plus,
+  p.max_dart_score,
+  p.max_turn_score,
+  p.total_checkout_attempts,
+  p.total_checkout_successes,
+  p.checkout_percentage,
+  p.best_checkout,
+  p.rating,
+  p.rated_games,
+  -- Ranking columns for different metrics
+  ROW_NUMBER() OVER (ORDER BY p.total_games_won DESC, p.win_rate DESC, p.total_games_played DESC) as rank_by_wins,
+  ROW_NUMBER() OVER (ORDER BY p.win_rate DESC, p.total_games_played DESC) as rank_by_win_rate,
+  ROW_NUMBER() OVER (ORDER BY p.avg_per_turn DESC, p.total_turns DESC) as rank_by_avg,
+  ROW_NUMBER() OVER (ORDER BY p.total_180s DESC, p.total_darts_thrown DESC) as rank_by_180s,
+  ROW_NUMBER() OVER (ORDER BY p.checkout_percentage DESC, p.total_checkout_attempts DESC) as rank_by_checkout,
+  ROW_NUMBER() OVER (ORDER BY p.rating DESC, p.rated_games DESC) as rank_by_rating,
+  p.updated_at
+FROM players p
+WHERE p.total_games_played > 0;
+
+-- Create unique index for concurrent refresh
+CREATE UNIQUE INDEX idx_player_leaderboard_id ON player_leaderboard(id);
+
+-- Create indexes on ranking columns
+CREATE INDEX idx_leaderboard_rank_wins ON player_leaderboard(rank_by_wins);
+CREATE INDEX idx_leaderboard_rank_win_rate ON player_leaderboard(rank_by_win_rate);
+CREATE INDEX idx_leaderboard_rank_avg ON player_leaderboard(rank_by_avg);
+CREATE INDEX idx_leaderboard_rank_180s ON player_leaderboard(rank_by_180s);
+CREATE INDEX idx_leaderboard_rank_rating ON player_leaderboard(rank_by_rating);
+
+COMMENT ON MATERIALIZED VIEW player_leaderboard IS 'Pre-computed leaderboard rankings for all metrics (now includes rating)';
+
+GRANT SELECT ON player_leaderboard TO anon, authenticated;
+
+-- Step 9: Rate the games played so far
+SELECT recalculate_player_ratings();
+REFRESH MATERIALIZED VIEW player_leaderboard;
+
+-- Verification
+DO $$
+DECLARE
+  rated_players INTEGER;
+  history_rows INTEGER;
+  top_rating NUMERIC;
+BEGIN
+  SELECT COUNT(*), MAX(rating) INTO rated_players, top_rating FROM players WHERE rated_games > 0;
+  SELECT COUNT(*) INTO history_rows FROM rating_history;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V030: Player ratings';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Rated players: %', rated_players;
+  RAISE NOTICE 'Rating history rows: %', history_rows;
+  RAISE NOTICE 'Top rating: %', COALESCE(top_rating, 1500);
+  RAISE NOTICE '✓ Added rating and rated_games to players (changed only by the rating functions)';
+  RAISE NOTICE '✓ Created rating_history table';
+  RAISE NOTICE '✓ Created triggers: trigger_protect_player_rating, trigger_apply_game_ratings, trigger_recalculate_ratings_on_delete';
+  RAISE NOTICE '✓ Created functions: protect_player_rating, apply_game_ratings, recalculate_player_ratings, recalculate_ratings_on_game_delete';
+  RAISE NOTICE '✓ Updated admin_merge_players and admin_recalculate_players';
+  RAISE NOTICE '✓ Recreated materialized view';
+  RAISE NOTICE '========================================';
+END $$;
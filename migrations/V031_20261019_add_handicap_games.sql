@@ -0,0 +1,115 @@
+-- ============================================================================
+-- Migration V031: Handicap games
+-- Created: 2026-10-19
+-- Description: X01 games where players start on different scores (weaker
+--              players start lower). Each player's starting score was already
+--              stored in game_players.starting_score; games gets is_handicap so
+--              the leaderboard can leave those games out, and match_players
+--              gets starting_score so every leg of a match keeps the handicap.
+-- ============================================================================
+
+-- Step 1: Flag handicap games
+ALTER TABLE games
+  ADD COLUMN IF NOT EXISTS is_handicap BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN games.is_handicap IS 'Players started on different scores (game_players.starting_score)';
+
+-- Games saved before this migration with a player not starting on the game's points
+UPDATE games g
+SET is_handicap = true
+WHERE g.game_mode = 'x01'
+  AND NOT g.is_handicap
+  AND EXISTS (
+    SELECT 1 FROM game_players gp
+    WHERE gp.game_id = g.id AND gp.starting_score <> g.game_type
+  );
+
+CREATE INDEX IF NOT EXISTS idx_games_is_handicap ON games(is_handicap) WHERE is_handicap;
+
+-- Step 2: Starting score of each player in a handicap match (NULL: the match's game_type)
+ALTER TABLE match_players
+  ADD COLUMN IF NOT EXISTS starting_score INTEGER CHECK (starting_score > 0);
+
+COMMENT ON COLUMN match_players.starting_score IS 'Handicap starting score for every leg, NULL for the match''s game_type';
+
+-- Step 3: create_game stores is_handicap (otherwise as in V024)
+CREATE OR REPLACE FUNCTION create_game(p_game JSONB, p_players JSONB, p_owner_token TEXT)
+RETURNS games AS $$
+DECLARE
+  v_game games;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing game owner token' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO games (
+    id, created_at, game_type, win_condition, scoring_mode, game_mode, cricket_variant,
+    out_rule, in_rule, is_handicap, match_id, set_number, leg_number, is_active, current_turn,
+    device_id, total_players
+  )
+  SELECT
+    g.id, COALESCE(g.created_at, NOW()), g.game_type, g.win_condition, g.scoring_mode,
+    COALESCE(g.game_mode, 'x01'), g.cricket_variant,
+    COALESCE(g.out_rule, 'straight'), COALESCE(g.in_rule, 'straight'), COALESCE(g.is_handicap, false),
+    g.match_id, g.set_number, g.leg_number, COALESCE(g.is_active, true), COALESCE(g.current_turn, 0),
+    g.device_id, jsonb_array_length(p_players)
+  FROM jsonb_populate_record(NULL::games, p_game) g
+  RETURNING * INTO v_game;
+
+  INSERT INTO game_owner_tokens (game_id, token_hash)
+  VALUES (v_game.id, hash_owner_token(p_owner_token));
+
+  INSERT INTO game_players (
+    game_id, player_id, player_order, starting_score, final_score, is_winner, finish_rank,
+    finish_round, total_turns, total_darts, total_score, max_dart, max_turn, count_180s,
+    count_140_plus, total_marks, max_marks, checkout_attempts, checkout_successes
+  )
+  SELECT
+    v_game.id, gp.player_id, gp.player_order, gp.starting_score, COALESCE(gp.final_score, 0),
+    COALESCE(gp.is_winner, false), gp.finish_rank, gp.finish_round,
+    COALESCE(gp.total_turns, 0), COALESCE(gp.total_darts, 0), COALESCE(gp.total_score, 0),
+    COALESCE(gp.max_dart, 0), COALESCE(gp.max_turn, 0), COALESCE(gp.count_180s, 0),
+    COALESCE(gp.count_140_plus, 0), COALESCE(gp.total_marks, 0), COALESCE(gp.max_marks, 0),
+    COALESCE(gp.checkout_attempts, 0), COALESCE(gp.checkout_successes, 0)
+  FROM jsonb_populate_recordset(NULL::game_players, p_players) gp;
+
+  PERFORM save_game_turns(v_game.id, p_players);
+
+  -- A game finished before it was first pushed (offline) is completed last, once
+  -- game_players are in place for the aggregate trigger
+  IF p_game->>'completed_at' IS NOT NULL THEN
+    UPDATE games
+    SET
+      completed_at = (p_game->>'completed_at')::TIMESTAMPTZ,
+      winner_id = (
+        SELECT player_id
+        FROM game_players
+        WHERE game_id = v_game.id
+          AND player_order = (p_game->>'winner_order')::INTEGER
+      )
+    WHERE id = v_game.id
+    RETURNING * INTO v_game;
+  END IF;
+
+  RETURN v_game;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION create_game(JSONB, JSONB, TEXT) TO anon, authenticated;
+
+-- Verification
+DO $$
+DECLARE
+  handicap_games INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO handicap_games FROM games WHERE is_handicap;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V031: Handicap games';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'Existing handicap games: %', handicap_games;
+  RAISE NOTICE '✓ Added is_handicap to games';
+  RAISE NOTICE '✓ Added starting_score to match_players';
+  RAISE NOTICE '✓ Updated create_game';
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,59 @@
+-- ============================================================================
+-- Migration V032: Reopen finished games
+-- Created: 2026-10-19
+-- Description: The scoring device can undo the turn that finished a game, which
+--              puts the game back in play (completed_at cleared, winner removed
+--              by save_game_status). Player aggregates and ratings were updated
+--              when the game was completed, so reopening it rebuilds them
+--              without the game; completing it again counts and rates it anew.
+-- ============================================================================
+
+-- Step 1: Rebuild the stats of a reopened game's players, and ratings if it was rated
+-- Ratings depend on the order games were played in, so they are replayed for everyone (V030)
+CREATE OR REPLACE FUNCTION reverse_reopened_game()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_player_id UUID;
+BEGIN
+  IF EXISTS (SELECT 1 FROM rating_history WHERE game_id = NEW.id) THEN
+    PERFORM recalculate_player_ratings();
+  END IF;
+
+  -- Last, as rebuilding the aggregates refreshes the leaderboard (ratings included)
+  FOR v_player_id IN
+    SELECT player_id FROM game_players WHERE game_id = NEW.id
+  LOOP
+    PERFORM recalculate_player_aggregates(v_player_id);
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON FUNCTION reverse_reopened_game IS 'Takes a game put back in play out of player aggregates and ratings';
+
+DROP TRIGGER IF EXISTS trigger_reverse_reopened_game ON games;
+CREATE TRIGGER trigger_reverse_reopened_game
+AFTER UPDATE OF completed_at ON games
+FOR EACH ROW
+WHEN (OLD.completed_at IS NOT NULL AND NEW.completed_at IS NULL)
+EXECUTE FUNCTION reverse_reopened_game();
+
+REVOKE ALL ON FUNCTION reverse_reopened_game() FROM PUBLIC, anon, authenticated;
+
+-- Verification
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_trigger WHERE tgname = 'trigger_reverse_reopened_game'
+  ) THEN
+    RAISE EXCEPTION 'trigger_reverse_reopened_game was not created';
+  END IF;
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V032: Reopen finished games';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created function: reverse_reopened_game';
+  RAISE NOTICE '✓ Created trigger: trigger_reverse_reopened_game';
+  RAISE NOTICE '========================================';
+END $$;
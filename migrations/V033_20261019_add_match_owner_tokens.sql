@@ -0,0 +1,206 @@
+-- ============================================================================
+-- Migration V033: Match owner tokens
+-- Created: 2026-10-19
+-- Description: Only the device scoring a match can change it, as V024 did for
+--              games. A match gets a secret owner token when it is created (the
+--              database keeps a hash of it); matches and match_players become
+--              read-only for clients, and every write goes through create_match()
+--              or update_match(), which check the token.
+--              Handing scoring of one of its games over to another device hands
+--              over the match too: the new scorer's game token becomes the
+--              match's token.
+--              Matches created before V033 have no token and stay read-only.
+-- ============================================================================
+
+-- Step 1: Token hashes (never readable by clients)
+CREATE TABLE IF NOT EXISTS match_owner_tokens (
+  match_id UUID PRIMARY KEY REFERENCES matches(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE match_owner_tokens IS 'SHA-256 of each match''s owner token; only the match functions read it';
+
+ALTER TABLE match_owner_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON match_owner_tokens FROM anon, authenticated;
+
+-- Step 2: Ownership check
+CREATE OR REPLACE FUNCTION assert_match_owner(p_match_id UUID, p_owner_token TEXT)
+RETURNS VOID AS $$
+DECLARE
+  v_token_hash TEXT;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing match owner token' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT token_hash INTO v_token_hash FROM match_owner_tokens WHERE match_id = p_match_id;
+
+  IF v_token_hash IS NULL THEN
+    IF NOT EXISTS (SELECT 1 FROM matches WHERE id = p_match_id) THEN
+      RAISE EXCEPTION 'Match not found' USING ERRCODE = 'P0002';
+    END IF;
+    -- Match from before V033: nobody can prove they created it
+    RAISE EXCEPTION 'This match was recorded before owner tokens and can''t be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF v_token_hash <> hash_owner_token(p_owner_token) THEN
+    RAISE EXCEPTION 'Only the scoring device can change this match' USING ERRCODE = '42501';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION assert_match_owner IS 'Raises insufficient_privilege (42501) unless the token matches the match''s owner token';
+
+-- Step 3: The match follows its game when scoring is handed over (V025 replaces the
+-- game's token hash with the new scorer's)
+CREATE OR REPLACE FUNCTION hand_over_match_with_game()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE match_owner_tokens mt
+  SET
+    token_hash = NEW.token_hash,
+    created_at = NOW()
+  FROM games g
+  WHERE g.id = NEW.game_id
+    AND mt.match_id = g.match_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_hand_over_match_with_game ON game_owner_tokens;
+CREATE TRIGGER trigger_hand_over_match_with_game
+AFTER UPDATE OF token_hash ON game_owner_tokens
+FOR EACH ROW
+WHEN (NEW.token_hash IS DISTINCT FROM OLD.token_hash)
+EXECUTE FUNCTION hand_over_match_with_game();
+
+-- Step 4: Create a match with its players
+-- p_match: matches columns; p_players: match_players columns (player_id, player_order,
+-- starting_score)
+CREATE OR REPLACE FUNCTION create_match(p_match JSONB, p_players JSONB, p_owner_token TEXT)
+RETURNS matches AS $$
+DECLARE
+  v_match matches;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing match owner token' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO matches (
+    id, created_at, legs_to_win, sets_to_win, game_type, win_condition, scoring_mode,
+    game_mode, cricket_variant, out_rule, in_rule, is_active, device_id
+  )
+  SELECT
+    m.id, COALESCE(m.created_at, NOW()), m.legs_to_win, COALESCE(m.sets_to_win, 1), m.game_type,
+    m.win_condition, m.scoring_mode, COALESCE(m.game_mode, 'x01'), m.cricket_variant,
+    COALESCE(m.out_rule, 'straight'), COALESCE(m.in_rule, 'straight'), COALESCE(m.is_active, true),
+    m.device_id
+  FROM jsonb_populate_record(NULL::matches, p_match) m
+  RETURNING * INTO v_match;
+
+  INSERT INTO match_owner_tokens (match_id, token_hash)
+  VALUES (v_match.id, hash_owner_token(p_owner_token));
+
+  INSERT INTO match_players (match_id, player_id, player_order, starting_score)
+  SELECT v_match.id, mp.player_id, mp.player_order, mp.starting_score
+  FROM jsonb_populate_recordset(NULL::match_players, p_players) mp;
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION create_match IS 'Creates a match and its players in one go and registers the owner token';
+
+-- Step 5: Save the scorer's copy of a match
+-- p_match: completed_at, is_active and winner_order (player_order of the winner, NULL for none);
+-- p_players: player_order, legs_won, sets_won and is_winner of each player
+CREATE OR REPLACE FUNCTION update_match(
+  p_match_id UUID,
+  p_owner_token TEXT,
+  p_match JSONB,
+  p_players JSONB
+)
+RETURNS matches AS $$
+DECLARE
+  v_match matches;
+BEGIN
+  PERFORM assert_match_owner(p_match_id, p_owner_token);
+
+  UPDATE match_players mp
+  SET
+    legs_won = COALESCE(x.legs_won, 0),
+    sets_won = COALESCE(x.sets_won, 0),
+    is_winner = COALESCE(x.is_winner, false)
+  FROM jsonb_populate_recordset(NULL::match_players, p_players) x
+  WHERE mp.match_id = p_match_id
+    AND mp.player_order = x.player_order;
+
+  UPDATE matches
+  SET
+    completed_at = (p_match->>'completed_at')::TIMESTAMPTZ,
+    is_active = COALESCE((p_match->>'is_active')::BOOLEAN, is_active),
+    winner_id = (
+      SELECT player_id
+      FROM match_players
+      WHERE match_id = p_match_id
+        AND player_order = (p_match->>'winner_order')::INTEGER
+    ),
+    updated_at = NOW()
+  WHERE id = p_match_id
+  RETURNING * INTO v_match;
+
+  RETURN v_match;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION update_match IS 'Saves legs and sets won, the winner and completion of a match; owner token required';
+
+-- Step 6: Clients read matches and match_players, and write through the functions above
+REVOKE INSERT, UPDATE, DELETE ON matches, match_players FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Allow all operations on matches" ON matches;
+DROP POLICY IF EXISTS "Allow all operations on match_players" ON match_players;
+
+DROP POLICY IF EXISTS "Matches are readable by everyone" ON matches;
+CREATE POLICY "Matches are readable by everyone"
+  ON matches FOR SELECT
+  USING (true);
+
+DROP POLICY IF EXISTS "Match players are readable by everyone" ON match_players;
+CREATE POLICY "Match players are readable by everyone"
+  ON match_players FOR SELECT
+  USING (true);
+
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION assert_match_owner(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION hand_over_match_with_game() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_match(JSONB, JSONB, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_match(UUID, TEXT, JSONB, JSONB) TO anon, authenticated;
+
+-- Verification
+DO $$
+DECLARE
+  writable_policies INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO writable_policies
+  FROM pg_policies
+  WHERE tablename IN ('matches', 'match_players')
+    AND cmd <> 'SELECT';
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V033: Match owner tokens';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created table: match_owner_tokens';
+  RAISE NOTICE '✓ Created functions: create_match, update_match';
+  RAISE NOTICE '✓ Created trigger: trigger_hand_over_match_with_game';
+  RAISE NOTICE '✓ matches and match_players are read-only for clients';
+  RAISE NOTICE 'Matches without an owner token (read-only): %', (
+    SELECT COUNT(*) FROM matches m WHERE NOT EXISTS (SELECT 1 FROM match_owner_tokens t WHERE t.match_id = m.id)
+  );
+  IF writable_policies > 0 THEN
+    RAISE WARNING '⚠ % write policies remain on matches/match_players', writable_policies;
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -0,0 +1,165 @@
+-- ============================================================================
+-- Migration V034: Tournament owner tokens
+-- Created: 2026-10-19
+-- Description: Only the devices running a tournament can change it, as V024 did
+--              for games. A tournament gets a secret owner token when it is
+--              created (the database keeps a hash of it); the tournaments table
+--              becomes read-only for clients, and every write goes through
+--              create_tournament() or update_tournament().
+--              A fixture's result is recorded by whichever device scores its
+--              game, also after a handover, so the owner token of any game in
+--              the stored fixtures is accepted too. Only a device that can
+--              already change the tournament can add a game to its fixtures.
+-- ============================================================================
+
+-- Step 1: Token hashes (never readable by clients)
+CREATE TABLE IF NOT EXISTS tournament_owner_tokens (
+  tournament_id UUID PRIMARY KEY REFERENCES tournaments(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE tournament_owner_tokens IS 'SHA-256 of each tournament''s owner token; only the tournament functions read it';
+
+ALTER TABLE tournament_owner_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON tournament_owner_tokens FROM anon, authenticated;
+
+-- Step 2: Ownership check: the tournament's token, or that of a game in its fixtures
+CREATE OR REPLACE FUNCTION assert_tournament_owner(p_tournament_id UUID, p_owner_token TEXT)
+RETURNS VOID AS $$
+DECLARE
+  v_token_hash TEXT;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing tournament owner token' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM tournaments WHERE id = p_tournament_id) THEN
+    RAISE EXCEPTION 'Tournament not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_token_hash := hash_owner_token(p_owner_token);
+
+  IF EXISTS (
+    SELECT 1 FROM tournament_owner_tokens
+    WHERE tournament_id = p_tournament_id AND token_hash = v_token_hash
+  ) THEN
+    RETURN;
+  END IF;
+
+  -- Compared as text, so a fixture without a game (or a malformed one) just doesn't match
+  IF EXISTS (
+    SELECT 1
+    FROM tournaments t
+    CROSS JOIN LATERAL jsonb_array_elements(t.fixtures) f
+    JOIN game_owner_tokens g ON g.game_id::TEXT = f->>'game_id'
+    WHERE t.id = p_tournament_id
+      AND g.token_hash = v_token_hash
+  ) THEN
+    RETURN;
+  END IF;
+
+  RAISE EXCEPTION 'Only the devices running this tournament can change it' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION assert_tournament_owner IS 'Raises insufficient_privilege (42501) unless the token is the tournament''s or one of its games''';
+
+-- Step 3: Create a tournament (p_tournament: tournaments columns)
+CREATE OR REPLACE FUNCTION create_tournament(p_tournament JSONB, p_owner_token TEXT)
+RETURNS tournaments AS $$
+DECLARE
+  v_tournament tournaments;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing tournament owner token' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO tournaments (
+    id, name, format, created_at, completed_at, is_active, device_id, game_options,
+    players, fixtures, winner_id
+  )
+  SELECT
+    t.id, t.name, t.format, COALESCE(t.created_at, NOW()), t.completed_at,
+    COALESCE(t.is_active, true), t.device_id, COALESCE(t.game_options, '{}'::jsonb),
+    COALESCE(t.players, '[]'::jsonb), COALESCE(t.fixtures, '[]'::jsonb), t.winner_id
+  FROM jsonb_populate_record(NULL::tournaments, p_tournament) t
+  RETURNING * INTO v_tournament;
+
+  INSERT INTO tournament_owner_tokens (tournament_id, token_hash)
+  VALUES (v_tournament.id, hash_owner_token(p_owner_token));
+
+  RETURN v_tournament;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION create_tournament IS 'Creates a tournament and registers the owner token';
+
+-- Step 4: Save a device's (merged) copy of a tournament
+-- p_tournament: fixtures, completed_at, is_active and winner_id; the name, format,
+-- players and game settings don't change after the tournament is created
+CREATE OR REPLACE FUNCTION update_tournament(
+  p_tournament_id UUID,
+  p_owner_token TEXT,
+  p_tournament JSONB
+)
+RETURNS tournaments AS $$
+DECLARE
+  v_tournament tournaments;
+BEGIN
+  PERFORM assert_tournament_owner(p_tournament_id, p_owner_token);
+
+  UPDATE tournaments
+  SET
+    fixtures = COALESCE(p_tournament->'fixtures', fixtures),
+    completed_at = (p_tournament->>'completed_at')::TIMESTAMPTZ,
+    is_active = COALESCE((p_tournament->>'is_active')::BOOLEAN, is_active),
+    winner_id = (p_tournament->>'winner_id')::UUID
+  WHERE id = p_tournament_id
+  RETURNING * INTO v_tournament;
+
+  RETURN v_tournament;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION update_tournament IS 'Saves the fixtures and result of a tournament; owner token (or a fixture''s game token) required';
+
+-- Step 5: Clients read tournaments, and write through the functions above
+REVOKE INSERT, UPDATE, DELETE ON tournaments FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Allow all operations on tournaments" ON tournaments;
+
+DROP POLICY IF EXISTS "Tournaments are readable by everyone" ON tournaments;
+CREATE POLICY "Tournaments are readable by everyone"
+  ON tournaments FOR SELECT
+  USING (true);
+
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION assert_tournament_owner(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_tournament(JSONB, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_tournament(UUID, TEXT, JSONB) TO anon, authenticated;
+
+-- Verification
+DO $$
+DECLARE
+  writable_policies INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO writable_policies
+  FROM pg_policies
+  WHERE tablename = 'tournaments'
+    AND cmd <> 'SELECT';
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V034: Tournament owner tokens';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created table: tournament_owner_tokens';
+  RAISE NOTICE '✓ Created functions: create_tournament, update_tournament';
+  RAISE NOTICE '✓ tournaments is read-only for clients';
+  RAISE NOTICE 'Tournaments without an owner token (changed only through their games): %', (
+    SELECT COUNT(*) FROM tournaments t WHERE NOT EXISTS (SELECT 1 FROM tournament_owner_tokens o WHERE o.tournament_id = t.id)
+  );
+  IF writable_policies > 0 THEN
+    RAISE WARNING '⚠ % write policies remain on tournaments', writable_policies;
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
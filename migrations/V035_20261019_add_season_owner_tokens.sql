@@ -0,0 +1,182 @@
+-- ============================================================================
+-- Migration V035: Season owner tokens
+-- Created: 2026-10-19
+-- Description: Only the devices running a league season can change it, as V034
+--              did for tournaments. A season gets a secret owner token when it is
+--              created (the database keeps a hash of it); the seasons table
+--              becomes read-only for clients, and every write goes through
+--              create_season() or update_season().
+--              A fixture's legs are recorded by whichever device scores its
+--              match, also after a handover, so the owner token of any match or
+--              leg game in the stored fixtures is accepted too.
+-- ============================================================================
+
+-- Step 1: Token hashes (never readable by clients)
+CREATE TABLE IF NOT EXISTS season_owner_tokens (
+  season_id UUID PRIMARY KEY REFERENCES seasons(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE season_owner_tokens IS 'SHA-256 of each season''s owner token; only the season functions read it';
+
+ALTER TABLE season_owner_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON season_owner_tokens FROM anon, authenticated;
+
+-- Step 2: Ownership check: the season's token, or that of a match or game in its fixtures
+CREATE OR REPLACE FUNCTION assert_season_owner(p_season_id UUID, p_owner_token TEXT)
+RETURNS VOID AS $$
+DECLARE
+  v_token_hash TEXT;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing season owner token' USING ERRCODE = '42501';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM seasons WHERE id = p_season_id) THEN
+    RAISE EXCEPTION 'Season not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_token_hash := hash_owner_token(p_owner_token);
+
+  IF EXISTS (
+    SELECT 1 FROM season_owner_tokens
+    WHERE season_id = p_season_id AND token_hash = v_token_hash
+  ) THEN
+    RETURN;
+  END IF;
+
+  -- Compared as text, so a fixture without a match (or a malformed one) just doesn't match
+  IF EXISTS (
+    SELECT 1
+    FROM seasons s
+    CROSS JOIN LATERAL jsonb_array_elements(s.fixtures) f
+    JOIN match_owner_tokens m ON m.match_id::TEXT = f->>'match_id'
+    WHERE s.id = p_season_id
+      AND m.token_hash = v_token_hash
+  ) THEN
+    RETURN;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM seasons s
+    CROSS JOIN LATERAL jsonb_array_elements(s.fixtures) f
+    CROSS JOIN LATERAL (
+      SELECT f->>'game_id' AS game_id
+      UNION ALL
+      SELECT l->>'game_id'
+      FROM jsonb_array_elements(COALESCE(f->'legs', '[]'::jsonb)) l
+    ) fg
+    JOIN game_owner_tokens g ON g.game_id::TEXT = fg.game_id
+    WHERE s.id = p_season_id
+      AND g.token_hash = v_token_hash
+  ) THEN
+    RETURN;
+  END IF;
+
+  RAISE EXCEPTION 'Only the devices running this league season can change it' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION assert_season_owner IS 'Raises insufficient_privilege (42501) unless the token is the season''s or one of its matches'' or games''';
+
+-- Step 3: Create a season (p_season: seasons columns)
+CREATE OR REPLACE FUNCTION create_season(p_season JSONB, p_owner_token TEXT)
+RETURNS seasons AS $$
+DECLARE
+  v_season seasons;
+BEGIN
+  IF p_owner_token IS NULL OR length(p_owner_token) < 32 THEN
+    RAISE EXCEPTION 'Missing season owner token' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO seasons (
+    id, name, created_at, completed_at, is_active, device_id, legs_to_win,
+    points_for_win, points_for_loss, game_options, players, fixtures, winner_id
+  )
+  SELECT
+    s.id, s.name, COALESCE(s.created_at, NOW()), s.completed_at, COALESCE(s.is_active, true),
+    s.device_id, COALESCE(s.legs_to_win, 2), COALESCE(s.points_for_win, 2),
+    COALESCE(s.points_for_loss, 0), COALESCE(s.game_options, '{}'::jsonb),
+    COALESCE(s.players, '[]'::jsonb), COALESCE(s.fixtures, '[]'::jsonb), s.winner_id
+  FROM jsonb_populate_record(NULL::seasons, p_season) s
+  RETURNING * INTO v_season;
+
+  INSERT INTO season_owner_tokens (season_id, token_hash)
+  VALUES (v_season.id, hash_owner_token(p_owner_token));
+
+  RETURN v_season;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION create_season IS 'Creates a league season and registers the owner token';
+
+-- Step 4: Save a device's (merged) copy of a season
+-- p_season: fixtures, completed_at, is_active and winner_id; the name, players,
+-- points and game settings don't change after the season is created
+CREATE OR REPLACE FUNCTION update_season(
+  p_season_id UUID,
+  p_owner_token TEXT,
+  p_season JSONB
+)
+RETURNS seasons AS $$
+DECLARE
+  v_season seasons;
+BEGIN
+  PERFORM assert_season_owner(p_season_id, p_owner_token);
+
+  UPDATE seasons
+  SET
+    fixtures = COALESCE(p_season->'fixtures', fixtures),
+    completed_at = (p_season->>'completed_at')::TIMESTAMPTZ,
+    is_active = COALESCE((p_season->>'is_active')::BOOLEAN, is_active),
+    winner_id = (p_season->>'winner_id')::UUID
+  WHERE id = p_season_id
+  RETURNING * INTO v_season;
+
+  RETURN v_season;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+COMMENT ON FUNCTION update_season IS 'Saves the fixtures and result of a league season; owner token (or a fixture''s match or game token) required';
+
+-- Step 5: Clients read seasons, and write through the functions above
+REVOKE INSERT, UPDATE, DELETE ON seasons FROM anon, authenticated;
+
+DROP POLICY IF EXISTS "Allow all operations on seasons" ON seasons;
+
+DROP POLICY IF EXISTS "Seasons are readable by everyone" ON seasons;
+CREATE POLICY "Seasons are readable by everyone"
+  ON seasons FOR SELECT
+  USING (true);
+
+-- Internal: Supabase grants new functions to anon and authenticated directly
+REVOKE ALL ON FUNCTION assert_season_owner(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_season(JSONB, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_season(UUID, TEXT, JSONB) TO anon, authenticated;
+
+-- Verification
+DO $$
+DECLARE
+  writable_policies INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO writable_policies
+  FROM pg_policies
+  WHERE tablename = 'seasons'
+    AND cmd <> 'SELECT';
+
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'V035: Season owner tokens';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE '✓ Created table: season_owner_tokens';
+  RAISE NOTICE '✓ Created functions: create_season, update_season';
+  RAISE NOTICE '✓ seasons is read-only for clients';
+  RAISE NOTICE 'Seasons without an owner token (changed only through their matches): %', (
+    SELECT COUNT(*) FROM seasons s WHERE NOT EXISTS (SELECT 1 FROM season_owner_tokens o WHERE o.season_id = s.id)
+  );
+  IF writable_policies > 0 THEN
+    RAISE WARNING '⚠ % write policies remain on seasons', writable_policies;
+  END IF;
+  RAISE NOTICE '========================================';
+END $$;
@@ -4,11 +4,41 @@
  */
 
 const App = (() => {
+    // Postgres object_not_in_prerequisite_state: submit_turn found it wasn't that player's throw
+    const OUT_OF_TURN = '55000';
+    // Realtime changes arriving within this time are applied (and rendered) together
+    const CHANGE_BATCH_DELAY = 150;
+    // Watched games are fetched in full this often, in case a realtime change was missed
+    const RESYNC_INTERVAL = 60000;
+
     let currentGame = null;
+    let currentMatch = null;
+    let currentPractice = null;
+    // Tournament of the game being scored (or of the tournament page)
+    let currentTournament = null;
+    // League season of the match being scored (or of the season page)
+    let currentSeason = null;
     let isSpectatorMode = false;
+    // Showing the big-screen scoreboard (#/tv); a TV always spectates
+    let isTvMode = false;
     let isOperationInProgress = false;
-    let spectatorSubscription = null;
+    let gameSubscription = null;
     let homeSubscription = null;
+    let tournamentSubscription = null;
+    let seasonSubscription = null;
+    let pendingGameChanges = [];
+    let gameChangeTimer = null;
+    let resyncTimer = null;
+    let pendingHomeChanges = [];
+    let homeChangeTimer = null;
+    // Chat messages of the game being shown (broadcast only, never stored)
+    let chatMessages = [];
+    // Checked games of the file picked on the Import & Export page, until imported
+    let importPreview = null;
+    // Replay of the game on the detail page: { replay, step, speed, timer }
+    let gameReplay = null;
+    // Watching device the scorer offered the current game to, until it asks for it
+    let handOverDevice = null;
 
     /**
      * Check if an operation is in progress
@@ -42,7 +72,14 @@ const App = (() => {
         setupHistoryEvents();
         setupLeaderboardEvents();
         setupStatsEvents();
+        setupPracticeEvents();
+        setupTournamentEvents();
+        setupSeasonEvents();
         setupModalEvents();
+        setupSyncEvents();
+        setupAccountEvents();
+        setupAdminEvents();
+        setupDataEvents();
     }
 
     /**
@@ -52,13 +89,25 @@ const App = (() => {
         console.log('Handling route:', routeInfo);
 
         // Clean up subscriptions when navigating away
-        if (isSpectatorMode && routeInfo.route !== 'game') {
+        if (routeInfo.route !== 'game' && routeInfo.route !== 'tv') {
             unsubscribeFromGameUpdates();
             isSpectatorMode = false;
         }
+        if (routeInfo.route !== 'tv') {
+            leaveTv();
+        }
         if (routeInfo.route !== 'home') {
             unsubscribeFromHomeUpdates();
         }
+        if (routeInfo.route !== 'tournament') {
+            unsubscribeFromTournamentUpdates();
+        }
+        if (routeInfo.route !== 'season') {
+            unsubscribeFromSeasonUpdates();
+        }
+        if (routeInfo.route !== 'game-detail') {
+            closeReplay();
+        }
 
         try {
             switch (routeInfo.route) {
@@ -70,6 +119,10 @@ const App = (() => {
                     await loadGameFromUrl(routeInfo.gameId);
                     break;
 
+                case 'tv':
+                    await loadTv(routeInfo.gameId);
+                    break;
+
                 case 'new-game':
                     loadNewGame();
                     break;
@@ -83,7 +136,7 @@ const App = (() => {
                     break;
 
                 case 'leaderboard':
-                    await loadLeaderboard(routeInfo.metric, routeInfo.filter);
+                    await loadLeaderboard(routeInfo.metric, routeInfo.filter, routeInfo.excludeHandicap);
                     break;
 
                 case 'player-profile':
@@ -94,6 +147,38 @@ const App = (() => {
                     await loadStats();
                     break;
 
+                case 'practice':
+                    await loadPractice();
+                    break;
+
+                case 'tournaments':
+                    await loadTournaments();
+                    break;
+
+                case 'tournament':
+                    await loadTournament(routeInfo.tournamentId);
+                    break;
+
+                case 'seasons':
+                    await loadSeasons();
+                    break;
+
+                case 'season':
+                    await loadSeason(routeInfo.seasonId);
+                    break;
+
+                case 'account':
+                    await loadAccount();
+                    break;
+
+                case 'admin':
+                    await loadAdmin();
+                    break;
+
+                case 'data':
+                    await loadData();
+                    break;
+
                 default:
                     loadHome();
             }
@@ -118,7 +203,11 @@ const App = (() => {
             }
 
             currentGame = game;
-            isSpectatorMode = !Device.isGameOwner(game.device_id);
+            currentMatch = game.match_id ? await Storage.getMatch(game.match_id) : null;
+            isSpectatorMode = !Device.isGameOwner(game);
+            // The scoring device records tournament results
+            currentTournament = isSpectatorMode ? null : await findTournament(game.id);
+            currentSeason = isSpectatorMode || !currentMatch ? null : await findSeason(currentMatch.id);
 
             if (isSpectatorMode) {
                 console.log('Opening game in SPECTATOR mode');
@@ -177,6 +266,18 @@ const App = (() => {
                     case 'stats':
                         Router.navigate('stats');
                         break;
+                    case 'practice':
+                        Router.navigate('practice');
+                        break;
+                    case 'tournaments':
+                        Router.navigate('tournaments');
+                        break;
+                    case 'seasons':
+                        Router.navigate('seasons');
+                        break;
+                    case 'account':
+                        Router.navigate('account');
+                        break;
                 }
             });
         });
@@ -201,7 +302,7 @@ const App = (() => {
                 e.preventDefault();
 
                 const playerCount = parseInt(document.getElementById('player-count').value);
-                const playerNames = Array.from(document.querySelectorAll('#player-names-container input'))
+                const playerNames = Array.from(document.querySelectorAll('#player-names-container .player-name-input'))
                     .map(input => input.value);
 
                 let gameType = document.getElementById('game-type').value;
@@ -211,16 +312,52 @@ const App = (() => {
 
                 const winBelow = document.getElementById('win-below').checked;
                 const scoringMode = document.querySelector('input[name="scoringMode"]:checked').value;
+                const outRule = document.getElementById('out-rule').value;
+                const inRule = document.getElementById('double-in').checked ? 'double' : 'straight';
+                const matchFormat = document.getElementById('match-format').value;
+                const gameMode = document.getElementById('game-mode').value;
+                const cricketVariant = document.querySelector('input[name="cricketVariant"]:checked')?.value;
+                // Handicap X01 games: each player's starting score from the form
+                const startingScores = gameMode !== 'cricket' && document.getElementById('handicap-mode').checked
+                    ? Array.from(document.querySelectorAll('#player-names-container .player-start-input')).map(input => input.value)
+                    : [];
+
+                if (matchFormat !== 'single' && playerCount < 2) {
+                    UI.showToast('A match needs at least 2 players', 'warning');
+                    return;
+                }
 
-                currentGame = Game.createGame({
+                const gameOptions = {
                     playerCount,
                     playerNames,
                     gameType,
                     winBelow,
-                    scoringMode
-                });
+                    scoringMode,
+                    outRule,
+                    inRule,
+                    gameMode,
+                    cricketVariant,
+                    startingScores
+                };
+
+                if (matchFormat === 'single') {
+                    currentMatch = null;
+                    currentGame = Game.createGame(gameOptions);
+                } else {
+                    currentMatch = Match.createMatch({
+                        ...gameOptions,
+                        playerNames: Array.from({ length: playerCount }, (_, i) => playerNames[i]),
+                        startingScores: Array.from({ length: playerCount }, (_, i) => startingScores[i]),
+                        legsToWin: document.getElementById('match-legs').value,
+                        setsToWin: matchFormat === 'sets' ? document.getElementById('match-sets').value : 1
+                    });
+                    currentGame = Match.createNextLeg(currentMatch);
+                }
 
                 try {
+                    if (currentMatch) {
+                        await Storage.saveMatch(currentMatch);
+                    }
                     await Storage.saveGame(currentGame);
                     // Navigate to game URL instead of loading directly
                     Router.navigate('game', { gameId: currentGame.id });
@@ -238,9 +375,44 @@ const App = (() => {
     function setupGameEvents() {
         document.getElementById('submit-turn-btn')?.addEventListener('click', submitTurn);
         document.getElementById('undo-dart-btn')?.addEventListener('click', undoTurn);
+        document.getElementById('redo-turn-btn')?.addEventListener('click', redoTurn);
         document.getElementById('end-game-btn')?.addEventListener('click', endGame);
         document.getElementById('share-game-btn')?.addEventListener('click', shareGame);
+        document.getElementById('hand-over-btn')?.addEventListener('click', handOverGame);
+        document.getElementById('take-over-btn')?.addEventListener('click', showTakeOver);
+        document.getElementById('cast-tv-btn')?.addEventListener('click', showCastToTv);
+        document.getElementById('remote-scoring-panel')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.id === 'remote-scoring-toggle') {
+                toggleRemoteScoring();
+            } else if (button.classList.contains('join-seat-btn')) {
+                joinSeat(parseInt(button.dataset.order));
+            } else if (button.classList.contains('leave-seat-btn')) {
+                leaveSeat(parseInt(button.dataset.order));
+            }
+        });
+        const chatPanel = document.getElementById('game-chat-panel');
+        chatPanel?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.id === 'chat-hide-btn') {
+                toggleChatHidden();
+            } else if (button.classList.contains('reaction-btn')) {
+                sendReaction(button.dataset.emoji);
+            }
+        });
+        chatPanel?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('chat-input');
+            if (input && sendChatMessage(input.value)) {
+                input.value = '';
+            }
+        });
         document.getElementById('rematch-btn')?.addEventListener('click', startRematch);
+        document.getElementById('completion-undo-btn')?.addEventListener('click', undoTurn);
         document.getElementById('home-btn')?.addEventListener('click', () => {
             Router.navigate('home');
         });
@@ -252,16 +424,23 @@ const App = (() => {
     function setupHistoryEvents() {
         const playerFilter = document.getElementById('history-player-filter');
         const sortSelect = document.getElementById('history-sort');
+        const outRuleSelect = document.getElementById('history-out-rule');
 
         if (playerFilter) {
             playerFilter.addEventListener('input', async (e) => {
-                await UI.renderGameHistory(e.target.value, sortSelect.value, 1);
+                await UI.renderGameHistory(e.target.value, sortSelect.value, 1, outRuleSelect?.value || '');
             });
         }
 
         if (sortSelect) {
             sortSelect.addEventListener('change', async (e) => {
-                await UI.renderGameHistory(playerFilter?.value || '', e.target.value, 1);
+                await UI.renderGameHistory(playerFilter?.value || '', e.target.value, 1, outRuleSelect?.value || '');
+            });
+        }
+
+        if (outRuleSelect) {
+            outRuleSelect.addEventListener('change', async (e) => {
+                await UI.renderGameHistory(playerFilter?.value || '', sortSelect.value, 1, e.target.value);
             });
         }
 
@@ -276,7 +455,8 @@ const App = (() => {
                 await UI.renderGameHistory(
                     UI.getPaginationState().filter,
                     UI.getPaginationState().sortOrder,
-                    currentPage - 1
+                    currentPage - 1,
+                    UI.getPaginationState().outRule
                 );
             });
         }
@@ -288,15 +468,123 @@ const App = (() => {
                 await UI.renderGameHistory(
                     UI.getPaginationState().filter,
                     UI.getPaginationState().sortOrder,
-                    currentPage + 1
+                    currentPage + 1,
+                    UI.getPaginationState().outRule
                 );
             });
         }
 
         const backBtn = document.getElementById('back-to-history');
         if (backBtn) {
-            backBtn.addEventListener('click', loadHistory);
+            backBtn.addEventListener('click', () => {
+                closeReplay();
+                loadHistory();
+            });
+        }
+
+        setupReplayEvents();
+    }
+
+    /**
+     * Replay controls on the game detail page (rendered with the game, so delegated)
+     */
+    function setupReplayEvents() {
+        const content = document.getElementById('game-detail-content');
+        if (!content) return;
+
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-replay]');
+            if (!button || !gameReplay) return;
+
+            switch (button.dataset.replay) {
+                case 'open':
+                    playReplay();
+                    break;
+                case 'toggle':
+                    if (gameReplay.timer) {
+                        pauseReplay();
+                    } else {
+                        // Playing from the last turn starts over
+                        if (gameReplay.step >= gameReplay.replay.throws.length) gameReplay.step = 0;
+                        playReplay();
+                    }
+                    break;
+                case 'start':
+                    pauseReplay();
+                    showReplayStep(0);
+                    break;
+                case 'back':
+                    pauseReplay();
+                    showReplayStep(gameReplay.step - 1);
+                    break;
+                case 'forward':
+                    pauseReplay();
+                    showReplayStep(gameReplay.step + 1);
+                    break;
+                case 'end':
+                    pauseReplay();
+                    showReplayStep(gameReplay.replay.throws.length);
+                    break;
+            }
+        });
+
+        content.addEventListener('input', (e) => {
+            if (e.target.id !== 'replay-seek' || !gameReplay) return;
+            pauseReplay();
+            showReplayStep(parseInt(e.target.value, 10));
+        });
+
+        content.addEventListener('change', (e) => {
+            if (e.target.id !== 'replay-speed' || !gameReplay) return;
+            gameReplay.speed = parseFloat(e.target.value);
+            // Apply the new speed from the next turn on
+            if (gameReplay.timer) {
+                pauseReplay();
+                playReplay();
+            }
+        });
+    }
+
+    /**
+     * Show the replay after a number of turns
+     */
+    function showReplayStep(step) {
+        const frame = Replay.getFrame(gameReplay.replay, step);
+        gameReplay.step = frame.step;
+        UI.renderReplay(frame, Boolean(gameReplay.timer), gameReplay.speed);
+    }
+
+    /**
+     * Play the replay from the current turn, at the pace of the turns' timestamps
+     */
+    function playReplay() {
+        const { replay, step, speed } = gameReplay;
+        gameReplay.timer = null;
+        if (step < replay.throws.length) {
+            gameReplay.timer = setTimeout(() => {
+                gameReplay.step++;
+                playReplay();
+            }, Replay.getDelay(replay, step, speed));
         }
+        showReplayStep(step);
+    }
+
+    /**
+     * Stop playing, keeping the current turn on screen
+     */
+    function pauseReplay() {
+        if (!gameReplay?.timer) return;
+        clearTimeout(gameReplay.timer);
+        gameReplay.timer = null;
+        showReplayStep(gameReplay.step);
+    }
+
+    /**
+     * Stop and drop the replay when leaving the game detail page
+     */
+    function closeReplay() {
+        if (gameReplay?.timer) clearTimeout(gameReplay.timer);
+        gameReplay = null;
     }
 
     /**
@@ -308,16 +596,28 @@ const App = (() => {
             btn.addEventListener('click', (e) => {
                 const filter = e.target.dataset.filter;
                 const metric = document.querySelector('.leaderboard-tabs .tab-btn.active').dataset.tab;
-                Router.navigate('leaderboard', { metric, filter });
+                Router.navigate('leaderboard', { metric, filter, excludeHandicap: isHandicapExcluded() });
             });
         });
 
+        // League season - scopes the leaderboard to the season's games
+        document.getElementById('leaderboard-season')?.addEventListener('change', (e) => {
+            const metric = document.querySelector('.leaderboard-tabs .tab-btn.active').dataset.tab;
+            const filter = e.target.value ? `season:${e.target.value}` : 'all-time';
+            Router.navigate('leaderboard', { metric, filter, excludeHandicap: isHandicapExcluded() });
+        });
+
+        // Handicap games - counted unless unticked
+        document.getElementById('leaderboard-handicap')?.addEventListener('change', () => {
+            const metric = document.querySelector('.leaderboard-tabs .tab-btn.active').dataset.tab;
+            Router.navigate('leaderboard', { metric, filter: getLeaderboardFilter(), excludeHandicap: isHandicapExcluded() });
+        });
+
         // Metric tabs - navigate to update URL
         document.querySelectorAll('.leaderboard-tabs .tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const metric = e.target.dataset.tab;
-                const filter = document.querySelector('.time-filters .filter-btn.active').dataset.filter;
-                Router.navigate('leaderboard', { metric, filter });
+                Router.navigate('leaderboard', { metric, filter: getLeaderboardFilter(), excludeHandicap: isHandicapExcluded() });
             });
         });
 
@@ -326,12 +626,27 @@ const App = (() => {
         if (backBtn) {
             backBtn.addEventListener('click', () => {
                 const metric = document.querySelector('.leaderboard-tabs .tab-btn.active')?.dataset.tab || 'wins';
-                const filter = document.querySelector('.time-filters .filter-btn.active')?.dataset.filter || 'all-time';
-                Router.navigate('leaderboard', { metric, filter });
+                Router.navigate('leaderboard', { metric, filter: getLeaderboardFilter(), excludeHandicap: isHandicapExcluded() });
             });
         }
     }
 
+    /**
+     * The leaderboard filter shown: a league season, else the active time filter
+     */
+    function getLeaderboardFilter() {
+        const seasonId = document.getElementById('leaderboard-season')?.value;
+        if (seasonId) return `season:${seasonId}`;
+        return document.querySelector('.time-filters .filter-btn.active')?.dataset.filter || 'all-time';
+    }
+
+    /**
+     * Whether the leaderboard leaves out handicap games
+     */
+    function isHandicapExcluded() {
+        return document.getElementById('leaderboard-handicap')?.checked === false;
+    }
+
     /**
      * Setup modal events
      */
@@ -364,6 +679,8 @@ const App = (() => {
 
     /**
      * Subscribe to real-time updates for home page (active games)
+     * Changes update the games on screen in place; the list is only loaded again when
+     * a game starts, finishes or is deleted
      */
     function subscribeToHomeUpdates() {
         unsubscribeFromHomeUpdates();
@@ -379,42 +696,52 @@ const App = (() => {
                     schema: 'public',
                     table: 'games'
                 },
-                async () => {
-                    console.log('Games table updated, refreshing home...');
-                    await UI.renderRecentGames();
-                }
+                (payload) => queueHomeChange('games', payload)
             )
             .on('postgres_changes',
                 {
-                    event: '*',
+                    event: 'UPDATE',
                     schema: 'public',
                     table: 'game_players'
                 },
-                async () => {
-                    console.log('Game players updated, refreshing home...');
-                    await UI.renderRecentGames();
-                }
-            )
-            .on('postgres_changes',
-                {
-                    event: 'INSERT',
-                    schema: 'public',
-                    table: 'turns'
-                },
-                async () => {
-                    console.log('New turn added, refreshing home...');
-                    await UI.renderRecentGames();
-                }
+                (payload) => queueHomeChange('game_players', payload)
             )
             .subscribe((status) => {
                 console.log('Home subscription status:', status);
             });
     }
 
+    /**
+     * Collect a realtime change for the home page, applying a burst of them together
+     */
+    function queueHomeChange(table, payload) {
+        pendingHomeChanges.push({ table, eventType: payload.eventType, new: payload.new, old: payload.old });
+        clearTimeout(homeChangeTimer);
+        homeChangeTimer = setTimeout(applyHomeChanges, CHANGE_BATCH_DELAY);
+    }
+
+    /**
+     * Apply the collected changes to the home page, or load the games again if needed
+     */
+    async function applyHomeChanges() {
+        homeChangeTimer = null;
+        const changes = pendingHomeChanges;
+        pendingHomeChanges = [];
+
+        if (!UI.applyRecentGamesChanges(changes)) {
+            console.log('Game list changed, refreshing home...');
+            await UI.renderRecentGames();
+        }
+    }
+
     /**
      * Unsubscribe from home updates
      */
     function unsubscribeFromHomeUpdates() {
+        clearTimeout(homeChangeTimer);
+        homeChangeTimer = null;
+        pendingHomeChanges = [];
+
         if (homeSubscription) {
             Storage.sb?.removeChannel(homeSubscription);
             homeSubscription = null;
@@ -435,7 +762,20 @@ const App = (() => {
     function loadActiveGame() {
         if (!currentGame) return;
         UI.showPage('active-game-page');
+        UI.setGameControls(currentGame, true);
+        UI.renderMatchScoreboard(currentMatch);
         UI.updateActiveGameUI(currentGame);
+        UI.renderRemoteScoring(currentGame, true);
+
+        // The scorer joins the game channel too, to see spectators and hand the game over
+        subscribeToGameUpdates(currentGame.id);
+        // A paired TV follows on to this game
+        castCurrentGame();
+
+        // The last turn may have been scored from a player's phone while this device was away
+        if (currentGame.remote_scoring && currentGame.turn_log === null) {
+            showGameUpdate(currentGame, false);
+        }
     }
 
     /**
@@ -444,14 +784,109 @@ const App = (() => {
     async function loadSpectatorGame() {
         if (!currentGame) return;
         UI.showPage('active-game-page');
-        UI.renderSpectatorGame(currentGame);
+        UI.renderMatchScoreboard(currentMatch);
+        renderWatchedGame();
 
         // Subscribe to real-time updates
         await subscribeToGameUpdates(currentGame.id);
     }
 
     /**
-     * Subscribe to real-time game updates for spectator mode
+     * Load the big-screen scoreboard of a game, or the pairing code when there is no game yet.
+     * Games cast from a paired phone replace the one showing.
+     */
+    async function loadTv(gameId) {
+        isTvMode = true;
+        isSpectatorMode = true;
+        UI.showPage('tv-page');
+        UI.setTvMode(true);
+        Cast.listen((castGameId) => {
+            if (isTvMode && castGameId !== currentGame?.id) {
+                Router.navigate('tv', { gameId: castGameId });
+            }
+        });
+
+        const game = gameId ? await Storage.getGame(gameId) : null;
+        if (!isTvMode) return;
+
+        if (!game) {
+            if (gameId) UI.showToast('Game not found', 'error');
+            unsubscribeFromGameUpdates();
+            currentGame = null;
+            UI.renderTvWaiting(Cast.getTvCode());
+            return;
+        }
+
+        currentGame = game;
+        UI.renderTvGame(currentGame, Cast.getTvCode());
+        await subscribeToGameUpdates(currentGame.id);
+    }
+
+    /**
+     * Leave the big-screen scoreboard: stop listening for cast games
+     */
+    function leaveTv() {
+        if (!isTvMode) return;
+        isTvMode = false;
+        Cast.stopListening();
+        UI.setTvMode(false);
+    }
+
+    /**
+     * Show the current game on the TV this device is paired with, if any
+     */
+    async function castCurrentGame() {
+        if (!currentGame || !Cast.getPairedCode()) return;
+
+        // The TV loads the game from the database, so it has to be there first
+        await Sync.flush();
+        if (!await Cast.castGame(currentGame.id)) {
+            console.warn('Paired TV did not confirm game', currentGame.id);
+        }
+    }
+
+    /**
+     * Pair with a TV by the code it shows, or stop casting
+     */
+    function showCastToTv() {
+        if (!currentGame) return;
+
+        const baseUrl = window.location.origin + window.location.pathname.replace(/\/$/, '');
+        UI.showCastModal(Cast.getPairedCode(), `${baseUrl}#/tv`);
+        document.getElementById('cast-form')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            castToTv(document.getElementById('cast-code').value);
+        });
+        document.getElementById('cast-stop-btn')?.addEventListener('click', () => {
+            Cast.unpair();
+            UI.hideModal();
+            UI.showToast('Stopped casting to the TV', 'info');
+        });
+    }
+
+    /**
+     * Pair with the TV showing this code and put the current game on it
+     */
+    async function castToTv(code) {
+        if (!currentGame) return;
+
+        UI.showLoader('Looking for the TV...');
+        await Sync.flush();
+        const result = await Cast.pair(code, currentGame.id);
+        UI.hideLoader();
+
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        UI.hideModal();
+        UI.showToast('📺 The TV is showing this game and will follow your next games', 'success');
+    }
+
+    /**
+     * Subscribe to a game's channel: live updates for spectators, presence of everyone
+     * watching, and handover of scoring control between devices
      */
     async function subscribeToGameUpdates(gameId) {
         // Clean up any existing subscription
@@ -463,8 +898,11 @@ const App = (() => {
             return;
         }
 
-        spectatorSubscription = supabase
-            .channel(`spectator:${gameId}`)
+        let wasSubscribed = false;
+        gameSubscription = supabase
+            .channel(`spectator:${gameId}`, {
+                config: { presence: { key: Device.getDeviceId() } }
+            })
             .on('postgres_changes',
                 {
                     event: '*',
@@ -473,13 +911,24 @@ const App = (() => {
                     filter: `id=eq.${gameId}`
                 },
                 async (payload) => {
-                    console.log('Game updated (spectator):', payload);
-                    // Reload the full game to get player data
-                    const updatedGame = await Storage.getGame(gameId);
-                    if (updatedGame) {
-                        currentGame = updatedGame;
-                        UI.renderSpectatorGame(currentGame);
+                    const deviceId = payload.new?.device_id;
+
+                    // Another device took over scoring
+                    if (!isSpectatorMode && deviceId && deviceId !== Device.getDeviceId()) {
+                        await loseGameControl();
+                        return;
+                    }
+
+                    // The scorer granted the game to this device after it asked
+                    if (isSpectatorMode && !isTvMode && deviceId === Device.getDeviceId()) {
+                        const game = await Storage.acceptGameControl(gameId);
+                        if (game && currentGame?.id === gameId) {
+                            await startScoring(game);
+                            return;
+                        }
                     }
+
+                    queueGameChange('games', payload);
                 }
             )
             .on('postgres_changes',
@@ -489,145 +938,1522 @@ const App = (() => {
                     table: 'game_players',
                     filter: `game_id=eq.${gameId}`
                 },
-                async () => {
-                    // Player stats updated, reload game
-                    const updatedGame = await Storage.getGame(gameId);
-                    if (updatedGame) {
-                        currentGame = updatedGame;
-                        UI.renderSpectatorGame(currentGame);
-                    }
-                }
+                (payload) => queueGameChange('game_players', payload)
             )
             .on('postgres_changes',
                 {
-                    event: 'INSERT',
+                    event: '*',
                     schema: 'public',
-                    table: 'turns'
+                    table: 'turns',
+                    filter: `game_id=eq.${gameId}`
                 },
-                async () => {
-                    // New turn added, reload game
-                    const updatedGame = await Storage.getGame(gameId);
-                    if (updatedGame) {
-                        currentGame = updatedGame;
-                        UI.renderSpectatorGame(currentGame);
-                    }
-                }
+                (payload) => queueGameChange('turns', payload)
             )
+            .on('presence', { event: 'sync' }, () => {
+                UI.renderHandOverWatchers(getWatchers());
+            })
+            .on('broadcast', { event: 'control-offer' }, ({ payload }) => {
+                if (!isSpectatorMode || isTvMode || payload?.device_id !== Device.getDeviceId()) return;
+                if (confirm('The scorer is handing this game over to you. Take over scoring?')) {
+                    requestGameControl();
+                }
+            })
+            .on('broadcast', { event: 'control-request' }, ({ payload }) => {
+                if (isSpectatorMode || !payload?.device_id || payload.device_id !== handOverDevice) return;
+                showGrantControl(payload.device_id);
+            })
+            .on('broadcast', { event: 'chat' }, ({ payload }) => receiveChatMessage(payload))
+            .on('broadcast', { event: 'reaction' }, ({ payload }) => receiveReaction(payload))
             .subscribe((status) => {
-                console.log('Spectator subscription status:', status);
+                console.log('Game subscription status:', status);
                 if (status === 'SUBSCRIBED') {
                     UI.showLiveIndicator(true);
+                    trackPresence();
+                    // Changes made while reconnecting never arrive
+                    if (wasSubscribed) resyncGame(gameId);
+                    wasSubscribed = true;
                 } else if (status === 'CHANNEL_ERROR') {
                     UI.showLiveIndicator(false);
                 }
             });
+
+        resyncTimer = setInterval(() => resyncGame(gameId), RESYNC_INTERVAL);
+        renderChat();
     }
 
     /**
-     * Unsubscribe from game updates
+     * Whether this device follows changes to the current game from other devices:
+     * always when watching, and on the scoring device when players score their own turns
      */
-    function unsubscribeFromGameUpdates() {
-        if (spectatorSubscription) {
-            Storage.sb?.removeChannel(spectatorSubscription);
-            spectatorSubscription = null;
-            UI.showLiveIndicator(false);
-        }
+    function isFollowingGame() {
+        return isSpectatorMode || !!currentGame?.remote_scoring;
     }
 
     /**
-     * Load history page
+     * Collect a realtime change to the current game, applying a burst of them together
+     * (one turn changes the turn, every player's scores and the game row)
      */
-    async function loadHistory() {
-        const gameDetailPage = document.getElementById('game-detail-page');
-        gameDetailPage.classList.add('hidden');
-        document.getElementById('history-page').classList.remove('hidden');
-        UI.showPage('history-page');
-        await UI.renderGameHistory();
+    function queueGameChange(table, payload) {
+        if (!isFollowingGame()) return;
+
+        pendingGameChanges.push({ table, eventType: payload.eventType, new: payload.new, old: payload.old });
+        clearTimeout(gameChangeTimer);
+        gameChangeTimer = setTimeout(applyGameChanges, CHANGE_BATCH_DELAY);
     }
 
     /**
-     * Load leaderboard page
+     * Apply the collected realtime changes to the current game and show it, fetching
+     * the whole game only when a change can't be applied
      */
-    async function loadLeaderboard(metric = 'wins', filter = 'all-time') {
-        const profilePage = document.getElementById('player-profile-page');
-        profilePage.classList.add('hidden');
-        document.getElementById('leaderboard-page').classList.remove('hidden');
-        UI.showPage('leaderboard-page');
+    async function applyGameChanges() {
+        gameChangeTimer = null;
+        if (!currentGame) return;
 
-        // Update active states for tabs based on URL params
-        document.querySelectorAll('.leaderboard-tabs .tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === metric);
-        });
-        document.querySelectorAll('.time-filters .filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
-        });
+        // A turn being submitted from this device brings its own result first
+        if (isOperationInProgress) {
+            gameChangeTimer = setTimeout(applyGameChanges, CHANGE_BATCH_DELAY);
+            return;
+        }
+
+        const changes = pendingGameChanges;
+        pendingGameChanges = [];
+
+        const wasFinished = !!currentGame.completed_at;
+        const applied = changes.every(change => Storage.applyRealtimeChange(currentGame, change));
+        if (!applied) {
+            await resyncGame(currentGame.id);
+            return;
+        }
 
-        await UI.renderLeaderboard(metric, filter);
+        showGameUpdate(Storage.rebuildGameState(currentGame), wasFinished);
     }
 
     /**
-     * Load stats page
+     * Fetch the whole current game again (fallback for changes that couldn't be applied)
      */
-    async function loadStats() {
-        UI.showPage('stats-page');
-        await UI.renderStatsPage();
+    async function resyncGame(gameId) {
+        if (!isFollowingGame() || isOperationInProgress) return;
+
+        const wasFinished = !!currentGame?.completed_at;
+        const updatedGame = await Storage.getGame(gameId);
+        if (updatedGame && currentGame?.id === gameId) {
+            showGameUpdate(updatedGame, wasFinished);
+        }
     }
 
     /**
-     * Setup stats page events
+     * Show the current game after changes from other devices
+     * On the scoring device, a game a player finished from their phone is wrapped up
+     * here (match score, completion modal)
      */
-    function setupStatsEvents() {
-        // Player selector change
-        const playerSelect = document.getElementById('stats-player-select');
-        if (playerSelect) {
-            playerSelect.addEventListener('change', async (e) => {
-                const playerName = e.target.value;
-                await UI.renderPlayerStatsWidgets(playerName);
-            });
+    async function showGameUpdate(updatedGame, wasFinished) {
+        currentGame = updatedGame;
+
+        if (isTvMode) {
+            UI.renderTvGame(currentGame, Cast.getTvCode());
+            return;
         }
 
-        // Compare players button
-        const compareBtn = document.getElementById('compare-players-btn');
-        if (compareBtn) {
-            compareBtn.addEventListener('click', () => {
-                UI.openComparisonModal();
-            });
+        if (isSpectatorMode) {
+            renderWatchedGame();
+            return;
         }
 
-        // Run comparison button
-        const runCompareBtn = document.getElementById('run-comparison-btn');
-        if (runCompareBtn) {
-            runCompareBtn.addEventListener('click', () => {
-                UI.runPlayerComparison();
-            });
+        // A player's turn that ends the game only stores the turn; the scorer finishes it
+        if (!wasFinished) {
+            await finishRemoteGame();
         }
 
-        // Listen for preferences changes
-        document.addEventListener('statsPreferencesChanged', async (e) => {
-            const playerSelect = document.getElementById('stats-player-select');
-            if (playerSelect && playerSelect.value) {
-                await UI.renderPlayerStatsWidgets(playerSelect.value);
+        UI.updateActiveGameUI(currentGame);
+        UI.renderRemoteScoring(currentGame, true);
+
+        if (!wasFinished && currentGame.completed_at) {
+            if (currentMatch) {
+                await recordMatchLeg();
             }
-        });
+            if (currentTournament) {
+                await recordTournamentResult();
+            }
+            const finalRankings = Game.getRankings(currentGame);
+            UI.updateWinnersBoard(finalRankings, true);
+            showGameCompletionModal(finalRankings);
+        }
     }
 
     /**
-     * Submit current turn
+     * Finish a remotely scored game whose stored turns end it (the database only
+     * takes players' own turns from their phones) and save the result
      */
-    async function submitTurn() {
-        if (!currentGame || isOperationInProgress) return;
+    async function finishRemoteGame() {
+        if (!currentGame.remote_scoring || currentGame.completed_at || currentGame.turn_log !== null) return;
 
-        // Prevent multiple submissions
-        startOperation();
-        UI.showLoader('Submitting turn...');
+        const finished = Game.replayTurns(currentGame);
+        if (!finished || finished.is_active) return;
 
+        currentGame = finished;
         try {
-            const inputs = document.querySelectorAll('.dart-input');
-            console.log('Found dart inputs:', inputs.length);
-
-            const darts = Array.from(inputs)
-                .map(input => input.value)
-                .filter(v => v);
+            await Storage.updateGame(currentGame.id, currentGame);
+        } catch (error) {
+            console.error('Error finishing game:', error);
+            UI.showToast('Failed to save the finished game', 'error');
+        }
+    }
+
+    /**
+     * Show the game on a device that doesn't score it: read-only, plus dart entry for
+     * this device's own player under remote scoring
+     */
+    function renderWatchedGame() {
+        UI.setGameControls(currentGame, false);
+        UI.renderSpectatorGame(currentGame);
+        UI.renderSeatTurn(currentGame, getSeatOrder(currentGame));
+        UI.renderRemoteScoring(currentGame, false);
+    }
+
+    /**
+     * player_order of the player this device scores for under remote scoring, or null
+     * (a seat the scorer has taken back no longer counts)
+     */
+    function getSeatOrder(game) {
+        const seat = Device.getGameSeat(game.id);
+        if (!seat || !game.remote_scoring) return null;
+        return game.players[seat.player_order]?.seat_device_id === Device.getDeviceId()
+            ? seat.player_order
+            : null;
+    }
+
+    /**
+     * Let players score their own turns from their phones, or stop it
+     */
+    async function toggleRemoteScoring() {
+        if (!currentGame || isSpectatorMode) return;
+
+        const enable = !currentGame.remote_scoring;
+        UI.showLoader(enable ? 'Opening the game to players...' : 'Stopping remote scoring...');
+        const result = await Storage.setRemoteScoring(currentGame.id, enable);
+        UI.hideLoader();
+
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        currentGame = result.data;
+        UI.updateActiveGameUI(currentGame);
+        UI.renderRemoteScoring(currentGame, true);
+        UI.showToast(enable
+            ? 'Players can now open the share link and score their own turns'
+            : 'All turns are scored on this device again', 'success');
+    }
+
+    /**
+     * Score a player's turns from this device (remote scoring)
+     */
+    async function joinSeat(playerOrder) {
+        if (!currentGame || !isSpectatorMode) return;
+
+        const result = await Storage.joinGameSeat(currentGame.id, playerOrder);
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        UI.showToast(`🎯 You're scoring for ${currentGame.players[playerOrder].name}`, 'success');
+        await resyncGame(currentGame.id);
+    }
+
+    /**
+     * Give up this device's seat, or (on the scoring device) score a player's turns here again
+     */
+    async function leaveSeat(playerOrder) {
+        if (!currentGame) return;
+
+        const result = await Storage.leaveGameSeat(currentGame.id, playerOrder);
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        await resyncGame(currentGame.id);
+    }
+
+    /**
+     * Tell the game channel who this device is and whether it is scoring
+     */
+    function trackPresence() {
+        gameSubscription?.track({
+            name: Auth.getPlayer()?.name || null,
+            scorer: !isSpectatorMode,
+            tv: isTvMode
+        });
+    }
+
+    /**
+     * Devices watching the current game (other than this one and TVs), for handing it over
+     */
+    function getWatchers() {
+        if (!gameSubscription) return [];
+        const deviceId = Device.getDeviceId();
+        return Object.entries(gameSubscription.presenceState())
+            .filter(([key, metas]) => key !== deviceId && metas.length > 0 && !metas[0].scorer && !metas[0].tv)
+            .map(([key, metas]) => ({ device_id: key, name: metas[0].name }));
+    }
+
+    /**
+     * Unsubscribe from game updates
+     */
+    function unsubscribeFromGameUpdates() {
+        clearTimeout(gameChangeTimer);
+        clearInterval(resyncTimer);
+        gameChangeTimer = null;
+        resyncTimer = null;
+        pendingGameChanges = [];
+
+        if (gameSubscription) {
+            Storage.sb?.removeChannel(gameSubscription);
+            gameSubscription = null;
+            UI.showLiveIndicator(false);
+        }
+
+        chatMessages = [];
+        GameChat.reset();
+        UI.renderGameChat(null);
+    }
+
+    /**
+     * Show the chat panel of the current game (the scorer may have hidden it on this device)
+     */
+    function renderChat() {
+        if (!gameSubscription) return;
+        UI.renderGameChat(chatMessages, {
+            isScorer: !isSpectatorMode,
+            hidden: !isSpectatorMode && GameChat.isHidden()
+        });
+    }
+
+    /**
+     * Hide or show chat on the scoring device
+     */
+    function toggleChatHidden() {
+        GameChat.setHidden(!GameChat.isHidden());
+        renderChat();
+    }
+
+    /**
+     * Whether chat is showing on this device
+     */
+    function isChatShown() {
+        return !!gameSubscription && (isSpectatorMode || !GameChat.isHidden());
+    }
+
+    /**
+     * Keep a chat message for the current game and show it
+     */
+    function addChatMessage(message, isOwn) {
+        message.is_own = isOwn;
+        chatMessages.push(message);
+        if (chatMessages.length > GameChat.HISTORY_SIZE) {
+            chatMessages.shift();
+        }
+        if (isChatShown()) UI.appendChatMessage(message);
+    }
+
+    /**
+     * Send a chat message to everyone watching the game; false when it wasn't sent
+     */
+    function sendChatMessage(text) {
+        if (!gameSubscription) return false;
+
+        const message = GameChat.createMessage(text, Auth.getPlayer()?.name);
+        if (!message) return false;
+        if (!GameChat.allowSend('chat')) {
+            UI.showToast('Slow down - you can send another message in a few seconds', 'warning');
+            return false;
+        }
+
+        gameSubscription.send({ type: 'broadcast', event: 'chat', payload: message });
+        addChatMessage(message, true);
+        return true;
+    }
+
+    /**
+     * Send an emoji reaction to everyone watching the game
+     */
+    function sendReaction(emoji) {
+        if (!gameSubscription || !GameChat.REACTIONS.includes(emoji)) return;
+        // Extra taps are dropped quietly; a toast per tap would be noisier than the taps
+        if (!GameChat.allowSend('reaction')) return;
+
+        const reaction = { device_id: Device.getDeviceId(), emoji };
+        gameSubscription.send({ type: 'broadcast', event: 'reaction', payload: reaction });
+        UI.showReaction(emoji);
+    }
+
+    /**
+     * Show a chat message from another device, unless it is sending too many
+     */
+    function receiveChatMessage(payload) {
+        const message = GameChat.readMessage(payload);
+        if (!message || message.device_id === Device.getDeviceId()) return;
+        if (!GameChat.allowReceive(message.device_id, 'chat')) return;
+        addChatMessage(message, false);
+    }
+
+    /**
+     * Show a reaction from another device, unless it is sending too many
+     */
+    function receiveReaction(payload) {
+        const reaction = GameChat.readReaction(payload);
+        if (!reaction || reaction.device_id === Device.getDeviceId()) return;
+        if (!GameChat.allowReceive(reaction.device_id, 'reaction')) return;
+        if (isChatShown()) UI.showReaction(reaction.emoji);
+    }
+
+    /**
+     * Show a PIN that lets another device take over scoring the current game
+     */
+    async function handOverGame() {
+        if (!currentGame || isSpectatorMode) return;
+
+        UI.showLoader('Getting a handover code...');
+        const result = await Storage.createControlPin(currentGame.id);
+        UI.hideLoader();
+
+        if (!result.success) {
+            UI.showToast(result.error || 'Couldn\'t get a handover code', 'error');
+            return;
+        }
+
+        UI.showHandOverModal(result.data, getWatchers());
+
+        // Picking a watching device offers it the game over the game channel; the PIN stays
+        // on this screen, as anyone with the game link can listen in
+        document.getElementById('hand-over-watchers')?.addEventListener('click', (event) => {
+            const button = event.target.closest('.hand-over-device-btn');
+            if (!button || !gameSubscription) return;
+
+            handOverDevice = button.dataset.device;
+            gameSubscription.send({
+                type: 'broadcast',
+                event: 'control-offer',
+                payload: { device_id: handOverDevice }
+            });
+            UI.showToast('Sent - waiting for the other device to accept', 'info');
+        });
+    }
+
+    /**
+     * Accept the scorer's offer of the game being watched: ask for it with this device's
+     * new owner token, which the scorer then grants
+     */
+    async function requestGameControl() {
+        if (!currentGame || !isSpectatorMode || !gameSubscription) return;
+
+        const result = await Storage.requestGameControl(currentGame.id);
+        if (!result.success) {
+            UI.showToast(result.error || 'Couldn\'t take over scoring', 'error');
+            return;
+        }
+
+        gameSubscription.send({
+            type: 'broadcast',
+            event: 'control-request',
+            payload: { device_id: Device.getDeviceId() }
+        });
+        UI.showControlRequestModal(result.code);
+    }
+
+    /**
+     * Ask for the code shown on the watching device that asked for the game, then grant it
+     * Anyone can broadcast as any device, so the code is what shows it's the one offered
+     */
+    function showGrantControl(deviceId) {
+        const watcher = getWatchers().find(w => w.device_id === deviceId);
+        UI.showGrantControlModal(watcher?.name || `Device ${deviceId.slice(0, 6)}`);
+        document.getElementById('grant-control-form')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            grantGameControl(deviceId, document.getElementById('grant-control-code').value);
+        });
+    }
+
+    /**
+     * Hand the current game over to the watching device it was offered to, now that it asked
+     */
+    async function grantGameControl(deviceId, code) {
+        UI.showLoader('Handing over scoring...');
+        const result = await Storage.grantGameControl(currentGame.id, deviceId, code);
+        UI.hideLoader();
+
+        if (!result.success) {
+            UI.showToast(result.error || 'Couldn\'t hand over scoring', 'error');
+            return;
+        }
+
+        handOverDevice = null;
+        UI.hideModal();
+
+        // The device_id change on the game channel would do the same
+        if (!isSpectatorMode) await loseGameControl();
+    }
+
+    /**
+     * Ask for the handover PIN, then take over scoring
+     */
+    function showTakeOver() {
+        if (!currentGame || !isSpectatorMode) return;
+
+        UI.showTakeOverModal();
+        document.getElementById('take-over-form')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            takeOverScoring(document.getElementById('take-over-pin').value);
+        });
+    }
+
+    /**
+     * Become the scorer of the game being watched, using the PIN from the scoring device
+     */
+    async function takeOverScoring(pin) {
+        if (!currentGame || !isSpectatorMode) return;
+
+        UI.showLoader('Taking over scoring...');
+        const result = await Storage.claimGameControl(currentGame.id, pin);
+        UI.hideLoader();
+
+        if (!result.success) {
+            UI.showToast(result.error || 'Couldn\'t take over scoring', 'error');
+            return;
+        }
+
+        await startScoring(result.data);
+    }
+
+    /**
+     * Switch this device from watching to scoring a game it took over
+     */
+    async function startScoring(game) {
+        UI.hideModal();
+        currentGame = game;
+        isSpectatorMode = false;
+        currentTournament = await findTournament(currentGame.id);
+        currentSeason = currentMatch ? await findSeason(currentMatch.id) : null;
+        UI.setGameControls(currentGame, true);
+        UI.updateActiveGameUI(currentGame);
+        UI.renderRemoteScoring(currentGame, true);
+        trackPresence();
+        renderChat();
+        UI.showToast('🎮 You are now scoring this game', 'success');
+    }
+
+    /**
+     * Another device took over scoring the current game: switch this one to spectating
+     */
+    async function loseGameControl() {
+        const gameId = currentGame.id;
+        isSpectatorMode = true;
+        handOverDevice = null;
+        // The new scorer records the tournament and league results
+        currentTournament = null;
+        currentSeason = null;
+        UI.hideModal();
+
+        const latest = await Storage.releaseGameControl(gameId);
+        if (latest && currentGame?.id === gameId) currentGame = latest;
+
+        renderWatchedGame();
+        UI.showLiveIndicator(true);
+        trackPresence();
+        renderChat();
+        UI.showToast('📲 Another device is scoring this game now', 'info', 5000);
+    }
+
+    /**
+     * Load history page
+     */
+    async function loadHistory() {
+        const gameDetailPage = document.getElementById('game-detail-page');
+        gameDetailPage.classList.add('hidden');
+        document.getElementById('history-page').classList.remove('hidden');
+        UI.showPage('history-page');
+        await UI.renderGameHistory();
+    }
+
+    /**
+     * Load leaderboard page
+     */
+    async function loadLeaderboard(metric = 'wins', filter = 'all-time', excludeHandicap = false) {
+        const profilePage = document.getElementById('player-profile-page');
+        profilePage.classList.add('hidden');
+        document.getElementById('leaderboard-page').classList.remove('hidden');
+        UI.showPage('leaderboard-page');
+
+        // Update active states for tabs based on URL params
+        document.querySelectorAll('.leaderboard-tabs .tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === metric);
+        });
+        document.querySelectorAll('.time-filters .filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === filter);
+        });
+        const seasonId = filter.startsWith('season:') ? filter.slice('season:'.length) : '';
+        UI.renderSeasonFilter(await Storage.getSeasons(), seasonId);
+        const handicapCheckbox = document.getElementById('leaderboard-handicap');
+        if (handicapCheckbox) handicapCheckbox.checked = !excludeHandicap;
+
+        await UI.renderLeaderboard(metric, filter, excludeHandicap);
+    }
+
+    /**
+     * Load stats page
+     */
+    async function loadStats() {
+        UI.showPage('stats-page');
+        await UI.renderStatsPage();
+    }
+
+    /**
+     * Load practice page (resumes the session in progress, if any)
+     */
+    async function loadPractice() {
+        UI.showPage('practice-page');
+        if (currentPractice) {
+            UI.renderPracticeSession(currentPractice);
+        } else {
+            UI.renderPracticeSetup();
+        }
+        await UI.renderPracticeHistory(document.getElementById('practice-player-name').value.trim());
+    }
+
+    /**
+     * Setup practice page events
+     */
+    function setupPracticeEvents() {
+        const nameInput = document.getElementById('practice-player-name');
+        nameInput?.addEventListener('change', () => {
+            UI.renderPracticeHistory(nameInput.value.trim());
+        });
+
+        document.getElementById('practice-setup-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const modeId = document.querySelector('input[name="practiceMode"]:checked')?.value;
+            const result = Practice.createSession(modeId, nameInput.value);
+            if (!result.success) {
+                UI.showToast(result.error, 'error');
+                return;
+            }
+
+            currentPractice = result.session;
+            nameInput.value = currentPractice.player_name;
+            UI.renderPracticeSession(currentPractice);
+            await UI.renderPracticeHistory(currentPractice.player_name);
+        });
+
+        document.getElementById('practice-submit-btn')?.addEventListener('click', submitPracticeTurn);
+        document.getElementById('practice-undo-btn')?.addEventListener('click', undoPracticeTurn);
+        document.getElementById('practice-end-btn')?.addEventListener('click', endPractice);
+    }
+
+    /**
+     * Submit a practice visit
+     */
+    async function submitPracticeTurn() {
+        if (!currentPractice || isOperationInProgress) return;
+
+        const darts = UI.getPendingDarts();
+        if (darts.length === 0) {
+            UI.showToast('Please enter at least one dart', 'warning');
+            return;
+        }
+
+        const result = Practice.submitTurn(currentPractice, darts);
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        UI.renderPracticeSession(currentPractice);
+        if (result.finished) {
+            await finishPractice();
+        } else {
+            UI.showToast(result.message, 'info');
+        }
+    }
+
+    /**
+     * Undo a tapped dart, or the last practice visit
+     */
+    function undoPracticeTurn() {
+        if (!currentPractice) return;
+        if (UI.removePendingDart()) return;
+
+        const result = Practice.undoLastTurn(currentPractice);
+        if (!result.success) {
+            UI.showToast(result.error, 'warning');
+            return;
+        }
+        UI.renderPracticeSession(currentPractice);
+    }
+
+    /**
+     * Stop the practice session early
+     * A session without any visits is discarded instead of saved
+     */
+    async function endPractice() {
+        if (!currentPractice) return;
+
+        if (currentPractice.turns.length === 0) {
+            currentPractice = null;
+            UI.renderPracticeSetup();
+            return;
+        }
+
+        if (confirm('End this practice session? It will be saved but won\'t count as a personal best.')) {
+            Practice.endSession(currentPractice);
+            await finishPractice();
+        }
+    }
+
+    /**
+     * Save the finished practice session and show the result
+     */
+    async function finishPractice() {
+        const session = currentPractice;
+        const mode = Practice.getMode(session.mode);
+        const result = Practice.getResult(session);
+
+        startOperation();
+        UI.showLoader('Saving session...');
+        try {
+            const previous = await Storage.getPracticeSessions(session.player_name);
+            const previousBest = Practice.getPersonalBests(previous)[session.mode];
+
+            await Storage.savePracticeSession(session);
+
+            if (session.is_complete && Practice.isBetterScore(session.mode, result.score, previousBest?.score)) {
+                UI.showToast(`🏆 New ${mode.name} personal best: ${result.summary}`, 'success');
+            } else {
+                UI.showToast(`${mode.name}: ${result.summary}`, 'info');
+            }
+        } catch (error) {
+            console.error('Error saving practice session:', error);
+            UI.showToast('Failed to save practice session', 'error');
+        } finally {
+            endOperation();
+            UI.hideLoader();
+        }
+
+        currentPractice = null;
+        UI.renderPracticeSetup(session.player_name);
+        await UI.renderPracticeHistory(session.player_name);
+    }
+
+    /**
+     * Load the tournaments page: recent tournaments and the form to create one
+     */
+    async function loadTournaments() {
+        UI.showPage('tournaments-page');
+        UI.renderTournamentList(await Storage.getTournaments());
+    }
+
+    /**
+     * Load a tournament's bracket (or table) and follow results recorded on other devices
+     */
+    async function loadTournament(tournamentId) {
+        UI.showLoader('Loading tournament...');
+        try {
+            const tournament = await Storage.getTournament(tournamentId);
+            if (!tournament) {
+                UI.showToast('Tournament not found', 'error');
+                Router.navigate('tournaments');
+                return;
+            }
+
+            currentTournament = tournament;
+            UI.showPage('tournament-page');
+            renderTournament();
+            subscribeToTournamentUpdates(tournamentId);
+        } catch (error) {
+            console.error('Error loading tournament:', error);
+            UI.showToast('Failed to load tournament', 'error');
+        } finally {
+            UI.hideLoader();
+        }
+    }
+
+    /**
+     * Show the current tournament; only the device that created it starts fixtures
+     */
+    function renderTournament() {
+        UI.renderTournament(currentTournament, {
+            canPlay: currentTournament.device_id === Device.getDeviceId()
+        });
+    }
+
+    /**
+     * Setup tournament page events
+     */
+    function setupTournamentEvents() {
+        document.getElementById('new-tournament-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await createTournament();
+        });
+
+        document.getElementById('tournament-list')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-tournament]');
+            if (card) {
+                Router.navigate('tournament', { tournamentId: card.dataset.tournament });
+            }
+        });
+
+        document.getElementById('tournament-view')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.play) {
+                playFixture(button.dataset.play);
+            } else if (button.dataset.restart) {
+                restartFixture(button.dataset.restart);
+            } else if (button.dataset.game) {
+                Router.navigate('game', { gameId: button.dataset.game });
+            }
+        });
+
+        document.getElementById('share-tournament-btn')?.addEventListener('click', shareTournament);
+    }
+
+    /**
+     * Create a tournament from the form and open it
+     */
+    async function createTournament() {
+        const format = document.getElementById('tournament-format').value;
+        const playerNames = document.getElementById('tournament-players').value
+            .split('\n')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        const error = Tournament.validate(format, playerNames);
+        if (error) {
+            UI.showToast(error, 'warning');
+            return;
+        }
+
+        const game = document.getElementById('tournament-game').value;
+        const gameMode = game === 'cricket' ? 'cricket' : 'x01';
+        const outRule = document.getElementById('tournament-out-rule').value;
+        // Cricket and checkout rules need to know each dart
+        const scoringMode = gameMode === 'cricket' || outRule !== 'straight'
+            ? 'per-dart'
+            : document.querySelector('input[name="tournamentScoringMode"]:checked').value;
+
+        const tournament = Tournament.createTournament({
+            name: document.getElementById('tournament-name').value,
+            format,
+            playerNames,
+            shuffle: document.getElementById('tournament-shuffle').checked,
+            gameType: gameMode === 'cricket' ? 0 : game,
+            scoringMode,
+            outRule: gameMode === 'cricket' ? 'straight' : outRule,
+            gameMode
+        });
+
+        try {
+            await Storage.saveTournament(tournament);
+            document.getElementById('new-tournament-form').reset();
+            Router.navigate('tournament', { tournamentId: tournament.id });
+        } catch (error) {
+            UI.showToast('Failed to save tournament', 'error');
+            console.error('Save tournament error:', error);
+        }
+    }
+
+    /**
+     * Start a fixture's game and open it
+     */
+    async function playFixture(fixtureId) {
+        if (!currentTournament || isOperationInProgress) return;
+
+        const result = Tournament.startFixture(currentTournament, fixtureId);
+        if (!result.success) {
+            UI.showToast(result.error, 'warning');
+            return;
+        }
+
+        startOperation();
+        try {
+            await Storage.saveGame(result.game);
+            await Storage.updateTournament(currentTournament);
+            currentGame = result.game;
+            currentMatch = null;
+            Router.navigate('game', { gameId: result.game.id });
+        } catch (error) {
+            Tournament.resetFixture(currentTournament, fixtureId);
+            UI.showToast('Failed to start fixture', 'error');
+            console.error('Start fixture error:', error);
+        } finally {
+            endOperation();
+        }
+    }
+
+    /**
+     * Put a fixture whose game was abandoned back to ready, so it can be played again
+     */
+    async function restartFixture(fixtureId) {
+        if (!currentTournament) return;
+        if (!confirm('Play this fixture again from the start? The game in progress won\'t count.')) return;
+
+        if (!Tournament.resetFixture(currentTournament, fixtureId)) {
+            UI.showToast('This fixture can\'t be restarted', 'warning');
+            return;
+        }
+
+        try {
+            await Storage.updateTournament(currentTournament);
+        } catch (error) {
+            console.error('Error saving tournament:', error);
+            UI.showToast('Failed to save tournament', 'error');
+        }
+        renderTournament();
+    }
+
+    /**
+     * The tournament a game is a fixture of, or null
+     */
+    async function findTournament(gameId) {
+        if (currentTournament && Tournament.getFixtureForGame(currentTournament, gameId)) {
+            return (await Storage.getTournament(currentTournament.id)) || currentTournament;
+        }
+        return Storage.getTournamentForGame(gameId);
+    }
+
+    /**
+     * Follow a tournament's results as they are recorded on other devices
+     */
+    function subscribeToTournamentUpdates(tournamentId) {
+        unsubscribeFromTournamentUpdates();
+
+        const supabase = Storage.sb;
+        if (!supabase) return;
+
+        tournamentSubscription = supabase
+            .channel(`tournament:${tournamentId}`)
+            .on('postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'tournaments',
+                    filter: `id=eq.${tournamentId}`
+                },
+                (payload) => {
+                    if (currentTournament?.id !== tournamentId) return;
+                    currentTournament = Tournament.merge(currentTournament, Storage.transformTournamentFromDB(payload.new));
+                    renderTournament();
+                }
+            )
+            .subscribe((status) => {
+                console.log('Tournament subscription status:', status);
+            });
+    }
+
+    /**
+     * Stop following the tournament
+     */
+    function unsubscribeFromTournamentUpdates() {
+        if (tournamentSubscription) {
+            Storage.sb?.removeChannel(tournamentSubscription);
+            tournamentSubscription = null;
+        }
+    }
+
+    /**
+     * Copy the link to the tournament page
+     */
+    function shareTournament() {
+        if (!currentTournament) return;
+
+        const baseUrl = window.location.origin + window.location.pathname.replace(/\/$/, '');
+        const shareUrl = `${baseUrl}#/tournaments/${currentTournament.id}`;
+
+        navigator.clipboard.writeText(shareUrl).then(() => {
+            UI.showToast('Tournament link copied to clipboard! 📋', 'success');
+        }).catch(() => {
+            UI.showModal(`
+                <p style="margin-bottom: 15px;">Send this link to follow the tournament live:</p>
+                <div style="background: #f5f5f5; padding: 12px; border-radius: 6px; word-break: break-all;">
+                    <code style="font-size: 12px;">${shareUrl}</code>
+                </div>
+            `, 'Share Tournament');
+        });
+    }
+
+    /**
+     * Load the leagues page: seasons and the form to create one
+     */
+    async function loadSeasons() {
+        UI.showPage('seasons-page');
+        UI.renderSeasonList(await Storage.getSeasons());
+    }
+
+    /**
+     * Load a season's standings and fixtures and follow results recorded on other devices
+     */
+    async function loadSeason(seasonId) {
+        UI.showLoader('Loading season...');
+        try {
+            const season = await Storage.getSeason(seasonId);
+            if (!season) {
+                UI.showToast('Season not found', 'error');
+                Router.navigate('seasons');
+                return;
+            }
+
+            currentSeason = season;
+            UI.showPage('season-page');
+            renderSeason();
+            subscribeToSeasonUpdates(seasonId);
+        } catch (error) {
+            console.error('Error loading season:', error);
+            UI.showToast('Failed to load season', 'error');
+        } finally {
+            UI.hideLoader();
+        }
+    }
+
+    /**
+     * Show the current season; only the device that created it starts fixtures
+     */
+    function renderSeason() {
+        UI.renderSeason(currentSeason, {
+            canPlay: currentSeason.device_id === Device.getDeviceId()
+        });
+    }
+
+    /**
+     * Setup league page events
+     */
+    function setupSeasonEvents() {
+        document.getElementById('new-season-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await createSeason();
+        });
+
+        document.getElementById('season-list')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-season]');
+            if (card) {
+                Router.navigate('season', { seasonId: card.dataset.season });
+            }
+        });
+
+        document.getElementById('season-view')?.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.play) {
+                playSeasonFixture(button.dataset.play);
+            } else if (button.dataset.restart) {
+                restartSeasonFixture(button.dataset.restart);
+            } else if (button.dataset.game) {
+                Router.navigate('game', { gameId: button.dataset.game });
+            }
+        });
+
+        document.getElementById('season-leaderboard-btn')?.addEventListener('click', () => {
+            if (!currentSeason) return;
+            Router.navigate('leaderboard', { metric: 'wins', filter: `season:${currentSeason.id}` });
+        });
+        document.getElementById('share-season-btn')?.addEventListener('click', shareSeason);
+    }
+
+    /**
+     * Create a season from the form and open it
+     */
+    async function createSeason() {
+        const playerNames = document.getElementById('season-players').value
+            .split('\n')
+            .map(name => name.trim())
+            .filter(Boolean);
+
+        const error = Season.validate(playerNames);
+        if (error) {
+            UI.showToast(error, 'warning');
+            return;
+        }
+
+        const game = document.getElementById('season-game').value;
+        const gameMode = game === 'cricket' ? 'cricket' : 'x01';
+        const outRule = document.getElementById('season-out-rule').value;
+        // Cricket and checkout rules need to know each dart
+        const scoringMode = gameMode === 'cricket' || outRule !== 'straight'
+            ? 'per-dart'
+            : document.querySelector('input[name="seasonScoringMode"]:checked').value;
+
+        const season = Season.createSeason({
+            name: document.getElementById('season-name').value,
+            playerNames,
+            meetings: document.getElementById('season-meetings').value,
+            legsToWin: document.getElementById('season-legs').value,
+            pointsForWin: document.getElementById('season-points-win').value,
+            pointsForLoss: document.getElementById('season-points-loss').value,
+            gameType: gameMode === 'cricket' ? 0 : game,
+            scoringMode,
+            outRule: gameMode === 'cricket' ? 'straight' : outRule,
+            gameMode
+        });
+
+        try {
+            await Storage.saveSeason(season);
+            document.getElementById('new-season-form').reset();
+            Router.navigate('season', { seasonId: season.id });
+        } catch (error) {
+            UI.showToast('Failed to save season', 'error');
+            console.error('Save season error:', error);
+        }
+    }
+
+    /**
+     * Start a fixture's match and open its first leg
+     */
+    async function playSeasonFixture(fixtureId) {
+        if (!currentSeason || isOperationInProgress) return;
+
+        const result = Season.startFixture(currentSeason, fixtureId);
+        if (!result.success) {
+            UI.showToast(result.error, 'warning');
+            return;
+        }
+
+        startOperation();
+        try {
+            await Storage.saveMatch(result.match);
+            await Storage.saveGame(result.game);
+            await Storage.updateSeason(currentSeason);
+            currentMatch = result.match;
+            currentGame = result.game;
+            Router.navigate('game', { gameId: result.game.id });
+        } catch (error) {
+            Season.resetFixture(currentSeason, fixtureId);
+            UI.showToast('Failed to start fixture', 'error');
+            console.error('Start fixture error:', error);
+        } finally {
+            endOperation();
+        }
+    }
+
+    /**
+     * Put a fixture whose match was abandoned back on the list
+     */
+    async function restartSeasonFixture(fixtureId) {
+        if (!currentSeason) return;
+        if (!confirm('Play this fixture again from the start? Legs played so far won\'t count.')) return;
+
+        if (!Season.resetFixture(currentSeason, fixtureId)) {
+            UI.showToast('This fixture can\'t be restarted', 'warning');
+            return;
+        }
+
+        try {
+            await Storage.updateSeason(currentSeason);
+        } catch (error) {
+            console.error('Error saving season:', error);
+            UI.showToast('Failed to save season', 'error');
+        }
+        renderSeason();
+    }
+
+    /**
+     * The league season a match is a fixture of, or null
+     */
+    async function findSeason(matchId) {
+        if (currentSeason && Season.getFixtureForMatch(currentSeason, matchId)) {
+            return (await Storage.getSeason(currentSeason.id)) || currentSeason;
+        }
+        return Storage.getSeasonForMatch(matchId);
+    }
+
+    /**
+     * Follow a season's results as they are recorded on other devices
+     */
+    function subscribeToSeasonUpdates(seasonId) {
+        unsubscribeFromSeasonUpdates();
+
+        const supabase = Storage.sb;
+        if (!supabase) return;
+
+        seasonSubscription = supabase
+            .channel(`season:${seasonId}`)
+            .on('postgres_changes',
+                {
+                    event: 'UPDATE',
+                    schema: 'public',
+                    table: 'seasons',
+                    filter: `id=eq.${seasonId}`
+                },
+                (payload) => {
+                    if (currentSeason?.id !== seasonId) return;
+                    currentSeason = Season.merge(currentSeason, Storage.transformSeasonFromDB(payload.new));
+                    renderSeason();
+                }
+            )
+            .subscribe((status) => {
+                console.log('Season subscription status:', status);
+            });
+    }
+
+    /**
+     * Stop following the season
+     */
+    function unsubscribeFromSeasonUpdates() {
+        if (seasonSubscription) {
+            Storage.sb?.removeChannel(seasonSubscription);
+            seasonSubscription = null;
+        }
+    }
+
+    /**
+     * Copy the link to the season page
+     */
+    function shareSeason() {
+        if (!currentSeason) return;
+
+        const baseUrl = window.location.origin + window.location.pathname.replace(/\/$/, '');
+        const shareUrl = `${baseUrl}#/seasons/${currentSeason.id}`;
+
+        navigator.clipboard.writeText(shareUrl).then(() => {
+            UI.showToast('League link copied to clipboard! 📋', 'success');
+        }).catch(() => {
+            UI.showModal(`
+                <p style="margin-bottom: 15px;">Send this link to follow the league:</p>
+                <div style="background: #f5f5f5; padding: 12px; border-radius: 6px; word-break: break-all;">
+                    <code style="font-size: 12px;">${shareUrl}</code>
+                </div>
+            `, 'Share League');
+        });
+    }
+
+    /**
+     * Load the account page
+     */
+    async function loadAccount() {
+        UI.showPage('account-page');
+        await UI.renderAccountPage();
+    }
+
+    /**
+     * Setup account page events (sign-in, player link, profile)
+     */
+    function setupAccountEvents() {
+        UI.renderAccountNav();
+        Auth.onChange(() => {
+            UI.renderAccountNav();
+            if (document.getElementById('account-page')?.classList.contains('active')) {
+                UI.renderAccountPage();
+            }
+        });
+
+        document.getElementById('signin-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!Storage.sb || !Sync.isOnline()) {
+                UI.showToast('Signing in needs an internet connection', 'error');
+                return;
+            }
+
+            const result = await Auth.signIn(document.getElementById('signin-email').value);
+            if (result.success) {
+                UI.showToast('Check your email for a sign-in link', 'success', 5000);
+            } else {
+                UI.showToast(result.error, 'error');
+            }
+        });
+
+        document.getElementById('claim-player-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await Auth.claimPlayer(document.getElementById('claim-player-name').value);
+            if (result.success) {
+                UI.showToast(`Linked to ${result.player.name} - their games are now on your account`, 'success');
+            } else {
+                UI.showToast(result.error, 'error');
+            }
+        });
+
+        document.getElementById('profile-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const result = await Auth.updateProfile({
+                nickname: document.getElementById('profile-nickname').value,
+                avatar: document.getElementById('profile-avatar').value
+            });
+            UI.showToast(result.success ? 'Profile saved' : result.error, result.success ? 'success' : 'error');
+        });
+
+        document.getElementById('release-player-btn')?.addEventListener('click', async () => {
+            const player = Auth.getPlayer();
+            if (!player || !confirm(`Unlink ${player.name} from your account? Their games and stats stay as they are.`)) return;
+
+            const result = await Auth.releasePlayer();
+            UI.showToast(result.success ? 'Player unlinked' : result.error, result.success ? 'info' : 'error');
+        });
+
+        document.getElementById('signout-btn')?.addEventListener('click', async () => {
+            const result = await Auth.signOut();
+            UI.showToast(result.success ? 'Signed out' : result.error, result.success ? 'info' : 'error');
+        });
+    }
+
+    /**
+     * Load the Manage Players page (admins only)
+     */
+    async function loadAdmin() {
+        if (!Auth.isAdmin()) {
+            UI.showToast('Sign in with an admin account to manage players', 'error');
+            Router.navigate('account');
+            return;
+        }
+        UI.showPage('admin-page');
+        await UI.renderAdminPage();
+    }
+
+    /**
+     * Setup Manage Players events (rename, merge, recalculate)
+     */
+    function setupAdminEvents() {
+        document.getElementById('manage-players-btn')?.addEventListener('click', () => {
+            Router.navigate('admin');
+        });
+
+        document.getElementById('rename-player-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const nameInput = document.getElementById('rename-player-name');
+            const result = await Storage.renamePlayer(document.getElementById('rename-player-select').value, nameInput.value);
+            if (result.success) {
+                UI.showToast(`Renamed to ${result.data.name}`, 'success');
+                nameInput.value = '';
+                await UI.renderAdminPage();
+            } else {
+                UI.showToast(result.error, 'error');
+            }
+        });
+
+        document.getElementById('merge-players-form')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await mergePlayers(
+                document.getElementById('merge-source-select'),
+                document.getElementById('merge-target-select')
+            );
+        });
+
+        // Suggested merges for names that only differ by case
+        document.getElementById('duplicate-players-list')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('.merge-duplicate-btn');
+            if (!button) return;
+
+            const source = document.getElementById('merge-source-select');
+            const target = document.getElementById('merge-target-select');
+            source.value = button.dataset.source;
+            target.value = button.dataset.target;
+            await mergePlayers(source, target);
+        });
+
+        document.getElementById('recalculate-stats-btn')?.addEventListener('click', async () => {
+            UI.showLoader('Recalculating stats...');
+            const result = await Storage.recalculatePlayerStats();
+            UI.hideLoader();
+            if (result.success) {
+                UI.showToast(`Recalculated stats for ${result.data} players`, 'success');
+                await UI.renderAdminPage();
+            } else {
+                UI.showToast(result.error, 'error');
+            }
+        });
+    }
+
+    /**
+     * Merge the player picked in one select into the player picked in the other
+     */
+    async function mergePlayers(sourceSelect, targetSelect) {
+        const sourceName = sourceSelect.selectedOptions[0]?.textContent;
+        const targetName = targetSelect.selectedOptions[0]?.textContent;
+        if (sourceSelect.value === targetSelect.value) {
+            UI.showToast('Pick two different players to merge', 'error');
+            return;
+        }
+        if (!confirm(`Merge ${sourceName} into ${targetName}? This can't be undone.`)) return;
+
+        UI.showLoader('Merging players...');
+        const result = await Storage.mergePlayers(sourceSelect.value, targetSelect.value);
+        UI.hideLoader();
+        if (result.success) {
+            UI.showToast(`Merged into ${result.data.name}`, 'success');
+            await UI.renderAdminPage();
+        } else {
+            UI.showToast(result.error, 'error');
+        }
+    }
+
+    /**
+     * Load the Import & Export page
+     */
+    async function loadData() {
+        UI.showPage('data-page');
+        UI.renderImportPreview(importPreview);
+
+        const players = Object.values(await Storage.getPlayers())
+            .sort((a, b) => a.name.localeCompare(b.name));
+        UI.renderExportPlayers(players);
+    }
+
+    /**
+     * Setup Import & Export events: download an export, preview a file, import it
+     */
+    function setupDataEvents() {
+        document.getElementById('import-export-btn')?.addEventListener('click', () => {
+            Router.navigate('data');
+        });
+
+        document.getElementById('export-games-btn')?.addEventListener('click', async () => {
+            UI.showLoader('Exporting games...');
+            try {
+                const count = await Exporter.downloadJson();
+                UI.showToast(`Exported ${count} games`, 'success');
+            } catch (error) {
+                UI.showToast('Export needs a connection to the database', 'error');
+            }
+            UI.hideLoader();
+        });
+
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => exportCsv(button.dataset.export));
+        });
+
+        document.getElementById('import-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            importPreview = null;
+            if (!file) {
+                UI.renderImportPreview(null);
+                return;
+            }
+
+            UI.showLoader('Checking games...');
+            try {
+                importPreview = await Importer.preview(file);
+            } catch (error) {
+                console.error('Import preview error:', error);
+                UI.showToast('Could not read the file', 'error');
+            }
+            UI.hideLoader();
+            UI.renderImportPreview(importPreview);
+        });
+
+        document.getElementById('import-preview')?.addEventListener('click', async (e) => {
+            if (!e.target.closest('#import-confirm-btn') || !importPreview) return;
+
+            const games = importPreview.games;
+            UI.showLoader(`Importing ${games.length} games...`);
+            try {
+                const count = await Importer.importGames(games, (done, total) => {
+                    UI.showLoader(`Importing games (${done}/${total})...`);
+                });
+                UI.showToast(`Imported ${count} games`, 'success');
+                importPreview = null;
+                document.getElementById('import-file').value = '';
+                UI.renderImportPreview(null);
+            } catch (error) {
+                console.error('Import error:', error);
+                UI.showToast('Import stopped - games saved so far are kept', 'error');
+            }
+            UI.hideLoader();
+        });
+    }
+
+    /**
+     * Download a spreadsheet export for the players and dates picked on the Data page
+     */
+    async function exportCsv(kind) {
+        const filters = {
+            playerIds: Array.from(document.querySelectorAll('#export-player-list input:checked')).map(input => input.value),
+            fromDate: document.getElementById('export-from').value || null,
+            toDate: document.getElementById('export-to').value || null
+        };
+        if (filters.fromDate && filters.toDate && filters.fromDate > filters.toDate) {
+            UI.showToast('The From date is after the To date', 'error');
+            return;
+        }
+
+        UI.showLoader('Exporting...');
+        try {
+            const rows = await Exporter.downloadCsv(kind, filters, count => {
+                UI.showLoader(`Exporting (${count} rows)...`);
+            });
+            UI.showToast(rows > 0 ? `Exported ${rows} rows` : 'Nothing to export for these players and dates', rows > 0 ? 'success' : 'info');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            UI.showToast('Export needs a connection to the database', 'error');
+        }
+        UI.hideLoader();
+    }
+
+    /**
+     * Sync status indicator: tap to sync now, or to retry changes that failed
+     */
+    function setupSyncEvents() {
+        Sync.onStatusChange(UI.renderSyncStatus);
+
+        document.getElementById('sync-status')?.addEventListener('click', (e) => {
+            // The indicator sits in the navbar brand, which goes home on click
+            e.stopPropagation();
+            if (Sync.getStatus().state === 'error') {
+                Sync.retryFailed();
+            } else {
+                Sync.flush();
+            }
+        });
+    }
+
+    /**
+     * Setup stats page events
+     */
+    function setupStatsEvents() {
+        // Player selector change
+        const playerSelect = document.getElementById('stats-player-select');
+        if (playerSelect) {
+            playerSelect.addEventListener('change', async (e) => {
+                const playerName = e.target.value;
+                await UI.renderPlayerStatsWidgets(playerName);
+            });
+        }
+
+        // Compare players button
+        const compareBtn = document.getElementById('compare-players-btn');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => {
+                UI.openComparisonModal();
+            });
+        }
+
+        // Run comparison button
+        const runCompareBtn = document.getElementById('run-comparison-btn');
+        if (runCompareBtn) {
+            runCompareBtn.addEventListener('click', () => {
+                UI.runPlayerComparison();
+            });
+        }
+
+        // Listen for preferences changes
+        document.addEventListener('statsPreferencesChanged', async (e) => {
+            const playerSelect = document.getElementById('stats-player-select');
+            if (playerSelect && playerSelect.value) {
+                await UI.renderPlayerStatsWidgets(playerSelect.value);
+            }
+        });
+    }
+
+    /**
+     * Submit current turn
+     */
+    async function submitTurn() {
+        if (!currentGame || isOperationInProgress) return;
+
+        // Prevent multiple submissions
+        startOperation();
+        UI.showLoader('Submitting turn...');
+
+        try {
+            const darts = UI.getEnteredDarts(currentGame);
 
             console.log('Darts to submit:', darts);
 
@@ -638,6 +2464,12 @@ const App = (() => {
                 return;
             }
 
+            // Under remote scoring the database decides whose throw it is
+            if (currentGame.remote_scoring || isSpectatorMode) {
+                await submitRemoteTurn(darts);
+                return;
+            }
+
             // Track previous turn before submitting
             const previousTurn = currentGame.current_turn;
 
@@ -659,31 +2491,7 @@ const App = (() => {
             const roundCompleted = currentGame.current_turn > previousTurn;
             console.log(`Round completed: ${roundCompleted} (prev: ${previousTurn}, curr: ${currentGame.current_turn})`);
 
-            // Player finished - update winners board
-            if (result.playerFinished) {
-                // Always animate when player finishes
-                UI.updateWinnersBoard(result.allRankings, true);
-                UI.showToast(`🏆 ${result.playerFinished} finished in ${['1st', '2nd', '3rd'][result.finishRank - 1] || result.finishRank + 'th'} place!`, 'success');
-
-                // If game ended (last player finished)
-                if (result.gameEnded) {
-                    UI.updateWinnersBoard(result.finalRankings, true);
-                    setTimeout(() => {
-                        showGameCompletionModal(result.finalRankings);
-                    }, 800);
-                } else {
-                    // Continue with next player
-                    setTimeout(() => {
-                        UI.updateActiveGameUI(currentGame, false); // Don't animate on next player setup
-                        UI.showToast(`Next: ${result.nextPlayer}`, 'info');
-                    }, 800);
-                }
-            } else {
-                // Update rankings: animate only if round completed
-                UI.updateWinnersBoard(result.allRankings || Game.getRankings(currentGame), roundCompleted);
-                UI.updateActiveGameUI(currentGame, false); // Don't animate on regular update
-                UI.showToast(`Next: ${result.nextPlayer}`, 'info');
-            }
+            await showTurnResult(result, roundCompleted);
         } catch (error) {
             console.error('Error submitting turn:', error);
             UI.showToast('Failed to submit turn', 'error');
@@ -694,34 +2502,286 @@ const App = (() => {
     }
 
     /**
-     * Undo last dart
+     * Submit a turn under remote scoring: it is scored on a copy of the game, which
+     * only replaces the current one once the database has accepted the turn
+     */
+    async function submitRemoteTurn(darts) {
+        const previousTurn = currentGame.current_turn;
+        const playerIndex = currentGame.current_player_index;
+        const scored = JSON.parse(JSON.stringify(currentGame));
+
+        const result = Game.submitTurn(scored, darts);
+        if (!result.success) {
+            UI.showToast(result.error, 'error');
+            return;
+        }
+
+        const saved = await Storage.submitRemoteTurn(scored, playerIndex);
+        if (!saved.success) {
+            UI.showToast(saved.error, saved.code === OUT_OF_TURN ? 'warning' : 'error');
+            if (saved.code === OUT_OF_TURN) {
+                // Someone else's turn got in first: show the game as it is now
+                const latest = await Storage.getGame(currentGame.id);
+                if (latest) currentGame = latest;
+                if (isSpectatorMode) {
+                    renderWatchedGame();
+                } else {
+                    UI.updateActiveGameUI(currentGame);
+                }
+            }
+            return;
+        }
+
+        currentGame = scored;
+        if (isSpectatorMode) {
+            // The scoring device records match legs and shows the result
+            renderWatchedGame();
+            return;
+        }
+        await showTurnResult(result, currentGame.current_turn > previousTurn);
+        UI.renderRemoteScoring(currentGame, true);
+    }
+
+    /**
+     * Update the game page after a submitted (or redone) turn
+     */
+    async function showTurnResult(result, roundCompleted) {
+        // Player finished - update winners board
+        if (result.playerFinished) {
+            // Always animate when player finishes
+            UI.updateWinnersBoard(result.allRankings, true);
+            UI.showToast(`🏆 ${result.playerFinished} finished in ${['1st', '2nd', '3rd'][result.finishRank - 1] || result.finishRank + 'th'} place!`, 'success');
+
+            // If game ended (last player finished)
+            if (result.gameEnded) {
+                if (currentMatch) {
+                    await recordMatchLeg();
+                }
+                if (currentTournament) {
+                    await recordTournamentResult();
+                }
+                UI.updateWinnersBoard(result.finalRankings, true);
+                setTimeout(() => {
+                    showGameCompletionModal(result.finalRankings);
+                }, 800);
+            } else {
+                // Continue with next player
+                setTimeout(() => {
+                    UI.updateActiveGameUI(currentGame, false); // Don't animate on next player setup
+                    UI.showToast(`Next: ${result.nextPlayer}`, 'info');
+                }, 800);
+            }
+        } else {
+            // Update rankings: animate only if round completed
+            UI.updateWinnersBoard(result.allRankings || Game.getRankings(currentGame), roundCompleted);
+            UI.updateActiveGameUI(currentGame, false); // Don't animate on regular update
+            UI.showToast(`Next: ${result.nextPlayer}`, 'info');
+        }
+    }
+
+    /**
+     * Record the finished leg in the current match and save the match score
+     */
+    async function recordMatchLeg() {
+        const legResult = Match.recordLeg(currentMatch, currentGame);
+        if (!legResult.success) {
+            console.error('Failed to record leg:', legResult.error);
+            return;
+        }
+
+        await Storage.updateMatch(currentMatch);
+        UI.renderMatchScoreboard(currentMatch);
+        if (currentSeason) {
+            await recordSeasonLeg();
+        }
+
+        if (legResult.matchWinner) {
+            UI.showToast(`🏆 ${legResult.matchWinner} wins the match!`, 'success');
+        } else if (legResult.setWinner && Match.isSetsFormat(currentMatch)) {
+            UI.showToast(`${legResult.setWinner} wins the set`, 'success');
+        }
+    }
+
+    /**
+     * Record the finished leg on the current match's league fixture and save the season
+     */
+    async function recordSeasonLeg() {
+        const result = Season.recordLeg(currentSeason, currentMatch, currentGame);
+        if (!result.success) {
+            console.error('Failed to record league leg:', result.error);
+            return;
+        }
+
+        await Storage.updateSeason(currentSeason);
+
+        if (result.seasonWinner) {
+            UI.showToast(`🏆 ${result.seasonWinner} wins ${currentSeason.name}!`, 'success');
+        }
+    }
+
+    /**
+     * Record the finished game in its tournament, moving the winner on, and save the tournament
+     */
+    async function recordTournamentResult() {
+        const result = Tournament.recordResult(currentTournament, currentGame);
+        if (!result.success) {
+            console.error('Failed to record tournament result:', result.error);
+            return;
+        }
+
+        await Storage.updateTournament(currentTournament);
+
+        if (result.tournamentWinner) {
+            UI.showToast(`🏆 ${result.tournamentWinner} wins ${currentTournament.name}!`, 'success');
+        } else {
+            UI.showToast(`${result.winner} wins the fixture`, 'success');
+        }
+    }
+
+    /**
+     * Undo a tapped dart, or the last submitted turn
      */
     async function undoTurn() {
-        if (!currentGame) return;
+        if (!currentGame || isOperationInProgress) return;
 
-        const result = Game.undoLastDart(currentGame);
+        // Take back a tapped dart before touching submitted turns
+        if (UI.removePendingDart()) return;
+
+        // A player scoring on their own phone can only take back darts not yet submitted
+        if (isSpectatorMode) {
+            UI.showToast('Only the scoring device can undo submitted turns', 'warning');
+            return;
+        }
+
+        const finishedGame = currentGame.completed_at ? JSON.parse(JSON.stringify(currentGame)) : null;
+        const result = Game.undoLastTurn(currentGame);
         if (!result.success) {
             UI.showToast(result.error, 'warning');
             return;
         }
 
-        await Storage.updateGame(currentGame.id, currentGame);
+        // Undoing the final turn puts the game back in play, so its result is taken back too
+        const reopened = result.wasFinished ? reopenResults() : {};
+        if (reopened.error) {
+            currentGame = finishedGame;
+            UI.showToast(reopened.error, 'warning');
+            return;
+        }
+
+        startOperation();
+        try {
+            await Storage.updateGame(currentGame.id, currentGame);
+            if (reopened.tournament) await Storage.updateTournament(currentTournament);
+            if (reopened.match) await Storage.updateMatch(currentMatch);
+            if (reopened.season) await Storage.updateSeason(currentSeason);
+        } catch (error) {
+            console.error('Error saving undo:', error);
+            UI.showToast('Failed to save undo', 'error');
+        } finally {
+            endOperation();
+        }
+
+        if (result.wasFinished) {
+            document.getElementById('game-completion-modal').classList.add('hidden');
+            UI.renderMatchScoreboard(currentMatch);
+        }
         UI.updateActiveGameUI(currentGame);
         UI.showToast(`Turn undone for ${result.player}`, 'info');
     }
 
+    /**
+     * Take back the current game's result from its tournament or match (and league
+     * fixture) after its final turn was undone
+     * Returns which of them changed, or { error } when the result can't be taken back
+     */
+    function reopenResults() {
+        const reopened = { tournament: false, match: false, season: false };
+
+        const fixture = currentTournament && Tournament.getFixtureForGame(currentTournament, currentGame.id);
+        if (fixture?.status === 'done') {
+            const result = Tournament.undoResult(currentTournament, currentGame.id);
+            if (!result.success) return { error: result.error };
+            reopened.tournament = true;
+        }
+
+        if (currentMatch?.legs.some(leg => leg.game_id === currentGame.id)) {
+            if (!Match.undoLeg(currentMatch, currentGame.id)) {
+                return { error: 'A later leg of this match has already been played' };
+            }
+            reopened.match = true;
+            reopened.season = !!currentSeason && Season.undoLeg(currentSeason, currentMatch, currentGame.id);
+        }
+        return reopened;
+    }
+
+    /**
+     * Redo the last undone turn
+     */
+    async function redoTurn() {
+        if (!currentGame || isOperationInProgress) return;
+
+        const previousTurn = currentGame.current_turn;
+        const result = Game.redoTurn(currentGame);
+        if (!result.success) {
+            UI.showToast(result.error, 'warning');
+            return;
+        }
+
+        startOperation();
+        try {
+            await Storage.updateGame(currentGame.id, currentGame);
+            UI.showToast(`Turn redone for ${result.player}`, 'info');
+            await showTurnResult(result, currentGame.current_turn > previousTurn);
+        } catch (error) {
+            console.error('Error saving redo:', error);
+            UI.showToast('Failed to save redo', 'error');
+        } finally {
+            endOperation();
+        }
+    }
+
     /**
      * End current game
      */
     async function endGame() {
         if (!currentGame) return;
 
-        if (confirm('Are you sure you want to end this game?')) {
+        let message = 'Are you sure you want to end this game?';
+        if (currentMatch?.is_active && currentSeason) {
+            message = 'Are you sure you want to end this game? The league fixture will have to be played again from the start.';
+        } else if (currentMatch?.is_active) {
+            message = 'Are you sure you want to end this game? The match will end without a winner.';
+        } else if (currentTournament) {
+            message = 'Are you sure you want to end this game? The player ahead now wins the fixture.';
+        }
+
+        if (confirm(message)) {
+            const tournament = currentTournament;
+            const season = currentSeason;
             Game.endGame(currentGame);
             await Storage.updateGame(currentGame.id, currentGame);
+            if (currentMatch?.is_active) {
+                Match.abandonMatch(currentMatch);
+                await Storage.updateMatch(currentMatch);
+                // The fixture goes back on the list
+                const fixture = season && Season.getFixtureForMatch(season, currentMatch.id);
+                if (fixture && Season.resetFixture(season, fixture.id)) {
+                    await Storage.updateSeason(season);
+                }
+            }
+            if (tournament) {
+                await recordTournamentResult();
+            }
             currentGame = null;
+            currentMatch = null;
             UI.showToast('Game ended', 'info');
-            Router.navigate('home');
+            if (tournament) {
+                Router.navigate('tournament', { tournamentId: tournament.id });
+            } else if (season) {
+                Router.navigate('season', { seasonId: season.id });
+            } else {
+                Router.navigate('home');
+            }
         }
     }
 
@@ -745,6 +2805,22 @@ const App = (() => {
             return;
         }
 
+        // Matches show the legs/sets score and continue with the next leg
+        const matchContinues = currentMatch?.is_active;
+        document.getElementById('completion-title').textContent = !currentMatch
+            ? '🏆 Game Complete!'
+            : matchContinues ? '🎯 Leg Complete!' : '🏆 Match Complete!';
+        let rematchLabel = 'Rematch with Same Players';
+        if (matchContinues) {
+            rematchLabel = 'Start Next Leg';
+        } else if (currentTournament) {
+            rematchLabel = 'Back to Tournament';
+        } else if (currentSeason) {
+            rematchLabel = 'Back to League';
+        }
+        document.getElementById('rematch-btn-label').textContent = rematchLabel;
+        UI.renderMatchScoreboard(currentMatch, 'completion-match-score');
+
         if (!finalRankings || !Array.isArray(finalRankings) || finalRankings.length === 0) {
             console.error('No valid rankings data available!', finalRankings);
             rankingsDiv.innerHTML = '<p>No rankings available</p>';
@@ -789,6 +2865,25 @@ const App = (() => {
     async function startRematch() {
         if (!currentGame) return;
 
+        // A finished league fixture is followed by the next fixture, not a rematch
+        if (currentSeason && !currentMatch?.is_active) {
+            document.getElementById('game-completion-modal').classList.add('hidden');
+            Router.navigate('season', { seasonId: currentSeason.id });
+            return;
+        }
+
+        if (currentMatch) {
+            await startNextLeg();
+            return;
+        }
+
+        // Tournament games are followed by the next fixture, not a rematch
+        if (currentTournament) {
+            document.getElementById('game-completion-modal').classList.add('hidden');
+            Router.navigate('tournament', { tournamentId: currentTournament.id });
+            return;
+        }
+
         // Extract player names from current game
         const playerNames = currentGame.players.map(p => p.name);
         const gameType = currentGame.game_type;
@@ -805,7 +2900,12 @@ const App = (() => {
             playerNames: playerNames,
             gameType: gameType,
             winBelow: winCondition === 'below',
-            scoringMode: scoringMode
+            scoringMode: scoringMode,
+            outRule: currentGame.out_rule,
+            inRule: currentGame.in_rule,
+            gameMode: currentGame.game_mode,
+            cricketVariant: currentGame.cricket_variant,
+            startingScores: currentGame.players.map(p => p.startingScore)
         });
 
         // Save to database
@@ -818,6 +2918,37 @@ const App = (() => {
         UI.showToast('Starting rematch...', 'info');
     }
 
+    /**
+     * Continue the current match with its next leg, or start a new match once it is over
+     */
+    async function startNextLeg() {
+        const modal = document.getElementById('game-completion-modal');
+        modal.classList.add('hidden');
+
+        const isRematch = !currentMatch.is_active;
+        if (isRematch) {
+            currentMatch = Match.createRematch(currentMatch);
+        }
+
+        const nextLeg = Match.createNextLeg(currentMatch);
+
+        try {
+            if (isRematch) {
+                await Storage.saveMatch(currentMatch);
+            }
+            await Storage.saveGame(nextLeg);
+            if (currentSeason && Season.startLeg(currentSeason, nextLeg)) {
+                await Storage.updateSeason(currentSeason);
+            }
+            currentGame = nextLeg;
+            Router.navigate('game', { gameId: nextLeg.id });
+            UI.showToast(isRematch ? 'Starting new match...' : 'Starting next leg...', 'info');
+        } catch (error) {
+            UI.showToast('Failed to start next leg', 'error');
+            console.error('Start next leg error:', error);
+        }
+    }
+
     /**
      * Share current game
      */
@@ -857,7 +2988,11 @@ const App = (() => {
         document.getElementById('history-page').classList.add('hidden');
         document.getElementById('game-detail-page').classList.remove('hidden');
         UI.showPage('game-detail-page');
-        await UI.renderGameDetail(gameId);
+        closeReplay();
+        const game = await UI.renderGameDetail(gameId);
+        if (Replay.canReplay(game)) {
+            gameReplay = { replay: Replay.createReplay(game), step: 0, speed: Replay.SPEEDS[0], timer: null };
+        }
     }
 
     /**
@@ -922,12 +3057,18 @@ const App = (() => {
         loadSpectatorGame,
         loadHistory,
         loadLeaderboard,
+        loadPractice,
+        loadTournaments,
+        loadTournament,
+        loadSeasons,
+        loadSeason,
         loadGameFromUrl,
         viewGameDetail,
         viewPlayerProfile,
         resumeGame,
         submitTurn,
         undoTurn,
+        redoTurn,
         endGame,
         shareGame
     };
@@ -950,10 +3091,14 @@ document.addEventListener('DOMContentLoaded', async () => {
             attempts++;
         }
 
+        // Without a client (e.g. the Supabase library didn't load offline) the app runs from the local store
         if (!Storage.sb) {
-            throw new Error('Storage.sb not available after initialization');
+            console.warn('Storage.sb not available - running offline');
         }
 
+        // Restore a signed-in account (optional - anonymous play needs nothing)
+        await Auth.init();
+
         console.log('Storage ready, initializing app...');
     } catch (error) {
         console.error('Failed to initialize Storage:', error);
@@ -979,6 +3124,15 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 30000);
 });
 
+// Register the service worker so the app shell loads offline and can be installed
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('✓ Service worker registered:', registration.scope))
+            .catch(error => console.error('Service worker registration failed:', error));
+    });
+}
+
 // Handle beforeunload
 window.addEventListener('beforeunload', async (e) => {
     // Check if there's an active game that needs saving
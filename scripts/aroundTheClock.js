@@ -0,0 +1,95 @@
+/**
+ * Around the Clock Practice Mode
+ * Hit 1 to 20 in order, then the bull; fewest darts wins
+ */
+
+const AroundTheClock = (() => {
+    // 1-20 in order, then the bull (either ring counts)
+    const TARGETS = [...Array.from({ length: 20 }, (_, i) => i + 1), 25];
+
+    /**
+     * Initial state for a new session
+     */
+    function createState() {
+        return { targetIndex: 0, darts: 0, hits: 0 };
+    }
+
+    /**
+     * Current target for display
+     */
+    function getTarget(state) {
+        const target = TARGETS[state.targetIndex];
+        if (target === undefined) return 'Done';
+        return target === 25 ? 'Bull' : `${target}`;
+    }
+
+    /**
+     * Progress line under the target
+     */
+    function getProgress(state) {
+        return `Target ${Math.min(state.targetIndex + 1, TARGETS.length)} of ${TARGETS.length} · ${state.darts} darts`;
+    }
+
+    /**
+     * Apply a turn of darts; any ring of the target segment counts as a hit
+     */
+    function applyTurn(state, darts) {
+        const next = { ...state };
+        let hitsThisTurn = 0;
+
+        for (let i = 0; i < darts.length; i++) {
+            next.darts++;
+            if (darts[i].segment === TARGETS[next.targetIndex]) {
+                next.targetIndex++;
+                next.hits++;
+                hitsThisTurn++;
+            }
+
+            if (next.targetIndex === TARGETS.length) {
+                if (i < darts.length - 1) {
+                    return { success: false, error: `Finished on dart ${i + 1} - remove the darts after it` };
+                }
+                return { success: true, state: next, finished: true, message: `Around the clock in ${next.darts} darts!` };
+            }
+        }
+
+        if (darts.length < 3) {
+            return { success: false, error: 'Enter all 3 darts (use Miss for a miss)' };
+        }
+
+        return {
+            success: true,
+            state: next,
+            finished: false,
+            message: hitsThisTurn > 0 ? `${hitsThisTurn} hit${hitsThisTurn > 1 ? 's' : ''}` : 'No hits'
+        };
+    }
+
+    /**
+     * Final result; the score is the number of darts used
+     */
+    function getResult(state) {
+        return {
+            score: state.darts,
+            hits: state.hits,
+            summary: state.targetIndex === TARGETS.length
+                ? `${state.darts} darts`
+                : `Reached ${getTarget(state)} in ${state.darts} darts`
+        };
+    }
+
+    // Public API
+    return {
+        id: 'around-the-clock',
+        name: 'Around the Clock',
+        description: 'Hit 1 to 20 in order, then the bull. Fewest darts wins.',
+        scoreOrder: 'lower',
+        scoreLabel: 'Darts',
+        createOptions: () => ({}),
+        createState,
+        getTarget,
+        getProgress,
+        applyTurn,
+        getResult
+    };
+})();
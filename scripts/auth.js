@@ -0,0 +1,226 @@
+/**
+ * Auth Module
+ * Optional Supabase Auth accounts linked to a player record.
+ * Signing in is never required: anonymous players keep working by name.
+ */
+
+const Auth = (() => {
+    let user = null;
+    let player = null;
+    let admin = false;
+    const listeners = [];
+
+    /**
+     * Restore the session and follow sign-in/sign-out (including magic-link redirects)
+     */
+    async function init() {
+        const sb = Storage.sb;
+        if (!sb) return;
+
+        try {
+            const { data } = await sb.auth.getSession();
+            await setUser(data?.session?.user || null);
+        } catch (error) {
+            console.error('Failed to restore session:', error);
+        }
+
+        sb.auth.onAuthStateChange((event, session) => {
+            const nextUser = session?.user || null;
+            if (nextUser?.id !== user?.id) {
+                setUser(nextUser);
+            }
+        });
+    }
+
+    /**
+     * Set the signed-in user, load their linked player and tell listeners
+     */
+    async function setUser(nextUser) {
+        user = nextUser;
+        player = user ? await fetchLinkedPlayer() : null;
+        admin = user ? await fetchIsAdmin() : false;
+        notify();
+    }
+
+    /**
+     * Get the player linked to the signed-in account (null if none)
+     */
+    async function fetchLinkedPlayer() {
+        try {
+            const { data, error } = await Storage.sb
+                .from('players')
+                .select('id, name, nickname, avatar, claimed_at')
+                .eq('auth_user_id', user.id)
+                .maybeSingle();
+
+            if (error) throw error;
+            return data;
+        } catch (error) {
+            console.error('Failed to load linked player:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the signed-in account may manage players (listed in app_admins)
+     */
+    async function fetchIsAdmin() {
+        try {
+            const { data, error } = await Storage.sb.rpc('is_app_admin');
+            if (error) throw error;
+            return data === true;
+        } catch (error) {
+            console.error('Failed to check admin access:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Email a sign-in link that brings the user back to the app signed in
+     * (no hash route in the link: the session tokens come back in the hash)
+     */
+    async function signIn(email) {
+        const address = email?.trim();
+        if (!address) {
+            return { success: false, error: 'Enter your email address' };
+        }
+
+        const { error } = await Storage.sb.auth.signInWithOtp({
+            email: address,
+            options: { emailRedirectTo: `${window.location.origin}${window.location.pathname}` }
+        });
+
+        if (error) {
+            console.error('Sign-in error:', error);
+            return { success: false, error: error.message };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Sign out (games and players are untouched)
+     */
+    async function signOut() {
+        const { error } = await Storage.sb.auth.signOut();
+        if (error) {
+            console.error('Sign-out error:', error);
+            return { success: false, error: error.message };
+        }
+        await setUser(null);
+        return { success: true };
+    }
+
+    /**
+     * Link the account to a player by name, claiming their games (creates the player if new)
+     */
+    async function claimPlayer(name) {
+        if (!user) {
+            return { success: false, error: 'Sign in first' };
+        }
+        if (!name?.trim()) {
+            return { success: false, error: 'Enter a player name' };
+        }
+
+        const { data, error } = await Storage.sb.rpc('claim_player', { p_name: name.trim() });
+        if (error) {
+            console.error('Claim player error:', error);
+            return { success: false, error: error.message };
+        }
+
+        player = await fetchLinkedPlayer() || data;
+        notify();
+        return { success: true, player };
+    }
+
+    /**
+     * Unlink the account from its player (the player keeps their games)
+     */
+    async function releasePlayer() {
+        const { error } = await Storage.sb.rpc('release_player');
+        if (error) {
+            console.error('Release player error:', error);
+            return { success: false, error: error.message };
+        }
+
+        player = null;
+        notify();
+        return { success: true };
+    }
+
+    /**
+     * Update the linked player's profile ({ nickname, avatar })
+     */
+    async function updateProfile(profile) {
+        if (!player) {
+            return { success: false, error: 'Link a player first' };
+        }
+
+        const updates = {
+            nickname: profile.nickname?.trim() || null,
+            avatar: profile.avatar?.trim() || null
+        };
+
+        const { error } = await Storage.sb
+            .from('players')
+            .update(updates)
+            .eq('id', player.id);
+
+        if (error) {
+            console.error('Update profile error:', error);
+            return { success: false, error: error.message };
+        }
+
+        player = { ...player, ...updates };
+        notify();
+        return { success: true, player };
+    }
+
+    /**
+     * Signed-in user (null when anonymous)
+     */
+    function getUser() {
+        return user;
+    }
+
+    /**
+     * Player linked to the signed-in account (null when anonymous or not linked yet)
+     */
+    function getPlayer() {
+        return player;
+    }
+
+    /**
+     * Whether the signed-in account can rename and merge players
+     */
+    function isAdmin() {
+        return admin;
+    }
+
+    /**
+     * Listen for sign-in, sign-out and player link changes
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Tell listeners the account changed
+     */
+    function notify() {
+        listeners.forEach(listener => listener({ user, player }));
+    }
+
+    // Public API
+    return {
+        init,
+        signIn,
+        signOut,
+        claimPlayer,
+        releasePlayer,
+        updateProfile,
+        getUser,
+        getPlayer,
+        isAdmin,
+        onChange
+    };
+})();
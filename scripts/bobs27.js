@@ -0,0 +1,89 @@
+/**
+ * Bob's 27 Practice Mode
+ * Start on 27 and throw three darts at each double from D1 to the bull.
+ * Every hit adds the double's value; a round without a hit subtracts it.
+ * The session ends early once the score drops below zero.
+ */
+
+const Bobs27 = (() => {
+    const STARTING_SCORE = 27;
+    // D1-D20, then the bull (double 25)
+    const TARGETS = [...Array.from({ length: 20 }, (_, i) => i + 1), 25];
+
+    /**
+     * Initial state for a new session
+     */
+    function createState() {
+        return { round: 0, score: STARTING_SCORE, hits: 0, darts: 0 };
+    }
+
+    /**
+     * Current double for display
+     */
+    function getTarget(state) {
+        const target = TARGETS[state.round];
+        if (target === undefined) return 'Done';
+        return target === 25 ? 'Bull' : `D${target}`;
+    }
+
+    /**
+     * Progress line under the target
+     */
+    function getProgress(state) {
+        return `Score ${state.score} · Round ${Math.min(state.round + 1, TARGETS.length)} of ${TARGETS.length}`;
+    }
+
+    /**
+     * Apply a round of three darts at the current double
+     */
+    function applyTurn(state, darts) {
+        if (darts.length < 3) {
+            return { success: false, error: 'Enter all 3 darts (use Miss for a miss)' };
+        }
+
+        const target = TARGETS[state.round];
+        const value = target * 2;
+        const hits = darts.filter(d => d.segment === target && d.multiplier === 2).length;
+
+        const next = {
+            round: state.round + 1,
+            score: hits > 0 ? state.score + hits * value : state.score - value,
+            hits: state.hits + hits,
+            darts: state.darts + darts.length
+        };
+
+        const finished = next.score < 0 || next.round === TARGETS.length;
+        let message = hits > 0 ? `+${hits * value}` : `-${value}`;
+        if (next.score < 0) message = `Below zero on ${getTarget(state)} - game over`;
+
+        return { success: true, state: next, finished, message };
+    }
+
+    /**
+     * Final result; the score is the points left (higher is better)
+     */
+    function getResult(state) {
+        return {
+            score: state.score,
+            hits: state.hits,
+            summary: state.score < 0
+                ? `Out on ${TARGETS[state.round - 1] === 25 ? 'Bull' : `D${TARGETS[state.round - 1]}`}`
+                : `${state.score} points`
+        };
+    }
+
+    // Public API
+    return {
+        id: 'bobs-27',
+        name: "Bob's 27",
+        description: 'Start on 27, three darts at each double. Hits add, a blank round subtracts.',
+        scoreOrder: 'higher',
+        scoreLabel: 'Points',
+        createOptions: () => ({}),
+        createState,
+        getTarget,
+        getProgress,
+        applyTurn,
+        getResult
+    };
+})();
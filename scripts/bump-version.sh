@@ -3,7 +3,7 @@
 # Usage: ./scripts/bump-version.sh
 
 # Get current version
-CURRENT=$(grep -o 'v=[0-9.]*' index.html | head -1 | cut -d= -f2)
+CURRENT=$(grep -o '?v=[0-9.]*' index.html | head -1 | cut -d= -f2)
 echo "Current version: $CURRENT"
 
 # Use timestamp as new version (YYYYMMDD.HHMM)
@@ -11,10 +11,15 @@ NEW_VERSION=$(date +"%Y%m%d.%H%M")
 
 echo "New version: $NEW_VERSION"
 
-# Replace all version parameters in index.html
-sed -i '' "s/v=[0-9.]*/v=$NEW_VERSION/g" index.html
+# Replace all version parameters in index.html (only ?v=, so http-equiv= is left alone)
+# -i.bak works with both GNU and BSD sed; the backups are removed below
+sed -i.bak "s/?v=[0-9.]*/?v=$NEW_VERSION/g" index.html
 
-echo "✅ Updated all script and style tags to v=$NEW_VERSION"
+# Keep the service worker's precache in step (a new version also makes it drop the old cache)
+sed -i.bak "s/const VERSION = '[0-9.]*'/const VERSION = '$NEW_VERSION'/" sw.js
+rm -f index.html.bak sw.js.bak
+
+echo "✅ Updated all script and style tags and the service worker to v=$NEW_VERSION"
 echo ""
 echo "Now commit and push:"
-echo "  git add index.html && git commit -m 'Bump cache version to $NEW_VERSION' && git push"
+echo "  git add index.html sw.js && git commit -m 'Bump cache version to $NEW_VERSION' && git push"
@@ -0,0 +1,180 @@
+/**
+ * Cast Module
+ * Pairs a TV showing #/tv with a scoring phone. The TV shows a pairing code and
+ * listens on the realtime broadcast channel tv:<code>; a phone that knows the code
+ * sends it the game to show, and again whenever it starts the next game or a rematch.
+ * Nothing is stored in the database - the code is only a channel name.
+ */
+
+const Cast = (() => {
+    const TV_CODE_KEY = 'dart_bee_tv_code';
+    const CAST_CODE_KEY = 'dart_bee_cast_code';
+    // No 0/O or 1/I, so codes read off a TV across the room are easy to type
+    const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const CODE_LENGTH = 6;
+    // How long a phone waits for the TV to confirm a game
+    const ACK_TIMEOUT = 5000;
+
+    let tvChannel = null;
+    let castChannel = null;
+    let castChannelCode = null;
+    // Games sent to the TV and not confirmed yet: game ID -> resolve
+    const pendingAcks = new Map();
+
+    /**
+     * Generate a pairing code
+     */
+    function generateCode() {
+        const values = crypto.getRandomValues(new Uint32Array(CODE_LENGTH));
+        return Array.from(values, v => CODE_ALPHABET[v % CODE_ALPHABET.length]).join('');
+    }
+
+    /**
+     * Tidy up a code typed on the phone (case, spaces); null when it can't be a code
+     */
+    function normalizeCode(code) {
+        const cleaned = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return cleaned.length === CODE_LENGTH ? cleaned : null;
+    }
+
+    /**
+     * This TV's pairing code, kept across reloads so a paired phone keeps reaching it
+     */
+    function getTvCode() {
+        let code = localStorage.getItem(TV_CODE_KEY);
+        if (!normalizeCode(code)) {
+            code = generateCode();
+            localStorage.setItem(TV_CODE_KEY, code);
+        }
+        return code;
+    }
+
+    /**
+     * TV: listen for games cast to this TV's code, confirming each one to the phone
+     */
+    function listen(onCast) {
+        const sb = Storage.sb;
+        if (!sb || tvChannel) return;
+
+        tvChannel = sb
+            .channel(`tv:${getTvCode()}`)
+            .on('broadcast', { event: 'cast' }, ({ payload }) => {
+                if (typeof payload?.game_id !== 'string') return;
+                tvChannel.send({ type: 'broadcast', event: 'cast-ack', payload: { game_id: payload.game_id } });
+                onCast(payload.game_id);
+            })
+            .subscribe((status) => {
+                console.log('TV channel status:', status);
+            });
+    }
+
+    /**
+     * TV: stop listening (leaving the TV page)
+     */
+    function stopListening() {
+        if (tvChannel) {
+            Storage.sb?.removeChannel(tvChannel);
+            tvChannel = null;
+        }
+    }
+
+    /**
+     * Phone: the code of the TV this device casts to, or null
+     */
+    function getPairedCode() {
+        return normalizeCode(localStorage.getItem(CAST_CODE_KEY));
+    }
+
+    /**
+     * Phone: open the channel to a TV, resolving once it can be sent on
+     */
+    function openCastChannel(code) {
+        const sb = Storage.sb;
+        if (!sb) return Promise.resolve(null);
+        if (castChannel && castChannelCode === code) return Promise.resolve(castChannel);
+
+        closeCastChannel();
+        castChannelCode = code;
+        return new Promise((resolve) => {
+            castChannel = sb
+                .channel(`tv:${code}`)
+                .on('broadcast', { event: 'cast-ack' }, ({ payload }) => {
+                    pendingAcks.get(payload?.game_id)?.(true);
+                });
+            castChannel.subscribe((status) => {
+                if (status === 'SUBSCRIBED') resolve(castChannel);
+                else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') resolve(null);
+            });
+        });
+    }
+
+    /**
+     * Phone: close the channel to the TV
+     */
+    function closeCastChannel() {
+        if (castChannel) {
+            Storage.sb?.removeChannel(castChannel);
+            castChannel = null;
+            castChannelCode = null;
+        }
+    }
+
+    /**
+     * Phone: show a game on the paired TV
+     * Returns true once the TV confirms, false when it doesn't answer in time
+     */
+    async function castGame(gameId, code = getPairedCode()) {
+        if (!code) return false;
+
+        const channel = await openCastChannel(code);
+        if (!channel) return false;
+
+        return new Promise((resolve) => {
+            const done = (confirmed) => {
+                clearTimeout(timer);
+                pendingAcks.delete(gameId);
+                resolve(confirmed);
+            };
+            const timer = setTimeout(() => done(false), ACK_TIMEOUT);
+            pendingAcks.set(gameId, done);
+            channel.send({ type: 'broadcast', event: 'cast', payload: { game_id: gameId } });
+        });
+    }
+
+    /**
+     * Phone: pair with a TV by its code and show a game on it
+     * Returns { success } or { success: false, error }; the pairing is only kept when the TV answers
+     */
+    async function pair(code, gameId) {
+        const normalized = normalizeCode(code);
+        if (!normalized) {
+            return { success: false, error: `TV codes are ${CODE_LENGTH} letters and numbers` };
+        }
+
+        if (!await castGame(gameId, normalized)) {
+            closeCastChannel();
+            return { success: false, error: 'No TV answered - check the code on the TV screen' };
+        }
+
+        localStorage.setItem(CAST_CODE_KEY, normalized);
+        return { success: true };
+    }
+
+    /**
+     * Phone: stop casting to the TV
+     */
+    function unpair() {
+        localStorage.removeItem(CAST_CODE_KEY);
+        closeCastChannel();
+    }
+
+    return {
+        getTvCode,
+        listen,
+        stopListening,
+        getPairedCode,
+        castGame,
+        pair,
+        unpair
+    };
+})();
@@ -220,6 +220,69 @@ const Charts = (() => {
         return chartInstances[canvasId];
     }
 
+    /**
+     * Create Rating Trend Line Chart
+     * Shows the rating after each rated game, with the change in the tooltip
+     */
+    function createRatingChart(canvasId, ratingHistory) {
+        destroyChart(canvasId);
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        const ctx = canvas.getContext('2d');
+
+        if (!ratingHistory || ratingHistory.length === 0) {
+            ctx.font = '14px Inter, sans-serif';
+            ctx.fillStyle = COLORS.textLight;
+            ctx.textAlign = 'center';
+            ctx.fillText('No rated games yet', canvas.width / 2, canvas.height / 2);
+            return null;
+        }
+
+        const labels = ratingHistory.map(r => r.date);
+
+        const options = getDefaultOptions('line');
+        options.plugins.legend.display = false;
+        options.plugins.tooltip.callbacks = {
+            label: (context) => {
+                const entry = ratingHistory[context.dataIndex];
+                const sign = entry.change > 0 ? '+' : '';
+                const place = entry.finishRank ? ` (${entry.finishRank} of ${entry.fieldSize})` : '';
+                return `Rating ${entry.rating}: ${sign}${entry.change.toFixed(1)}${place}`;
+            }
+        };
+        options.scales.y.title = {
+            display: true,
+            text: 'Rating',
+            font: { family: 'Inter, sans-serif', size: 11 },
+            color: COLORS.textLight
+        };
+
+        chartInstances[canvasId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [{
+                    label: 'Rating',
+                    data: ratingHistory.map(r => r.rating),
+                    borderColor: COLORS.accentBlue,
+                    backgroundColor: 'rgba(56, 162, 255, 0.1)',
+                    fill: true,
+                    tension: 0.3,
+                    pointBackgroundColor: ratingHistory.map(r => r.change >= 0 ? COLORS.accentGreen : COLORS.accentRed),
+                    pointBorderColor: COLORS.white,
+                    pointBorderWidth: 2,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }]
+            },
+            options: options
+        });
+
+        return chartInstances[canvasId];
+    }
+
     /**
      * Create Score Distribution Bar Chart
      * Shows distribution of turn scores (0-60, 60-100, 100-140, 140-180, 180)
@@ -372,13 +435,15 @@ const Charts = (() => {
             'wins': 'Total Wins',
             'win-rate': 'Win Rate (%)',
             'avg-turn': 'Avg per Turn',
-            '180s': 'Total 180s'
+            '180s': 'Total 180s',
+            'rating': 'Rating'
         };
 
         const options = getDefaultOptions('bar');
         options.indexAxis = 'y';
         options.plugins.legend.display = false;
-        options.scales.x.beginAtZero = true;
+        // Ratings sit around 1500, so their bars start near the lowest one
+        options.scales.x.beginAtZero = metric !== 'rating';
         options.scales.x.title = {
             display: true,
             text: metricLabels[metric] || 'Value',
@@ -505,6 +570,210 @@ const Charts = (() => {
         return chartInstances[canvasId];
     }
 
+    /**
+     * Write a message on an empty chart canvas
+     */
+    function showNoData(canvas, message) {
+        const ctx = canvas.getContext('2d');
+        ctx.font = '14px Inter, sans-serif';
+        ctx.fillStyle = COLORS.textLight;
+        ctx.textAlign = 'center';
+        ctx.fillText(message, canvas.width / 2, canvas.height / 2);
+    }
+
+    /**
+     * Whether a game has any turns to chart
+     */
+    function hasTurns(game) {
+        return Boolean(game) && game.players.some(p => p.turns.length > 0);
+    }
+
+    /**
+     * A player's turns as chart points: what each turn scored (X01 points, Cricket marks),
+     * whether it was a bust, the score after it and the running average
+     * A bust shows what its darts added up to, but counts as nothing in the average
+     */
+    function getTurnSeries(game, player) {
+        const isCricket = game.game_mode === 'cricket';
+        let before = player.startingScore;
+        let total = 0;
+
+        return player.turns.map((turn, index) => {
+            const thrown = turn.darts.reduce((a, b) => a + b, 0);
+            // Points taken off the score, so darts thrown before a double-in don't count
+            const scored = isCricket ? (turn.marks || 0) : turn.busted ? 0 : before - turn.remaining;
+            before = turn.remaining;
+            total += scored;
+
+            return {
+                score: turn.busted ? thrown : scored,
+                busted: Boolean(turn.busted),
+                remaining: Math.max(0, turn.remaining),
+                average: Math.round(total / (index + 1) * 100) / 100
+            };
+        });
+    }
+
+    /**
+     * Round labels ("R1", "R2"...) up to the most turns any player threw
+     */
+    function getRoundLabels(game) {
+        const rounds = Math.max(0, ...game.players.map(p => p.turns.length));
+        return Array.from({ length: rounds }, (_, i) => `R${i + 1}`);
+    }
+
+    /**
+     * Line chart options for one line per player
+     */
+    function getPlayerLineOptions(yTitle) {
+        const options = getDefaultOptions('line');
+        options.interaction = { mode: 'index', intersect: false };
+        options.scales.y.beginAtZero = true;
+        options.scales.y.title = {
+            display: true,
+            text: yTitle,
+            font: { family: 'Inter, sans-serif', size: 11 },
+            color: COLORS.textLight
+        };
+        return options;
+    }
+
+    /**
+     * Line dataset of one player, in the player's palette color
+     */
+    function getPlayerLine(player, index, data) {
+        const color = CHART_PALETTE[index % CHART_PALETTE.length];
+        return {
+            label: player.name,
+            data: data,
+            borderColor: color,
+            backgroundColor: color,
+            tension: 0.2,
+            pointRadius: 3,
+            pointHoverRadius: 5
+        };
+    }
+
+    /**
+     * Create Game Race Line Chart
+     * Each player's remaining score (Cricket: points) round by round, from the start
+     */
+    function createGameRaceChart(canvasId, game) {
+        destroyChart(canvasId);
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        if (!hasTurns(game)) {
+            showNoData(canvas, 'No turns yet');
+            return null;
+        }
+
+        const isCricket = game.game_mode === 'cricket';
+        const labels = ['Start', ...getRoundLabels(game)];
+        const datasets = game.players.map((player, index) => getPlayerLine(player, index, [
+            isCricket ? 0 : player.startingScore,
+            ...getTurnSeries(game, player).map(t => t.remaining)
+        ]));
+
+        chartInstances[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { labels, datasets },
+            options: getPlayerLineOptions(isCricket ? 'Points' : 'Remaining')
+        });
+
+        return chartInstances[canvasId];
+    }
+
+    /**
+     * Create Game Turn Scores Bar Chart
+     * Every player's score per turn (Cricket: marks), with busts in red
+     */
+    function createGameTurnsChart(canvasId, game) {
+        destroyChart(canvasId);
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        if (!hasTurns(game)) {
+            showNoData(canvas, 'No turns yet');
+            return null;
+        }
+
+        const datasets = game.players.map((player, index) => {
+            const color = CHART_PALETTE[index % CHART_PALETTE.length];
+            const series = getTurnSeries(game, player);
+            return {
+                label: player.name,
+                data: series.map(t => t.score),
+                busts: series.map(t => t.busted),
+                backgroundColor: series.map(t => (t.busted ? COLORS.accentRed : color)),
+                // Kept for the legend, whose swatch would otherwise take the first bar's color
+                borderColor: color,
+                borderRadius: 4
+            };
+        });
+
+        const options = getDefaultOptions('bar');
+        options.scales.y.beginAtZero = true;
+        options.scales.y.title = {
+            display: true,
+            text: game.game_mode === 'cricket' ? 'Marks' : 'Score',
+            font: { family: 'Inter, sans-serif', size: 11 },
+            color: COLORS.textLight
+        };
+        options.plugins.legend.labels.generateLabels = (chart) => chart.data.datasets.map((dataset, i) => ({
+            text: dataset.label,
+            fillStyle: dataset.borderColor,
+            strokeStyle: dataset.borderColor,
+            fontColor: COLORS.textDark,
+            lineWidth: 0,
+            hidden: !chart.isDatasetVisible(i),
+            datasetIndex: i
+        }));
+        options.plugins.tooltip.callbacks = {
+            label: (context) => {
+                const bust = context.dataset.busts[context.dataIndex] ? ' (bust)' : '';
+                return `${context.dataset.label}: ${context.parsed.y}${bust}`;
+            }
+        };
+
+        chartInstances[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: { labels: getRoundLabels(game), datasets },
+            options: options
+        });
+
+        return chartInstances[canvasId];
+    }
+
+    /**
+     * Create Game Average Line Chart
+     * Each player's running average per turn (Cricket: marks per round) after every turn
+     */
+    function createGameAverageChart(canvasId, game) {
+        destroyChart(canvasId);
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        if (!hasTurns(game)) {
+            showNoData(canvas, 'No turns yet');
+            return null;
+        }
+
+        const datasets = game.players.map((player, index) =>
+            getPlayerLine(player, index, getTurnSeries(game, player).map(t => t.average)));
+
+        chartInstances[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: { labels: getRoundLabels(game), datasets },
+            options: getPlayerLineOptions(game.game_mode === 'cricket' ? 'MPR' : 'Avg per Turn')
+        });
+
+        return chartInstances[canvasId];
+    }
+
     /**
      * Destroy all chart instances (cleanup)
      */
@@ -518,10 +787,14 @@ const Charts = (() => {
     return {
         createWinLossChart,
         createPerformanceChart,
+        createRatingChart,
         createScoreDistributionChart,
         createHeadToHeadChart,
         createLeaderboardChart,
         createStatsRadarChart,
+        createGameRaceChart,
+        createGameTurnsChart,
+        createGameAverageChart,
         destroyChart,
         destroyAllCharts,
         COLORS
@@ -0,0 +1,204 @@
+/**
+ * Checkout Module
+ * Suggests a finishing route for the score left, the darts left in the turn
+ * and the game's checkout rule
+ */
+
+const Checkout = (() => {
+    // Highest score that can be finished in three darts per checkout rule
+    const MAX_CHECKOUT = { straight: 180, double: 170, master: 180 };
+
+    // Preferred double-out routes from 41 to 170 (the usual checkout chart).
+    // Lower finishes, other checkout rules and fewer darts left are worked out by search.
+    const PREFERRED_ROUTES = {
+        170: 'T20 T20 Bull', 167: 'T20 T19 Bull', 164: 'T20 T18 Bull', 161: 'T20 T17 Bull',
+        160: 'T20 T20 D20', 158: 'T20 T20 D19', 157: 'T20 T19 D20', 156: 'T20 T20 D18',
+        155: 'T20 T19 D19', 154: 'T20 T18 D20', 153: 'T20 T19 D18', 152: 'T20 T20 D16',
+        151: 'T20 T17 D20', 150: 'T20 T18 D18', 149: 'T20 T19 D16', 148: 'T20 T16 D20',
+        147: 'T20 T17 D18', 146: 'T20 T18 D16', 145: 'T20 T15 D20', 144: 'T20 T20 D12',
+        143: 'T20 T17 D16', 142: 'T20 T14 D20', 141: 'T20 T19 D12', 140: 'T20 T20 D10',
+        139: 'T20 T13 D20', 138: 'T20 T18 D12', 137: 'T20 T19 D10', 136: 'T20 T20 D8',
+        135: 'T20 T17 D12', 134: 'T20 T14 D16', 133: 'T20 T19 D8', 132: 'T20 T16 D12',
+        131: 'T20 T13 D16', 130: 'T20 T20 D5', 129: 'T19 T16 D12', 128: 'T18 T14 D16',
+        127: 'T20 T17 D8', 126: 'T19 T19 D6', 125: '25 T20 D20', 124: 'T20 D16 D16',
+        123: 'T19 T16 D9', 122: 'T18 T20 D4', 121: 'T20 T11 D14', 120: 'T20 20 D20',
+        119: 'T19 T12 D13', 118: 'T20 18 D20', 117: 'T20 17 D20', 116: 'T20 16 D20',
+        115: 'T20 15 D20', 114: 'T20 14 D20', 113: 'T20 13 D20', 112: 'T20 12 D20',
+        111: 'T20 19 D16', 110: 'T20 Bull', 109: 'T20 9 D20', 108: 'T20 16 D16',
+        107: 'T19 Bull', 106: 'T20 10 D18', 105: 'T20 13 D16', 104: 'T18 Bull',
+        103: 'T19 10 D18', 102: 'T20 10 D16', 101: 'T17 Bull', 100: 'T20 D20',
+        99: 'T19 10 D16', 98: 'T20 D19', 97: 'T19 D20', 96: 'T20 D18',
+        95: 'T19 D19', 94: 'T18 D20', 93: 'T19 D18', 92: 'T20 D16',
+        91: 'T17 D20', 90: 'T20 D15', 89: 'T19 D16', 88: 'T16 D20',
+        87: 'T17 D18', 86: 'T18 D16', 85: 'T15 D20', 84: 'T20 D12',
+        83: 'T17 D16', 82: 'Bull D16', 81: 'T19 D12', 80: 'T20 D10',
+        79: 'T13 D20', 78: 'T18 D12', 77: 'T19 D10', 76: 'T20 D8',
+        75: 'T17 D12', 74: 'T14 D16', 73: 'T19 D8', 72: 'T16 D12',
+        71: 'T13 D16', 70: 'T10 D20', 69: 'T19 D6', 68: 'T20 D4',
+        67: 'T17 D8', 66: 'T10 D18', 65: '25 D20', 64: 'T16 D8',
+        63: 'T13 D12', 62: 'T10 D16', 61: '25 D18', 60: '20 D20',
+        59: '19 D20', 58: '18 D20', 57: '17 D20', 56: '16 D20',
+        55: '15 D20', 54: '14 D20', 53: '13 D20', 52: '12 D20',
+        51: '19 D16', 50: 'Bull', 49: '9 D20', 48: '16 D16',
+        47: '15 D16', 46: '6 D20', 45: '13 D16', 44: '4 D20',
+        43: '3 D20', 42: '10 D16', 41: '9 D16'
+    };
+
+    // Finishing doubles in order of preference (bull last)
+    const PREFERRED_DOUBLES = [20, 16, 18, 12, 10, 8, 19, 17, 14, 15, 13, 11, 9, 6, 4, 7, 5, 3, 2, 1, 25];
+
+    // Every scoring dart on the board, highest score first
+    const BOARD_DARTS = (() => {
+        const darts = [];
+        for (let segment = 1; segment <= 20; segment++) {
+            [1, 2, 3].forEach(multiplier => darts.push(Game.createDart(segment, multiplier)));
+        }
+        darts.push(Game.createDart(25, 1), Game.createDart(25, 2));
+        return darts.sort((a, b) => Game.getDartScore(b) - Game.getDartScore(a));
+    })();
+
+    // Routes already worked out, keyed by "remaining:dartsLeft:outRule"
+    const routeCache = new Map();
+
+    /**
+     * Parse a chart dart ("T20", "D16", "17", "25", "Bull")
+     */
+    function parseDart(text) {
+        if (text === 'Bull') return Game.createDart(25, 2);
+        const multiplier = { T: 3, D: 2 }[text[0]] || 1;
+        return Game.createDart(multiplier > 1 ? text.slice(1) : text, multiplier);
+    }
+
+    /**
+     * How awkward a dart is to aim at when setting up a finish (lower is easier)
+     * Big singles first, then the outer bull, trebles, and doubles last
+     */
+    function setupCost(dart) {
+        if (dart.segment === 25) return dart.multiplier === 2 ? 60 : 20;
+        if (dart.multiplier === 1) return 20 - dart.segment;
+        if (dart.multiplier === 3) return 30 + (20 - dart.segment);
+        return 60 + (20 - dart.segment);
+    }
+
+    /**
+     * How awkward a dart is to finish on (lower is better)
+     */
+    function finishCost(dart, outRule) {
+        if (dart.multiplier === 2) return PREFERRED_DOUBLES.indexOf(dart.segment);
+        if (outRule === 'master') return PREFERRED_DOUBLES.length + setupCost(dart);
+        return setupCost(dart);
+    }
+
+    /**
+     * Easiest finishing dart for each score under a checkout rule
+     */
+    function getFinishers(outRule) {
+        const finishers = new Map();
+        BOARD_DARTS
+            .filter(d => Game.isValidFinish(d, outRule))
+            .forEach(d => {
+                const score = Game.getDartScore(d);
+                const current = finishers.get(score);
+                if (!current || finishCost(d, outRule) < finishCost(current, outRule)) {
+                    finishers.set(score, d);
+                }
+            });
+        return finishers;
+    }
+
+    /**
+     * Search the board for the easiest route using the fewest darts
+     */
+    function searchRoute(remaining, dartsLeft, outRule) {
+        const finishers = getFinishers(outRule);
+
+        for (let count = 1; count <= dartsLeft; count++) {
+            let best = null;
+            let bestCost = null;
+
+            const consider = (setup) => {
+                const left = remaining - setup.reduce((sum, d) => sum + Game.getDartScore(d), 0);
+                const finish = finishers.get(left);
+                if (!finish) return;
+
+                const cost = [
+                    finishCost(finish, outRule),
+                    setup.reduce((sum, d) => sum + setupCost(d), 0)
+                ];
+                if (!bestCost || cost[0] < bestCost[0] || (cost[0] === bestCost[0] && cost[1] < bestCost[1])) {
+                    best = [...setup, finish];
+                    bestCost = cost;
+                }
+            };
+
+            if (count === 1) {
+                consider([]);
+            } else if (count === 2) {
+                BOARD_DARTS.forEach(a => consider([a]));
+            } else {
+                // Setup darts in board order (highest first) so each pair is tried once
+                BOARD_DARTS.forEach((a, i) => {
+                    BOARD_DARTS.slice(i).forEach(b => consider([a, b]));
+                });
+            }
+
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the suggested route as a list of darts, or null when there is no checkout
+     */
+    function getRoute(remaining, dartsLeft = 3, outRule = 'double') {
+        if (remaining < 1 || remaining > MAX_CHECKOUT[outRule] || dartsLeft < 1) return null;
+
+        const key = `${remaining}:${dartsLeft}:${outRule}`;
+        if (routeCache.has(key)) return routeCache.get(key);
+
+        const preferred = outRule === 'double' ? PREFERRED_ROUTES[remaining] : null;
+        const preferredDarts = preferred ? preferred.split(' ').map(parseDart) : null;
+
+        const route = preferredDarts && preferredDarts.length <= dartsLeft
+            ? preferredDarts
+            : searchRoute(remaining, dartsLeft, outRule);
+
+        routeCache.set(key, route);
+        return route;
+    }
+
+    /**
+     * Format a route for display (e.g. "T20 T20 Bull")
+     */
+    function formatRoute(route) {
+        return route.map(Game.formatDart).join(' ');
+    }
+
+    /**
+     * Get the checkout suggestion for the player on throw
+     * Pending darts are the darts already thrown this turn (per-dart entry).
+     * Returns { remaining, dartsLeft, route } when the player is in checkout range, otherwise null.
+     */
+    function getSuggestion(game, player, pendingDarts = []) {
+        if (!player || game.game_mode === 'cricket' || game.win_condition === 'below') return null;
+        // Under double-in the thrower has to open before any finish matters
+        if (!Game.hasOpened(game, player)) return null;
+
+        const outRule = game.out_rule || 'straight';
+        const remaining = player.currentScore - pendingDarts.reduce((sum, d) => sum + Game.getDartScore(d), 0);
+        const dartsLeft = 3 - pendingDarts.length;
+
+        if (remaining < 1 || remaining > MAX_CHECKOUT[outRule] || dartsLeft < 1) return null;
+
+        return { remaining, dartsLeft, route: getRoute(remaining, dartsLeft, outRule) };
+    }
+
+    // Public API
+    return {
+        MAX_CHECKOUT,
+        getRoute,
+        formatRoute,
+        getSuggestion
+    };
+})();
@@ -0,0 +1,149 @@
+/**
+ * Checkout Drill Practice Mode
+ * Ten random finishes, nine darts (three visits) each, double out.
+ * A bust resets the finish to what was left at the start of the visit.
+ */
+
+const CheckoutDrill = (() => {
+    const ATTEMPTS = 10;
+    const DARTS_PER_ATTEMPT = 9;
+    const MIN_FINISH = 41;
+    const MAX_FINISH = 170;
+    // Finishes below 170 that cannot be checked out with three darts
+    const BOGEY_FINISHES = [159, 162, 163, 165, 166, 168, 169];
+
+    /**
+     * Pick the finishes for a new session
+     * Stored with the session so undo can replay the same drill
+     */
+    function createOptions() {
+        const pool = [];
+        for (let n = MIN_FINISH; n <= MAX_FINISH; n++) {
+            if (!BOGEY_FINISHES.includes(n)) pool.push(n);
+        }
+
+        const finishes = [];
+        for (let i = 0; i < ATTEMPTS; i++) {
+            finishes.push(pool[Math.floor(Math.random() * pool.length)]);
+        }
+        return { finishes };
+    }
+
+    /**
+     * Initial state for a new session
+     */
+    function createState(options) {
+        return {
+            finishes: options.finishes,
+            attempt: 0,
+            remaining: options.finishes[0],
+            attemptDarts: 0,
+            darts: 0,
+            hits: 0
+        };
+    }
+
+    /**
+     * Current finish for display
+     */
+    function getTarget(state) {
+        return state.attempt < ATTEMPTS ? `${state.remaining}` : 'Done';
+    }
+
+    /**
+     * Progress line under the target
+     */
+    function getProgress(state) {
+        const attempt = Math.min(state.attempt + 1, ATTEMPTS);
+        return `Checkout ${attempt} of ${ATTEMPTS} (${state.finishes[attempt - 1]}) · ` +
+            `${DARTS_PER_ATTEMPT - state.attemptDarts} darts left · ${state.hits} checked out`;
+    }
+
+    /**
+     * Move on to the next finish
+     */
+    function nextAttempt(state) {
+        state.attempt++;
+        state.attemptDarts = 0;
+        state.remaining = state.attempt < ATTEMPTS ? state.finishes[state.attempt] : 0;
+    }
+
+    /**
+     * Apply a visit at the current finish
+     */
+    function applyTurn(state, darts) {
+        const next = { ...state };
+        const visitStart = next.remaining;
+        let message = null;
+
+        for (let i = 0; i < darts.length; i++) {
+            const dart = darts[i];
+            const after = next.remaining - Game.getDartScore(dart);
+            next.attemptDarts++;
+            next.darts++;
+
+            const checkedOut = after === 0 && Game.isValidFinish(dart, 'double');
+            const busted = !checkedOut && after <= 1;
+
+            if ((checkedOut || busted) && i < darts.length - 1) {
+                return {
+                    success: false,
+                    error: `${checkedOut ? 'Checkout' : 'Bust'} on dart ${i + 1} - remove the darts after it`
+                };
+            }
+
+            if (checkedOut) {
+                message = `${state.finishes[next.attempt]} checked out in ${next.attemptDarts} dart${next.attemptDarts > 1 ? 's' : ''}!`;
+                next.hits++;
+                nextAttempt(next);
+                break;
+            }
+
+            next.remaining = busted ? visitStart : after;
+            if (busted) message = 'Bust';
+        }
+
+        if (!message && darts.length < 3) {
+            return { success: false, error: 'Enter all 3 darts (use Miss for a miss)' };
+        }
+
+        // Out of darts without a checkout
+        if (next.attemptDarts >= DARTS_PER_ATTEMPT) {
+            message = `Missed ${state.finishes[next.attempt]}`;
+            nextAttempt(next);
+        }
+
+        return {
+            success: true,
+            state: next,
+            finished: next.attempt === ATTEMPTS,
+            message: message || `${next.remaining} left`
+        };
+    }
+
+    /**
+     * Final result; the score is the number of finishes checked out
+     */
+    function getResult(state) {
+        return {
+            score: state.hits,
+            hits: state.hits,
+            summary: `${state.hits}/${ATTEMPTS} checkouts`
+        };
+    }
+
+    // Public API
+    return {
+        id: 'checkout-drill',
+        name: '9-Dart Checkout Drill',
+        description: 'Ten random finishes from 41 to 170. Nine darts each to check out on a double.',
+        scoreOrder: 'higher',
+        scoreLabel: 'Checkouts',
+        createOptions,
+        createState,
+        getTarget,
+        getProgress,
+        applyTurn,
+        getResult
+    };
+})();
@@ -0,0 +1,339 @@
+/**
+ * Cricket Module
+ * Marks, closing and points logic for Cricket (standard and cut-throat)
+ */
+
+const Cricket = (() => {
+    // Cricket numbers in board order on the marks grid; 25 is the bull
+    const TARGETS = [20, 19, 18, 17, 16, 15, 25];
+    const MARKS_TO_CLOSE = 3;
+    const VARIANTS = ['standard', 'cut-throat'];
+
+    /**
+     * Empty marks for a new player
+     */
+    function createMarks() {
+        const marks = {};
+        TARGETS.forEach(target => { marks[target] = 0; });
+        return marks;
+    }
+
+    /**
+     * Turn a new game into a Cricket game (called by Game.createGame)
+     */
+    function setupGame(game, variant = 'standard') {
+        game.game_mode = 'cricket';
+        game.cricket_variant = VARIANTS.includes(variant) ? variant : 'standard';
+        // Cricket is scored by segment, so every dart has to be entered
+        game.scoring_mode = 'per-dart';
+        game.game_type = 0;
+        game.win_condition = 'exact';
+        game.out_rule = 'straight';
+        game.in_rule = 'straight';
+
+        game.players.forEach(resetPlayer);
+        return game;
+    }
+
+    /**
+     * Reset a player's marks, points and Cricket stats
+     */
+    function resetPlayer(player) {
+        player.marks = createMarks();
+        player.startingScore = 0;
+        player.currentScore = 0;
+        player.stats = {
+            ...player.stats,
+            totalDarts: 0,
+            totalScore: 0,
+            avgPerDart: 0,
+            avgPerTurn: 0,
+            maxTurn: 0,
+            maxDart: 0,
+            totalMarks: 0,
+            maxMarks: 0,
+            mpr: 0
+        };
+    }
+
+    /**
+     * Marks a dart scores on its segment (0 for non-Cricket numbers)
+     */
+    function getDartMarks(dart) {
+        return TARGETS.includes(dart.segment) ? dart.multiplier : 0;
+    }
+
+    /**
+     * Check whether a player has closed every Cricket number
+     */
+    function hasClosedAll(marks) {
+        return TARGETS.every(target => marks[target] >= MARKS_TO_CLOSE);
+    }
+
+    /**
+     * Score darts for one player against a snapshot of all players' marks and points
+     * Returns the new snapshot, counted marks, points and the dart the game was won on
+     */
+    function scoreDarts(state, playerIndex, segments, variant) {
+        const next = state.map(s => ({ marks: { ...s.marks }, score: s.score }));
+        const thrower = next[playerIndex];
+        let marks = 0;
+        let points = 0;
+        let winnerIndex = -1;
+        let winningDart = -1;
+
+        segments.forEach((dart, dartIndex) => {
+            if (winnerIndex !== -1) return;
+
+            const target = dart.segment;
+            const hits = getDartMarks(dart);
+            if (hits === 0) return;
+
+            const opponents = next.filter((s, i) => i !== playerIndex);
+            const openOpponents = opponents.filter(s => s.marks[target] < MARKS_TO_CLOSE);
+
+            // A number everyone has closed is dead: no marks, no points
+            if (thrower.marks[target] >= MARKS_TO_CLOSE && openOpponents.length === 0) return;
+
+            const closing = Math.min(hits, MARKS_TO_CLOSE - thrower.marks[target]);
+            const extra = hits - closing;
+            thrower.marks[target] += closing;
+            marks += closing;
+
+            if (extra > 0 && openOpponents.length > 0) {
+                const value = target * extra;
+                if (variant === 'cut-throat') {
+                    openOpponents.forEach(s => { s.score += value; });
+                } else {
+                    thrower.score += value;
+                }
+                marks += extra;
+                points += value;
+            }
+
+            winnerIndex = findWinner(next, playerIndex, variant);
+            if (winnerIndex !== -1) winningDart = dartIndex;
+        });
+
+        return { state: next, marks, points, winnerIndex, winningDart };
+    }
+
+    /**
+     * Find a player who has closed everything and leads on points
+     * Standard: most points wins; cut-throat: fewest points wins
+     * The thrower is checked first, then the rest in throw order
+     */
+    function findWinner(state, throwerIndex, variant) {
+        for (let offset = 0; offset < state.length; offset++) {
+            const i = (throwerIndex + offset) % state.length;
+            const s = state[i];
+            if (!hasClosedAll(s.marks)) continue;
+
+            const leads = state.every((other, j) => j === i || (variant === 'cut-throat'
+                ? s.score <= other.score
+                : s.score >= other.score));
+            if (leads) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Snapshot of all players' marks and points
+     */
+    function getState(game) {
+        return game.players.map(p => ({ marks: { ...p.marks }, score: p.currentScore }));
+    }
+
+    /**
+     * Apply a snapshot back onto the game's players
+     */
+    function applyState(game, state) {
+        game.players.forEach((p, i) => {
+            p.marks = state[i].marks;
+            p.currentScore = state[i].score;
+        });
+    }
+
+    /**
+     * Record a scored turn on the thrower and update their stats
+     */
+    function recordTurn(player, turn) {
+        player.turns.push(turn);
+        player.stats.totalDarts += turn.darts.length;
+        player.stats.totalMarks += turn.marks;
+        player.stats.maxMarks = Math.max(player.stats.maxMarks, turn.marks);
+        player.stats.mpr = player.stats.totalMarks / player.turns.length;
+    }
+
+    /**
+     * Submit a turn for the current player
+     */
+    function submitTurn(game, dartsInput) {
+        if (!game.is_active) {
+            return { success: false, error: 'Game is not active' };
+        }
+
+        const validation = Game.validateTurn(dartsInput, 'per-dart');
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+        if (!validation.segments) {
+            return { success: false, error: 'Cricket needs every dart entered on the board' };
+        }
+
+        const playerIndex = game.current_player_index;
+        const currentPlayer = game.players[playerIndex];
+        const result = scoreDarts(getState(game), playerIndex, validation.segments, game.cricket_variant);
+
+        if (result.winnerIndex !== -1 && result.winningDart < validation.segments.length - 1) {
+            return { success: false, error: `Game won on dart ${result.winningDart + 1} - remove the darts after it` };
+        }
+
+        applyState(game, result.state);
+        recordTurn(currentPlayer, {
+            darts: validation.darts,
+            segments: validation.segments,
+            marks: result.marks,
+            points: result.points,
+            remaining: currentPlayer.currentScore,
+            busted: false,
+            timestamp: Date.now()
+        });
+
+        game.current_turn++;
+
+        if (result.winnerIndex !== -1) {
+            const winner = game.players[result.winnerIndex];
+            winner.finish_round = Math.floor((game.current_turn - 1) / game.players.length);
+            assignRankings(game, result.winnerIndex);
+            Game.endGame(game);
+
+            return {
+                success: true,
+                gameEnded: true,
+                playerFinished: winner.name,
+                finishRank: 1,
+                finalRankings: getRankings(game)
+            };
+        }
+
+        game.current_player_index = (playerIndex + 1) % game.players.length;
+        return { success: true, gameEnded: false, nextPlayer: game.players[game.current_player_index].name };
+    }
+
+    /**
+     * Count the numbers a player has closed
+     */
+    function countClosed(player) {
+        return TARGETS.filter(target => player.marks[target] >= MARKS_TO_CLOSE).length;
+    }
+
+    /**
+     * Players in standing order: numbers closed, then points, then throw order
+     */
+    function getStandings(game) {
+        const pointsOrder = game.cricket_variant === 'cut-throat' ? 1 : -1;
+        return game.players
+            .map((player, index) => ({ player, index }))
+            .sort((a, b) =>
+                countClosed(b.player) - countClosed(a.player) ||
+                (a.player.currentScore - b.player.currentScore) * pointsOrder ||
+                a.index - b.index
+            )
+            .map(entry => entry.player);
+    }
+
+    /**
+     * Assign finish ranks: the winner first, everyone else by standing
+     */
+    function assignRankings(game, winnerIndex = -1) {
+        const standings = getStandings(game);
+        if (winnerIndex !== -1) {
+            const winner = game.players[winnerIndex];
+            standings.splice(standings.indexOf(winner), 1);
+            standings.unshift(winner);
+        }
+
+        standings.forEach((player, index) => {
+            player.finish_rank = index + 1;
+            player.winner = index === 0;
+        });
+    }
+
+    /**
+     * Live rankings in the same shape as Game.getRankings, ordered by standing
+     */
+    function getRankings(game) {
+        return getStandings(game)
+            .map((p, index) => ({
+                name: p.name,
+                rank: p.finish_rank,
+                standing: index + 1,
+                score: p.currentScore,
+                darts: p.stats.totalDarts,
+                turns: p.turns.length,
+                marks: p.stats.totalMarks || 0,
+                mpr: (p.stats.mpr || 0).toFixed(2),
+                avgPerTurn: (p.stats.mpr || 0).toFixed(2),
+                avgPerDart: 0
+            }))
+            .sort((a, b) => (a.rank || 999) - (b.rank || 999) || a.standing - b.standing);
+    }
+
+    /**
+     * Rebuild marks, points and stats by replaying every turn in throw order
+     * Used after loading from the database, where only the darts are stored
+     */
+    function rebuildState(game) {
+        const turnsByPlayer = game.players.map(p => p.turns);
+        game.players.forEach(p => {
+            resetPlayer(p);
+            p.turns = [];
+        });
+
+        const rounds = Math.max(0, ...turnsByPlayer.map(turns => turns.length));
+        for (let round = 0; round < rounds; round++) {
+            game.players.forEach((player, index) => {
+                const turn = turnsByPlayer[index][round];
+                if (!turn) return;
+
+                const segments = turn.segments || [];
+                const result = scoreDarts(getState(game), index, segments, game.cricket_variant);
+                applyState(game, result.state);
+                recordTurn(player, {
+                    ...turn,
+                    marks: result.marks,
+                    points: result.points,
+                    remaining: player.currentScore
+                });
+            });
+        }
+
+        game.current_player_index = game.players.length > 0 ? game.current_turn % game.players.length : 0;
+        return game;
+    }
+
+    /**
+     * Display symbol for a number of marks on the grid
+     */
+    function formatMarks(count) {
+        if (count >= MARKS_TO_CLOSE) return 'Ⓧ';
+        return ['', '/', 'X'][count] || '';
+    }
+
+    // Public API
+    return {
+        TARGETS,
+        MARKS_TO_CLOSE,
+        VARIANTS,
+        setupGame,
+        getDartMarks,
+        hasClosedAll,
+        submitTurn,
+        getStandings,
+        assignRankings,
+        getRankings,
+        rebuildState,
+        formatMarks
+    };
+})();
@@ -1,10 +1,16 @@
 /**
  * Device Manager Module
- * Manages unique device ID for distinguishing active game owners from spectators
+ * Manages unique device ID, the owner tokens of games scored on this device and the
+ * seat tokens of players scoring their own turns from it (remote scoring).
+ * A game's owner token is the secret the database asks for before it accepts changes
+ * to that game; whoever holds it is the scorer, everyone else is a spectator.
+ * Matches get owner tokens the same way, kept alongside by match ID.
  */
 
 const Device = (() => {
     const DEVICE_ID_KEY = 'dart_bee_device_id';
+    const GAME_TOKENS_KEY = 'dart_bee_game_tokens';
+    const GAME_SEATS_KEY = 'dart_bee_game_seats';
 
     /**
      * Generate a unique device ID (UUID v4)
@@ -35,11 +41,120 @@ const Device = (() => {
     }
 
     /**
-     * Check if current device owns the game
+     * Owner tokens of games scored on this device ({ gameId: token })
      */
-    function isGameOwner(gameDeviceId) {
-        const currentDeviceId = getDeviceId();
-        return currentDeviceId === gameDeviceId;
+    function getGameTokens() {
+        try {
+            return JSON.parse(localStorage.getItem(GAME_TOKENS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Save the owner tokens
+     */
+    function setGameTokens(tokens) {
+        localStorage.setItem(GAME_TOKENS_KEY, JSON.stringify(tokens));
+    }
+
+    /**
+     * Random 256-bit owner token as hex
+     */
+    function generateToken() {
+        const bytes = new Uint8Array(32);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Get the owner token for a game, creating one when this device starts scoring it
+     */
+    function getGameToken(gameId, create = true) {
+        const tokens = getGameTokens();
+        if (!tokens[gameId] && create) {
+            tokens[gameId] = generateToken();
+            setGameTokens(tokens);
+        }
+        return tokens[gameId] || null;
+    }
+
+    /**
+     * Score a game with an owner token made beforehand (after taking it over)
+     */
+    function setGameToken(gameId, token) {
+        const tokens = getGameTokens();
+        tokens[gameId] = token;
+        setGameTokens(tokens);
+    }
+
+    /**
+     * Forget a game's owner token (after the game is deleted)
+     */
+    function forgetGameToken(gameId) {
+        const tokens = getGameTokens();
+        if (tokens[gameId]) {
+            delete tokens[gameId];
+            setGameTokens(tokens);
+        }
+    }
+
+    /**
+     * Check if this device scores the game: it holds the owner token (a matching
+     * device_id proves nothing, as every game's device_id is public)
+     */
+    function isGameOwner(game) {
+        if (!game) return false;
+        return !!getGameToken(game.id, false);
+    }
+
+    /**
+     * Seats this device holds under remote scoring ({ gameId: { player_order, token } })
+     */
+    function getGameSeats() {
+        try {
+            return JSON.parse(localStorage.getItem(GAME_SEATS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the seat this device holds in a game ({ player_order, token } or null)
+     */
+    function getGameSeat(gameId) {
+        return getGameSeats()[gameId] || null;
+    }
+
+    /**
+     * Get a seat token for a player's seat in a game, keeping the token when
+     * joining the same seat again
+     */
+    function getSeatToken(gameId, playerOrder) {
+        const seats = getGameSeats();
+        const seat = seats[gameId];
+        if (seat && seat.player_order === playerOrder) return seat.token;
+        return generateToken();
+    }
+
+    /**
+     * Remember the seat this device took in a game (one per game)
+     */
+    function setGameSeat(gameId, playerOrder, token) {
+        const seats = getGameSeats();
+        seats[gameId] = { player_order: playerOrder, token };
+        localStorage.setItem(GAME_SEATS_KEY, JSON.stringify(seats));
+    }
+
+    /**
+     * Forget the seat this device held in a game
+     */
+    function forgetGameSeat(gameId) {
+        const seats = getGameSeats();
+        if (seats[gameId]) {
+            delete seats[gameId];
+            localStorage.setItem(GAME_SEATS_KEY, JSON.stringify(seats));
+        }
     }
 
     /**
@@ -52,7 +167,15 @@ const Device = (() => {
     return {
         init,
         getDeviceId,
-        isGameOwner
+        generateToken,
+        getGameToken,
+        setGameToken,
+        forgetGameToken,
+        isGameOwner,
+        getGameSeat,
+        getSeatToken,
+        setGameSeat,
+        forgetGameSeat
     };
 })();
 
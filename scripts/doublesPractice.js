@@ -0,0 +1,89 @@
+/**
+ * Doubles Practice Mode
+ * Three darts at every double from D1 to the bull; most doubles hit wins
+ */
+
+const DoublesPractice = (() => {
+    // D1-D20, then the bull (double 25)
+    const TARGETS = [...Array.from({ length: 20 }, (_, i) => i + 1), 25];
+
+    /**
+     * Initial state for a new session
+     */
+    function createState() {
+        return { round: 0, hits: 0, darts: 0 };
+    }
+
+    /**
+     * Current double for display
+     */
+    function getTarget(state) {
+        const target = TARGETS[state.round];
+        if (target === undefined) return 'Done';
+        return target === 25 ? 'Bull' : `D${target}`;
+    }
+
+    /**
+     * Hit rate as a percentage string
+     */
+    function getHitRate(state) {
+        return state.darts > 0 ? (state.hits / state.darts * 100).toFixed(1) : '0.0';
+    }
+
+    /**
+     * Progress line under the target
+     */
+    function getProgress(state) {
+        return `${state.hits}/${state.darts} hit (${getHitRate(state)}%) · Double ${Math.min(state.round + 1, TARGETS.length)} of ${TARGETS.length}`;
+    }
+
+    /**
+     * Apply three darts at the current double
+     */
+    function applyTurn(state, darts) {
+        if (darts.length < 3) {
+            return { success: false, error: 'Enter all 3 darts (use Miss for a miss)' };
+        }
+
+        const target = TARGETS[state.round];
+        const hits = darts.filter(d => d.segment === target && d.multiplier === 2).length;
+        const next = {
+            round: state.round + 1,
+            hits: state.hits + hits,
+            darts: state.darts + darts.length
+        };
+
+        return {
+            success: true,
+            state: next,
+            finished: next.round === TARGETS.length,
+            message: `${hits}/3 on ${getTarget(state)}`
+        };
+    }
+
+    /**
+     * Final result; the score is the number of doubles hit
+     */
+    function getResult(state) {
+        return {
+            score: state.hits,
+            hits: state.hits,
+            summary: `${state.hits}/${state.darts} doubles (${getHitRate(state)}%)`
+        };
+    }
+
+    // Public API
+    return {
+        id: 'doubles',
+        name: 'Doubles Practice',
+        description: 'Three darts at every double, D1 to the bull. Most doubles hit wins.',
+        scoreOrder: 'higher',
+        scoreLabel: 'Doubles',
+        createOptions: () => ({}),
+        createState,
+        getTarget,
+        getProgress,
+        applyTurn,
+        getResult
+    };
+})();
@@ -0,0 +1,292 @@
+/**
+ * Exporter Module
+ * Spreadsheet-friendly CSV exports: each player's result per game, every turn, and
+ * player totals over the picked games. Rows are fetched from Supabase page by page
+ * (Storage), turned into CSV here and downloaded as a file.
+ */
+
+const Exporter = (() => {
+    /**
+     * Columns of the games export: one row per player per game
+     */
+    const GAME_COLUMNS = [
+        ['game_id', r => r.game.id],
+        ['date', r => r.game.created_at],
+        ['completed_at', r => r.game.completed_at],
+        ['game_type', r => getGameType(r.game)],
+        ['scoring_mode', r => r.game.scoring_mode],
+        ['out_rule', r => r.game.out_rule],
+        ['in_rule', r => r.game.in_rule],
+        ['handicap', r => r.game.is_handicap],
+        ['match_id', r => r.game.match_id],
+        ['leg', r => r.game.leg_number],
+        ['players', r => r.game.total_players],
+        ['player', r => r.player?.name],
+        ['player_order', r => r.player_order + 1],
+        ['starting_score', r => r.starting_score],
+        ['final_score', r => r.final_score],
+        ['finish_rank', r => r.finish_rank],
+        ['winner', r => r.is_winner],
+        ['turns', r => r.total_turns],
+        ['darts', r => r.total_darts],
+        ['total_score', r => r.total_score],
+        ['avg_per_turn', r => r.avg_per_turn],
+        ['max_turn', r => r.max_turn],
+        ['max_dart', r => r.max_dart],
+        ['180s', r => r.count_180s],
+        ['140_plus', r => r.count_140_plus],
+        ['checkout_attempts', r => r.checkout_attempts],
+        ['checkouts', r => r.checkout_successes],
+        ['marks', r => (r.game.game_mode === 'cricket' ? r.total_marks : null)]
+    ];
+
+    /**
+     * Columns of the turns export: one row per turn, in throw order
+     * The first columns are those of the importer's CSV turn sheet, so the file can be
+     * imported again (the others are ignored there)
+     */
+    const TURN_COLUMNS = [
+        ['game', t => t.game_id],
+        ['date', t => t.game.created_at],
+        ['game_type', t => getGameType(t.game)],
+        ['out_rule', t => t.game.out_rule],
+        ['in_rule', t => t.game.in_rule],
+        ['start', t => (t.game.game_mode === 'cricket' ? null : t.game_player.starting_score)],
+        ['player', t => t.game_player.player?.name],
+        ['dart1', t => getDart(t, 0)],
+        ['dart2', t => getDart(t, 1)],
+        ['dart3', t => getDart(t, 2)],
+        ['total', t => t.turn_total],
+        ['round', t => t.round_number + 1],
+        ['turn', t => t.turn_number],
+        ['thrown_at', t => t.created_at],
+        ['score_before', t => t.score_before],
+        ['score_after', t => t.score_after],
+        ['bust', t => t.is_busted],
+        ['checkout_attempt', t => t.is_checkout_attempt],
+        ['checkout', t => t.is_successful_checkout],
+        ['marks', t => t.marks]
+    ];
+
+    /**
+     * Columns of the player stats export: totals over the exported games
+     */
+    const PLAYER_COLUMNS = [
+        ['player', p => p.name],
+        ['games', p => p.games],
+        ['wins', p => p.wins],
+        ['win_rate', p => round(p.games > 0 ? p.wins / p.games * 100 : null)],
+        ['x01_games', p => p.x01Games],
+        ['x01_turns', p => p.turns],
+        ['x01_darts', p => p.darts],
+        ['x01_total_score', p => p.score],
+        ['avg_per_turn', p => round(p.turns > 0 ? p.score / p.turns : null)],
+        ['avg_per_dart', p => round(p.darts > 0 ? p.score / p.darts : null)],
+        ['max_turn', p => p.maxTurn],
+        ['180s', p => p.count180s],
+        ['140_plus', p => p.count140Plus],
+        ['checkout_attempts', p => p.checkoutAttempts],
+        ['checkouts', p => p.checkouts],
+        ['checkout_rate', p => round(p.checkoutAttempts > 0 ? p.checkouts / p.checkoutAttempts * 100 : null)],
+        ['cricket_games', p => p.cricketGames],
+        ['cricket_rounds', p => p.cricketRounds],
+        ['marks', p => p.marks],
+        ['mpr', p => round(p.cricketRounds > 0 ? p.marks / p.cricketRounds : null)],
+        ['rating', p => p.rating]
+    ];
+
+    /**
+     * Game type as in a CSV turn sheet: the starting points, "cricket" or "cut-throat"
+     */
+    function getGameType(game) {
+        if (game.game_mode === 'cricket') {
+            return game.cricket_variant === 'cut-throat' ? 'cut-throat' : 'cricket';
+        }
+        return game.game_type;
+    }
+
+    /**
+     * A turn's dart in board notation (T20, D16, Bull...), or its score when only the
+     * turn total or dart scores were recorded
+     */
+    function getDart(turn, index) {
+        if (turn.dart_segments && turn.dart_multipliers) {
+            if (index >= turn.dart_segments.length) return null;
+            return Game.formatDart({ segment: turn.dart_segments[index], multiplier: turn.dart_multipliers[index] });
+        }
+        if (turn.game.scoring_mode === 'per-turn') return null;
+        return turn.dart_scores?.[index] ?? null;
+    }
+
+    /**
+     * Round to 2 decimals (null stays empty)
+     */
+    function round(value) {
+        return value === null ? null : Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Totals per player from their game results
+     */
+    function getPlayerTotals(results) {
+        const players = new Map();
+
+        results.forEach(r => {
+            const name = r.player?.name || 'Unknown';
+            if (!players.has(name)) {
+                players.set(name, {
+                    name,
+                    rating: r.player?.rating ?? null,
+                    games: 0,
+                    wins: 0,
+                    x01Games: 0,
+                    turns: 0,
+                    darts: 0,
+                    score: 0,
+                    maxTurn: 0,
+                    count180s: 0,
+                    count140Plus: 0,
+                    checkoutAttempts: 0,
+                    checkouts: 0,
+                    cricketGames: 0,
+                    cricketRounds: 0,
+                    marks: 0
+                });
+            }
+
+            const p = players.get(name);
+            p.games++;
+            if (r.is_winner) p.wins++;
+
+            if (r.game.game_mode === 'cricket') {
+                p.cricketGames++;
+                p.cricketRounds += r.total_turns || 0;
+                p.marks += r.total_marks || 0;
+            } else {
+                p.x01Games++;
+                p.turns += r.total_turns || 0;
+                p.darts += r.total_darts || 0;
+                p.score += r.total_score || 0;
+                p.maxTurn = Math.max(p.maxTurn, r.max_turn || 0);
+                p.count180s += r.count_180s || 0;
+                p.count140Plus += r.count_140_plus || 0;
+                p.checkoutAttempts += r.checkout_attempts || 0;
+                p.checkouts += r.checkout_successes || 0;
+            }
+        });
+
+        return Array.from(players.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * A value as a CSV cell. Text starting with =, +, -, @, a tab or a carriage return
+     * gets a leading quote so spreadsheets don't run a player name as a formula (and
+     * text already starting with a quote gets another, so the importer can take it off)
+     */
+    function formatCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = Array.isArray(value) ? value.join(' ') : String(value);
+        if (typeof value !== 'number' && /^['=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV text with a header row from [name, getValue] columns
+     */
+    function toCsv(columns, rows) {
+        const lines = [columns.map(([name]) => name).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(([, getValue]) => formatCell(getValue(row))).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Storage filters from the picked players and dates (YYYY-MM-DD, both days included)
+     */
+    function getQueryFilters(filters) {
+        const toTime = date => new Date(`${date}T00:00`).getTime();
+        return {
+            playerIds: filters.playerIds || [],
+            from: filters.fromDate ? new Date(toTime(filters.fromDate)).toISOString() : null,
+            // Up to the start of the day after
+            to: filters.toDate ? new Date(toTime(filters.toDate) + 24 * 60 * 60 * 1000).toISOString() : null
+        };
+    }
+
+    /**
+     * Build the CSV of one export ('games', 'turns' or 'players') for the filters
+     * ({ playerIds, fromDate, toDate }). Returns { csv, rows } (rows: 0 when nothing matched)
+     */
+    async function buildCsv(kind, filters = {}, onProgress = () => {}) {
+        const query = getQueryFilters(filters);
+
+        if (kind === 'turns') {
+            const turns = await Storage.getTurnsForExport(query, onProgress);
+            turns.sort((a, b) =>
+                new Date(a.game.created_at) - new Date(b.game.created_at) ||
+                a.game_id.localeCompare(b.game_id) ||
+                new Date(a.created_at) - new Date(b.created_at) ||
+                a.game_player.player_order - b.game_player.player_order);
+            return { csv: toCsv(TURN_COLUMNS, turns), rows: turns.length };
+        }
+
+        const results = await Storage.getGameResultsForExport(query, onProgress);
+        if (kind === 'players') {
+            const totals = getPlayerTotals(results);
+            return { csv: toCsv(PLAYER_COLUMNS, totals), rows: totals.length };
+        }
+
+        results.sort((a, b) =>
+            new Date(a.game.created_at) - new Date(b.game.created_at) ||
+            a.game.id.localeCompare(b.game.id) ||
+            a.player_order - b.player_order);
+        return { csv: toCsv(GAME_COLUMNS, results), rows: results.length };
+    }
+
+    /**
+     * Save text as a file through the browser's download
+     */
+    function download(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download one CSV export; the file name carries the date range
+     * Returns the number of rows (nothing is downloaded when no rows matched)
+     */
+    async function downloadCsv(kind, filters = {}, onProgress) {
+        const { csv, rows } = await buildCsv(kind, filters, onProgress);
+        if (rows === 0) return 0;
+
+        const range = [filters.fromDate || 'start', filters.toDate || new Date().toISOString().slice(0, 10)].join('-to-');
+        download(`dart-bee-${kind}-${range}.csv`, csv, 'text/csv');
+        return rows;
+    }
+
+    /**
+     * Download every game with its turns as a v2.0.0 JSON export
+     * Returns the number of games
+     */
+    async function downloadJson() {
+        const data = await Storage.exportData();
+        download(`dart-bee-export-${data.exportDate.slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+        return data.games.length;
+    }
+
+    // Public API
+    return {
+        toCsv,
+        buildCsv,
+        getPlayerTotals,
+        downloadCsv,
+        downloadJson
+    };
+})();
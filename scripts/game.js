@@ -4,8 +4,17 @@
  */
 
 const Game = (() => {
+    // Checkout rules: straight (any dart), double, or master (double or treble)
+    const OUT_RULES = ['straight', 'double', 'master'];
+    // Opening rules: straight (any dart) or double
+    const IN_RULES = ['straight', 'double'];
+    // Handicap starting scores never go below this share of the game's points
+    const MIN_HANDICAP_SHARE = 0.5;
+
     /**
      * Create a new game
+     * startingScores: per player (same order as playerNames) for handicap X01 games;
+     * missing entries start on the game's points
      */
     function createGame(options) {
         const {
@@ -13,32 +22,57 @@ const Game = (() => {
             playerNames = [],
             gameType = 501,
             winBelow = false,
-            scoringMode = 'per-dart'
+            scoringMode = 'per-dart',
+            outRule = 'straight',
+            inRule = 'straight',
+            gameMode = 'x01',
+            cricketVariant = 'standard',
+            startingScores = [],
+            shuffle = true,
+            matchId = null,
+            setNumber = null,
+            legNumber = null
         } = options;
 
         const game = {
             id: Storage.generateUUID(),
             created_at: new Date().toISOString(),
             completed_at: null,
+            game_mode: 'x01',
+            cricket_variant: null,
             game_type: parseInt(gameType),
-            win_condition: winBelow ? 'below' : 'exact',
+            // Finishing on a double/treble means hitting exactly zero
+            win_condition: winBelow && outRule === 'straight' ? 'below' : 'exact',
             scoring_mode: scoringMode,
+            out_rule: OUT_RULES.includes(outRule) ? outRule : 'straight',
+            in_rule: IN_RULES.includes(inRule) ? inRule : 'straight',
+            // Players start on different scores (see getHandicapScores)
+            handicap: false,
+            // Set when the game is a leg of a legs/sets match
+            match_id: matchId,
+            set_number: matchId ? setNumber : null,
+            leg_number: matchId ? legNumber : null,
             current_player_index: 0,
             current_turn: 0,
             is_active: true,
             device_id: Device.getDeviceId(),
+            // Submitted turns in throw order; undo replays the game from this log
+            turn_log: [],
+            // Undone turns, most recent last (cleared by a new submission)
+            redo_log: [],
             players: []
         };
 
         // Initialize players
         for (let i = 0; i < playerCount; i++) {
             const playerName = playerNames[i]?.trim() || `Player ${i + 1}`;
+            const startingScore = parseInt(startingScores[i]) > 0 ? parseInt(startingScores[i]) : game.game_type;
 
             game.players.push({
                 id: Storage.generateUUID(),
                 name: playerName,
-                startingScore: game.game_type,
-                currentScore: game.game_type,
+                startingScore,
+                currentScore: startingScore,
                 turns: [],
                 winner: false,
                 stats: {
@@ -55,82 +89,324 @@ const Game = (() => {
         }
 
         // Randomize player order (Fisher-Yates shuffle)
-        for (let i = game.players.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [game.players[i], game.players[j]] = [game.players[j], game.players[i]];
+        // Match legs keep the given order so the starting thrower can rotate
+        if (shuffle) {
+            for (let i = game.players.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [game.players[i], game.players[j]] = [game.players[j], game.players[i]];
+            }
+        }
+
+        if (gameMode === 'cricket') {
+            Cricket.setupGame(game, cricketVariant);
+        } else {
+            game.handicap = game.players.some(p => p.startingScore !== game.game_type);
         }
 
         return game;
     }
 
     /**
-     * Validate dart score
+     * Handicap starting scores from each player's average per turn (null when unknown)
+     * The best average plays the full game; everyone else starts lower, so that at their
+     * own average they need about as many turns. Players without an average start on
+     * the full game too
+     */
+    function getHandicapScores(gameType, averages) {
+        const points = parseInt(gameType);
+        const known = averages.map(avg => parseFloat(avg)).filter(avg => avg > 0);
+        if (known.length === 0) return averages.map(() => points);
+
+        const best = Math.max(...known);
+        const lowest = Math.ceil(points * MIN_HANDICAP_SHARE);
+        return averages.map(avg => {
+            const value = parseFloat(avg);
+            if (!(value > 0)) return points;
+            return Math.max(lowest, Math.min(points, Math.round(points * value / best)));
+        });
+    }
+
+    // Board segment used for the bull (outer bull = single, inner bull = double)
+    const BULL = 25;
+    // Segment recorded for a dart that missed the scoring area
+    const MISS = 0;
+
+    // Three-dart totals that cannot be scored on a standard board
+    const IMPOSSIBLE_TURN_TOTALS = [163, 166, 169, 172, 173, 175, 176, 178, 179];
+
+    /**
+     * Create a dart from a board segment and multiplier
+     * A miss is { segment: 0, multiplier: 0 }
+     */
+    function createDart(segment, multiplier = 1) {
+        const s = parseInt(segment);
+        return { segment: s, multiplier: s === MISS ? 0 : parseInt(multiplier) };
+    }
+
+    /**
+     * Get the points scored by a dart (segment object or plain score)
+     */
+    function getDartScore(dart) {
+        if (dart && typeof dart === 'object') {
+            return dart.segment * dart.multiplier;
+        }
+        return parseInt(dart) || 0;
+    }
+
+    /**
+     * Format a dart for display (e.g. "T20", "D16", "5", "25", "Bull", "Miss")
      */
-    function validateDart(score) {
-        const s = parseInt(score);
-        if (isNaN(s) || s < 0 || s > 180) {
-            return { valid: false, error: 'Dart must be between 0 and 180' };
+    function formatDart(dart) {
+        if (!dart || typeof dart !== 'object') return `${dart}`;
+        if (dart.segment === MISS) return 'Miss';
+        if (dart.segment === BULL) return dart.multiplier === 2 ? 'Bull' : '25';
+        if (dart.multiplier === 3) return `T${dart.segment}`;
+        if (dart.multiplier === 2) return `D${dart.segment}`;
+        return `${dart.segment}`;
+    }
+
+    /**
+     * Validate a single dart ({ segment: 1-20|25, multiplier: 1|2|3 } or a miss)
+     */
+    function validateDart(dart) {
+        if (!dart || typeof dart !== 'object') {
+            return { valid: false, error: 'Dart must be a board segment' };
         }
-        return { valid: true, score: s };
+
+        const segment = parseInt(dart.segment);
+        const multiplier = parseInt(dart.multiplier);
+
+        if (segment === MISS) {
+            return { valid: true, dart: createDart(MISS), score: 0 };
+        }
+        if (isNaN(segment) || !((segment >= 1 && segment <= 20) || segment === BULL)) {
+            return { valid: false, error: 'Segment must be 1-20 or bull' };
+        }
+        if (![1, 2, 3].includes(multiplier)) {
+            return { valid: false, error: 'Multiplier must be single, double or treble' };
+        }
+        if (segment === BULL && multiplier === 3) {
+            return { valid: false, error: 'There is no treble bull' };
+        }
+
+        const validDart = createDart(segment, multiplier);
+        return { valid: true, dart: validDart, score: getDartScore(validDart) };
+    }
+
+    /**
+     * Validate a three-dart turn total (per-turn scoring mode)
+     */
+    function validateTurnTotal(total) {
+        const t = parseInt(total);
+        if (isNaN(t) || t < 0 || t > 180) {
+            return { valid: false, error: 'Turn total must be between 0 and 180' };
+        }
+        if (IMPOSSIBLE_TURN_TOTALS.includes(t)) {
+            return { valid: false, error: `${t} cannot be scored with three darts` };
+        }
+        return { valid: true, score: t };
     }
 
     /**
      * Validate dart turn (3 darts max per turn)
+     * Per-dart mode expects dart objects, per-turn mode a single turn total
      */
-    function validateTurn(darts) {
+    function validateTurn(darts, scoringMode = 'per-dart') {
         if (!Array.isArray(darts) || darts.length === 0 || darts.length > 3) {
             return { valid: false, error: 'A turn must have 1-3 darts' };
         }
 
+        if (scoringMode === 'per-turn') {
+            if (darts.length !== 1) {
+                return { valid: false, error: 'Enter a single turn total' };
+            }
+            const validation = validateTurnTotal(darts[0]);
+            if (!validation.valid) return validation;
+            return { valid: true, darts: [validation.score], segments: null, total: validation.score };
+        }
+
+        const segments = [];
         let totalScore = 0;
         for (const dart of darts) {
             const validation = validateDart(dart);
             if (!validation.valid) return validation;
+            segments.push(validation.dart);
             totalScore += validation.score;
         }
 
-        if (totalScore > 180) {
-            return { valid: false, error: 'Turn total cannot exceed 180' };
+        return {
+            valid: true,
+            darts: segments.map(getDartScore),
+            segments: segments,
+            total: totalScore
+        };
+    }
+
+    /**
+     * Check whether a dart may finish the game under the checkout rule
+     */
+    function isValidFinish(dart, outRule) {
+        if (outRule === 'double') return dart.multiplier === 2;
+        if (outRule === 'master') return dart.multiplier === 2 || dart.multiplier === 3;
+        return true;
+    }
+
+    /**
+     * Check whether a player has opened their scoring (double-in)
+     * Opening always scores, so any player below their start has opened
+     */
+    function hasOpened(game, player) {
+        return game.in_rule !== 'double' || player.currentScore < player.startingScore;
+    }
+
+    /**
+     * Score a validated turn under the game's in/out rules
+     * Per-dart turns are scored dart by dart: darts before a double-in opening
+     * score 0, and a checkout or bust ends the turn. Per-turn totals don't show
+     * the finishing dart, so only the "left on 1" bust can be enforced for them.
+     */
+    function scoreTurn(game, player, validation) {
+        const outRule = game.out_rule || 'straight';
+        const startScore = player.currentScore;
+
+        if (!validation.segments) {
+            const newScore = startScore - validation.total;
+            const busted = (newScore < 0 && game.win_condition === 'exact') ||
+                (newScore === 1 && outRule !== 'straight');
+            return { darts: validation.darts, segments: null, newScore, busted };
+        }
+
+        let opened = hasOpened(game, player);
+        let score = startScore;
+        let busted = false;
+        const darts = [];
+
+        for (let i = 0; i < validation.segments.length; i++) {
+            const dart = validation.segments[i];
+            let points = getDartScore(dart);
+
+            if (!opened) {
+                if (dart.multiplier === 2) {
+                    opened = true;
+                } else {
+                    points = 0;
+                }
+            }
+
+            darts.push(points);
+            score -= points;
+
+            const finishedBelow = score < 0 && game.win_condition === 'below';
+            busted = !finishedBelow && (
+                score < 0 ||
+                (score === 1 && outRule !== 'straight') ||
+                (score === 0 && !isValidFinish(dart, outRule))
+            );
+
+            if (busted || score <= 0) {
+                if (i < validation.segments.length - 1) {
+                    const reason = busted ? 'Bust' : 'Checkout';
+                    return { error: `${reason} on dart ${i + 1} - remove the darts after it` };
+                }
+                break;
+            }
         }
 
-        return { valid: true, darts: darts.map(d => parseInt(d)), total: totalScore };
+        return { darts, segments: validation.segments, newScore: score, busted };
     }
 
     /**
-     * Submit a turn for the current player
+     * Describe a game's in/out rules for display (e.g. "Double In · Double Out")
+     */
+    function describeRules(game) {
+        if (game.game_mode === 'cricket') {
+            return game.cricket_variant === 'cut-throat' ? 'Cut-Throat' : 'Standard';
+        }
+
+        const outLabels = { straight: 'Straight Out', double: 'Double Out', master: 'Master Out' };
+        const parts = [];
+        if (game.in_rule === 'double') parts.push('Double In');
+        parts.push(outLabels[game.out_rule] || outLabels.straight);
+        if (game.handicap) parts.push('Handicap');
+        return parts.join(' · ');
+    }
+
+    /**
+     * Short name of the game for titles and cards (e.g. "501 Points", "Cricket")
+     */
+    function getGameLabel(game) {
+        if (game.game_mode === 'cricket') {
+            return game.cricket_variant === 'cut-throat' ? 'Cut-Throat Cricket' : 'Cricket';
+        }
+        return `${game.game_type} Points`;
+    }
+
+    /**
+     * Submit a turn for the current player and record it in the turn log
      */
     function submitTurn(game, dartsInput) {
+        const playerIndex = game.current_player_index;
+        const result = applyTurn(game, dartsInput);
+        if (!result.success) return result;
+
+        logTurn(game, playerIndex, dartsInput);
+        game.redo_log = [];
+        return result;
+    }
+
+    /**
+     * Add a scored turn to the turn log
+     * A game whose history couldn't be restored (turn_log null) has no log to add to
+     */
+    function logTurn(game, playerIndex, dartsInput) {
+        if (!Array.isArray(game.turn_log)) return;
+
+        const turns = game.players[playerIndex].turns;
+        game.turn_log.push({
+            player_index: playerIndex,
+            darts: [...dartsInput],
+            timestamp: turns[turns.length - 1].timestamp
+        });
+    }
+
+    /**
+     * Score a turn for the current player (X01 or Cricket)
+     */
+    function applyTurn(game, dartsInput) {
+        if (game.game_mode === 'cricket') {
+            return Cricket.submitTurn(game, dartsInput);
+        }
+
         if (!game.is_active) {
             return { success: false, error: 'Game is not active' };
         }
 
-        const validation = validateTurn(dartsInput);
+        const validation = validateTurn(dartsInput, game.scoring_mode);
         if (!validation.valid) {
             return { success: false, error: validation.error };
         }
 
         const currentPlayer = game.players[game.current_player_index];
-        const darts = validation.darts;
-        const totalScore = validation.total;
+        const scored = scoreTurn(game, currentPlayer, validation);
+        if (scored.error) {
+            return { success: false, error: scored.error };
+        }
+
+        const darts = scored.darts;
+        const totalScore = darts.reduce((a, b) => a + b, 0);
+        const newScore = scored.newScore;
+        const busted = scored.busted;
 
         // Check for checkout attempt
-        if (currentPlayer.currentScore - totalScore === 0 ||
-            (currentPlayer.currentScore - totalScore < 0 && game.win_condition === 'below')) {
+        if (!busted && (newScore === 0 || (newScore < 0 && game.win_condition === 'below'))) {
             currentPlayer.stats.checkoutAttempts++;
         }
 
-        // Check for bust
-        const newScore = currentPlayer.currentScore - totalScore;
-        let busted = false;
-
-        if (newScore < 0) {
-            if (game.win_condition === 'exact') {
-                // Bust - score reverts to start of turn
-                busted = true;
-            } else if (game.win_condition === 'below') {
-                // Below zero wins
-                currentPlayer.currentScore = 0;
-            }
+        if (busted) {
+            // Bust - score reverts to start of turn
+        } else if (newScore < 0) {
+            // Below zero wins
+            currentPlayer.currentScore = 0;
         } else if (newScore === 0) {
             // Exact match - player wins
             currentPlayer.currentScore = 0;
@@ -144,6 +420,7 @@ const Game = (() => {
         // Record turn
         const turn = {
             darts: darts,
+            segments: scored.segments,
             remaining: busted ? currentPlayer.currentScore : newScore,
             busted: busted,
             timestamp: Date.now()
@@ -179,6 +456,21 @@ const Game = (() => {
             // This ensures players finishing in the same round get the same rank
             currentPlayer.finish_round = Math.floor(game.current_turn / game.players.length);
 
+            // A match leg is won by the first player to check out
+            if (game.match_id) {
+                game.current_turn++;
+                endGame(game);
+                const finalRankings = getRankings(game);
+
+                return {
+                    success: true,
+                    gameEnded: true,
+                    playerFinished: currentPlayer.name,
+                    finishRank: currentPlayer.finish_rank,
+                    finalRankings: finalRankings
+                };
+            }
+
             // Find next active player (not finished)
             let nextActiveIndex = -1;
             let activePlayers = 0;
@@ -295,48 +587,188 @@ const Game = (() => {
     }
 
     /**
-     * Undo last dart
+     * Reset a game to its state before the first turn
      */
-    function undoLastDart(game) {
-        const currentPlayer = game.players[game.current_player_index];
-        if (currentPlayer.turns.length === 0) {
-            return { success: false, error: 'No turns to undo' };
+    function resetGame(game) {
+        game.current_player_index = 0;
+        game.current_turn = 0;
+        game.is_active = true;
+        game.completed_at = null;
+
+        game.players.forEach(player => {
+            player.turns = [];
+            player.winner = false;
+            delete player.finish_rank;
+            delete player.finish_round;
+            player.currentScore = player.startingScore;
+            player.stats = {
+                totalDarts: 0,
+                totalScore: 0,
+                avgPerDart: 0,
+                avgPerTurn: 0,
+                maxTurn: 0,
+                maxDart: 0,
+                checkoutAttempts: 0,
+                checkoutSuccess: 0
+            };
+        });
+
+        if (game.game_mode === 'cricket') {
+            Cricket.setupGame(game, game.cricket_variant);
         }
+    }
 
-        const lastTurn = currentPlayer.turns[currentPlayer.turns.length - 1];
-        currentPlayer.turns.pop();
-
-        // Recalculate score
-        currentPlayer.currentScore = currentPlayer.startingScore;
-        currentPlayer.stats.totalDarts = 0;
-        currentPlayer.stats.totalScore = 0;
-        currentPlayer.stats.maxTurn = 0;
-        currentPlayer.stats.maxDart = 0;
-
-        currentPlayer.turns.forEach(turn => {
-            if (!turn.busted) {
-                currentPlayer.currentScore = turn.remaining;
-                const turnTotal = turn.darts.reduce((a, b) => a + b, 0);
-                // In per-turn mode: each turn = 3 darts
-                // In per-dart mode: count actual darts
-                const dartCount = game.scoring_mode === 'per-turn' ? 3 : turn.darts.length;
-                currentPlayer.stats.totalDarts += dartCount;
-                currentPlayer.stats.totalScore += turnTotal;
-                currentPlayer.stats.maxTurn = Math.max(currentPlayer.stats.maxTurn, turnTotal);
-                currentPlayer.stats.maxDart = Math.max(currentPlayer.stats.maxDart, Math.max(...turn.darts));
+    /**
+     * Rebuild the game by replaying logged turns from the start
+     * Turns keep the time they were first thrown
+     */
+    function replayTurnLog(game, log) {
+        resetGame(game);
+        game.turn_log = [];
+
+        for (const entry of log) {
+            const result = applyTurn(game, entry.darts);
+            if (!result.success) return false;
+
+            const turns = game.players[entry.player_index].turns;
+            turns[turns.length - 1].timestamp = entry.timestamp;
+            game.turn_log.push(entry);
+        }
+        return true;
+    }
+
+    /**
+     * Undo the last submitted turn, whoever threw it
+     * The whole game is replayed, so scores, throw order, finishes and rankings all rewind;
+     * undoing the turn that finished the game puts it back in play (wasFinished in the result)
+     * and notes when (reopened_at), so the reopen wins over the finished copy when it syncs
+     * The game is left as it was if the earlier turns can't be replayed
+     */
+    function undoLastTurn(game) {
+        const wasFinished = !game.is_active;
+        let turnLog = game.turn_log;
+        if (wasFinished) {
+            // A game ended early (End Game) wasn't finished by its last turn
+            const replayed = replayTurns(game);
+            if (!replayed || replayed.is_active) {
+                return { success: false, error: 'Game is over' };
             }
-        });
+            turnLog = replayed.turn_log;
+        }
+        if (!Array.isArray(turnLog)) {
+            return { success: false, error: 'Undo is not available for this game' };
+        }
+        if (turnLog.length === 0) {
+            return { success: false, error: 'No turns to undo' };
+        }
 
-        if (currentPlayer.turns.length > 0) {
-            // Calculate averages
-            currentPlayer.stats.avgPerTurn = currentPlayer.stats.totalScore / currentPlayer.turns.length;
-            currentPlayer.stats.avgPerDart =
-                currentPlayer.stats.totalDarts > 0
-                    ? currentPlayer.stats.totalScore / currentPlayer.stats.totalDarts
-                    : 0;
+        const log = [...turnLog];
+        const entry = log.pop();
+        const undone = JSON.parse(JSON.stringify(game));
+        if (!replayTurnLog(undone, log)) {
+            return { success: false, error: 'Couldn\'t undo - the earlier turns of this game don\'t add up' };
         }
+        Object.assign(game, undone);
+        game.redo_log = [...(game.redo_log || []), entry];
+        if (wasFinished) game.reopened_at = new Date().toISOString();
 
-        return { success: true, player: currentPlayer.name, score: currentPlayer.currentScore };
+        const player = game.players[entry.player_index];
+        return { success: true, player: player.name, score: player.currentScore, wasFinished };
+    }
+
+    /**
+     * Redo the most recently undone turn
+     * Returns the same result as submitTurn (the turn may finish a player or the game)
+     */
+    function redoTurn(game) {
+        const redoLog = game.redo_log || [];
+        if (redoLog.length === 0) {
+            return { success: false, error: 'Nothing to redo' };
+        }
+
+        const entry = redoLog[redoLog.length - 1];
+        const result = applyTurn(game, entry.darts);
+        if (!result.success) return result;
+
+        redoLog.pop();
+        const turns = game.players[entry.player_index].turns;
+        turns[turns.length - 1].timestamp = entry.timestamp;
+        game.turn_log.push(entry);
+
+        return { ...result, player: game.players[entry.player_index].name };
+    }
+
+    /**
+     * Check whether there is a turn to undo (a finished game's last turn can be undone too)
+     */
+    function canUndo(game) {
+        if (!game.is_active) return game.players.some(p => p.turns.length > 0);
+        return Array.isArray(game.turn_log) && game.turn_log.length > 0;
+    }
+
+    /**
+     * Check whether there is an undone turn to redo
+     */
+    function canRedo(game) {
+        return game.is_active && (game.redo_log || []).length > 0;
+    }
+
+    /**
+     * Replay the stored turns of a game turn by turn in throw order
+     * Returns a copy of the game with its turn log, finished if its last turn ended
+     * it, or null when its turns can't be replayed
+     */
+    function replayTurns(game) {
+        const replayed = JSON.parse(JSON.stringify(game));
+        const queues = game.players.map(p => [...p.turns]);
+        const turnCount = queues.reduce((sum, q) => sum + q.length, 0);
+        const log = [];
+
+        resetGame(replayed);
+        while (log.length < turnCount && replayed.is_active) {
+            const playerIndex = replayed.current_player_index;
+            const turn = queues[playerIndex].shift();
+            if (!turn) break;
+
+            const entry = {
+                player_index: playerIndex,
+                darts: turn.segments || turn.darts,
+                timestamp: turn.timestamp
+            };
+            if (!applyTurn(replayed, entry.darts).success) break;
+
+            const turns = replayed.players[playerIndex].turns;
+            turns[turns.length - 1].timestamp = entry.timestamp;
+            log.push(entry);
+        }
+
+        if (log.length !== turnCount) return null;
+
+        replayed.turn_log = log;
+        replayed.redo_log = [];
+        return replayed;
+    }
+
+    /**
+     * Rebuild the turn log of a game loaded from the database
+     * Turns are only stored per player, so an active game is replayed turn by
+     * turn in throw order; this also restores whose throw it is and who has
+     * finished. Returns the replayed game, or the loaded game with turn_log null
+     * when its turns can't be replayed or end the game.
+     */
+    function restoreTurnLog(game) {
+        game.turn_log = [];
+        game.redo_log = [];
+        if (!game.is_active) return game;
+
+        const replayed = replayTurns(game);
+        if (!replayed || !replayed.is_active) {
+            console.warn('Could not replay turns for game', game.id);
+            game.turn_log = null;
+            return game;
+        }
+
+        return replayed;
     }
 
     /**
@@ -356,7 +788,9 @@ const Game = (() => {
             console.log(`  [${i}] ${p.name}: score=${p.currentScore}, winner=${p.winner}, finish_rank=${p.finish_rank}, finish_round=${p.finish_round}`);
         });
 
-        if (!hasRankings) {
+        if (!hasRankings && game.game_mode === 'cricket') {
+            Cricket.assignRankings(game);
+        } else if (!hasRankings) {
             console.log('No rankings found, assigning manually...');
             // Sort players: first by whether they finished (score=0), then by score, then by darts
             const sortedPlayers = [...game.players].sort((a, b) => {
@@ -469,6 +903,7 @@ const Game = (() => {
         return player.turns.map((turn, index) => ({
             turnNumber: index + 1,
             darts: turn.darts,
+            segments: turn.segments || null,
             total: turn.darts.reduce((a, b) => a + b, 0),
             remaining: turn.remaining,
             busted: turn.busted
@@ -488,7 +923,7 @@ const Game = (() => {
     }
 
     /**
-     * Get common dart scores for quick entry
+     * Get common turn totals for quick entry (per-turn mode)
      */
     function getQuickDarts() {
         return [0, 20, 25, 30, 40, 50, 60, 80, 100, 120, 140, 160, 180];
@@ -590,6 +1025,10 @@ const Game = (() => {
      * Get final rankings sorted by finish order
      */
     function getRankings(game) {
+        if (game.game_mode === 'cricket') {
+            return Cricket.getRankings(game);
+        }
+
         return game.players
             .map(p => ({
                 name: p.name,
@@ -605,11 +1044,27 @@ const Game = (() => {
 
     // Public API
     return {
+        OUT_RULES,
+        IN_RULES,
         createGame,
+        getHandicapScores,
+        createDart,
+        getDartScore,
+        formatDart,
         validateDart,
+        validateTurnTotal,
         validateTurn,
+        isValidFinish,
+        hasOpened,
+        describeRules,
+        getGameLabel,
         submitTurn,
-        undoLastDart,
+        undoLastTurn,
+        redoTurn,
+        canUndo,
+        canRedo,
+        replayTurns,
+        restoreTurnLog,
         endGame,
         abandonGame,
         getCurrentPlayer,
@@ -0,0 +1,138 @@
+/**
+ * Game Chat Module
+ * Chat messages and emoji reactions between everyone watching a game. They are sent
+ * as broadcasts on the game's realtime channel and never stored, so this module only
+ * checks them: what may be sent, how often, and what is accepted from other devices.
+ */
+
+const GameChat = (() => {
+    const HIDDEN_KEY = 'dart_bee_chat_hidden';
+
+    const REACTIONS = ['🎯', '🔥', '👏', '😮', '😂', '💯'];
+    const MAX_MESSAGE_LENGTH = 140;
+    const MAX_NAME_LENGTH = 30;
+    // Messages kept on screen
+    const HISTORY_SIZE = 50;
+
+    // Most of each kind one device may send within the window (ms)
+    const RATE_LIMITS = {
+        chat: { count: 5, window: 15000 },
+        reaction: { count: 8, window: 5000 }
+    };
+
+    // Send times per kind, for this device and (by device ID) for every other device
+    const sent = { chat: [], reaction: [] };
+    const received = new Map();
+
+    /**
+     * Record an event in a list of send times if it stays within the rate limit
+     */
+    function withinLimit(times, kind, now) {
+        const { count, window } = RATE_LIMITS[kind];
+        while (times.length > 0 && now - times[0] >= window) {
+            times.shift();
+        }
+        if (times.length >= count) return false;
+        times.push(now);
+        return true;
+    }
+
+    /**
+     * Whether this device may send a message or reaction now (counts it if so)
+     */
+    function allowSend(kind, now = Date.now()) {
+        return withinLimit(sent[kind], kind, now);
+    }
+
+    /**
+     * Whether a message or reaction from another device should be shown; devices
+     * sending more than the limit (e.g. a modified client) are ignored until they slow down
+     */
+    function allowReceive(deviceId, kind, now = Date.now()) {
+        if (!received.has(deviceId)) {
+            received.set(deviceId, { chat: [], reaction: [] });
+        }
+        return withinLimit(received.get(deviceId)[kind], kind, now);
+    }
+
+    /**
+     * Tidy up a name or message: single spaces, no control characters, at most max characters
+     */
+    function cleanText(text, max) {
+        if (typeof text !== 'string') return '';
+        return text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, max);
+    }
+
+    /**
+     * Build a chat message to send, or null when there is nothing to send
+     */
+    function createMessage(text, name) {
+        const cleaned = cleanText(text, MAX_MESSAGE_LENGTH);
+        if (!cleaned) return null;
+        return {
+            device_id: Device.getDeviceId(),
+            name: cleanText(name, MAX_NAME_LENGTH) || null,
+            text: cleaned,
+            sent_at: Date.now()
+        };
+    }
+
+    /**
+     * Check a chat message received from another device, returning it cleaned up or null
+     */
+    function readMessage(payload) {
+        if (!payload || typeof payload.device_id !== 'string') return null;
+        const text = cleanText(payload.text, MAX_MESSAGE_LENGTH);
+        if (!text) return null;
+        return {
+            device_id: payload.device_id,
+            name: cleanText(payload.name, MAX_NAME_LENGTH) || null,
+            text,
+            sent_at: Date.now()
+        };
+    }
+
+    /**
+     * Check a reaction received from another device: only the offered emoji count
+     */
+    function readReaction(payload) {
+        if (!payload || typeof payload.device_id !== 'string') return null;
+        if (!REACTIONS.includes(payload.emoji)) return null;
+        return { device_id: payload.device_id, emoji: payload.emoji };
+    }
+
+    /**
+     * Whether this device has chat hidden (a per-device setting for the scorer's screen)
+     */
+    function isHidden() {
+        return localStorage.getItem(HIDDEN_KEY) === 'true';
+    }
+
+    /**
+     * Hide or show chat on this device
+     */
+    function setHidden(hidden) {
+        localStorage.setItem(HIDDEN_KEY, hidden ? 'true' : 'false');
+    }
+
+    /**
+     * Forget the send times of other devices (when leaving a game)
+     */
+    function reset() {
+        received.clear();
+    }
+
+    return {
+        REACTIONS,
+        MAX_MESSAGE_LENGTH,
+        HISTORY_SIZE,
+        allowSend,
+        allowReceive,
+        createMessage,
+        readMessage,
+        readReaction,
+        isHidden,
+        setHidden,
+        reset
+    };
+})();
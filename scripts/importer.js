@@ -0,0 +1,682 @@
+/**
+ * Importer Module
+ * Reads games from a Dart Bee JSON export (v2.0.0, or the older export that kept each
+ * game's players and turns in one JSON column) or from a CSV turn sheet, checks every
+ * game against the Game rules and saves the new ones like any other game.
+ * Games with turns are replayed turn by turn, so what gets saved is always scored by the
+ * Game module. v2.0.0 exports made before turns were exported only hold each player's
+ * totals; those are checked for consistency and saved as they are.
+ */
+
+const Importer = (() => {
+    const EXPORT_VERSION = '2.0.0';
+    // Columns of a CSV turn sheet (any order, header row required)
+    const CSV_COLUMNS = ['game', 'date', 'game_type', 'out_rule', 'in_rule', 'start', 'player', 'dart1', 'dart2', 'dart3', 'total'];
+    const SCORING_MODES = ['per-dart', 'per-turn'];
+    const WIN_CONDITIONS = ['exact', 'below'];
+    const CRICKET_VARIANTS = ['standard', 'cut-throat'];
+    const MAX_PLAYERS = 8;
+    const MAX_POINTS = 9999;
+    // Larger files aren't read (years of games export to well under this)
+    const MAX_FILE_SIZE = 10 * 1024 * 1024;
+    // Turns of a CSV game (or old turns without a time) are this many ms apart
+    const TURN_INTERVAL = 1000;
+    const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    /**
+     * Read and check an import file, then split off games that are already saved
+     * Returns { format, games (new), duplicates, errors, warnings }; errors and
+     * warnings are { label, message } per game
+     */
+    async function preview(file) {
+        if (file.size > MAX_FILE_SIZE) {
+            return createResult('unknown', [{ label: file.name, message: 'File is too large to import (10 MB at most)' }]);
+        }
+
+        const result = await parse(await file.text(), file.name);
+        const existing = await Storage.getExistingGameIds(result.games.map(g => g.id));
+        return {
+            ...result,
+            games: result.games.filter(g => !existing.has(g.id)),
+            duplicates: result.games.filter(g => existing.has(g.id))
+        };
+    }
+
+    /**
+     * Parse an export or CSV turn sheet into checked games, one per ID
+     */
+    async function parse(text, fileName = '') {
+        const content = text.replace(/^\uFEFF/, '').trim();
+        if (!content) {
+            return createResult('unknown', [{ label: fileName || 'File', message: 'The file is empty' }]);
+        }
+
+        const isJson = !/\.csv$/i.test(fileName) && /^[[{]/.test(content);
+        const result = isJson ? parseExport(content, fileName) : await parseTurnSheet(content);
+        return dedupe(result);
+    }
+
+    /**
+     * Empty parse result
+     */
+    function createResult(format, errors = []) {
+        return { format, games: [], errors, warnings: [] };
+    }
+
+    /**
+     * Keep the first copy of a game that appears more than once in the file
+     */
+    function dedupe(result) {
+        const seen = new Set();
+        result.games = result.games.filter(game => {
+            if (!seen.has(game.id)) {
+                seen.add(game.id);
+                return true;
+            }
+            result.warnings.push({ label: describeGame(game), message: 'Appears more than once in the file - imported once' });
+            return false;
+        });
+        return result;
+    }
+
+    /**
+     * Short label of a game for the preview and error report
+     */
+    function describeGame(game) {
+        const date = new Date(game.created_at).toLocaleDateString();
+        return `${Game.getGameLabel(game)} · ${date} · ${game.players.map(p => p.name).join(', ')}`;
+    }
+
+    // ============================
+    // JSON exports
+    // ============================
+
+    /**
+     * Parse a JSON export: { version: '2.0.0', games } or an older export
+     * (no version, or a plain array of game rows with players[].turns)
+     */
+    function parseExport(content, fileName) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return createResult('unknown', [{ label: fileName || 'File', message: 'Not a valid JSON file' }]);
+        }
+
+        const rows = Array.isArray(data) ? data : data?.games;
+        if (!Array.isArray(rows)) {
+            return createResult('unknown', [{ label: fileName || 'File', message: 'No games found - expected a Dart Bee export' }]);
+        }
+
+        const version = Array.isArray(data) ? null : data.version;
+        if (version && version !== EXPORT_VERSION && !(parseFloat(version) < 2)) {
+            return createResult('unknown', [{ label: fileName || 'File', message: `Export version ${version} isn't supported` }]);
+        }
+
+        const result = createResult(version === EXPORT_VERSION ? 'v2' : 'legacy');
+        rows.forEach((row, i) => {
+            const label = `Game ${i + 1}${row?.created_at ? ` · ${new Date(row.created_at).toLocaleDateString()}` : ''}`;
+            const warn = message => result.warnings.push({ label, message });
+            try {
+                result.games.push(importExportedGame(row, warn));
+            } catch (error) {
+                result.errors.push({ label, message: error.message });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Check an exported game and turn it into a game to save
+     * Older exports stored players as a JSON string when copied from the table
+     */
+    function importExportedGame(row, warn) {
+        if (!row || typeof row !== 'object') throw new Error('Not a game');
+
+        const players = typeof row.players === 'string' ? JSON.parse(row.players) : row.players;
+        const options = readOptions(row);
+        const names = readPlayerNames(players);
+        const createdAt = readDate(row.created_at, 'Start time');
+        if (!row.completed_at) {
+            throw new Error('Not finished - only completed games are imported');
+        }
+        const completedAt = readDate(row.completed_at, 'Finish time');
+
+        if (row.match_id) {
+            warn('Was a leg of a match - imported as a single game');
+        }
+
+        const game = Game.createGame({
+            ...options,
+            playerCount: players.length,
+            playerNames: names,
+            startingScores: players.map(p =>
+                options.gameMode === 'x01' && p.startingScore != null ? readPoints(p.startingScore) : null),
+            shuffle: false
+        });
+        game.id = readGameId(row.id);
+        game.created_at = createdAt;
+
+        const winner = players.find(p => p.finish_rank === 1) || players.find(p => p.winner);
+        const hasTurns = players.some(p => Array.isArray(p.turns) && p.turns.length > 0);
+
+        if (!hasTurns) {
+            return importSummary(game, players, completedAt);
+        }
+
+        const turns = players.map(p => (p.turns || []).map(turn => readExportedTurn(turn, game)));
+        return replayGame(game, turns, { completedAt, winner: winner ? winner.name.trim() : null }, warn);
+    }
+
+    /**
+     * Game options of an exported game, checked against the Game module's rules
+     */
+    function readOptions(row) {
+        const gameMode = row.game_mode || 'x01';
+        const scoringMode = row.scoring_mode || 'per-dart';
+        const outRule = row.out_rule || 'straight';
+        const inRule = row.in_rule || 'straight';
+        const winCondition = row.win_condition || 'exact';
+
+        if (!['x01', 'cricket'].includes(gameMode)) throw new Error(`Unknown game mode "${gameMode}"`);
+        if (!SCORING_MODES.includes(scoringMode)) throw new Error(`Unknown scoring mode "${scoringMode}"`);
+        if (!Game.OUT_RULES.includes(outRule)) throw new Error(`Unknown out rule "${outRule}"`);
+        if (!Game.IN_RULES.includes(inRule)) throw new Error(`Unknown in rule "${inRule}"`);
+        if (!WIN_CONDITIONS.includes(winCondition)) throw new Error(`Unknown win condition "${winCondition}"`);
+
+        if (gameMode === 'cricket') {
+            const cricketVariant = row.cricket_variant || 'standard';
+            if (!CRICKET_VARIANTS.includes(cricketVariant)) throw new Error(`Unknown cricket variant "${cricketVariant}"`);
+            return { gameMode, cricketVariant, scoringMode: 'per-dart' };
+        }
+
+        return {
+            gameMode,
+            gameType: readPoints(row.game_type),
+            scoringMode,
+            outRule,
+            inRule,
+            winBelow: winCondition === 'below'
+        };
+    }
+
+    /**
+     * Starting points of an X01 game
+     */
+    function readPoints(value) {
+        const points = Number(value);
+        if (!Number.isInteger(points) || points < 1 || points > MAX_POINTS) {
+            throw new Error(`Starting points must be between 1 and ${MAX_POINTS}`);
+        }
+        return points;
+    }
+
+    /**
+     * Player names of a game: 1-8 players, each named once
+     */
+    function readPlayerNames(players) {
+        if (!Array.isArray(players) || players.length === 0) throw new Error('Game has no players');
+        if (players.length > MAX_PLAYERS) throw new Error(`A game has at most ${MAX_PLAYERS} players`);
+
+        const names = players.map(p => (typeof p?.name === 'string' ? p.name.trim() : ''));
+        if (names.some(name => !name)) throw new Error('Every player needs a name');
+        const keys = names.map(name => name.toLowerCase());
+        if (new Set(keys).size !== keys.length) throw new Error('Each player can only play once in a game');
+        return names;
+    }
+
+    /**
+     * A date as an ISO string
+     */
+    function readDate(value, field) {
+        const date = new Date(typeof value === 'number' ? value : String(value ?? ''));
+        if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+            throw new Error(`${field} is missing or not a date`);
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * A game's ID (the duplicate check relies on it)
+     */
+    function readGameId(value) {
+        if (!UUID_PATTERN.test(String(value ?? ''))) throw new Error('Game ID is missing or not a UUID');
+        return value.toLowerCase();
+    }
+
+    /**
+     * An exported turn as replay input: dart objects, a turn total in per-turn games, or
+     * dart scores only (games from before segments were stored)
+     */
+    function readExportedTurn(turn, game) {
+        if (!Array.isArray(turn?.darts) || turn.darts.length === 0) throw new Error('A turn has no darts');
+
+        const recorded = {
+            remaining: turn.remaining ?? null,
+            busted: !!turn.busted,
+            timestamp: Number.isFinite(turn.timestamp) ? turn.timestamp : null
+        };
+
+        if (game.scoring_mode === 'per-turn') {
+            return { ...recorded, darts: [turn.darts.reduce((sum, d) => sum + (parseInt(d) || 0), 0)] };
+        }
+        if (Array.isArray(turn.segments) && turn.segments.length > 0) {
+            return { ...recorded, darts: turn.segments.map(d => ({ segment: d?.segment, multiplier: d?.multiplier })) };
+        }
+        if (game.game_mode === 'cricket') {
+            throw new Error('Cricket turns need the board segment of every dart');
+        }
+        if (game.out_rule !== 'straight' || game.in_rule !== 'straight') {
+            throw new Error('Double/master in and out games need the board segment of every dart');
+        }
+        return { ...recorded, darts: turn.darts.map(dartFromScore), guessed: true };
+    }
+
+    /**
+     * A board segment for a dart known only by its score. The multiplier is a guess
+     * (18 could be a treble 6), which doesn't change the scoring of straight in/out games;
+     * the guessed segments aren't saved
+     */
+    function dartFromScore(score) {
+        const points = Number(score);
+        if (points === 0) return Game.createDart(0);
+        if (Number.isInteger(points)) {
+            if ((points >= 1 && points <= 20) || points === 25) return Game.createDart(points, 1);
+            if (points === 50) return Game.createDart(25, 2);
+            if (points <= 60 && points % 3 === 0) return Game.createDart(points / 3, 3);
+            if (points <= 40 && points % 2 === 0) return Game.createDart(points / 2, 2);
+        }
+        throw new Error(`${score} can't be scored with one dart`);
+    }
+
+    /**
+     * A finished game from per-player totals only (v2.0.0 exports without turns)
+     * Totals are checked against each other; the number of turns comes from the
+     * exported average, which the leaderboard's average per turn needs
+     */
+    function importSummary(game, players, completedAt) {
+        const isCricket = game.game_mode === 'cricket';
+
+        game.players.forEach((player, i) => {
+            const source = players[i];
+            const stats = source.stats || {};
+            const finalScore = readCount(source.currentScore, `${player.name}'s final score`);
+            const totalScore = readCount(stats.totalScore ?? 0, `${player.name}'s total score`);
+            const totalDarts = readCount(stats.totalDarts ?? 0, `${player.name}'s dart count`);
+            const maxTurn = readCount(stats.maxTurn ?? 0, `${player.name}'s best turn`);
+            const maxDart = readCount(stats.maxDart ?? 0, `${player.name}'s best dart`);
+            const average = parseFloat(stats.avgPerDart) || 0;
+
+            if (!isCricket) {
+                if (finalScore > player.startingScore) {
+                    throw new Error(`${player.name} ended above their starting score`);
+                }
+                if (game.win_condition === 'exact' && totalScore !== player.startingScore - finalScore) {
+                    throw new Error(`${player.name} scored ${totalScore} but went from ${player.startingScore} to ${finalScore}`);
+                }
+                if (maxTurn > 180 || maxDart > 60) {
+                    throw new Error(`${player.name}'s best turn or dart can't be scored`);
+                }
+            }
+
+            player.currentScore = finalScore;
+            player.finish_rank = source.finish_rank ?? undefined;
+            player.finish_round = source.finish_round ?? undefined;
+            player.winner = !!source.winner;
+            player.stats = {
+                ...player.stats,
+                totalScore,
+                totalDarts,
+                maxTurn,
+                maxDart,
+                totalTurns: average > 0 ? Math.round(totalScore / average) : 0
+            };
+        });
+
+        const ranks = game.players.map(p => p.finish_rank).filter(rank => rank !== undefined);
+        if (ranks.some(rank => !Number.isInteger(rank) || rank < 1 || rank > game.players.length)) {
+            throw new Error('Finishing positions must be between 1 and the number of players');
+        }
+        if (ranks.length > 0 && !ranks.includes(1)) {
+            throw new Error('Finishing positions have no winner');
+        }
+        if (ranks.length === 0) {
+            // Older games only flagged the winner
+            const winners = game.players.filter(p => p.winner);
+            if (winners.length > 1) throw new Error('Game has more than one winner');
+            if (winners.length === 1) winners[0].finish_rank = 1;
+        }
+
+        game.is_active = false;
+        game.completed_at = completedAt;
+        game.current_turn = game.players.reduce((sum, p) => sum + p.stats.totalTurns, 0);
+        game.turn_log = [];
+        return game;
+    }
+
+    /**
+     * A whole number that can't be negative
+     */
+    function readCount(value, field) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            throw new Error(`${field} must be a whole number`);
+        }
+        return number;
+    }
+
+    // ============================
+    // Replay
+    // ============================
+
+    /**
+     * Replay each player's turns on a new game, in throw order
+     * turns: per player, { darts, remaining, busted, timestamp, guessed } in the order
+     * they threw. A recorded remaining score or bust that the Game module scores
+     * differently is an error. finish: { completedAt, winner } where winner is the
+     * recorded winner's name, null for a game without one, or undefined when unknown.
+     * A game whose turns run out before someone wins was ended early: it is ranked
+     * like a game ended from the scoreboard, or abandoned when it had no winner.
+     */
+    function replayGame(game, turns, finish, warn) {
+        const queues = turns.map(playerTurns => [...playerTurns]);
+        const startTime = new Date(game.created_at).getTime();
+        let thrown = 0;
+
+        while (game.is_active) {
+            const playerIndex = game.current_player_index;
+            const player = game.players[playerIndex];
+            const turn = queues[playerIndex].shift();
+            if (!turn) break;
+
+            const turnNumber = player.turns.length + 1;
+            const result = Game.submitTurn(game, turn.darts);
+            if (!result.success) {
+                throw new Error(`${player.name}, turn ${turnNumber}: ${result.error}`);
+            }
+
+            const scored = player.turns[player.turns.length - 1];
+            if (game.game_mode !== 'cricket' && turn.remaining !== null && turn.remaining !== undefined &&
+                (Number(turn.remaining) !== scored.remaining || turn.busted !== scored.busted)) {
+                throw new Error(`${player.name}, turn ${turnNumber}: recorded ${turn.busted ? 'a bust' : `${turn.remaining} left`}, ` +
+                    `but the darts leave ${scored.busted ? 'a bust' : scored.remaining}`);
+            }
+
+            thrown++;
+            scored.timestamp = turn.timestamp ?? startTime + thrown * TURN_INTERVAL;
+            if (turn.guessed) scored.segments = null;
+        }
+
+        const leftOver = queues.reduce((sum, queue) => sum + queue.length, 0);
+        if (leftOver > 0) {
+            throw new Error(game.is_active
+                ? `Turns are out of order: ${game.players[game.current_player_index].name} has no turn left while others do`
+                : `${leftOver} turn${leftOver === 1 ? '' : 's'} recorded after the game was won`);
+        }
+
+        if (game.is_active) {
+            if (finish.winner === null) {
+                Game.abandonGame(game);
+            } else {
+                if (finish.winner === undefined && !game.players.some(p => p.winner)) {
+                    warn('Nobody checked out - ranked by the scores left, like a game ended early');
+                }
+                Game.endGame(game);
+            }
+        }
+
+        if (finish.winner) {
+            const winners = game.players.filter(p => p.finish_rank === 1).map(p => p.name.toLowerCase());
+            if (!winners.includes(finish.winner.toLowerCase())) {
+                throw new Error(`Recorded winner ${finish.winner} doesn't match the turns`);
+            }
+        }
+
+        game.completed_at = finish.completedAt;
+        // Finished games have no undo history (as when loaded from the database)
+        game.turn_log = [];
+        game.redo_log = [];
+        return game;
+    }
+
+    // ============================
+    // CSV turn sheets
+    // ============================
+
+    /**
+     * Parse a CSV turn sheet: one row per turn in the order they were thrown, rows of
+     * the same game share its "game" key. Players throw in order of first appearance.
+     */
+    async function parseTurnSheet(content) {
+        const rows = parseCsv(content);
+        const header = (rows.shift() || []).map(cell => cell.trim().toLowerCase());
+        const column = Object.fromEntries(CSV_COLUMNS.map(name => [name, header.indexOf(name)]));
+
+        const missing = ['game', 'date', 'player'].filter(name => column[name] === -1);
+        if (column.dart1 === -1 && column.total === -1) missing.push('dart1 or total');
+        if (missing.length > 0) {
+            return createResult('csv', [{ label: 'Header', message: `Missing column${missing.length === 1 ? '' : 's'}: ${missing.join(', ')}` }]);
+        }
+
+        // Row cells by column name; line numbers count the header as line 1
+        const sheets = new Map();
+        rows.forEach((cells, i) => {
+            if (cells.every(cell => !cell.trim())) return;
+            const value = name => (column[name] === -1 ? '' : readCell(cells[column[name]] || ''));
+            const key = value('game');
+            if (!sheets.has(key)) sheets.set(key, []);
+            sheets.get(key).push({ line: i + 2, value });
+        });
+
+        const result = createResult('csv');
+        for (const [key, sheetRows] of sheets) {
+            const label = key ? `Game ${key}` : `Line ${sheetRows[0].line}`;
+            const warn = message => result.warnings.push({ label, message });
+            try {
+                if (!key) throw new Error('Rows without a game key');
+                result.games.push(await importSheetGame(key, sheetRows, warn));
+            } catch (error) {
+                result.errors.push({ label, message: error.message });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Turn the rows of one game in a turn sheet into a finished game
+     * Game settings are read from its first row
+     */
+    async function importSheetGame(key, rows, warn) {
+        const first = rows[0];
+        const createdAt = readDate(first.value('date'), `Line ${first.line}: date`);
+        const options = readSheetOptions(first);
+
+        const names = [];
+        const starts = [];
+        const turns = [];
+        rows.forEach(row => {
+            const name = row.value('player');
+            if (!name) throw new Error(`Line ${row.line}: player is missing`);
+
+            let index = names.findIndex(n => n.toLowerCase() === name.toLowerCase());
+            if (index === -1) {
+                if (names.length === MAX_PLAYERS) throw new Error(`A game has at most ${MAX_PLAYERS} players`);
+                index = names.push(name) - 1;
+                turns.push([]);
+            }
+            if (row.value('start') && !starts[index]) {
+                starts[index] = readPoints(row.value('start'));
+            }
+            turns[index].push(readSheetTurn(row, options));
+        });
+
+        const modes = new Set(turns.flat().map(turn => turn.mode));
+        if (modes.size > 1) throw new Error('Mixes turn totals and darts - use one or the other per game');
+        const scoringMode = modes.has('per-turn') ? 'per-turn' : 'per-dart';
+        if (scoringMode === 'per-turn' && options.gameMode === 'cricket') {
+            throw new Error('Cricket turns need the darts, not a total');
+        }
+
+        const game = Game.createGame({
+            ...options,
+            scoringMode,
+            playerCount: names.length,
+            playerNames: names,
+            startingScores: starts,
+            shuffle: false
+        });
+        game.id = UUID_PATTERN.test(key) ? key.toLowerCase() : await createSheetGameId(key, createdAt);
+        game.created_at = createdAt;
+
+        const turnCount = turns.reduce((sum, playerTurns) => sum + playerTurns.length, 0);
+        const completedAt = new Date(new Date(createdAt).getTime() + turnCount * TURN_INTERVAL).toISOString();
+        return replayGame(game, turns, { completedAt, winner: undefined }, warn);
+    }
+
+    /**
+     * Game settings from a turn sheet row: game_type is the starting points (501 when
+     * empty), "cricket" or "cut-throat"
+     */
+    function readSheetOptions(row) {
+        const gameType = row.value('game_type').toLowerCase();
+        if (gameType === 'cricket' || gameType === 'cut-throat') {
+            return { gameMode: 'cricket', cricketVariant: gameType === 'cricket' ? 'standard' : gameType };
+        }
+
+        const outRule = row.value('out_rule').toLowerCase() || 'straight';
+        const inRule = row.value('in_rule').toLowerCase() || 'straight';
+        if (!Game.OUT_RULES.includes(outRule)) throw new Error(`Line ${row.line}: unknown out rule "${outRule}"`);
+        if (!Game.IN_RULES.includes(inRule)) throw new Error(`Line ${row.line}: unknown in rule "${inRule}"`);
+
+        return { gameMode: 'x01', gameType: gameType ? readPoints(gameType) : 501, outRule, inRule };
+    }
+
+    /**
+     * A turn sheet row as replay input: up to three darts in board notation, or else the total
+     */
+    function readSheetTurn(row, options) {
+        const darts = ['dart1', 'dart2', 'dart3'].map(name => row.value(name)).filter(Boolean);
+        const total = row.value('total');
+
+        try {
+            if (darts.length === 0) {
+                if (!total) throw new Error('no darts or total');
+                return { mode: 'per-turn', darts: [readCount(total, 'total')] };
+            }
+
+            // With darts the total isn't needed (and a double-in turn scores less than its darts)
+            return { mode: 'per-dart', darts: darts.map(parseDart) };
+        } catch (error) {
+            throw new Error(`Line ${row.line}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse a dart in board notation: T20, D16, S5 or 5, 25 or SB (outer bull),
+     * Bull, DB or D25 (inner bull), 0, M or Miss
+     */
+    function parseDart(text) {
+        const value = text.trim().toUpperCase();
+        if (['0', 'M', 'MISS', '-'].includes(value)) return Game.createDart(0);
+        if (['BULL', 'DB', 'BE', '50'].includes(value)) return Game.createDart(25, 2);
+        if (['SB', 'OB'].includes(value)) return Game.createDart(25, 1);
+
+        const match = value.match(/^([SDT]?)(\d{1,2})$/);
+        if (match) {
+            const multiplier = { '': 1, S: 1, D: 2, T: 3 }[match[1]];
+            const validation = Game.validateDart({ segment: parseInt(match[2]), multiplier });
+            if (validation.valid) return validation.dart;
+        }
+        throw new Error(`"${text}" isn't a dart (use e.g. T20, D16, 5, 25, Bull or Miss)`);
+    }
+
+    /**
+     * A cell's text without the quote the exporter puts before text a spreadsheet
+     * would run as a formula
+     */
+    function readCell(cell) {
+        return cell.trim().replace(/^'(?=['=+\-@\t\r])/, '').trim();
+    }
+
+    /**
+     * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+
+    /**
+     * ID for a turn sheet game keyed by something other than a UUID: derived from the
+     * key and date, so importing the same sheet again finds the games already saved
+     */
+    async function createSheetGameId(key, createdAt) {
+        const data = new TextEncoder().encode(`dart-bee-sheet:${key}:${createdAt}`);
+        const hex = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', data)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        // Version 8 (custom) UUID with the RFC 4122 variant bits
+        const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+    }
+
+    // ============================
+    // Saving
+    // ============================
+
+    /**
+     * Save previewed games, oldest first so ratings are applied in the order they were
+     * played. Each game is saved like a finished game (this device first, then Supabase).
+     * Returns the number of games saved
+     */
+    async function importGames(games, onProgress = () => {}) {
+        const ordered = [...games].sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+        for (let i = 0; i < ordered.length; i++) {
+            await Storage.saveGame(ordered[i]);
+            onProgress(i + 1, ordered.length);
+        }
+        return ordered.length;
+    }
+
+    // Public API
+    return {
+        CSV_COLUMNS,
+        preview,
+        parse,
+        parseDart,
+        describeGame,
+        importGames
+    };
+})();
@@ -0,0 +1,142 @@
+/**
+ * Local Store Module
+ * IndexedDB copy of the games, matches, tournaments, seasons and practice sessions played on this device,
+ * plus the queue of changes still to be pushed to Supabase.
+ * Falls back to memory when IndexedDB isn't available (private browsing on some browsers).
+ */
+
+const LocalStore = (() => {
+    const DB_NAME = 'dart_bee';
+    const DB_VERSION = 3;
+    const STORES = {
+        games: 'games',
+        matches: 'matches',
+        tournaments: 'tournaments',
+        seasons: 'seasons',
+        practiceSessions: 'practice_sessions',
+        syncQueue: 'sync_queue'
+    };
+
+    let db = null;
+    let openPromise = null;
+    // Used when IndexedDB can't be opened; lost on reload
+    const memory = new Map(Object.values(STORES).map(name => [name, new Map()]));
+
+    /**
+     * Open the database (safe to call more than once)
+     * Resolves true for IndexedDB, false when running from memory
+     */
+    function open() {
+        if (openPromise) return openPromise;
+
+        openPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB not available - local data will not survive a reload');
+                resolve(false);
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const upgradeDb = request.result;
+                [STORES.games, STORES.matches, STORES.tournaments, STORES.seasons, STORES.practiceSessions].forEach(name => {
+                    if (!upgradeDb.objectStoreNames.contains(name)) {
+                        upgradeDb.createObjectStore(name, { keyPath: 'id' });
+                    }
+                });
+                if (!upgradeDb.objectStoreNames.contains(STORES.syncQueue)) {
+                    upgradeDb.createObjectStore(STORES.syncQueue, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => {
+                db = request.result;
+                console.log('✓ Local store opened');
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.error('Failed to open local store:', request.error);
+                resolve(false);
+            };
+        });
+
+        return openPromise;
+    }
+
+    /**
+     * Run a request against one object store
+     */
+    async function run(storeName, mode, makeRequest) {
+        await open();
+
+        if (!db) {
+            return makeRequest(null, memory.get(storeName));
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName), null);
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get a record by key (undefined if missing)
+     */
+    function get(storeName, key) {
+        return run(storeName, 'readonly', (store, mem) =>
+            store ? store.get(key) : clone(mem.get(key)));
+    }
+
+    /**
+     * Get every record in a store
+     */
+    function getAll(storeName) {
+        return run(storeName, 'readonly', (store, mem) =>
+            store ? store.getAll() : Array.from(mem.values()).map(clone));
+    }
+
+    /**
+     * Insert or replace a record
+     */
+    function put(storeName, record) {
+        const copy = clone(record);
+        return run(storeName, 'readwrite', (store, mem) => {
+            if (store) return store.put(copy);
+            mem.set(copy[storeName === STORES.syncQueue ? 'key' : 'id'], copy);
+            return undefined;
+        });
+    }
+
+    /**
+     * Delete a record by key
+     */
+    function remove(storeName, key) {
+        return run(storeName, 'readwrite', (store, mem) => {
+            if (store) return store.delete(key);
+            mem.delete(key);
+            return undefined;
+        });
+    }
+
+    /**
+     * Plain copy of a record, the same thing IndexedDB stores (no live references)
+     */
+    function clone(record) {
+        return record === undefined ? undefined : JSON.parse(JSON.stringify(record));
+    }
+
+    // Public API
+    return {
+        STORES,
+        open,
+        get,
+        getAll,
+        put,
+        remove
+    };
+})();
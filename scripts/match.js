@@ -0,0 +1,268 @@
+/**
+ * Match Module
+ * Groups single games (legs) into legs/sets matches
+ */
+
+const Match = (() => {
+    /**
+     * Create a new match
+     * legsToWin is per set; a legs-only match ("best of 5 legs") is a single set
+     * startingScores: handicap starting scores in playerNames order, kept for every leg
+     */
+    function createMatch(options) {
+        const {
+            playerNames = [],
+            legsToWin = 3,
+            setsToWin = 1,
+            gameType = 501,
+            winBelow = false,
+            scoringMode = 'per-dart',
+            outRule = 'straight',
+            inRule = 'straight',
+            gameMode = 'x01',
+            cricketVariant = 'standard',
+            startingScores = []
+        } = options;
+
+        const match = {
+            id: Storage.generateUUID(),
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            is_active: true,
+            device_id: Device.getDeviceId(),
+            legs_to_win: Math.max(1, parseInt(legsToWin)),
+            sets_to_win: Math.max(1, parseInt(setsToWin)),
+            game_options: {
+                gameType: parseInt(gameType),
+                winBelow,
+                scoringMode,
+                outRule,
+                inRule,
+                gameMode,
+                cricketVariant
+            },
+            players: playerNames.map((name, i) => ({
+                name: name?.trim() || `Player ${i + 1}`,
+                legs_won: 0,
+                sets_won: 0,
+                winner: false,
+                // null: the game's points
+                starting_score: gameMode !== 'cricket' && parseInt(startingScores[i]) > 0
+                    ? parseInt(startingScores[i])
+                    : null
+            })),
+            legs: [],
+            winner: null
+        };
+
+        // Randomize who throws first in leg 1 (Fisher-Yates shuffle)
+        for (let i = match.players.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [match.players[i], match.players[j]] = [match.players[j], match.players[i]];
+        }
+
+        return match;
+    }
+
+    /**
+     * Start a new match with the same players and format
+     */
+    function createRematch(match) {
+        return createMatch({
+            ...match.game_options,
+            playerNames: match.players.map(p => p.name),
+            startingScores: match.players.map(p => p.starting_score),
+            legsToWin: match.legs_to_win,
+            setsToWin: match.sets_to_win
+        });
+    }
+
+    /**
+     * Check whether the match is played in sets
+     */
+    function isSetsFormat(match) {
+        return match.sets_to_win > 1;
+    }
+
+    /**
+     * Describe the match format (e.g. "Best of 5 legs", or "First to 3 legs" with more
+     * than 2 players, where legs can be shared around so there is no fixed best-of)
+     */
+    function describeFormat(match) {
+        const legs = match.players.length === 2
+            ? `Best of ${match.legs_to_win * 2 - 1} legs`
+            : `First to ${match.legs_to_win} legs`;
+        if (!isSetsFormat(match)) return legs;
+        return `First to ${match.sets_to_win} sets (${legs.toLowerCase()})`;
+    }
+
+    /**
+     * Tally legs and sets from the completed legs
+     * Leg counts reset at the start of each set; the finished match keeps its final counts
+     */
+    function getScoreboard(match) {
+        const legs = {};
+        const sets = {};
+        const totalLegs = {};
+        match.players.forEach(p => {
+            legs[p.name] = 0;
+            sets[p.name] = 0;
+            totalLegs[p.name] = 0;
+        });
+
+        let currentSet = 1;
+        let legsInSet = 0;
+        let winner = null;
+
+        const orderedLegs = [...match.legs].sort((a, b) =>
+            a.set_number - b.set_number || a.leg_number - b.leg_number
+        );
+
+        for (const leg of orderedLegs) {
+            if (winner || !(leg.winner in legs)) continue;
+
+            legs[leg.winner]++;
+            totalLegs[leg.winner]++;
+            legsInSet++;
+
+            if (legs[leg.winner] === match.legs_to_win) {
+                sets[leg.winner]++;
+                if (sets[leg.winner] === match.sets_to_win) {
+                    winner = leg.winner;
+                } else {
+                    currentSet++;
+                    legsInSet = 0;
+                    Object.keys(legs).forEach(name => { legs[name] = 0; });
+                }
+            }
+        }
+
+        return {
+            currentSet,
+            currentLeg: legsInSet + 1,
+            legsPlayed: orderedLegs.length,
+            winner,
+            players: match.players.map(p => ({
+                name: p.name,
+                legs: legs[p.name],
+                sets: sets[p.name],
+                totalLegs: totalLegs[p.name]
+            }))
+        };
+    }
+
+    /**
+     * Create the game for the next leg
+     * The throw order rotates one place every leg so each player takes turns starting
+     */
+    function createNextLeg(match) {
+        const scoreboard = getScoreboard(match);
+        const startIndex = scoreboard.legsPlayed % match.players.length;
+        const throwOrder = [...match.players.slice(startIndex), ...match.players.slice(0, startIndex)];
+
+        return Game.createGame({
+            ...match.game_options,
+            playerCount: throwOrder.length,
+            playerNames: throwOrder.map(p => p.name),
+            startingScores: throwOrder.map(p => p.starting_score),
+            shuffle: false,
+            matchId: match.id,
+            setNumber: scoreboard.currentSet,
+            legNumber: scoreboard.currentLeg
+        });
+    }
+
+    /**
+     * Record a finished leg and update legs/sets won
+     */
+    function recordLeg(match, game) {
+        const legWinner = game.players.find(p => p.finish_rank === 1) || game.players.find(p => p.winner);
+        if (!legWinner) {
+            return { success: false, error: 'Leg has no winner' };
+        }
+
+        match.legs = match.legs.filter(leg => leg.game_id !== game.id);
+        match.legs.push({
+            game_id: game.id,
+            set_number: game.set_number,
+            leg_number: game.leg_number,
+            winner: legWinner.name
+        });
+
+        const before = getScoreboard({ ...match, legs: match.legs.slice(0, -1) });
+        const scoreboard = getScoreboard(match);
+
+        match.players.forEach(p => {
+            const tally = scoreboard.players.find(s => s.name === p.name);
+            p.legs_won = tally.totalLegs;
+            p.sets_won = tally.sets;
+            p.winner = p.name === scoreboard.winner;
+        });
+
+        const setWinner = scoreboard.currentSet > before.currentSet || scoreboard.winner
+            ? legWinner.name
+            : null;
+
+        if (scoreboard.winner) {
+            match.winner = scoreboard.winner;
+            match.is_active = false;
+            match.completed_at = new Date().toISOString();
+        }
+
+        return {
+            success: true,
+            legWinner: legWinner.name,
+            setWinner,
+            matchWinner: scoreboard.winner,
+            scoreboard
+        };
+    }
+
+    /**
+     * Take back the result of the match's last recorded leg (its final turn was undone),
+     * reopening the match if that leg decided it. Returns false for any other leg.
+     */
+    function undoLeg(match, gameId) {
+        const orderedLegs = [...match.legs].sort((a, b) =>
+            a.set_number - b.set_number || a.leg_number - b.leg_number
+        );
+        if (orderedLegs[orderedLegs.length - 1]?.game_id !== gameId) return false;
+
+        match.legs = match.legs.filter(leg => leg.game_id !== gameId);
+        const scoreboard = getScoreboard(match);
+        match.players.forEach(p => {
+            const tally = scoreboard.players.find(s => s.name === p.name);
+            p.legs_won = tally.totalLegs;
+            p.sets_won = tally.sets;
+            p.winner = false;
+        });
+
+        match.winner = null;
+        match.is_active = true;
+        match.completed_at = null;
+        match.reopened_at = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Stop a match without a winner (e.g. a leg was ended early)
+     */
+    function abandonMatch(match) {
+        match.is_active = false;
+        match.completed_at = new Date().toISOString();
+        return match;
+    }
+
+    // Public API
+    return {
+        createMatch,
+        createRematch,
+        isSetsFormat,
+        describeFormat,
+        getScoreboard,
+        createNextLeg,
+        recordLeg,
+        undoLeg,
+        abandonMatch
+    };
+})();
@@ -0,0 +1,162 @@
+/**
+ * Practice Module
+ * Solo training sessions for the practice modes.
+ * Sessions are stored apart from games, so they never reach the leaderboard.
+ */
+
+const Practice = (() => {
+    // Mode modules, in the order they are offered
+    const MODES = [AroundTheClock, Bobs27, DoublesPractice, CheckoutDrill];
+
+    /**
+     * Get all practice modes
+     */
+    function getModes() {
+        return MODES;
+    }
+
+    /**
+     * Get a practice mode by id
+     */
+    function getMode(modeId) {
+        return MODES.find(m => m.id === modeId) || null;
+    }
+
+    /**
+     * Create a new practice session
+     */
+    function createSession(modeId, playerName) {
+        const mode = getMode(modeId);
+        if (!mode) {
+            return { success: false, error: 'Unknown practice mode' };
+        }
+
+        const options = mode.createOptions();
+        return {
+            success: true,
+            session: {
+                id: Storage.generateUUID(),
+                created_at: new Date().toISOString(),
+                completed_at: null,
+                is_complete: false,
+                device_id: Device.getDeviceId(),
+                player_name: playerName?.trim() || 'Player 1',
+                mode: modeId,
+                options,
+                state: mode.createState(options),
+                turns: []
+            }
+        };
+    }
+
+    /**
+     * Submit a visit of 1-3 darts
+     */
+    function submitTurn(session, dartsInput) {
+        if (session.completed_at) {
+            return { success: false, error: 'Session is already finished' };
+        }
+
+        const validation = Game.validateTurn(dartsInput);
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+
+        const mode = getMode(session.mode);
+        const result = mode.applyTurn(session.state, validation.segments);
+        if (!result.success) {
+            return result;
+        }
+
+        session.state = result.state;
+        session.turns.push({
+            darts: validation.segments,
+            message: result.message,
+            timestamp: new Date().toISOString()
+        });
+
+        if (result.finished) {
+            session.is_complete = true;
+            endSession(session);
+        }
+
+        return { success: true, message: result.message, finished: result.finished };
+    }
+
+    /**
+     * Undo the last visit by replaying the session without it
+     */
+    function undoLastTurn(session) {
+        if (session.turns.length === 0) {
+            return { success: false, error: 'No turns to undo' };
+        }
+
+        const mode = getMode(session.mode);
+        session.turns.pop();
+        session.state = mode.createState(session.options);
+        for (const turn of session.turns) {
+            session.state = mode.applyTurn(session.state, turn.darts).state;
+        }
+        session.is_complete = false;
+        session.completed_at = null;
+
+        return { success: true };
+    }
+
+    /**
+     * Finish a session
+     * is_complete is only set when the mode ran to its end, not when stopped early
+     */
+    function endSession(session) {
+        session.completed_at = new Date().toISOString();
+        return session;
+    }
+
+    /**
+     * Get the result of a session ({ score, hits, summary, darts })
+     */
+    function getResult(session) {
+        const mode = getMode(session.mode);
+        return {
+            ...mode.getResult(session.state),
+            darts: session.state.darts
+        };
+    }
+
+    /**
+     * Check whether a score beats another for a mode
+     */
+    function isBetterScore(modeId, score, other) {
+        if (other === null || other === undefined) return true;
+        return getMode(modeId).scoreOrder === 'lower' ? score < other : score > other;
+    }
+
+    /**
+     * Get the best completed session per mode
+     * Sessions stopped early don't count (a short Around the Clock would always win)
+     */
+    function getPersonalBests(sessions) {
+        const bests = {};
+        sessions
+            .filter(s => s.is_complete && s.score !== null && s.score !== undefined)
+            .forEach(s => {
+                if (isBetterScore(s.mode, s.score, bests[s.mode]?.score)) {
+                    bests[s.mode] = s;
+                }
+            });
+        return bests;
+    }
+
+    // Public API
+    return {
+        getModes,
+        getMode,
+        createSession,
+        submitTurn,
+        undoLastTurn,
+        endSession,
+        getResult,
+        isBetterScore,
+        getPersonalBests
+    };
+})();
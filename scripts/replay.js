@@ -0,0 +1,175 @@
+/**
+ * Replay Module
+ * Rebuilds a finished game's scoreboard turn by turn from its stored turns.
+ * Turns are replayed in round order, the way the game was played; their timestamps
+ * give the game clock and the pace of playback.
+ */
+
+const Replay = (() => {
+    // Playback speeds offered (1 = the real gaps between turns)
+    const SPEEDS = [1, 2, 4, 8];
+    // Gaps between turns are kept within these bounds, so long breaks don't stall playback
+    const MIN_DELAY = 300;
+    const MAX_DELAY = 5000;
+    // Gap used when a turn has no usable timestamp
+    const DEFAULT_GAP = 2000;
+
+    /**
+     * Whether a game can be replayed: finished with at least one turn
+     */
+    function canReplay(game) {
+        return Boolean(game?.completed_at) && game.players.some(p => p.turns.length > 0);
+    }
+
+    /**
+     * Time from the start of the game to a turn (null without a usable timestamp)
+     */
+    function getElapsed(game, turn) {
+        const elapsed = turn.timestamp - new Date(game.created_at).getTime();
+        return Number.isFinite(elapsed) && elapsed >= 0 ? elapsed : null;
+    }
+
+    /**
+     * Build a replay of a game: every turn in throw order, and when each player finished
+     * (X01 players at their checkout, the Cricket winner at the end of the game)
+     */
+    function createReplay(game) {
+        const throws = [];
+        const rounds = Math.max(0, ...game.players.map(p => p.turns.length));
+        for (let round = 0; round < rounds; round++) {
+            game.players.forEach((player, playerIndex) => {
+                const turn = player.turns[round];
+                if (turn) {
+                    throws.push({ playerIndex, round, turn, elapsed: getElapsed(game, turn) });
+                }
+            });
+        }
+
+        const finishes = game.players.map(() => null);
+        throws.forEach((thrown, index) => {
+            if (game.game_mode === 'cricket' || thrown.turn.busted || thrown.turn.remaining > 0) return;
+            finishes[thrown.playerIndex] = { step: index + 1, round: thrown.round, elapsed: thrown.elapsed };
+        });
+
+        const cricketWinner = game.game_mode === 'cricket' ? game.players.findIndex(p => p.winner) : -1;
+        if (cricketWinner !== -1 && throws.length > 0) {
+            const last = throws[throws.length - 1];
+            finishes[cricketWinner] = { step: throws.length, round: last.round, elapsed: last.elapsed };
+        }
+
+        return { game, throws, finishes };
+    }
+
+    /**
+     * Darts a turn counts for (a per-turn total stands for 3)
+     */
+    function countDarts(game, turn) {
+        return game.scoring_mode === 'per-turn' ? 3 : turn.darts.length;
+    }
+
+    /**
+     * Copy of the game as it stood after the first `step` turns
+     */
+    function buildSnapshot(replay, step) {
+        const { game, throws } = replay;
+        const shown = throws.slice(0, step);
+        const snapshot = {
+            ...game,
+            is_active: step < throws.length,
+            players: game.players.map((player, index) => ({
+                ...player,
+                turns: shown.filter(t => t.playerIndex === index).map(t => t.turn)
+            }))
+        };
+
+        if (game.game_mode === 'cricket') {
+            // Marks and points come from replaying the darts
+            Cricket.rebuildState(snapshot);
+        } else {
+            snapshot.players.forEach(player => {
+                const last = player.turns[player.turns.length - 1];
+                player.currentScore = last ? Math.max(0, last.remaining) : player.startingScore;
+            });
+        }
+
+        // Highlight whoever throws next
+        snapshot.current_player_index = throws[step] ? throws[step].playerIndex : -1;
+        return snapshot;
+    }
+
+    /**
+     * The scoreboard after the first `step` turns (0: before the first throw)
+     * Returns { step, steps, game, turn, elapsed, standings }: `game` is a copy of the game
+     * at that point, `turn` the throw just shown ({ playerIndex, round, turn, elapsed })
+     * and `standings` the live ranking, each with the player's finish once they finished
+     */
+    function getFrame(replay, step) {
+        const { game, throws, finishes } = replay;
+        step = Math.max(0, Math.min(step, throws.length));
+
+        const snapshot = buildSnapshot(replay, step);
+        const isCricket = game.game_mode === 'cricket';
+        // Final ranks also cover players who never finished, once the game is over
+        const isOver = step === throws.length;
+        const order = isCricket ? Cricket.getStandings(snapshot) : [];
+
+        const standings = snapshot.players
+            .map((player, index) => {
+                const finish = finishes[index] && finishes[index].step <= step ? finishes[index] : null;
+                const darts = isCricket
+                    ? player.stats.totalDarts
+                    : player.turns.reduce((sum, turn) => sum + countDarts(game, turn), 0);
+                const average = player.turns.length === 0 ? 0 : isCricket
+                    ? player.stats.mpr
+                    : (player.startingScore - player.currentScore) / player.turns.length;
+
+                return {
+                    index,
+                    name: player.name,
+                    score: player.currentScore,
+                    turns: player.turns.length,
+                    darts,
+                    average: average.toFixed(2),
+                    finish,
+                    rank: finish || isOver ? game.players[index].finish_rank || null : null
+                };
+            })
+            .sort((a, b) =>
+                (a.rank || 999) - (b.rank || 999) ||
+                (isCricket
+                    ? order.indexOf(snapshot.players[a.index]) - order.indexOf(snapshot.players[b.index])
+                    : a.score - b.score) ||
+                a.index - b.index
+            );
+
+        const turn = throws[step - 1] || null;
+        return {
+            step,
+            steps: throws.length,
+            game: snapshot,
+            turn,
+            elapsed: turn ? turn.elapsed : 0,
+            standings
+        };
+    }
+
+    /**
+     * Time to wait before showing the turn after `step` at a playback speed:
+     * the real gap between the turns, kept within MIN_DELAY and MAX_DELAY
+     */
+    function getDelay(replay, step, speed = 1) {
+        const current = step === 0 ? 0 : replay.throws[step - 1]?.elapsed;
+        const next = replay.throws[step]?.elapsed;
+        const gap = current != null && next != null && next >= current ? next - current : DEFAULT_GAP;
+        return Math.min(MAX_DELAY, Math.max(MIN_DELAY, gap / speed));
+    }
+
+    // Public API
+    return {
+        SPEEDS,
+        canReplay,
+        createReplay,
+        getFrame,
+        getDelay
+    };
+})();
@@ -2,7 +2,7 @@
  * Router Module
  * Handles hash-based routing for single-page application
  * Uses hash routes (#/) for compatibility with static file servers
- * Supports routes like: #/game/:id, #/history, #/history/game/:id, #/leaderboard, etc.
+ * Supports routes like: #/game/:id, #/tv/:id, #/history, #/history/game/:id, #/leaderboard, etc.
  */
 
 const Router = (() => {
@@ -11,7 +11,15 @@ const Router = (() => {
      * Uses hash-based routing (#/) for compatibility with static file servers
      */
     function parseUrl() {
-        const hash = window.location.hash.substring(2); // Remove '#/'
+        let hash = window.location.hash.substring(2); // Remove '#/'
+
+        // Older installs open manifest shortcuts as /?mode=<page>; move that onto the hash route
+        const mode = new URLSearchParams(window.location.search).get('mode');
+        if (mode) {
+            hash = hash || mode;
+            window.history.replaceState(null, '', `${window.location.pathname}#/${hash}`);
+        }
+
         const pathParts = hash.split('/').filter(p => p);
 
         console.log('Current hash:', hash);
@@ -26,6 +34,11 @@ const Router = (() => {
             return { route: 'game', gameId: pathParts[1] };
         }
 
+        // Big-screen scoreboard; without a game it shows the code for pairing a phone
+        if (pathParts[0] === 'tv') {
+            return { route: 'tv', gameId: pathParts[1] || null };
+        }
+
         if (pathParts[0] === 'history') {
             if (pathParts[1] === 'game' && pathParts[2]) {
                 return { route: 'game-detail', gameId: pathParts[2] };
@@ -37,12 +50,15 @@ const Router = (() => {
             if (pathParts[1] === 'player' && pathParts[2]) {
                 return { route: 'player-profile', playerName: decodeURIComponent(pathParts[2]) };
             }
-            // Support subtab routes: #/leaderboard/:metric/:filter
-            const validMetrics = ['wins', 'win-rate', 'avg-turn', 'max-turn'];
+            // Support subtab routes: #/leaderboard/:metric/:filter[/no-handicap]
+            const validMetrics = ['wins', 'win-rate', 'avg-turn', 'max-turn', 'rating'];
             const validFilters = ['all-time', '30-days', '7-days'];
             const metric = validMetrics.includes(pathParts[1]) ? pathParts[1] : 'wins';
-            const filter = validFilters.includes(pathParts[2]) ? pathParts[2] : 'all-time';
-            return { route: 'leaderboard', metric, filter };
+            // A league season's games: season:<id>
+            const isSeasonFilter = /^season:[0-9a-f-]+$/i.test(pathParts[2] || '');
+            const filter = validFilters.includes(pathParts[2]) || isSeasonFilter ? pathParts[2] : 'all-time';
+            const excludeHandicap = pathParts[3] === 'no-handicap';
+            return { route: 'leaderboard', metric, filter, excludeHandicap };
         }
 
         if (pathParts[0] === 'new-game') {
@@ -53,6 +69,36 @@ const Router = (() => {
             return { route: 'stats' };
         }
 
+        if (pathParts[0] === 'practice') {
+            return { route: 'practice' };
+        }
+
+        if (pathParts[0] === 'seasons') {
+            if (pathParts[1]) {
+                return { route: 'season', seasonId: pathParts[1] };
+            }
+            return { route: 'seasons' };
+        }
+
+        if (pathParts[0] === 'tournaments') {
+            if (pathParts[1]) {
+                return { route: 'tournament', tournamentId: pathParts[1] };
+            }
+            return { route: 'tournaments' };
+        }
+
+        if (pathParts[0] === 'account') {
+            return { route: 'account' };
+        }
+
+        if (pathParts[0] === 'admin') {
+            return { route: 'admin' };
+        }
+
+        if (pathParts[0] === 'data') {
+            return { route: 'data' };
+        }
+
         return { route: 'home' };
     }
 
@@ -69,6 +115,9 @@ const Router = (() => {
             case 'game':
                 path = `#/game/${params.gameId}`;
                 break;
+            case 'tv':
+                path = params.gameId ? `#/tv/${params.gameId}` : '#/tv';
+                break;
             case 'new-game':
                 path = '#/new-game';
                 break;
@@ -82,7 +131,7 @@ const Router = (() => {
                 // Support subtab params: metric and filter
                 const metric = params.metric || 'wins';
                 const filter = params.filter || 'all-time';
-                path = `#/leaderboard/${metric}/${filter}`;
+                path = `#/leaderboard/${metric}/${filter}${params.excludeHandicap ? '/no-handicap' : ''}`;
                 break;
             case 'player-profile':
                 path = `#/leaderboard/player/${encodeURIComponent(params.playerName)}`;
@@ -90,6 +139,30 @@ const Router = (() => {
             case 'stats':
                 path = '#/stats';
                 break;
+            case 'practice':
+                path = '#/practice';
+                break;
+            case 'tournaments':
+                path = '#/tournaments';
+                break;
+            case 'seasons':
+                path = '#/seasons';
+                break;
+            case 'season':
+                path = `#/seasons/${params.seasonId}`;
+                break;
+            case 'tournament':
+                path = `#/tournaments/${params.tournamentId}`;
+                break;
+            case 'account':
+                path = '#/account';
+                break;
+            case 'admin':
+                path = '#/admin';
+                break;
+            case 'data':
+                path = '#/data';
+                break;
         }
 
         // Update browser location hash (doesn't cause page reload)
@@ -0,0 +1,377 @@
+/**
+ * Season Module
+ * League seasons: registered players, a fixture list where everyone meets everyone
+ * (once, or home and away) and a standings table.
+ * Each fixture is a legs match (Match module). The legs played for it are recorded on
+ * the fixture with each player's scoring, so the table has legs and averages as well as points.
+ */
+
+const Season = (() => {
+    /**
+     * Create a season and its fixture list
+     * meetings: how often each pair of players meets (2 = home and away)
+     */
+    function createSeason(options) {
+        const {
+            name = '',
+            playerNames = [],
+            meetings = 1,
+            legsToWin = 2,
+            pointsForWin = 2,
+            pointsForLoss = 0,
+            gameType = 501,
+            winBelow = false,
+            scoringMode = 'per-dart',
+            outRule = 'straight',
+            inRule = 'straight',
+            gameMode = 'x01',
+            cricketVariant = 'standard'
+        } = options;
+
+        const players = playerNames.map((playerName, i) => playerName?.trim() || `Player ${i + 1}`);
+
+        return {
+            id: Storage.generateUUID(),
+            name: name.trim() || `Season ${new Date().toLocaleDateString()}`,
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            is_active: true,
+            device_id: Device.getDeviceId(),
+            legs_to_win: Math.max(1, parseInt(legsToWin)),
+            points_for_win: Math.max(0, parseInt(pointsForWin) || 0),
+            points_for_loss: Math.max(0, parseInt(pointsForLoss) || 0),
+            game_options: {
+                gameType: parseInt(gameType),
+                winBelow,
+                scoringMode,
+                outRule,
+                inRule,
+                gameMode,
+                cricketVariant
+            },
+            players,
+            fixtures: createFixtures(players, Math.max(1, parseInt(meetings))),
+            winner: null
+        };
+    }
+
+    /**
+     * Check the entry list before creating a season; returns an error message or null
+     */
+    function validate(playerNames) {
+        const names = playerNames.map(n => n.trim().toLowerCase()).filter(Boolean);
+        if (names.length < 2) return 'A league needs at least 2 players';
+        if (new Set(names).size !== names.length) return 'Each player can only be entered once';
+        return null;
+    }
+
+    /**
+     * Fixture list: the round robin schedule once per meeting, home and away swapped
+     * in every second meeting. Fixture IDs: R<round>-<n>
+     */
+    function createFixtures(players, meetings) {
+        const schedule = Tournament.scheduleRoundRobin(players);
+        const fixtures = [];
+
+        for (let meeting = 0; meeting < meetings; meeting++) {
+            schedule.forEach((pairs, i) => {
+                const round = meeting * schedule.length + i + 1;
+                pairs.forEach(([home, away], n) => {
+                    fixtures.push({
+                        id: `R${round}-${n}`,
+                        round,
+                        players: meeting % 2 === 0 ? [home, away] : [away, home],
+                        match_id: null,
+                        game_id: null,
+                        status: 'scheduled',
+                        winner: null,
+                        legs: []
+                    });
+                });
+            });
+        }
+        return fixtures;
+    }
+
+    /**
+     * Get a fixture by ID
+     */
+    function getFixture(season, fixtureId) {
+        return season.fixtures.find(f => f.id === fixtureId) || null;
+    }
+
+    /**
+     * Get the fixture a match is being played for
+     */
+    function getFixtureForMatch(season, matchId) {
+        return season.fixtures.find(f => f.match_id === matchId) || null;
+    }
+
+    /**
+     * Note when a fixture was started, put back on the list or had a leg recorded on this device
+     */
+    function touchFixture(fixture) {
+        fixture.updated_at = new Date().toISOString();
+    }
+
+    /**
+     * Create the match for a fixture and the game for its first leg
+     */
+    function startFixture(season, fixtureId) {
+        const fixture = getFixture(season, fixtureId);
+        if (!fixture || fixture.status !== 'scheduled') {
+            return { success: false, error: 'This fixture has already been played' };
+        }
+
+        const match = Match.createMatch({
+            ...season.game_options,
+            playerNames: fixture.players,
+            legsToWin: season.legs_to_win
+        });
+        const game = Match.createNextLeg(match);
+
+        fixture.match_id = match.id;
+        fixture.game_id = game.id;
+        fixture.status = 'playing';
+        touchFixture(fixture);
+        return { success: true, match, game };
+    }
+
+    /**
+     * Point a fixture at the game of its next leg (for the live link)
+     */
+    function startLeg(season, game) {
+        const fixture = getFixtureForMatch(season, game.match_id);
+        if (!fixture || fixture.status !== 'playing') return false;
+        fixture.game_id = game.id;
+        return true;
+    }
+
+    /**
+     * Put a fixture whose match was abandoned back on the list, dropping its legs
+     */
+    function resetFixture(season, fixtureId) {
+        const fixture = getFixture(season, fixtureId);
+        if (!fixture || fixture.status !== 'playing') return false;
+        fixture.match_id = null;
+        fixture.game_id = null;
+        fixture.status = 'scheduled';
+        fixture.legs = [];
+        touchFixture(fixture);
+        return true;
+    }
+
+    /**
+     * Record a finished leg of a fixture's match (after Match.recordLeg), deciding the
+     * fixture once the match has a winner and the season once every fixture is played
+     */
+    function recordLeg(season, match, game) {
+        const fixture = getFixtureForMatch(season, match.id);
+        if (!fixture) {
+            return { success: false, error: 'This match isn\'t a fixture of the season' };
+        }
+        if (fixture.status === 'done') {
+            return { success: true, fixture, seasonWinner: season.winner };
+        }
+
+        const legWinner = game.players.find(p => p.finish_rank === 1) || game.players.find(p => p.winner);
+        if (!legWinner) {
+            return { success: false, error: 'Leg has no winner' };
+        }
+
+        // Scoring per player for the averages (X01 only, like the leaderboard)
+        const scoring = game.game_mode === 'cricket'
+            ? null
+            : Object.fromEntries(game.players.map(p => [p.name, { score: p.stats.totalScore, turns: p.turns.length }]));
+
+        fixture.legs = fixture.legs.filter(leg => leg.game_id !== game.id);
+        fixture.legs.push({ game_id: game.id, winner: legWinner.name, scoring });
+
+        if (match.winner) {
+            fixture.status = 'done';
+            fixture.winner = match.winner;
+        }
+        touchFixture(fixture);
+        updateCompletion(season);
+
+        return { success: true, fixture, seasonWinner: season.winner };
+    }
+
+    /**
+     * Take back a leg recorded for a fixture (its final turn was undone), putting the
+     * fixture back in play with that game as its current leg
+     */
+    function undoLeg(season, match, gameId) {
+        const fixture = getFixtureForMatch(season, match.id);
+        if (!fixture || !fixture.legs.some(leg => leg.game_id === gameId)) return false;
+
+        fixture.legs = fixture.legs.filter(leg => leg.game_id !== gameId);
+        fixture.status = 'playing';
+        fixture.winner = null;
+        fixture.game_id = gameId;
+        touchFixture(fixture);
+
+        season.winner = null;
+        season.is_active = true;
+        season.completed_at = null;
+        season.reopened_at = new Date().toISOString();
+        return true;
+    }
+
+    /**
+     * Finish the season once every fixture is played
+     */
+    function updateCompletion(season) {
+        const winner = getWinner(season);
+        if (winner && !season.completed_at) {
+            season.winner = winner;
+            season.is_active = false;
+            season.completed_at = new Date().toISOString();
+        }
+        return season;
+    }
+
+    /**
+     * The season winner once every fixture is played, or null
+     */
+    function getWinner(season) {
+        if (season.fixtures.some(f => f.status !== 'done')) return null;
+        return getStandings(season)[0]?.name || null;
+    }
+
+    /**
+     * Legs won by each player of a fixture, in fixture order: [home, away]
+     */
+    function getFixtureScore(fixture) {
+        return fixture.players.map(name => fixture.legs.filter(leg => leg.winner === name).length);
+    }
+
+    /**
+     * League table from the played fixtures: points, then leg difference, legs won
+     * and the average per turn
+     */
+    function getStandings(season) {
+        const rows = new Map(season.players.map(name => [name, {
+            name,
+            played: 0,
+            won: 0,
+            lost: 0,
+            legs_for: 0,
+            legs_against: 0,
+            leg_difference: 0,
+            points: 0,
+            score: 0,
+            turns: 0,
+            average: null
+        }]));
+
+        season.fixtures.filter(f => f.status === 'done').forEach(fixture => {
+            const score = getFixtureScore(fixture);
+            fixture.players.forEach((name, i) => {
+                const row = rows.get(name);
+                if (!row) return;
+
+                row.played++;
+                if (name === fixture.winner) {
+                    row.won++;
+                    row.points += season.points_for_win;
+                } else {
+                    row.lost++;
+                    row.points += season.points_for_loss;
+                }
+                row.legs_for += score[i];
+                row.legs_against += score[1 - i];
+
+                fixture.legs.forEach(leg => {
+                    const scoring = leg.scoring?.[name];
+                    if (!scoring) return;
+                    row.score += scoring.score;
+                    row.turns += scoring.turns;
+                });
+            });
+        });
+
+        return Array.from(rows.values())
+            .map(row => ({
+                ...row,
+                leg_difference: row.legs_for - row.legs_against,
+                average: row.turns > 0 ? row.score / row.turns : null
+            }))
+            .sort((a, b) =>
+                b.points - a.points ||
+                b.leg_difference - a.leg_difference ||
+                b.legs_for - a.legs_for ||
+                (b.average || 0) - (a.average || 0)
+            );
+    }
+
+    /**
+     * Fixtures grouped by round for display: [{ round, fixtures }]
+     */
+    function getRounds(season) {
+        const rounds = [];
+        season.fixtures.forEach(fixture => {
+            let group = rounds.find(r => r.round === fixture.round);
+            if (!group) {
+                group = { round: fixture.round, fixtures: [] };
+                rounds.push(group);
+            }
+            group.fixtures.push(fixture);
+        });
+        return rounds;
+    }
+
+    /**
+     * Combine this device's copy with the database's: each fixture keeps the copy changed
+     * last, so a fixture put back on the list or a leg taken back stays that way. Fixtures
+     * changed at the same time (or before fixtures were timestamped) keep whichever got
+     * further (played > being played > scheduled), with the legs of the same match
+     * combined, so results recorded on two devices are both kept. The database copy's
+     * result is only kept when this copy wasn't put back in play (a leg taken back) since.
+     */
+    function merge(local, remote) {
+        const progress = fixture => fixture.status === 'done' ? 2 : fixture.status === 'playing' ? 1 : 0;
+        const changedAt = fixture => Date.parse(fixture.updated_at) || 0;
+        const merged = JSON.parse(JSON.stringify(local));
+
+        merged.fixtures = local.fixtures.map(fixture => {
+            const other = remote.fixtures.find(f => f.id === fixture.id);
+            if (!other) return { ...fixture };
+
+            const newer = changedAt(other) - changedAt(fixture);
+            if (newer !== 0) return newer > 0 ? { ...other } : { ...fixture };
+
+            if (fixture.match_id && other.match_id === fixture.match_id) {
+                const further = progress(other) > progress(fixture) ? other : fixture;
+                const known = new Set(further.legs.map(leg => leg.game_id));
+                const missing = (further === fixture ? other : fixture).legs.filter(leg => !known.has(leg.game_id));
+                return { ...further, legs: [...further.legs, ...missing] };
+            }
+            return progress(other) > progress(fixture) ? { ...other } : { ...fixture };
+        });
+        if (remote.completed_at && !merged.completed_at && !(Date.parse(local.reopened_at) > Date.parse(remote.completed_at))) {
+            merged.completed_at = remote.completed_at;
+            merged.winner = remote.winner;
+            merged.is_active = false;
+        }
+        return updateCompletion(merged);
+    }
+
+    // Public API
+    return {
+        createSeason,
+        validate,
+        getFixture,
+        getFixtureForMatch,
+        startFixture,
+        startLeg,
+        resetFixture,
+        recordLeg,
+        undoLeg,
+        getWinner,
+        getFixtureScore,
+        getStandings,
+        getRounds,
+        merge
+    };
+})();
@@ -55,6 +55,13 @@ const Stats = (() => {
             checkoutPercentage: player.checkout_percentage
                 ? parseFloat(player.checkout_percentage).toFixed(1)
                 : '0.0',
+            cricketGamesPlayed: player.cricket_games_played || 0,
+            cricketGamesWon: player.cricket_games_won || 0,
+            cricketMarks: player.cricket_total_marks || 0,
+            cricketMpr: player.cricket_mpr ? parseFloat(player.cricket_mpr).toFixed(2) : '0.00',
+            cricketBestRound: player.cricket_best_marks || 0,
+            rating: Math.round(player.rating || 1500),
+            ratedGames: player.rated_games || 0,
             headToHead: headToHead,
             recentGames: recentGames.slice(0, 5).map(game => {
                 const playerData = game.players.find(p => p.name === playerName);
@@ -134,18 +141,19 @@ const Stats = (() => {
      * Get leaderboard rankings from materialized view
      * OPTIMIZED: Single query instead of N+1 pattern
      */
-    async function getLeaderboard(metric = 'wins', timeFilter = 'all-time') {
+    async function getLeaderboard(metric = 'wins', timeFilter = 'all-time', excludeHandicap = false) {
         // Determine which column to sort by
         const sortConfig = {
             'wins': { column: 'rank_by_wins', ascending: true },
             'win-rate': { column: 'rank_by_win_rate', ascending: true },
             'avg-turn': { column: 'rank_by_avg', ascending: true },
-            'max-turn': { column: 'max_turn_score', ascending: false }  // Sort by value descending
+            'max-turn': { column: 'max_turn_score', ascending: false },  // Sort by value descending
+            'rating': { column: 'rank_by_rating', ascending: true }
         }[metric] || { column: 'rank_by_wins', ascending: true };
 
-        // For time-based filtering, we need to query games directly
+        // For time-based filtering (or without handicap games), we need to query games directly
         // For all-time, use the materialized view
-        if (timeFilter === 'all-time') {
+        if (timeFilter === 'all-time' && !excludeHandicap) {
             const { data, error } = await getSupabaseClient()
                 .from('player_leaderboard')
                 .select('*')
@@ -169,7 +177,8 @@ const Stats = (() => {
                     total180s: player.total_180s,
                     avgPerDart: parseFloat(player.avg_per_dart || 0).toFixed(2),
                     avgPerTurn: parseFloat(player.avg_per_turn || 0).toFixed(2),
-                    maxTurn: player.max_turn_score || 0
+                    maxTurn: player.max_turn_score || 0,
+                    rating: Math.round(player.rating || 1500)
                 },
                 fullStats: {
                     gamesPlayed: player.total_games_played,
@@ -184,30 +193,29 @@ const Stats = (() => {
                     total180s: player.total_180s,
                     total140plus: player.total_140_plus,
                     bestCheckout: player.best_checkout,
-                    checkoutPercentage: parseFloat(player.checkout_percentage || 0).toFixed(1)
+                    checkoutPercentage: parseFloat(player.checkout_percentage || 0).toFixed(1),
+                    rating: Math.round(player.rating || 1500)
                 }
             }));
         } else {
             // For time-filtered leaderboards, calculate on-the-fly
-            return await getTimeFilteredLeaderboard(metric, timeFilter);
+            return await getTimeFilteredLeaderboard(metric, timeFilter, excludeHandicap);
         }
     }
 
     /**
-     * Get time-filtered leaderboard (7-day, 30-day)
+     * Get time-filtered leaderboard (7-day, 30-day) or a league season's (season:<id>),
+     * optionally without handicap games
      * Less optimized than all-time, but still better than old N+1 pattern
      */
-    async function getTimeFilteredLeaderboard(metric, timeFilter) {
-        const cutoffDate = getTimeFilterDate(timeFilter);
-        const cutoffISO = new Date(cutoffDate).toISOString();
-
-        // Get all games in the time period with player stats
-        const { data: games } = await getSupabaseClient()
+    async function getTimeFilteredLeaderboard(metric, timeFilter, excludeHandicap = false) {
+        let query = getSupabaseClient()
             .from('games')
             .select(`
                 id,
                 created_at,
                 completed_at,
+                game_mode,
                 game_players!inner(
                     player_id,
                     is_winner,
@@ -216,11 +224,30 @@ const Stats = (() => {
                     total_turns,
                     max_turn,
                     player:players!inner(id, name)
-                )
+                ),
+                rating_history(player_id, change)
             `)
-            .gte('created_at', cutoffISO)
             .not('completed_at', 'is', null);
 
+        if (excludeHandicap) {
+            query = query.eq('is_handicap', false);
+        }
+
+        const seasonId = getSeasonId(timeFilter);
+        if (seasonId) {
+            // The legs of the season's fixtures
+            const season = await Storage.getSeason(seasonId);
+            const matchIds = (season?.fixtures || []).map(f => f.match_id).filter(Boolean);
+            if (matchIds.length === 0) return [];
+            query = query.in('match_id', matchIds);
+        } else {
+            const cutoffDate = getTimeFilterDate(timeFilter);
+            query = query.gte('created_at', new Date(cutoffDate).toISOString());
+        }
+
+        // Get all games in the time period with player stats
+        const { data: games } = await query;
+
         // Aggregate stats per player
         const playerStatsMap = {};
 
@@ -235,13 +262,22 @@ const Stats = (() => {
                         totalScore: 0,
                         totalTurns: 0,
                         total180s: 0,
-                        maxTurn: 0
+                        maxTurn: 0,
+                        ratingChange: 0
                     };
                 }
 
                 const stats = playerStatsMap[playerName];
                 stats.gamesPlayed++;
                 if (gp.is_winner) stats.gamesWon++;
+
+                // Rating points won or lost in the period (every mode is rated)
+                const rated = (game.rating_history || []).find(r => r.player_id === gp.player_id);
+                stats.ratingChange += parseFloat(rated?.change || 0);
+
+                // Cricket games count towards wins, scoring stats are X01 only
+                if (game.game_mode === 'cricket') return;
+
                 stats.totalDarts += gp.total_darts || 0;
                 stats.totalScore += gp.total_score || 0;
                 stats.totalTurns += gp.total_turns || 0;
@@ -267,7 +303,8 @@ const Stats = (() => {
                 total180s: stats.total180s,
                 avgPerDart: avgPerDart,
                 avgPerTurn: stats.totalTurns > 0 ? (stats.totalScore / stats.totalTurns).toFixed(2) : '0.00',
-                maxTurn: stats.maxTurn
+                maxTurn: stats.maxTurn,
+                ratingChange: Math.round(stats.ratingChange)
             };
 
             return {
@@ -354,6 +391,13 @@ const Stats = (() => {
         }
     }
 
+    /**
+     * The season ID of a season leaderboard filter (season:<id>), or null
+     */
+    function getSeasonId(filter) {
+        return filter?.startsWith('season:') ? filter.slice('season:'.length) : null;
+    }
+
     /**
      * Get metric value for ranking
      */
@@ -367,6 +411,9 @@ const Stats = (() => {
                 return parseFloat(stats.avgPerTurn || stats.avg_per_turn || stats.avgPerDart || stats.avg_per_dart || 0);
             case 'max-turn':
                 return stats.maxTurn || stats.max_turn_score || stats.max_turn || 0;
+            case 'rating':
+                // Current rating (all-time) or the change over a period
+                return parseFloat(stats.rating ?? stats.ratingChange ?? 0);
             default:
                 return 0;
         }
@@ -514,10 +561,12 @@ const Stats = (() => {
             .select(`
                 turn_total,
                 game_player:game_players!inner(
-                    player_id
+                    player_id,
+                    game:games!inner(game_mode)
                 )
             `)
-            .eq('game_player.player_id', playerData.id);
+            .eq('game_player.player_id', playerData.id)
+            .eq('game_player.game.game_mode', 'x01');
 
         const distribution = {
             low: 0,      // 0-59
@@ -552,7 +601,8 @@ const Stats = (() => {
     async function getRecentPerformance(playerName, limit = 10) {
         const games = await Storage.getPlayerGames(playerName, limit);
 
-        return games.map(game => {
+        // Per-dart averages only make sense for X01 games
+        return games.filter(game => game.game_mode !== 'cricket').map(game => {
             const playerData = game.players.find(p => p.name === playerName);
             const darts = playerData?.stats?.totalDarts || 0;
             const score = playerData?.stats?.totalScore || 0;
@@ -568,6 +618,33 @@ const Stats = (() => {
         });
     }
 
+    /**
+     * Get a player's rating after each of their last rated games, oldest first
+     * Returns array of {gameId, date, rating, change, finishRank, fieldSize} objects
+     */
+    async function getRatingHistory(playerName, limit = 50) {
+        const { data, error } = await getSupabaseClient()
+            .from('rating_history')
+            .select('game_id, rating_after, change, finish_rank, field_size, completed_at, player:players!inner(name)')
+            .eq('player.name', playerName)
+            .order('completed_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Error fetching rating history:', error);
+            return [];
+        }
+
+        return (data || []).reverse().map(row => ({
+            gameId: row.game_id,
+            date: new Date(row.completed_at).toLocaleDateString(),
+            rating: Math.round(row.rating_after),
+            change: parseFloat(row.change),
+            finishRank: row.finish_rank,
+            fieldSize: row.field_size
+        }));
+    }
+
     /**
      * Get comprehensive global statistics
      * Used for the main Stats page
@@ -724,6 +801,13 @@ const Stats = (() => {
             total140plus: 0,
             bestCheckout: 0,
             checkoutPercentage: '0.0',
+            cricketGamesPlayed: 0,
+            cricketGamesWon: 0,
+            cricketMarks: 0,
+            cricketMpr: '0.00',
+            cricketBestRound: 0,
+            rating: 1500,
+            ratedGames: 0,
             headToHead: {},
             recentGames: []
         };
@@ -742,6 +826,7 @@ const Stats = (() => {
         getHeadToHeadRecord,
         getScoreDistribution,
         getRecentPerformance,
+        getRatingHistory,
         getGlobalStats,
         getAllPlayerNames
     };
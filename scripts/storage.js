@@ -1,11 +1,24 @@
 /**
  * Storage Module - Supabase Backend with Normalized Schema
  * Updated for normalized database structure (games, players, game_players, turns)
+ * Games, matches, tournaments, seasons and practice sessions are written to LocalStore first and pushed by Sync
  */
 
 const Storage = (() => {
+    // Postgres unique_violation
+    const DUPLICATE_KEY = '23505';
+    // Postgres insufficient_privilege: the game's owner token didn't match
+    const NOT_GAME_OWNER = '42501';
+    // IDs per query when looking up many games at once (keeps the URL short)
+    const ID_BATCH_SIZE = 100;
+    // Rows per request when paging through a spreadsheet export (Supabase's maximum)
+    const EXPORT_PAGE_SIZE = 1000;
+
     let supabase = null;
     let initialized = false;
+    // Owner tokens this device asked to take over games with ({ gameId: token }),
+    // until the scorer grants the game to it
+    const controlRequests = {};
 
     /**
      * Ensure Supabase is initialized
@@ -27,7 +40,19 @@ const Storage = (() => {
     }
 
     /**
-     * Initialize storage connection
+     * Supabase client, or null when it can't be created (e.g. the library didn't load offline)
+     */
+    function getClient() {
+        try {
+            return ensureInitialized();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Initialize storage: open the local store, check the database and start syncing
+     * Being offline isn't an error - games are kept on this device until the database is back
      */
     async function init() {
         try {
@@ -37,22 +62,23 @@ const Storage = (() => {
             }
 
             console.log('Initializing Storage...');
-            supabase = ensureInitialized();
+            await LocalStore.open();
+
+            supabase = getClient();
             console.log('Supabase client obtained:', !!supabase);
 
             // Test connection
-            const { error } = await supabase
-                .from('games')
-                .select('id')
-                .limit(1);
+            const { error } = supabase
+                ? await supabase.from('games').select('id').limit(1)
+                : { error: new Error('Supabase client not available') };
 
             if (error) {
-                console.error('Database test failed:', error);
-                UI.showToast('Failed to connect to database', 'error');
-                return false;
+                console.warn('Database not reachable - working offline:', error);
+                UI.showToast('Offline - games are saved on this device and will sync later', 'warning', 5000);
             }
 
             initialized = true;
+            Sync.init();
             console.log('✓ Storage initialized successfully (normalized schema)');
             console.log('✓ Storage.sb available:', !!supabase);
             return true;
@@ -108,7 +134,8 @@ const Storage = (() => {
             return (data || []).map(transformGameFromDB);
         } catch (error) {
             console.error('getGames error:', error);
-            return [];
+            const local = await getLocalGames();
+            return limit !== null && limit > 0 ? local.slice(0, limit) : local;
         }
     }
 
@@ -162,6 +189,10 @@ const Storage = (() => {
                 query = query.eq('device_id', filters.deviceId);
             }
 
+            if (filters.outRule) {
+                query = query.eq('out_rule', filters.outRule);
+            }
+
             // Player name filter - need to query through junction table
             if (filters.playerName) {
                 // Get player ID first
@@ -204,11 +235,59 @@ const Storage = (() => {
             };
         } catch (error) {
             console.error('getGamesPaginated error:', error);
-            return {
-                games: [],
-                pagination: { page: 1, perPage, total: 0, totalPages: 0, hasNext: false, hasPrev: false }
-            };
+            return getLocalGamesPage(page, perPage, filters);
+        }
+    }
+
+    /**
+     * Games kept on this device, newest first (used when the database can't be reached)
+     */
+    async function getLocalGames() {
+        try {
+            const games = await LocalStore.getAll(LocalStore.STORES.games);
+            return games.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+        } catch (error) {
+            console.error('Failed to read local games:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Offline version of getGamesPaginated over the games kept on this device
+     */
+    async function getLocalGamesPage(page, perPage, filters = {}) {
+        let games = await getLocalGames();
+
+        if (filters.sortOrder === 'oldest') games.reverse();
+        if (filters.completed !== undefined) {
+            games = games.filter(g => !!g.completed_at === filters.completed);
         }
+        if (filters.active !== undefined) {
+            games = games.filter(g => g.is_active === filters.active);
+        }
+        if (filters.deviceId) {
+            games = games.filter(g => g.device_id === filters.deviceId);
+        }
+        if (filters.outRule) {
+            games = games.filter(g => (g.out_rule || 'straight') === filters.outRule);
+        }
+        if (filters.playerName) {
+            const search = filters.playerName.toLowerCase();
+            games = games.filter(g => g.players.some(p => p.name.toLowerCase().includes(search)));
+        }
+
+        const offset = (page - 1) * perPage;
+        return {
+            games: games.slice(offset, offset + perPage),
+            pagination: {
+                page,
+                perPage,
+                total: games.length,
+                totalPages: Math.ceil(games.length / perPage),
+                hasNext: offset + perPage < games.length,
+                hasPrev: page > 1
+            }
+        };
     }
 
     /**
@@ -245,6 +324,14 @@ const Storage = (() => {
             game_type: dbGame.game_type,
             win_condition: dbGame.win_condition,
             scoring_mode: dbGame.scoring_mode,
+            game_mode: dbGame.game_mode || 'x01',
+            cricket_variant: dbGame.cricket_variant || null,
+            out_rule: dbGame.out_rule || 'straight',
+            in_rule: dbGame.in_rule || 'straight',
+            handicap: !!dbGame.is_handicap,
+            match_id: dbGame.match_id || null,
+            set_number: dbGame.set_number || null,
+            leg_number: dbGame.leg_number || null,
             current_player_index: 0, // Not stored in new schema
             current_turn: dbGame.current_turn,
             is_active: dbGame.is_active,
@@ -254,105 +341,15 @@ const Storage = (() => {
     }
 
     /**
-     * Save a new game with multi-table insert
+     * Save a new game: written to this device first, then pushed to Supabase in the background
      */
     async function saveGame(game) {
         try {
-            const sb = ensureInitialized();
-
-            // Step 1: Get/create player IDs
-            const playerIds = [];
-            for (const player of game.players) {
-                const playerData = await getOrCreatePlayer(player.name);
-                playerIds.push(playerData.id);
-            }
-
-            // Step 2: Insert game metadata
-            const { data: gameData, error: gameError } = await sb
-                .from('games')
-                .insert([{
-                    id: game.id,
-                    created_at: game.created_at,
-                    game_type: game.game_type,
-                    win_condition: game.win_condition,
-                    scoring_mode: game.scoring_mode,
-                    is_active: game.is_active,
-                    current_turn: game.current_turn,
-                    device_id: game.device_id,
-                    total_players: game.players.length
-                }])
-                .select();
-
-            if (gameError) {
-                console.error('Error inserting game:', gameError);
-                throw gameError;
-            }
-
-            // Step 3: Insert game_players
-            const gamePlayersData = game.players.map((p, i) => ({
-                game_id: game.id,
-                player_id: playerIds[i],
-                player_order: i,
-                starting_score: p.startingScore,
-                final_score: p.currentScore,
-                is_winner: p.winner || false,
-                finish_rank: p.finish_rank,
-                finish_round: p.finish_round,
-                total_turns: p.turns.length,
-                total_darts: p.stats.totalDarts,
-                total_score: p.stats.totalScore,
-                max_dart: p.stats.maxDart,
-                max_turn: p.stats.maxTurn,
-                count_180s: countScoresInTurns(p.turns, 180),
-                count_140_plus: countScoresInRange(p.turns, 140, 179),
-                checkout_attempts: p.stats.checkoutAttempts || 0,
-                checkout_successes: p.stats.checkoutSuccess || 0
-            }));
-
-            const { data: gpData, error: gpError } = await sb
-                .from('game_players')
-                .insert(gamePlayersData)
-                .select();
-
-            if (gpError) {
-                console.error('Error inserting game_players:', gpError);
-                throw gpError;
-            }
-
-            // Step 4: Insert turns (if any)
-            const turnsData = [];
-            game.players.forEach((p, pIdx) => {
-                const gamePlayerId = gpData[pIdx].id;
-                p.turns.forEach((turn, tIdx) => {
-                    turnsData.push({
-                        game_player_id: gamePlayerId,
-                        turn_number: tIdx + 1,
-                        round_number: Math.floor(tIdx / game.players.length),
-                        dart_scores: turn.darts,
-                        score_before: tIdx === 0 ? p.startingScore : (p.turns[tIdx - 1]?.remaining || p.startingScore),
-                        score_after: turn.remaining,
-                        turn_total: turn.darts.reduce((a, b) => a + b, 0),
-                        is_busted: turn.busted || false,
-                        is_checkout_attempt: turn.remaining === 0 || turn.remaining < 0,
-                        is_successful_checkout: turn.remaining === 0 && !turn.busted,
-                        created_at: turn.timestamp ? new Date(turn.timestamp).toISOString() : new Date().toISOString()
-                    });
-                });
-            });
-
-            if (turnsData.length > 0) {
-                const { error: turnsError } = await sb
-                    .from('turns')
-                    .insert(turnsData);
-
-                if (turnsError) {
-                    console.error('Error inserting turns:', turnsError);
-                    // Don't throw - game is saved, just turns failed
-                }
-            }
-
-            console.log(`✓ Game saved: ${game.players.length} players, ${turnsData.length} turns`);
-            return gameData ? gameData[0] : game;
+            // The owner token is what lets this device change the game later
+            Device.getGameToken(game.id);
+            await LocalStore.put(LocalStore.STORES.games, game);
+            await Sync.enqueue('game', game.id, 'insert');
+            return game;
         } catch (error) {
             console.error('saveGame error:', error);
             throw error;
@@ -360,343 +357,1692 @@ const Storage = (() => {
     }
 
     /**
-     * Helper: Count turns with specific total score
+     * Update a game: written to this device first, then pushed to Supabase in the background
+     * Callers pass the whole game; it replaces the local copy
      */
-    function countScoresInTurns(turns, targetScore) {
-        return turns.filter(turn =>
-            turn.darts.reduce((a, b) => a + b, 0) === targetScore
-        ).length;
+    async function updateGame(gameId, updates) {
+        try {
+            const local = await LocalStore.get(LocalStore.STORES.games, gameId);
+            const game = { ...local, ...updates, id: gameId };
+            await LocalStore.put(LocalStore.STORES.games, game);
+            await Sync.enqueue('game', gameId, 'update');
+            return game;
+        } catch (error) {
+            console.error('updateGame error:', error);
+            throw error;
+        }
     }
 
     /**
-     * Helper: Count turns with scores in range
+     * Get a single game by ID
+     * A local copy with unsynced changes wins; the local copy is also the fallback when offline
      */
-    function countScoresInRange(turns, min, max) {
-        return turns.filter(turn => {
-            const total = turn.darts.reduce((a, b) => a + b, 0);
-            return total >= min && total <= max;
-        }).length;
+    async function getGame(gameId) {
+        if (await Sync.hasPending('game', gameId)) {
+            const local = await LocalStore.get(LocalStore.STORES.games, gameId);
+            if (local) return local;
+        }
+
+        const remote = await fetchGame(gameId);
+        if (remote) return remote;
+
+        return (await LocalStore.get(LocalStore.STORES.games, gameId)) || null;
     }
 
     /**
-     * Update an existing game
+     * Save a new match locally and queue it for Supabase
      */
-    async function updateGame(gameId, updates) {
+    async function saveMatch(match) {
         try {
-            const sb = ensureInitialized();
-
-            // For now, only update game metadata
-            // Full game state updates (players, turns) not supported in normalized schema
-            const gameUpdates = {
-                completed_at: updates.completed_at,
-                is_active: updates.is_active,
-                current_turn: updates.current_turn,
-                updated_at: new Date().toISOString()
-            };
-
-            // Set winner_id if completed
-            // Winner is the player with finish_rank = 1 (first to finish)
-            // NOT just any player with winner: true (multiple can reach 0 in darts)
-            if (updates.completed_at && updates.players) {
-                // DEBUG: Log winner detection
-                console.log('=== updateGame Winner Detection DEBUG ===');
-                console.log('Game ID:', gameId);
-                console.log('completed_at:', updates.completed_at);
-                console.log('Players:');
-                updates.players.forEach((p, i) => {
-                    console.log(`  [${i}] ${p.name}: score=${p.currentScore}, winner=${p.winner}, finish_rank=${p.finish_rank}`);
-                });
-
-                // First try to find player with finish_rank = 1
-                let winner = updates.players.find(p => p.finish_rank === 1);
-                console.log('Winner by finish_rank=1:', winner ? winner.name : 'NONE FOUND');
-
-                // Fallback: if no finish_rank, find first player with winner: true
-                if (!winner) {
-                    winner = updates.players.find(p => p.winner);
-                    console.log('Winner by winner=true fallback:', winner ? winner.name : 'NONE FOUND');
-                }
-
-                // Last fallback: player with lowest score
-                if (!winner) {
-                    const sorted = [...updates.players].sort((a, b) =>
-                        (a.currentScore || a.score || 0) - (b.currentScore || b.score || 0)
-                    );
-                    winner = sorted[0];
-                    console.log('Winner by lowest score fallback:', winner ? winner.name : 'NONE FOUND');
-                    console.log('Sorted by score:', sorted.map(p => `${p.name}:${p.currentScore}`).join(', '));
-                }
-
-                console.log('FINAL winner selected:', winner ? winner.name : 'NONE');
-
-                if (winner) {
-                    const { data: playerData } = await sb
-                        .from('players')
-                        .select('id')
-                        .eq('name', winner.name)
-                        .single();
-
-                    if (playerData) {
-                        gameUpdates.winner_id = playerData.id;
-                        console.log('Set winner_id to:', playerData.id, 'for player:', winner.name);
-                    }
-                }
-            }
-
-            // IMPORTANT: Update game_players BEFORE setting completed_at
-            // The trigger on games.completed_at reads from game_players to update player aggregates
-            // If we update completed_at first, the trigger reads stale/zero values
-            if (updates.players) {
-                await updateGamePlayers(gameId, updates.players);
-            }
-
-            const { data, error } = await sb
-                .from('games')
-                .update(gameUpdates)
-                .eq('id', gameId)
-                .select();
-
-            if (error) {
-                console.error('Error updating game:', error);
-                throw error;
-            }
-
-            return data ? data[0] : null;
+            await LocalStore.put(LocalStore.STORES.matches, match);
+            await Sync.enqueue('match', match.id, 'insert');
+            return match;
         } catch (error) {
-            console.error('updateGame error:', error);
+            console.error('saveMatch error:', error);
             throw error;
         }
     }
 
     /**
-     * Update game_players and turns for an active game
+     * Update match progress locally and queue it for Supabase
      */
-    async function updateGamePlayers(gameId, players) {
+    async function updateMatch(match) {
         try {
-            const sb = ensureInitialized();
+            await LocalStore.put(LocalStore.STORES.matches, match);
+            await Sync.enqueue('match', match.id, 'update');
+            return match;
+        } catch (error) {
+            console.error('updateMatch error:', error);
+            throw error;
+        }
+    }
 
-            // Get existing game_players
-            const { data: existingGP } = await sb
-                .from('game_players')
-                .select('id, player:players(name)')
-                .eq('game_id', gameId);
+    /**
+     * Get a match with its players and legs (same local-first rules as getGame)
+     */
+    async function getMatch(matchId) {
+        if (await Sync.hasPending('match', matchId)) {
+            const local = await LocalStore.get(LocalStore.STORES.matches, matchId);
+            if (local) return local;
+        }
 
-            if (!existingGP) return;
+        const remote = await fetchMatch(matchId);
+        if (remote) return remote;
 
-            // DEBUG: Log all players before update
-            console.log('=== updateGamePlayers DEBUG ===');
-            console.log('Game ID:', gameId);
-            console.log('Players to update:');
-            players.forEach((p, i) => {
-                console.log(`  [${i}] ${p.name}: score=${p.currentScore}, winner=${p.winner}, finish_rank=${p.finish_rank}, finish_round=${p.finish_round}`);
-            });
+        return (await LocalStore.get(LocalStore.STORES.matches, matchId)) || null;
+    }
 
-            // Update each player's stats
-            for (const player of players) {
-                const gp = existingGP.find(g => g.player.name === player.name);
-                if (!gp) continue;
-
-                // Update game_players stats
-                // is_winner should be true only for the actual winner (finish_rank = 1)
-                // NOT for everyone who reached 0 (player.winner)
-                const isActualWinner = player.finish_rank === 1;
-
-                console.log(`  Updating ${player.name}: finish_rank=${player.finish_rank}, isActualWinner=${isActualWinner}`);
-
-                await sb
-                    .from('game_players')
-                    .update({
-                        final_score: player.currentScore,
-                        is_winner: isActualWinner,
-                        finish_rank: player.finish_rank,
-                        finish_round: player.finish_round,
-                        total_turns: player.turns.length,
-                        total_darts: player.stats.totalDarts,
-                        total_score: player.stats.totalScore,
-                        max_dart: player.stats.maxDart,
-                        max_turn: player.stats.maxTurn,
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', gp.id);
-
-                // Insert new turns (check for turns not yet in DB)
-                const { data: existingTurns } = await sb
-                    .from('turns')
-                    .select('turn_number')
-                    .eq('game_player_id', gp.id);
-
-                const existingTurnNumbers = new Set((existingTurns || []).map(t => t.turn_number));
-
-                const newTurns = player.turns
-                    .map((turn, idx) => ({ turn, number: idx + 1 }))
-                    .filter(({ number }) => !existingTurnNumbers.has(number))
-                    .map(({ turn, number }) => ({
-                        game_player_id: gp.id,
-                        turn_number: number,
-                        round_number: Math.floor((number - 1) / players.length),
-                        dart_scores: turn.darts,
-                        score_before: number === 1 ? player.startingScore : (player.turns[number - 2]?.remaining || player.startingScore),
-                        score_after: turn.remaining,
-                        turn_total: turn.darts.reduce((a, b) => a + b, 0),
-                        is_busted: turn.busted || false,
-                        is_checkout_attempt: turn.remaining === 0 || turn.remaining < 0,
-                        is_successful_checkout: turn.remaining === 0 && !turn.busted,
-                        created_at: turn.timestamp ? new Date(turn.timestamp).toISOString() : new Date().toISOString()
-                    }));
-
-                if (newTurns.length > 0) {
-                    await sb.from('turns').insert(newTurns);
-                }
-            }
+    /**
+     * Save a new tournament locally and queue it for Supabase
+     */
+    async function saveTournament(tournament) {
+        try {
+            await LocalStore.put(LocalStore.STORES.tournaments, tournament);
+            await Sync.enqueue('tournament', tournament.id, 'insert');
+            return tournament;
         } catch (error) {
-            console.error('updateGamePlayers error:', error);
-            // Don't throw - allow game update to succeed even if player update fails
+            console.error('saveTournament error:', error);
+            throw error;
         }
     }
 
     /**
-     * Get a single game by ID
+     * Update a tournament (fixtures started or decided) locally and queue it for Supabase
      */
-    async function getGame(gameId) {
+    async function updateTournament(tournament) {
         try {
-            const sb = ensureInitialized();
-            const { data, error } = await sb
-                .from('games')
-                .select(`
-                    *,
-                    winner:players!winner_id(id, name),
-                    game_players(
-                        id,
-                        player_order,
-                        starting_score,
-                        final_score,
-                        is_winner,
-                        finish_rank,
-                        finish_round,
-                        total_turns,
-                        total_darts,
-                        total_score,
-                        max_dart,
-                        max_turn,
-                        avg_per_turn,
-                        player:players(id, name),
-                        turns(
-                            turn_number,
-                            dart_scores,
-                            score_after,
-                            is_busted,
-                            created_at
-                        )
-                    )
-                `)
-                .eq('id', gameId)
-                .single();
-
-            if (error) {
-                console.error('Error fetching game:', error);
-                throw error;
-            }
-
-            // Transform with full turn history
-            return transformGameWithTurns(data);
+            await LocalStore.put(LocalStore.STORES.tournaments, tournament);
+            await Sync.enqueue('tournament', tournament.id, 'update');
+            return tournament;
         } catch (error) {
-            console.error('getGame error:', error);
-            return null;
+            console.error('updateTournament error:', error);
+            throw error;
         }
     }
 
     /**
-     * Transform game with full turn history
+     * Get a tournament (same local-first rules as getGame)
      */
-    function transformGameWithTurns(dbGame) {
-        const players = (dbGame.game_players || [])
-            .sort((a, b) => a.player_order - b.player_order)
-            .map(gp => {
-                const turns = (gp.turns || [])
-                    .sort((a, b) => a.turn_number - b.turn_number)
-                    .map(t => ({
-                        darts: t.dart_scores,
-                        remaining: t.score_after,
-                        busted: t.is_busted,
-                        timestamp: new Date(t.created_at).getTime()
-                    }));
+    async function getTournament(tournamentId) {
+        if (await Sync.hasPending('tournament', tournamentId)) {
+            const local = await LocalStore.get(LocalStore.STORES.tournaments, tournamentId);
+            if (local) return local;
+        }
 
-                return {
-                    id: gp.id,
-                    name: gp.player?.name || 'Unknown',
-                    startingScore: gp.starting_score,
-                    currentScore: gp.final_score,
-                    winner: gp.is_winner,
-                    finish_rank: gp.finish_rank,
-                    finish_round: gp.finish_round,
-                    turns: turns,
-                    stats: {
-                        totalDarts: gp.total_darts,
-                        totalScore: gp.total_score,
-                        avgPerDart: gp.avg_per_turn,
-                        maxTurn: gp.max_turn,
-                        maxDart: gp.max_dart,
-                        checkoutAttempts: 0,
-                        checkoutSuccess: 0
-                    }
-                };
-            });
+        const remote = await fetchTournament(tournamentId);
+        if (remote) return remote;
 
-        return {
-            id: dbGame.id,
-            created_at: dbGame.created_at,
-            completed_at: dbGame.completed_at,
-            game_type: dbGame.game_type,
-            win_condition: dbGame.win_condition,
-            scoring_mode: dbGame.scoring_mode,
-            current_player_index: 0,
-            current_turn: dbGame.current_turn,
-            is_active: dbGame.is_active,
-            device_id: dbGame.device_id,
-            players: players
-        };
+        return (await LocalStore.get(LocalStore.STORES.tournaments, tournamentId)) || null;
     }
 
     /**
-     * Delete a game (CASCADE will delete game_players and turns)
+     * Get recent tournaments, newest first, including ones on this device not synced yet
      */
-    async function deleteGame(gameId) {
+    async function getTournaments(limit = 20) {
+        let rows = [];
         try {
             const sb = ensureInitialized();
-            const { error } = await sb
-                .from('games')
-                .delete()
-                .eq('id', gameId);
+            const { data, error } = await sb
+                .from('tournaments')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
 
-            if (error) {
-                console.error('Error deleting game:', error);
-                throw error;
-            }
+            if (error) throw error;
+            rows = (data || []).map(transformTournamentFromDB);
+        } catch (error) {
+            console.error('getTournaments error:', error);
+        }
 
-            console.log('✓ Game deleted (cascaded to game_players and turns)');
-            return true;
+        let local = [];
+        try {
+            local = await LocalStore.getAll(LocalStore.STORES.tournaments);
         } catch (error) {
-            console.error('deleteGame error:', error);
-            UI.showToast('Failed to delete game', 'error');
-            return false;
+            console.error('Failed to read local tournaments:', error);
         }
+
+        const known = new Set(rows.map(t => t.id));
+        return [...rows, ...local.filter(t => !known.has(t.id))]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, limit);
     }
 
     /**
-     * Get all players
+     * Get the tournament a game is a fixture of, or null
      */
-    async function getPlayers() {
+    async function getTournamentForGame(gameId) {
+        try {
+            const local = await LocalStore.getAll(LocalStore.STORES.tournaments);
+            const found = local.find(t => t.fixtures.some(f => f.game_id === gameId));
+            if (found) return getTournament(found.id);
+        } catch (error) {
+            console.error('Failed to read local tournaments:', error);
+        }
+
         try {
             const sb = ensureInitialized();
             const { data, error } = await sb
-                .from('players')
+                .from('tournaments')
                 .select('*')
-                .order('created_at', { ascending: false });
+                .contains('fixtures', [{ game_id: gameId }])
+                .limit(1);
 
-            if (error) {
-                console.error('Error fetching players:', error);
-                throw error;
-            }
+            if (error) throw error;
+            return data?.[0] ? transformTournamentFromDB(data[0]) : null;
+        } catch (error) {
+            console.error('getTournamentForGame error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a new league season locally and queue it for Supabase
+     */
+    async function saveSeason(season) {
+        try {
+            await LocalStore.put(LocalStore.STORES.seasons, season);
+            await Sync.enqueue('season', season.id, 'insert');
+            return season;
+        } catch (error) {
+            console.error('saveSeason error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a season (fixtures started, legs recorded) locally and queue it for Supabase
+     */
+    async function updateSeason(season) {
+        try {
+            await LocalStore.put(LocalStore.STORES.seasons, season);
+            await Sync.enqueue('season', season.id, 'update');
+            return season;
+        } catch (error) {
+            console.error('updateSeason error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a season (same local-first rules as getGame)
+     */
+    async function getSeason(seasonId) {
+        if (await Sync.hasPending('season', seasonId)) {
+            const local = await LocalStore.get(LocalStore.STORES.seasons, seasonId);
+            if (local) return local;
+        }
+
+        const remote = await fetchSeason(seasonId);
+        if (remote) return remote;
+
+        return (await LocalStore.get(LocalStore.STORES.seasons, seasonId)) || null;
+    }
+
+    /**
+     * Get recent seasons, newest first, including ones on this device not synced yet
+     */
+    async function getSeasons(limit = 20) {
+        let rows = [];
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('seasons')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+            rows = (data || []).map(transformSeasonFromDB);
+        } catch (error) {
+            console.error('getSeasons error:', error);
+        }
+
+        let local = [];
+        try {
+            local = await LocalStore.getAll(LocalStore.STORES.seasons);
+        } catch (error) {
+            console.error('Failed to read local seasons:', error);
+        }
+
+        const known = new Set(rows.map(s => s.id));
+        return [...rows, ...local.filter(s => !known.has(s.id))]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get the season a match is a fixture of, or null
+     */
+    async function getSeasonForMatch(matchId) {
+        try {
+            const local = await LocalStore.getAll(LocalStore.STORES.seasons);
+            const found = local.find(s => s.fixtures.some(f => f.match_id === matchId));
+            if (found) return getSeason(found.id);
+        } catch (error) {
+            console.error('Failed to read local seasons:', error);
+        }
+
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('seasons')
+                .select('*')
+                .contains('fixtures', [{ match_id: matchId }])
+                .limit(1);
+
+            if (error) throw error;
+            return data?.[0] ? transformSeasonFromDB(data[0]) : null;
+        } catch (error) {
+            console.error('getSeasonForMatch error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a practice session locally and queue it for Supabase
+     * Sessions are saved when they finish or are stopped early
+     */
+    async function savePracticeSession(session) {
+        try {
+            await LocalStore.put(LocalStore.STORES.practiceSessions, session);
+            await Sync.enqueue('practice_session', session.id, 'insert');
+            return session;
+        } catch (error) {
+            console.error('savePracticeSession error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Push one queued change to Supabase (called by Sync)
+     * Returns { conflict } with a message when Supabase's copy was kept instead
+     */
+    async function pushChange(entry) {
+        if (!getClient()) {
+            throw new Error('Network unavailable: database client not loaded');
+        }
+
+        switch (entry.kind) {
+            case 'game': {
+                const game = await LocalStore.get(LocalStore.STORES.games, entry.entity_id);
+                return game ? pushGame(entry, game) : {};
+            }
+            case 'match': {
+                const match = await LocalStore.get(LocalStore.STORES.matches, entry.entity_id);
+                return match ? pushMatch(entry, match) : {};
+            }
+            case 'tournament': {
+                const tournament = await LocalStore.get(LocalStore.STORES.tournaments, entry.entity_id);
+                return tournament ? pushTournament(entry, tournament) : {};
+            }
+            case 'season': {
+                const season = await LocalStore.get(LocalStore.STORES.seasons, entry.entity_id);
+                return season ? pushSeason(entry, season) : {};
+            }
+            case 'practice_session': {
+                const session = await LocalStore.get(LocalStore.STORES.practiceSessions, entry.entity_id);
+                if (session) await savePracticeSessionRemote(session);
+                return {};
+            }
+            default:
+                console.warn('Unknown sync entry:', entry.kind);
+                return {};
+        }
+    }
+
+    /**
+     * Push a game. An insert that finds the game already there (an earlier push got
+     * through but the reply was lost) carries on as an update.
+     * Conflicts: a game deleted elsewhere stays deleted, a game finished elsewhere
+     * isn't reopened by an older local copy (only by undoing its final turn after it
+     * finished), and changes the database refuses because another device holds the
+     * owner token are dropped - Supabase's copy wins every time.
+     */
+    async function pushGame(entry, game) {
+        if (entry.action === 'insert') {
+            try {
+                await insertGameRemote(game);
+                return {};
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY) throw error;
+            }
+        }
+
+        const { data: remote, error } = await getClient()
+            .from('games')
+            .select('id, completed_at')
+            .eq('id', game.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!remote) {
+            await LocalStore.remove(LocalStore.STORES.games, game.id);
+            return { conflict: 'A game was deleted on another device - offline changes to it were dropped' };
+        }
+
+        if (remote.completed_at && !game.completed_at && !wasReopenedSince(game, remote.completed_at)) {
+            const latest = await fetchGame(game.id);
+            if (latest) await LocalStore.put(LocalStore.STORES.games, latest);
+            return { conflict: 'A game was finished on another device - kept that result' };
+        }
+
+        try {
+            await updateGameRemote(game.id, game);
+        } catch (error) {
+            if (error.code !== NOT_GAME_OWNER) throw error;
+            // This device's token isn't the game's (any more), so it is only a spectator now
+            Device.forgetGameToken(game.id);
+            const latest = await fetchGame(game.id);
+            if (latest) await LocalStore.put(LocalStore.STORES.games, latest);
+            return { conflict: 'Another device is scoring this game - changes made here were not saved' };
+        }
+        return {};
+    }
+
+    /**
+     * Whether this device put a game or match back in play (undid its final turn) after
+     * the database's copy was finished, so the reopen wins over that result
+     */
+    function wasReopenedSince(local, completedAt) {
+        return Date.parse(local.reopened_at) > Date.parse(completedAt);
+    }
+
+    /**
+     * Push a match (same insert and conflict rules as pushGame, owner token included)
+     */
+    async function pushMatch(entry, match) {
+        if (entry.action === 'insert') {
+            try {
+                await insertMatchRemote(match);
+                return {};
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY) throw error;
+            }
+        }
+
+        const { data: remote, error } = await getClient()
+            .from('matches')
+            .select('id, completed_at')
+            .eq('id', match.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!remote) {
+            await LocalStore.remove(LocalStore.STORES.matches, match.id);
+            return { conflict: 'A match was deleted on another device - offline changes to it were dropped' };
+        }
+
+        if (remote.completed_at && !match.completed_at && !wasReopenedSince(match, remote.completed_at)) {
+            const latest = await fetchMatch(match.id);
+            if (latest) await LocalStore.put(LocalStore.STORES.matches, latest);
+            return { conflict: 'A match was finished on another device - kept that result' };
+        }
+
+        try {
+            await updateMatchRemote(match);
+        } catch (error) {
+            if (error.code !== NOT_GAME_OWNER) throw error;
+            Device.forgetGameToken(match.id);
+            const latest = await fetchMatch(match.id);
+            if (latest) await LocalStore.put(LocalStore.STORES.matches, latest);
+            return { conflict: 'Another device is scoring this match - changes made here were not saved' };
+        }
+        return {};
+    }
+
+    /**
+     * Push a tournament. Fixtures decided on another device since this copy was loaded
+     * are merged in rather than overwritten, and the merged copy is kept locally too.
+     */
+    async function pushTournament(entry, tournament) {
+        if (entry.action === 'insert') {
+            try {
+                await saveTournamentRemote(tournament, true);
+                return {};
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY) throw error;
+            }
+        }
+
+        const { data: remote, error } = await getClient()
+            .from('tournaments')
+            .select('*')
+            .eq('id', tournament.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!remote) {
+            await LocalStore.remove(LocalStore.STORES.tournaments, tournament.id);
+            return { conflict: 'A tournament was deleted on another device - offline changes to it were dropped' };
+        }
+
+        const merged = Tournament.merge(tournament, transformTournamentFromDB(remote));
+        try {
+            await saveTournamentRemote(merged, false);
+        } catch (error) {
+            if (error.code !== NOT_GAME_OWNER) throw error;
+            await LocalStore.put(LocalStore.STORES.tournaments, transformTournamentFromDB(remote));
+            return { conflict: 'This tournament is run from another device - changes made here were not saved' };
+        }
+        await LocalStore.put(LocalStore.STORES.tournaments, merged);
+        return {};
+    }
+
+    /**
+     * Owner token to change a tournament or season with: its own, or on a device that
+     * scores (or took over) one of its games or matches, that one's
+     */
+    function getOwnerToken(id, ownedIds) {
+        return Device.getGameToken(id, false)
+            || ownedIds.map(ownedId => Device.getGameToken(ownedId, false)).find(Boolean)
+            || null;
+    }
+
+    /**
+     * Insert or update a tournament in Supabase through create_tournament / update_tournament
+     */
+    async function saveTournamentRemote(tournament, isNew) {
+        const sb = ensureInitialized();
+        const winner = tournament.winner ? await getOrCreatePlayer(tournament.winner) : null;
+        const row = {
+            id: tournament.id,
+            name: tournament.name,
+            format: tournament.format,
+            created_at: tournament.created_at,
+            completed_at: tournament.completed_at,
+            is_active: tournament.is_active,
+            device_id: tournament.device_id,
+            game_options: tournament.game_options,
+            players: tournament.players,
+            fixtures: tournament.fixtures,
+            winner_id: winner?.id || null
+        };
+
+        const { error } = isNew
+            ? await sb.rpc('create_tournament', {
+                p_tournament: row,
+                p_owner_token: Device.getGameToken(tournament.id)
+            })
+            : await sb.rpc('update_tournament', {
+                p_tournament_id: tournament.id,
+                p_owner_token: getOwnerToken(tournament.id, tournament.fixtures.map(f => f.game_id).filter(Boolean)),
+                p_tournament: row
+            });
+
+        if (error) {
+            console.error('Error saving tournament:', error);
+            throw error;
+        }
+        return tournament;
+    }
+
+    /**
+     * Fetch a tournament from Supabase
+     */
+    async function fetchTournament(tournamentId) {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('tournaments')
+                .select('*')
+                .eq('id', tournamentId)
+                .maybeSingle();
+
+            if (error) {
+                console.error('Error fetching tournament:', error);
+                return null;
+            }
+
+            return data ? transformTournamentFromDB(data) : null;
+        } catch (error) {
+            console.error('fetchTournament error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Transform a tournaments row (from a query or a realtime change) to app format
+     */
+    function transformTournamentFromDB(row) {
+        const tournament = {
+            id: row.id,
+            name: row.name,
+            format: row.format,
+            created_at: row.created_at,
+            completed_at: row.completed_at,
+            is_active: row.is_active,
+            device_id: row.device_id,
+            game_options: row.game_options || {},
+            players: row.players || [],
+            fixtures: row.fixtures || [],
+            winner: null
+        };
+        tournament.winner = Tournament.getWinner(tournament);
+        return tournament;
+    }
+
+    /**
+     * Push a season, merging in legs and fixtures recorded on other devices like pushTournament
+     */
+    async function pushSeason(entry, season) {
+        if (entry.action === 'insert') {
+            try {
+                await saveSeasonRemote(season, true);
+                return {};
+            } catch (error) {
+                if (error.code !== DUPLICATE_KEY) throw error;
+            }
+        }
+
+        const { data: remote, error } = await getClient()
+            .from('seasons')
+            .select('*')
+            .eq('id', season.id)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        if (!remote) {
+            await LocalStore.remove(LocalStore.STORES.seasons, season.id);
+            return { conflict: 'A league season was deleted on another device - offline changes to it were dropped' };
+        }
+
+        const merged = Season.merge(season, transformSeasonFromDB(remote));
+        try {
+            await saveSeasonRemote(merged, false);
+        } catch (error) {
+            if (error.code !== NOT_GAME_OWNER) throw error;
+            await LocalStore.put(LocalStore.STORES.seasons, transformSeasonFromDB(remote));
+            return { conflict: 'This league season is run from another device - changes made here were not saved' };
+        }
+        await LocalStore.put(LocalStore.STORES.seasons, merged);
+        return {};
+    }
+
+    /**
+     * Insert or update a season in Supabase through create_season / update_season
+     */
+    async function saveSeasonRemote(season, isNew) {
+        const sb = ensureInitialized();
+        const winner = season.winner ? await getOrCreatePlayer(season.winner) : null;
+        const row = {
+            id: season.id,
+            name: season.name,
+            created_at: season.created_at,
+            completed_at: season.completed_at,
+            is_active: season.is_active,
+            device_id: season.device_id,
+            legs_to_win: season.legs_to_win,
+            points_for_win: season.points_for_win,
+            points_for_loss: season.points_for_loss,
+            game_options: season.game_options,
+            players: season.players,
+            fixtures: season.fixtures,
+            winner_id: winner?.id || null
+        };
+
+        const { error } = isNew
+            ? await sb.rpc('create_season', {
+                p_season: row,
+                p_owner_token: Device.getGameToken(season.id)
+            })
+            : await sb.rpc('update_season', {
+                p_season_id: season.id,
+                p_owner_token: getOwnerToken(season.id, season.fixtures.flatMap(f =>
+                    [f.match_id, f.game_id, ...(f.legs || []).map(leg => leg.game_id)]
+                ).filter(Boolean)),
+                p_season: row
+            });
+
+        if (error) {
+            console.error('Error saving season:', error);
+            throw error;
+        }
+        return season;
+    }
+
+    /**
+     * Fetch a season from Supabase
+     */
+    async function fetchSeason(seasonId) {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('seasons')
+                .select('*')
+                .eq('id', seasonId)
+                .maybeSingle();
+
+            if (error) {
+                console.error('Error fetching season:', error);
+                return null;
+            }
+
+            return data ? transformSeasonFromDB(data) : null;
+        } catch (error) {
+            console.error('fetchSeason error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Transform a seasons row (from a query or a realtime change) to app format
+     */
+    function transformSeasonFromDB(row) {
+        const season = {
+            id: row.id,
+            name: row.name,
+            created_at: row.created_at,
+            completed_at: row.completed_at,
+            is_active: row.is_active,
+            device_id: row.device_id,
+            legs_to_win: row.legs_to_win,
+            points_for_win: row.points_for_win,
+            points_for_loss: row.points_for_loss,
+            game_options: row.game_options || {},
+            players: row.players || [],
+            fixtures: row.fixtures || [],
+            winner: null
+        };
+        season.winner = Season.getWinner(season);
+        return season;
+    }
+
+    /**
+     * Insert a new game into Supabase: game, players and turns in one create_game call,
+     * which also registers this device's owner token
+     */
+    async function insertGameRemote(game) {
+        try {
+            const sb = ensureInitialized();
+
+            // Step 1: Get/create player IDs
+            const playerIds = [];
+            for (const player of game.players) {
+                const playerData = await getOrCreatePlayer(player.name);
+                playerIds.push(playerData.id);
+            }
+
+            // Step 2: Game, game_players and turns
+            const { data, error } = await sb.rpc('create_game', {
+                p_game: {
+                    id: game.id,
+                    created_at: game.created_at,
+                    completed_at: game.completed_at || null,
+                    game_type: game.game_type,
+                    win_condition: game.win_condition,
+                    scoring_mode: game.scoring_mode,
+                    game_mode: game.game_mode || 'x01',
+                    cricket_variant: game.cricket_variant || null,
+                    out_rule: game.out_rule || 'straight',
+                    in_rule: game.in_rule || 'straight',
+                    is_handicap: !!game.handicap,
+                    match_id: game.match_id || null,
+                    set_number: game.set_number || null,
+                    leg_number: game.leg_number || null,
+                    is_active: game.is_active,
+                    current_turn: game.current_turn,
+                    device_id: game.device_id,
+                    winner_order: game.completed_at ? findWinnerOrder(game.players) : null
+                },
+                p_players: game.players.map((p, i) => ({
+                    ...buildGamePlayerRow(p, i, game),
+                    player_id: playerIds[i],
+                    starting_score: p.startingScore
+                })),
+                p_owner_token: Device.getGameToken(game.id)
+            });
+
+            if (error) {
+                console.error('Error inserting game:', error);
+                throw error;
+            }
+
+            const turnCount = game.players.reduce((sum, p) => sum + p.turns.length, 0);
+            console.log(`✓ Game saved: ${game.players.length} players, ${turnCount} turns`);
+            return data || game;
+        } catch (error) {
+            console.error('insertGameRemote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: game_players row for a player (player_order is their index), with their turns
+     */
+    function buildGamePlayerRow(player, index, game) {
+        const isCricket = game.game_mode === 'cricket';
+        return {
+            player_order: index,
+            final_score: player.currentScore,
+            // is_winner is only the actual winner (finish_rank = 1), not everyone who reached 0
+            is_winner: player.finish_rank === 1,
+            // null (not undefined) so an undone finish is cleared
+            finish_rank: player.finish_rank ?? null,
+            finish_round: player.finish_round ?? null,
+            // Games imported from a summary export have totals but no turns
+            total_turns: player.turns.length || player.stats.totalTurns || 0,
+            total_darts: player.stats.totalDarts,
+            total_score: player.stats.totalScore,
+            max_dart: player.stats.maxDart,
+            max_turn: player.stats.maxTurn,
+            // 180s/140+ are X01 achievements, a treble-20 Cricket turn doesn't count
+            count_180s: isCricket ? 0 : countScoresInTurns(player.turns, 180),
+            count_140_plus: isCricket ? 0 : countScoresInRange(player.turns, 140, 179),
+            total_marks: player.stats.totalMarks || 0,
+            max_marks: player.stats.maxMarks || 0,
+            checkout_attempts: player.stats.checkoutAttempts || 0,
+            checkout_successes: player.stats.checkoutSuccess || 0,
+            turns: player.turns.map((turn, tIdx) =>
+                buildTurnRow(player, tIdx + 1, game.players.length, game.game_mode))
+        };
+    }
+
+    /**
+     * Helper: Build a turns row for a player's turn (turnNumber is 1-based)
+     * The database fills in game_player_id; created_at identifies the throw, so a turn
+     * that was undone and thrown again replaces the stored one
+     */
+    function buildTurnRow(player, turnNumber, playerCount, gameMode = 'x01') {
+        const turn = player.turns[turnNumber - 1];
+        const isCricket = gameMode === 'cricket';
+        return {
+            turn_number: turnNumber,
+            round_number: Math.floor((turnNumber - 1) / playerCount),
+            dart_scores: turn.darts,
+            // Segment/multiplier pairs are only known in per-dart mode
+            dart_segments: turn.segments ? turn.segments.map(d => d.segment) : null,
+            dart_multipliers: turn.segments ? turn.segments.map(d => d.multiplier) : null,
+            score_before: turnNumber === 1 ? player.startingScore : (player.turns[turnNumber - 2]?.remaining || player.startingScore),
+            score_after: turn.remaining,
+            turn_total: turn.darts.reduce((a, b) => a + b, 0),
+            is_busted: turn.busted || false,
+            // Cricket has no checkouts; its score is points, so 0 is not a finish
+            is_checkout_attempt: !isCricket && (turn.remaining === 0 || turn.remaining < 0),
+            is_successful_checkout: !isCricket && turn.remaining === 0 && !turn.busted,
+            marks: isCricket ? turn.marks : null,
+            created_at: turn.timestamp ? new Date(turn.timestamp).toISOString() : null
+        };
+    }
+
+    /**
+     * Helper: Rebuild dart objects from a turns row (null for per-turn entries)
+     */
+    function segmentsFromTurnRow(row) {
+        if (!row.dart_segments || !row.dart_multipliers) return null;
+        return row.dart_segments.map((segment, i) => ({
+            segment: segment,
+            multiplier: row.dart_multipliers[i]
+        }));
+    }
+
+    /**
+     * Helper: Count turns with specific total score
+     */
+    function countScoresInTurns(turns, targetScore) {
+        return turns.filter(turn =>
+            turn.darts.reduce((a, b) => a + b, 0) === targetScore
+        ).length;
+    }
+
+    /**
+     * Helper: Count turns with scores in range
+     */
+    function countScoresInRange(turns, min, max) {
+        return turns.filter(turn => {
+            const total = turn.darts.reduce((a, b) => a + b, 0);
+            return total >= min && total <= max;
+        }).length;
+    }
+
+    /**
+     * Push an existing game's state to Supabase (update_game checks the owner token)
+     */
+    async function updateGameRemote(gameId, updates) {
+        try {
+            const sb = ensureInitialized();
+
+            // game_players and turns are saved before completed_at inside update_game:
+            // the trigger on games.completed_at reads game_players to update player aggregates
+            const { data, error } = await sb.rpc('update_game', {
+                p_game_id: gameId,
+                p_owner_token: Device.getGameToken(gameId, false),
+                p_game: buildGameStatus(updates),
+                p_players: (updates.players || []).map((p, i) => buildGamePlayerRow(p, i, updates))
+            });
+
+            if (error) {
+                console.error('Error updating game:', error);
+                throw error;
+            }
+
+            return data;
+        } catch (error) {
+            console.error('updateGameRemote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: the games columns update_game and submit_turn save
+     */
+    function buildGameStatus(game) {
+        const status = {
+            completed_at: game.completed_at,
+            is_active: game.is_active,
+            current_turn: game.current_turn
+        };
+
+        if (game.completed_at && game.players) {
+            status.winner_order = findWinnerOrder(game.players);
+        }
+        return status;
+    }
+
+    /**
+     * Helper: player_order of a finished game's winner
+     * The winner is the player with finish_rank = 1 (first to finish), not just any
+     * player with winner: true (multiple can reach 0 in darts)
+     */
+    function findWinnerOrder(players) {
+        let index = players.findIndex(p => p.finish_rank === 1);
+
+        // Fallback: if no finish_rank, find first player with winner: true
+        if (index < 0) {
+            index = players.findIndex(p => p.winner);
+        }
+
+        // Last fallback: player with lowest score
+        if (index < 0 && players.length > 0) {
+            const scores = players.map(p => p.currentScore || p.score || 0);
+            index = scores.indexOf(Math.min(...scores));
+        }
+
+        return index >= 0 ? index : null;
+    }
+
+    /**
+     * Fetch a single game with its turns from Supabase
+     */
+    async function fetchGame(gameId) {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('games')
+                .select(`
+                    *,
+                    winner:players!winner_id(id, name),
+                    game_players(
+                        id,
+                        player_order,
+                        starting_score,
+                        final_score,
+                        is_winner,
+                        finish_rank,
+                        finish_round,
+                        total_turns,
+                        total_darts,
+                        total_score,
+                        max_dart,
+                        max_turn,
+                        avg_per_turn,
+                        seat_device_id,
+                        player:players(id, name),
+                        turns(
+                            turn_number,
+                            dart_scores,
+                            dart_segments,
+                            dart_multipliers,
+                            marks,
+                            score_after,
+                            is_busted,
+                            created_at
+                        )
+                    )
+                `)
+                .eq('id', gameId)
+                .single();
+
+            if (error) {
+                console.error('Error fetching game:', error);
+                throw error;
+            }
+
+            // Transform with full turn history
+            return transformGameWithTurns(data);
+        } catch (error) {
+            console.error('fetchGame error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Transform game with full turn history
+     */
+    function transformGameWithTurns(dbGame) {
+        const players = (dbGame.game_players || [])
+            .sort((a, b) => a.player_order - b.player_order)
+            .map(gp => {
+                const turns = (gp.turns || [])
+                    .sort((a, b) => a.turn_number - b.turn_number)
+                    .map(transformTurnFromDB);
+
+                return {
+                    id: gp.id,
+                    name: gp.player?.name || 'Unknown',
+                    startingScore: gp.starting_score,
+                    currentScore: gp.final_score,
+                    winner: gp.is_winner,
+                    finish_rank: gp.finish_rank,
+                    finish_round: gp.finish_round,
+                    // Device scoring this player's turns under remote scoring
+                    seat_device_id: gp.seat_device_id || null,
+                    turns: turns,
+                    stats: {
+                        totalDarts: gp.total_darts,
+                        totalScore: gp.total_score,
+                        avgPerDart: gp.avg_per_turn,
+                        maxTurn: gp.max_turn,
+                        maxDart: gp.max_dart,
+                        checkoutAttempts: 0,
+                        checkoutSuccess: 0
+                    }
+                };
+            });
+
+        const game = {
+            id: dbGame.id,
+            created_at: dbGame.created_at,
+            completed_at: dbGame.completed_at,
+            game_type: dbGame.game_type,
+            win_condition: dbGame.win_condition,
+            scoring_mode: dbGame.scoring_mode,
+            game_mode: dbGame.game_mode || 'x01',
+            cricket_variant: dbGame.cricket_variant || null,
+            out_rule: dbGame.out_rule || 'straight',
+            in_rule: dbGame.in_rule || 'straight',
+            handicap: !!dbGame.is_handicap,
+            match_id: dbGame.match_id || null,
+            set_number: dbGame.set_number || null,
+            leg_number: dbGame.leg_number || null,
+            current_player_index: 0,
+            current_turn: dbGame.current_turn,
+            is_active: dbGame.is_active,
+            device_id: dbGame.device_id,
+            remote_scoring: !!dbGame.remote_scoring,
+            players: players
+        };
+
+        return rebuildGameState(game);
+    }
+
+    /**
+     * Helper: a turns row as a player's turn
+     */
+    function transformTurnFromDB(row) {
+        return {
+            darts: row.dart_scores,
+            segments: segmentsFromTurnRow(row),
+            marks: row.marks,
+            remaining: row.score_after,
+            busted: row.is_busted,
+            timestamp: new Date(row.created_at).getTime()
+        };
+    }
+
+    /**
+     * Rebuild what isn't stored from a game's turns
+     */
+    function rebuildGameState(game) {
+        // Cricket marks and points aren't stored, they are replayed from the darts
+        const restored = game.game_mode === 'cricket' ? Cricket.rebuildState(game) : game;
+        // Throw order isn't stored either; replaying an active game restores it for undo/redo
+        return Game.restoreTurnLog(restored);
+    }
+
+    /**
+     * Apply a realtime change (a games, game_players or turns row) to a game from getGame,
+     * so watchers don't fetch the whole game on every turn. Call rebuildGameState after
+     * applying a batch.
+     * Returns false when the change can't be applied and the game has to be fetched again:
+     * deleted rows (their payload only has the id), unknown players and gaps in the turns.
+     */
+    function applyRealtimeChange(game, change) {
+        const row = change.new;
+        if (change.eventType === 'DELETE' || !row) return false;
+
+        if (change.table === 'games') {
+            if (row.id !== game.id) return true;
+            game.completed_at = row.completed_at;
+            game.is_active = row.is_active;
+            game.current_turn = row.current_turn;
+            game.device_id = row.device_id;
+            game.remote_scoring = !!row.remote_scoring;
+            return true;
+        }
+
+        if (change.table === 'game_players') {
+            if (row.game_id !== game.id) return true;
+            const player = game.players.find(p => p.id === row.id);
+            if (!player) return false;
+
+            player.currentScore = row.final_score;
+            player.winner = row.is_winner;
+            player.finish_rank = row.finish_rank;
+            player.finish_round = row.finish_round;
+            player.seat_device_id = row.seat_device_id || null;
+            Object.assign(player.stats, {
+                totalDarts: row.total_darts,
+                totalScore: row.total_score,
+                avgPerDart: row.avg_per_turn,
+                maxTurn: row.max_turn,
+                maxDart: row.max_dart
+            });
+            return true;
+        }
+
+        if (change.table === 'turns') {
+            if (row.game_id !== game.id) return true;
+            const player = game.players.find(p => p.id === row.game_player_id);
+            if (!player) return false;
+
+            // Already have it (e.g. the turn this device submitted)
+            if (row.turn_number <= player.turns.length) {
+                const known = player.turns[row.turn_number - 1];
+                return known.timestamp === new Date(row.created_at).getTime();
+            }
+            if (row.turn_number !== player.turns.length + 1) return false;
+
+            player.turns.push(transformTurnFromDB(row));
+            return true;
+        }
+
+        return true;
+    }
+
+    /**
+     * Delete a game (CASCADE will delete game_players and turns)
+     */
+    async function deleteGame(gameId) {
+        try {
+            const sb = ensureInitialized();
+            const { error } = await sb.rpc('delete_game', {
+                p_game_id: gameId,
+                p_owner_token: Device.getGameToken(gameId, false)
+            });
+
+            if (error) {
+                console.error('Error deleting game:', error);
+                throw error;
+            }
+
+            await LocalStore.remove(LocalStore.STORES.games, gameId);
+            await Sync.dequeue('game', gameId);
+            Device.forgetGameToken(gameId);
+
+            console.log('✓ Game deleted (cascaded to game_players and turns)');
+            return true;
+        } catch (error) {
+            console.error('deleteGame error:', error);
+            UI.showToast('Failed to delete game', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Get a PIN that lets another device take over scoring a game (this device must be the scorer)
+     * Unsynced changes are pushed first so the next scorer carries on from the latest turn
+     */
+    async function createControlPin(gameId) {
+        try {
+            const sb = ensureInitialized();
+            await pushPendingGame(gameId);
+
+            const { data, error } = await sb.rpc('create_control_pin', {
+                p_game_id: gameId,
+                p_owner_token: Device.getGameToken(gameId, false)
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('createControlPin error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Take over scoring a game with the PIN shown on the scoring device
+     * Returns { success, data: game } or { success: false, error }
+     */
+    async function claimGameControl(gameId, pin) {
+        const hadToken = !!Device.getGameToken(gameId, false);
+
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb.rpc('claim_game_control', {
+                p_game_id: gameId,
+                p_pin: String(pin).trim(),
+                p_owner_token: Device.getGameToken(gameId),
+                p_device_id: Device.getDeviceId()
+            });
+            if (error) throw error;
+            if (!data?.id) throw new Error('Wrong code - check the PIN on the scoring device');
+
+            const game = await fetchGame(gameId);
+            if (!game) throw new Error('Game not found');
+            // The game's match is handed over with it (the database gives it the same token)
+            if (game.match_id) Device.setGameToken(game.match_id, Device.getGameToken(gameId, false));
+            await LocalStore.put(LocalStore.STORES.games, game);
+            return { success: true, data: game };
+        } catch (error) {
+            console.error('claimGameControl error:', error);
+            if (!hadToken) Device.forgetGameToken(gameId);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * The 6-digit code the scorer types in to grant a request made with this owner token,
+     * worked out from the token's hash like control_request_code() in the database
+     */
+    async function getControlRequestCode(token) {
+        const data = new TextEncoder().encode(token);
+        const hex = Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', data)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        return String(parseInt(hex.slice(0, 8), 16) % 1000000).padStart(6, '0');
+    }
+
+    /**
+     * Ask the scoring device for a game this device is watching, with a new owner token
+     * that only takes effect once the scorer grants the game (see acceptGameControl)
+     * Returns the code to show, which the scorer needs to grant it
+     */
+    async function requestGameControl(gameId) {
+        try {
+            const sb = ensureInitialized();
+            // Asking again keeps the token, as the database won't replace a pending request
+            const token = controlRequests[gameId] || Device.generateToken();
+            const { error } = await sb.rpc('request_game_control', {
+                p_game_id: gameId,
+                p_owner_token: token,
+                p_device_id: Device.getDeviceId()
+            });
+            if (error) throw error;
+
+            controlRequests[gameId] = token;
+            return { success: true, code: await getControlRequestCode(token) };
+        } catch (error) {
+            console.error('requestGameControl error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Hand a game over to a watching device that asked for it (this device must be the scorer),
+     * given the code that device shows
+     * Unsynced changes are pushed first so the next scorer carries on from the latest turn
+     */
+    async function grantGameControl(gameId, deviceId, code) {
+        try {
+            const sb = ensureInitialized();
+            await pushPendingGame(gameId);
+
+            const { data, error } = await sb.rpc('grant_game_control', {
+                p_game_id: gameId,
+                p_owner_token: Device.getGameToken(gameId, false),
+                p_device_id: deviceId,
+                p_code: code
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error('grantGameControl error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Start scoring a game the scorer granted to this device after requestGameControl
+     * Returns the game, or null when this device didn't ask for it
+     */
+    async function acceptGameControl(gameId) {
+        const token = controlRequests[gameId];
+        if (!token) return null;
+
+        delete controlRequests[gameId];
+        Device.setGameToken(gameId, token);
+        const game = await fetchGame(gameId);
+        if (game?.match_id) Device.setGameToken(game.match_id, token);
+        if (game) await LocalStore.put(LocalStore.STORES.games, game);
+        return game;
+    }
+
+    /**
+     * Push a game's queued changes now; throws if they can't be pushed, since the
+     * database copy has to be up to date first
+     */
+    async function pushPendingGame(gameId) {
+        await Sync.flush();
+        if (await Sync.hasPending('game', gameId)) {
+            throw new Error('This game has changes that haven\'t synced yet - get back online and try again');
+        }
+    }
+
+    /**
+     * Let players score their own turns from their phones, or stop it (this device must be the scorer)
+     * Returns { success, data: game } or { success: false, error }
+     */
+    async function setRemoteScoring(gameId, enabled) {
+        try {
+            const sb = ensureInitialized();
+            await pushPendingGame(gameId);
+
+            const { error } = await sb.rpc('set_remote_scoring', {
+                p_game_id: gameId,
+                p_owner_token: Device.getGameToken(gameId, false),
+                p_enabled: enabled
+            });
+            if (error) throw error;
+
+            const game = await fetchGame(gameId);
+            if (!game) throw new Error('Game not found');
+            await LocalStore.put(LocalStore.STORES.games, game);
+            return { success: true, data: game };
+        } catch (error) {
+            console.error('setRemoteScoring error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Score a player's turns from this device (remote scoring); the seat token is kept on the device
+     */
+    async function joinGameSeat(gameId, playerOrder) {
+        try {
+            const sb = ensureInitialized();
+            const token = Device.getSeatToken(gameId, playerOrder);
+            const { data, error } = await sb.rpc('join_game_seat', {
+                p_game_id: gameId,
+                p_player_order: playerOrder,
+                p_seat_token: token,
+                p_device_id: Device.getDeviceId()
+            });
+            if (error) throw error;
+
+            Device.setGameSeat(gameId, playerOrder, token);
+            return { success: true, data };
+        } catch (error) {
+            console.error('joinGameSeat error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Free a player's seat: the seat holder leaving, or the scorer taking the player back
+     */
+    async function leaveGameSeat(gameId, playerOrder) {
+        try {
+            const sb = ensureInitialized();
+            const seat = Device.getGameSeat(gameId);
+            const ownSeat = seat?.player_order === playerOrder;
+            const { error } = await sb.rpc('leave_game_seat', {
+                p_game_id: gameId,
+                p_player_order: playerOrder,
+                p_token: ownSeat ? seat.token : Device.getGameToken(gameId, false)
+            });
+            if (error) throw error;
+
+            if (ownSeat) Device.forgetGameSeat(gameId);
+            return { success: true };
+        } catch (error) {
+            console.error('leaveGameSeat error:', error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
+    /**
+     * Submit a turn under remote scoring, straight to the database (turns aren't queued:
+     * the database decides whose throw it is). game is the copy after the turn and
+     * playerIndex the player who threw it; the seat token is used for this device's own
+     * seat, the owner token otherwise.
+     * Returns { success, data } or { success: false, error, code } (code 55000 = out of turn)
+     */
+    async function submitRemoteTurn(game, playerIndex) {
+        try {
+            const sb = ensureInitialized();
+            await pushPendingGame(game.id);
+
+            const seat = Device.getGameSeat(game.id);
+            const { data, error } = await sb.rpc('submit_turn', {
+                p_game_id: game.id,
+                p_player_order: playerIndex,
+                p_token: seat?.player_order === playerIndex ? seat.token : Device.getGameToken(game.id, false),
+                p_game: buildGameStatus(game),
+                p_players: game.players.map((p, i) => buildGamePlayerRow(p, i, game))
+            });
+            if (error) throw error;
+
+            await LocalStore.put(LocalStore.STORES.games, game);
+            return { success: true, data };
+        } catch (error) {
+            console.error('submitRemoteTurn error:', error);
+            return { success: false, error: error.message || String(error), code: error.code };
+        }
+    }
+
+    /**
+     * Stop scoring a game that another device has taken over: its token is useless now,
+     * and changes still queued here would only be rejected
+     */
+    async function releaseGameControl(gameId) {
+        Device.forgetGameToken(gameId);
+        await Sync.dequeue('game', gameId);
+
+        const latest = await fetchGame(gameId);
+        if (latest) await LocalStore.put(LocalStore.STORES.games, latest);
+        return latest;
+    }
+
+    /**
+     * Insert a new match with its players into Supabase, registering this device's
+     * owner token for it (kept with the game tokens)
+     */
+    async function insertMatchRemote(match) {
+        try {
+            const sb = ensureInitialized();
+
+            const playerIds = [];
+            for (const player of match.players) {
+                const playerData = await getOrCreatePlayer(player.name);
+                playerIds.push(playerData.id);
+            }
+
+            const options = match.game_options;
+            const { error } = await sb.rpc('create_match', {
+                p_match: {
+                    id: match.id,
+                    created_at: match.created_at,
+                    legs_to_win: match.legs_to_win,
+                    sets_to_win: match.sets_to_win,
+                    game_type: options.gameType,
+                    win_condition: options.winBelow ? 'below' : 'exact',
+                    scoring_mode: options.scoringMode,
+                    game_mode: options.gameMode || 'x01',
+                    cricket_variant: options.gameMode === 'cricket' ? options.cricketVariant : null,
+                    out_rule: options.outRule,
+                    in_rule: options.inRule,
+                    is_active: match.is_active,
+                    device_id: match.device_id
+                },
+                p_players: match.players.map((p, i) => ({
+                    player_id: playerIds[i],
+                    player_order: i,
+                    starting_score: p.starting_score ?? null
+                })),
+                p_owner_token: Device.getGameToken(match.id)
+            });
+
+            if (error) {
+                console.error('Error inserting match:', error);
+                throw error;
+            }
+
+            return match;
+        } catch (error) {
+            console.error('insertMatchRemote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Push match progress (legs/sets won, winner, completion) to Supabase
+     * Needs the match's owner token; match players are matched by player_order
+     */
+    async function updateMatchRemote(match) {
+        try {
+            const sb = ensureInitialized();
+            const winnerIndex = match.players.findIndex(p => p.winner);
+            const { error } = await sb.rpc('update_match', {
+                p_match_id: match.id,
+                p_owner_token: Device.getGameToken(match.id, false),
+                p_match: {
+                    completed_at: match.completed_at,
+                    is_active: match.is_active,
+                    winner_order: winnerIndex >= 0 ? winnerIndex : null
+                },
+                p_players: match.players.map((p, i) => ({
+                    player_order: i,
+                    legs_won: p.legs_won,
+                    sets_won: p.sets_won,
+                    is_winner: p.winner || false
+                }))
+            });
+
+            if (error) throw error;
+            return match;
+        } catch (error) {
+            console.error('updateMatchRemote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a match with its players and legs from Supabase
+     */
+    async function fetchMatch(matchId) {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('matches')
+                .select(`
+                    *,
+                    match_players(
+                        player_order,
+                        legs_won,
+                        sets_won,
+                        is_winner,
+                        starting_score,
+                        player:players(id, name)
+                    ),
+                    games(
+                        id,
+                        set_number,
+                        leg_number,
+                        completed_at,
+                        winner:players!winner_id(name)
+                    )
+                `)
+                .eq('id', matchId)
+                .single();
+
+            if (error) {
+                console.error('Error fetching match:', error);
+                return null;
+            }
+
+            return transformMatchFromDB(data);
+        } catch (error) {
+            console.error('fetchMatch error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Transform database match to app format
+     */
+    function transformMatchFromDB(dbMatch) {
+        const players = (dbMatch.match_players || [])
+            .sort((a, b) => a.player_order - b.player_order)
+            .map(mp => ({
+                name: mp.player.name,
+                legs_won: mp.legs_won,
+                sets_won: mp.sets_won,
+                winner: mp.is_winner,
+                starting_score: mp.starting_score ?? null
+            }));
+
+        // Only completed legs with a winner count towards the score
+        const legs = (dbMatch.games || [])
+            .filter(g => g.completed_at && g.winner)
+            .map(g => ({
+                game_id: g.id,
+                set_number: g.set_number,
+                leg_number: g.leg_number,
+                winner: g.winner.name
+            }));
+
+        return {
+            id: dbMatch.id,
+            created_at: dbMatch.created_at,
+            completed_at: dbMatch.completed_at,
+            is_active: dbMatch.is_active,
+            device_id: dbMatch.device_id,
+            legs_to_win: dbMatch.legs_to_win,
+            sets_to_win: dbMatch.sets_to_win,
+            game_options: {
+                gameType: dbMatch.game_type,
+                winBelow: dbMatch.win_condition === 'below',
+                scoringMode: dbMatch.scoring_mode,
+                outRule: dbMatch.out_rule,
+                inRule: dbMatch.in_rule,
+                gameMode: dbMatch.game_mode || 'x01',
+                cricketVariant: dbMatch.cricket_variant || 'standard'
+            },
+            players,
+            legs,
+            winner: players.find(p => p.winner)?.name || null
+        };
+    }
+
+    /**
+     * Upsert a practice session into Supabase
+     */
+    async function savePracticeSessionRemote(session) {
+        try {
+            const sb = ensureInitialized();
+            const playerData = await getOrCreatePlayer(session.player_name);
+            const result = Practice.getResult(session);
+
+            const { error } = await sb
+                .from('practice_sessions')
+                .upsert([{
+                    id: session.id,
+                    created_at: session.created_at,
+                    completed_at: session.completed_at,
+                    player_id: playerData.id,
+                    mode: session.mode,
+                    is_complete: session.is_complete,
+                    score: result.score,
+                    hits: result.hits,
+                    darts_thrown: result.darts,
+                    summary: result.summary,
+                    options: session.options,
+                    turns: session.turns.map(t => t.darts),
+                    device_id: session.device_id
+                }]);
+
+            if (error) {
+                console.error('Error saving practice session:', error);
+                throw error;
+            }
+
+            return session;
+        } catch (error) {
+            console.error('savePracticeSessionRemote error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a player's finished practice sessions, newest first
+     */
+    async function getPracticeSessions(playerName, limit = 50) {
+        try {
+            const sb = ensureInitialized();
+
+            const { data: playerData } = await sb
+                .from('players')
+                .select('id')
+                .eq('name', playerName)
+                .single();
+
+            if (!playerData) {
+                return mergeLocalPracticeSessions([], playerName, limit);
+            }
+
+            const { data, error } = await sb
+                .from('practice_sessions')
+                .select('id, created_at, completed_at, mode, is_complete, score, hits, darts_thrown, summary')
+                .eq('player_id', playerData.id)
+                .not('completed_at', 'is', null)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) {
+                console.error('Error fetching practice sessions:', error);
+                throw error;
+            }
+
+            return mergeLocalPracticeSessions(data || [], playerName, limit);
+        } catch (error) {
+            console.error('getPracticeSessions error:', error);
+            return mergeLocalPracticeSessions([], playerName, limit);
+        }
+    }
+
+    /**
+     * Add the player's finished sessions kept on this device that aren't in Supabase yet
+     */
+    async function mergeLocalPracticeSessions(rows, playerName, limit) {
+        let local = [];
+        try {
+            local = await LocalStore.getAll(LocalStore.STORES.practiceSessions);
+        } catch (error) {
+            console.error('Failed to read local practice sessions:', error);
+        }
+
+        const known = new Set(rows.map(row => row.id));
+        const unsynced = local
+            .filter(session => session.player_name === playerName && session.completed_at && !known.has(session.id))
+            .map(session => {
+                const result = Practice.getResult(session);
+                return {
+                    id: session.id,
+                    created_at: session.created_at,
+                    completed_at: session.completed_at,
+                    mode: session.mode,
+                    is_complete: session.is_complete,
+                    score: result.score,
+                    hits: result.hits,
+                    darts_thrown: result.darts,
+                    summary: result.summary
+                };
+            });
+
+        return [...rows, ...unsynced]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get all players
+     */
+    async function getPlayers() {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('players')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                console.error('Error fetching players:', error);
+                throw error;
+            }
 
             // Convert array to object with name as key (for compatibility)
             const playersObj = {};
@@ -729,6 +2075,12 @@ const Storage = (() => {
                 return existing;
             }
 
+            // "sam" plays as the existing "Sam" rather than becoming a second player
+            const sameName = await findPlayerByName(playerName);
+            if (sameName) {
+                return sameName;
+            }
+
             // Create new player if doesn't exist
             const newPlayer = {
                 id: generateUUID(),
@@ -754,6 +2106,64 @@ const Storage = (() => {
         }
     }
 
+    /**
+     * Find a player by name ignoring case (the oldest one if there are several)
+     */
+    async function findPlayerByName(playerName) {
+        const sb = ensureInitialized();
+        // Escape LIKE wildcards so the name only matches itself
+        const pattern = playerName.trim().replace(/[\\%_]/g, char => `\\${char}`);
+
+        const { data, error } = await sb
+            .from('players')
+            .select('*')
+            .ilike('name', pattern)
+            .order('created_at', { ascending: true })
+            .limit(1);
+
+        if (error) {
+            console.error('Error finding player:', error);
+            return null;
+        }
+        return data?.[0] || null;
+    }
+
+    /**
+     * Rename a player (admins only); fails if another player already has the name
+     */
+    async function renamePlayer(playerId, newName) {
+        return callAdminFunction('admin_rename_player', { p_player_id: playerId, p_new_name: newName });
+    }
+
+    /**
+     * Merge one player into another (admins only): the source's games move to the target
+     */
+    async function mergePlayers(sourceId, targetId) {
+        return callAdminFunction('admin_merge_players', { p_source_id: sourceId, p_target_id: targetId });
+    }
+
+    /**
+     * Rebuild every player's stats from their games and refresh the leaderboard (admins only)
+     */
+    async function recalculatePlayerStats() {
+        return callAdminFunction('admin_recalculate_players');
+    }
+
+    /**
+     * Call an admin database function, returning { success, data } or { success: false, error }
+     */
+    async function callAdminFunction(name, params = {}) {
+        try {
+            const sb = ensureInitialized();
+            const { data, error } = await sb.rpc(name, params);
+            if (error) throw error;
+            return { success: true, data };
+        } catch (error) {
+            console.error(`${name} error:`, error);
+            return { success: false, error: error.message || String(error) };
+        }
+    }
+
     /**
      * Get all games for a specific player (optimized with junction table)
      */
@@ -813,11 +2223,48 @@ const Storage = (() => {
     }
 
     /**
-     * Export all data as JSON
+     * Export all data as JSON: every game with its turns, and the players
      */
     async function exportData() {
         try {
-            const games = await getGames();
+            const sb = ensureInitialized();
+            const { data, error } = await sb
+                .from('games')
+                .select(`
+                    *,
+                    game_players(
+                        id,
+                        player_order,
+                        starting_score,
+                        final_score,
+                        is_winner,
+                        finish_rank,
+                        finish_round,
+                        total_turns,
+                        total_darts,
+                        total_score,
+                        max_dart,
+                        max_turn,
+                        avg_per_turn,
+                        player:players(id, name),
+                        turns(
+                            turn_number,
+                            dart_scores,
+                            dart_segments,
+                            dart_multipliers,
+                            marks,
+                            score_after,
+                            is_busted,
+                            created_at
+                        )
+                    )
+                `)
+                .order('created_at', { ascending: false });
+
+            if (error) throw error;
+
+            // Games with their turns, so an import can replay them
+            const games = (data || []).map(transformGameWithTurns);
             const players = await getPlayers();
 
             return {
@@ -832,6 +2279,185 @@ const Storage = (() => {
         }
     }
 
+    /**
+     * Which of the given game IDs are already saved, in Supabase or on this device
+     * Offline only this device is checked; a game that turns out to be in Supabase
+     * anyway is kept as Supabase has it when its push finds it there (see pushGame)
+     */
+    async function getExistingGameIds(gameIds) {
+        const wanted = new Set(gameIds);
+        const existing = new Set(
+            (await getLocalGames()).map(g => g.id).filter(id => wanted.has(id))
+        );
+
+        try {
+            const sb = ensureInitialized();
+            for (let i = 0; i < gameIds.length; i += ID_BATCH_SIZE) {
+                const { data, error } = await sb
+                    .from('games')
+                    .select('id')
+                    .in('id', gameIds.slice(i, i + ID_BATCH_SIZE));
+
+                if (error) throw error;
+                (data || []).forEach(row => existing.add(row.id));
+            }
+        } catch (error) {
+            console.error('getExistingGameIds error:', error);
+        }
+        return existing;
+    }
+
+    /**
+     * Fetch every row of a query a page at a time, so large exports don't time out
+     * makeQuery builds a new query with a stable order; onPage gets the rows fetched so far
+     */
+    async function fetchAllPages(makeQuery, onPage = () => {}) {
+        const rows = [];
+        for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+            const { data, error } = await makeQuery().range(from, from + EXPORT_PAGE_SIZE - 1);
+            if (error) throw error;
+
+            rows.push(...(data || []));
+            onPage(rows.length);
+            if (!data || data.length < EXPORT_PAGE_SIZE) return rows;
+        }
+    }
+
+    /**
+     * Helper: Limit an export query to the picked players and to games started in
+     * [from, to) (ISO times); playerColumn and the embedded game depend on the table
+     */
+    function applyExportFilters(query, filters, playerColumn) {
+        if (filters.playerIds?.length) query = query.in(playerColumn, filters.playerIds);
+        if (filters.from) query = query.gte('game.created_at', filters.from);
+        if (filters.to) query = query.lt('game.created_at', filters.to);
+        return query.not('game.completed_at', 'is', null);
+    }
+
+    /**
+     * Each player's result in every completed game, for the spreadsheet export
+     * filters: { playerIds, from, to }; without players every player's results are included
+     */
+    async function getGameResultsForExport(filters = {}, onPage) {
+        const sb = ensureInitialized();
+        return fetchAllPages(() => applyExportFilters(
+            sb
+                .from('game_players')
+                .select(`
+                    id,
+                    player_id,
+                    player_order,
+                    starting_score,
+                    final_score,
+                    is_winner,
+                    finish_rank,
+                    total_turns,
+                    total_darts,
+                    total_score,
+                    avg_per_turn,
+                    max_dart,
+                    max_turn,
+                    count_180s,
+                    count_140_plus,
+                    total_marks,
+                    checkout_attempts,
+                    checkout_successes,
+                    player:players(name, rating),
+                    game:games!inner(
+                        id,
+                        created_at,
+                        completed_at,
+                        game_mode,
+                        game_type,
+                        cricket_variant,
+                        scoring_mode,
+                        win_condition,
+                        out_rule,
+                        in_rule,
+                        is_handicap,
+                        match_id,
+                        leg_number,
+                        total_players
+                    )
+                `)
+                .order('id'),
+            filters,
+            'player_id'
+        ), onPage);
+    }
+
+    /**
+     * IDs of the completed games the picked players took part in (within the dates)
+     */
+    async function getExportGameIds(filters) {
+        const sb = ensureInitialized();
+        const rows = await fetchAllPages(() => applyExportFilters(
+            sb
+                .from('game_players')
+                .select('id, game_id, game:games!inner(created_at, completed_at)')
+                .order('id'),
+            filters,
+            'player_id'
+        ));
+        return [...new Set(rows.map(row => row.game_id))];
+    }
+
+    /**
+     * Every turn of the completed games, for the spreadsheet export
+     * With picked players, their games are exported with every player's turns (not just
+     * theirs), so the file can be imported again
+     */
+    async function getTurnsForExport(filters = {}, onPage = () => {}) {
+        const sb = ensureInitialized();
+        const makeQuery = () => sb
+            .from('turns')
+            .select(`
+                id,
+                game_id,
+                turn_number,
+                round_number,
+                score_before,
+                score_after,
+                turn_total,
+                dart_scores,
+                dart_segments,
+                dart_multipliers,
+                marks,
+                is_busted,
+                is_checkout_attempt,
+                is_successful_checkout,
+                created_at,
+                game_player:game_players!inner(player_id, player_order, starting_score, player:players(name)),
+                game:games!inner(
+                    created_at,
+                    completed_at,
+                    game_mode,
+                    game_type,
+                    cricket_variant,
+                    scoring_mode,
+                    out_rule,
+                    in_rule
+                )
+            `)
+            .order('id');
+
+        if (!filters.playerIds?.length) {
+            return fetchAllPages(() => applyExportFilters(makeQuery(), filters), onPage);
+        }
+
+        const gameIds = await getExportGameIds(filters);
+        const turns = [];
+        for (let i = 0; i < gameIds.length; i += ID_BATCH_SIZE) {
+            const batch = gameIds.slice(i, i + ID_BATCH_SIZE);
+            const batchTurns = await fetchAllPages(
+                () => makeQuery().in('game_id', batch),
+                count => onPage(turns.length + count)
+            );
+            turns.push(...batchTurns);
+        }
+        return turns;
+    }
+
     /**
      * Generate UUID v4
      */
@@ -875,10 +2501,46 @@ const Storage = (() => {
         updateGame,
         getGame,
         deleteGame,
+        createControlPin,
+        claimGameControl,
+        requestGameControl,
+        grantGameControl,
+        acceptGameControl,
+        releaseGameControl,
+        setRemoteScoring,
+        joinGameSeat,
+        leaveGameSeat,
+        submitRemoteTurn,
+        applyRealtimeChange,
+        rebuildGameState,
+        saveMatch,
+        updateMatch,
+        getMatch,
+        saveTournament,
+        updateTournament,
+        getTournament,
+        getTournaments,
+        getTournamentForGame,
+        transformTournamentFromDB,
+        saveSeason,
+        updateSeason,
+        getSeason,
+        getSeasons,
+        getSeasonForMatch,
+        transformSeasonFromDB,
+        savePracticeSession,
+        getPracticeSessions,
+        pushChange, // Used by Sync
         getPlayers,
         getOrCreatePlayer,
+        renamePlayer,
+        mergePlayers,
+        recalculatePlayerStats,
         getPlayerGames,
         exportData,
+        getExistingGameIds,
+        getGameResultsForExport,
+        getTurnsForExport,
         generateUUID
     };
 })();
@@ -0,0 +1,292 @@
+/**
+ * Sync Module
+ * Queue of local changes waiting to be pushed to Supabase.
+ * The queue holds one entry per game, match, tournament, season or practice session; pushing always sends
+ * the latest local copy, so repeated saves while offline collapse into one push.
+ */
+
+const Sync = (() => {
+    // Database errors (not network errors) are retried this many times before the change is parked
+    const MAX_ATTEMPTS = 5;
+    const BASE_RETRY_DELAY = 2000;
+    const MAX_RETRY_DELAY = 60000;
+
+    let flushing = null;
+    let flushAgain = false;
+    let retryTimer = null;
+    let retryDelay = BASE_RETRY_DELAY;
+    let lastSeq = 0;
+    let lastError = null;
+    let status = { state: 'synced', pending: 0, failed: 0, lastError: null };
+    const listeners = [];
+
+    /**
+     * Start syncing: push anything left from the last visit and listen for the network
+     */
+    function init() {
+        window.addEventListener('online', () => {
+            console.log('Back online - syncing');
+            retryDelay = BASE_RETRY_DELAY;
+            flush();
+        });
+        window.addEventListener('offline', () => {
+            console.log('Gone offline - saving locally');
+            refreshStatus();
+        });
+
+        return flush();
+    }
+
+    /**
+     * Whether the browser thinks it has a network connection
+     */
+    function isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * Queue key for an entity
+     */
+    function getKey(kind, entityId) {
+        return `${kind}:${entityId}`;
+    }
+
+    /**
+     * Increasing sequence number so changes are pushed in the order they were first made
+     */
+    function nextSeq() {
+        lastSeq = Math.max(Date.now(), lastSeq + 1);
+        return lastSeq;
+    }
+
+    /**
+     * Queue an entity for pushing (kind: 'game' | 'match' | 'tournament' | 'season' | 'practice_session', action: 'insert' | 'update')
+     * An entity already in the queue keeps its place; a queued insert stays an insert
+     */
+    async function enqueue(kind, entityId, action) {
+        const key = getKey(kind, entityId);
+        const existing = await LocalStore.get(LocalStore.STORES.syncQueue, key);
+
+        await LocalStore.put(LocalStore.STORES.syncQueue, {
+            key,
+            kind,
+            entity_id: entityId,
+            action: existing?.action === 'insert' ? 'insert' : action,
+            seq: existing ? existing.seq : nextSeq(),
+            version: (existing?.version || 0) + 1,
+            attempts: 0,
+            failed: false,
+            last_error: null,
+            queued_at: new Date().toISOString()
+        });
+
+        flush();
+    }
+
+    /**
+     * Drop an entity from the queue (e.g. after it was deleted)
+     */
+    async function dequeue(kind, entityId) {
+        await LocalStore.remove(LocalStore.STORES.syncQueue, getKey(kind, entityId));
+        await refreshStatus();
+    }
+
+    /**
+     * Check whether an entity has changes that haven't reached Supabase yet
+     */
+    async function hasPending(kind, entityId) {
+        const entry = await LocalStore.get(LocalStore.STORES.syncQueue, getKey(kind, entityId));
+        return !!entry;
+    }
+
+    /**
+     * Push the queue now (does nothing if already pushing, other than going round again after)
+     */
+    function flush() {
+        if (flushing) {
+            flushAgain = true;
+            return flushing;
+        }
+
+        flushing = (async () => {
+            do {
+                flushAgain = false;
+                await processQueue();
+            } while (flushAgain);
+        })()
+            .catch(error => console.error('Sync error:', error))
+            .finally(() => {
+                flushing = null;
+                refreshStatus();
+            });
+
+        return flushing;
+    }
+
+    /**
+     * Push queued changes in order, stopping at the first one that can't be pushed yet
+     */
+    async function processQueue() {
+        if (!isOnline()) {
+            await refreshStatus();
+            return;
+        }
+
+        clearTimeout(retryTimer);
+        retryTimer = null;
+
+        const entries = (await LocalStore.getAll(LocalStore.STORES.syncQueue))
+            .filter(entry => !entry.failed)
+            .sort((a, b) => a.seq - b.seq);
+        let parkedError = null;
+
+        for (const entry of entries) {
+            await refreshStatus('syncing');
+
+            try {
+                const result = await Storage.pushChange(entry);
+                await complete(entry);
+                if (result?.conflict) {
+                    UI.showToast(result.conflict, 'warning', 5000);
+                }
+            } catch (error) {
+                console.error(`Sync failed for ${entry.key}:`, error);
+                lastError = error.message || String(error);
+
+                if (isNetworkError(error)) {
+                    scheduleRetry();
+                    return;
+                }
+
+                const parked = await recordFailure(entry, error);
+                if (!parked) {
+                    scheduleRetry();
+                    return;
+                }
+                // A change that keeps failing is parked so it doesn't hold up the rest
+                parkedError = lastError;
+            }
+        }
+
+        lastError = parkedError;
+        retryDelay = BASE_RETRY_DELAY;
+    }
+
+    /**
+     * Remove a pushed entry, unless it was saved again while being pushed
+     */
+    async function complete(entry) {
+        const current = await LocalStore.get(LocalStore.STORES.syncQueue, entry.key);
+        if (!current) return;
+
+        if (current.version === entry.version) {
+            await LocalStore.remove(LocalStore.STORES.syncQueue, entry.key);
+        } else {
+            // The insert went through, so the newer copy only needs an update
+            await LocalStore.put(LocalStore.STORES.syncQueue, { ...current, action: 'update' });
+            flushAgain = true;
+        }
+    }
+
+    /**
+     * Count a failed attempt; returns true when the entry has been parked
+     */
+    async function recordFailure(entry, error) {
+        const current = await LocalStore.get(LocalStore.STORES.syncQueue, entry.key);
+        if (!current) return true;
+
+        const attempts = current.attempts + 1;
+        const failed = attempts >= MAX_ATTEMPTS;
+        await LocalStore.put(LocalStore.STORES.syncQueue, {
+            ...current,
+            attempts,
+            failed,
+            last_error: error.message || String(error)
+        });
+        return failed;
+    }
+
+    /**
+     * Network failures are retried until they go through; anything else is a database error
+     */
+    function isNetworkError(error) {
+        if (!isOnline()) return true;
+        const message = `${error?.message || ''} ${error?.details || ''}`;
+        return !error?.code && /fetch|network|load failed|timeout/i.test(message);
+    }
+
+    /**
+     * Try again later, backing off up to a minute between attempts
+     */
+    function scheduleRetry() {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(flush, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    }
+
+    /**
+     * Give parked changes another go (from the sync status indicator)
+     */
+    async function retryFailed() {
+        const entries = await LocalStore.getAll(LocalStore.STORES.syncQueue);
+        for (const entry of entries.filter(e => e.failed)) {
+            await LocalStore.put(LocalStore.STORES.syncQueue, { ...entry, failed: false, attempts: 0 });
+        }
+        retryDelay = BASE_RETRY_DELAY;
+        return flush();
+    }
+
+    /**
+     * Recount the queue and tell listeners
+     */
+    async function refreshStatus(activeState = null) {
+        let entries = [];
+        try {
+            entries = await LocalStore.getAll(LocalStore.STORES.syncQueue);
+        } catch (error) {
+            console.error('Failed to read sync queue:', error);
+        }
+
+        const failed = entries.filter(e => e.failed).length;
+        const pending = entries.length - failed;
+
+        let state = 'synced';
+        if (!isOnline()) state = 'offline';
+        else if (activeState) state = activeState;
+        else if (failed > 0) state = 'error';
+        else if (pending > 0) state = 'pending';
+
+        const failedError = entries.find(e => e.failed)?.last_error || null;
+        status = { state, pending, failed, lastError: lastError || failedError };
+        listeners.forEach(listener => listener(status));
+        return status;
+    }
+
+    /**
+     * Current status: { state: 'synced' | 'syncing' | 'pending' | 'offline' | 'error', pending, failed, lastError }
+     */
+    function getStatus() {
+        return status;
+    }
+
+    /**
+     * Listen for status changes
+     */
+    function onStatusChange(listener) {
+        listeners.push(listener);
+        listener(status);
+    }
+
+    // Public API
+    return {
+        init,
+        isOnline,
+        enqueue,
+        dequeue,
+        hasPending,
+        flush,
+        retryFailed,
+        getStatus,
+        onStatusChange
+    };
+})();
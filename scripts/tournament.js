@@ -0,0 +1,522 @@
+/**
+ * Tournament Module
+ * Single elimination, double elimination and round robin tournaments.
+ * Every fixture is one game between two players. Fixtures take their players from
+ * the results of earlier fixtures (winner or loser), so recording a result moves
+ * players on through the bracket; byes are passed through the same way.
+ */
+
+const Tournament = (() => {
+    const FORMATS = {
+        'single-elimination': 'Single Elimination',
+        'double-elimination': 'Double Elimination',
+        'round-robin': 'Round Robin'
+    };
+
+    /**
+     * Create a tournament and its fixtures
+     * Players are seeded in the order given unless shuffled
+     */
+    function createTournament(options) {
+        const {
+            name = '',
+            format = 'single-elimination',
+            playerNames = [],
+            shuffle = true,
+            gameType = 501,
+            winBelow = false,
+            scoringMode = 'per-dart',
+            outRule = 'straight',
+            inRule = 'straight',
+            gameMode = 'x01',
+            cricketVariant = 'standard'
+        } = options;
+
+        const players = playerNames.map((playerName, i) => playerName?.trim() || `Player ${i + 1}`);
+        if (shuffle) {
+            // Fisher-Yates shuffle for the seeding
+            for (let i = players.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [players[i], players[j]] = [players[j], players[i]];
+            }
+        }
+
+        const tournament = {
+            id: Storage.generateUUID(),
+            name: name.trim() || `${FORMATS[format]} ${new Date().toLocaleDateString()}`,
+            format,
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            is_active: true,
+            device_id: Device.getDeviceId(),
+            game_options: {
+                gameType: parseInt(gameType),
+                winBelow,
+                scoringMode,
+                outRule,
+                inRule,
+                gameMode,
+                cricketVariant
+            },
+            players,
+            fixtures: [],
+            winner: null
+        };
+
+        if (format === 'round-robin') {
+            tournament.fixtures = createRoundRobin(players);
+        } else {
+            tournament.fixtures = createElimination(players, format === 'double-elimination');
+        }
+
+        resolve(tournament);
+        return tournament;
+    }
+
+    /**
+     * Check the options before creating a tournament; returns an error message or null
+     */
+    function validate(format, playerNames) {
+        if (!FORMATS[format]) return 'Pick a tournament format';
+
+        const names = playerNames.map(n => n.trim().toLowerCase()).filter(Boolean);
+        const minimum = format === 'round-robin' ? 3 : 2;
+        if (names.length < minimum) return `${FORMATS[format]} needs at least ${minimum} players`;
+        if (new Set(names).size !== names.length) return 'Each player can only be entered once';
+        return null;
+    }
+
+    /**
+     * A fixture; players come either from the seeding (players) or from earlier fixtures (sources)
+     */
+    function createFixture(id, bracket, round, players, sources = null) {
+        return {
+            id,
+            bracket,
+            round,
+            players: players || [null, null],
+            sources,
+            game_id: null,
+            winner: null,
+            loser: null,
+            status: 'pending'
+        };
+    }
+
+    /**
+     * Seed positions for a bracket of size players: 1 plays size, 2 plays size-1, ...
+     * and the top seeds only meet in the late rounds
+     */
+    function seedOrder(size) {
+        let order = [1];
+        while (order.length < size) {
+            const next = order.length * 2 + 1;
+            order = order.flatMap(seed => [seed, next - seed]);
+        }
+        return order;
+    }
+
+    /**
+     * Winners bracket (and for double elimination, losers bracket and grand final)
+     * Fixture IDs: W<round>-<n>, L<round>-<n>, GF1 and GF2 (the reset final)
+     */
+    function createElimination(players, double) {
+        let size = 2;
+        while (size < players.length) size *= 2;
+        const rounds = Math.log2(size);
+        const fixtures = [];
+
+        // Empty seed positions are byes (null players)
+        const seeds = seedOrder(size).map(seed => players[seed - 1] || null);
+        for (let i = 0; i < size / 2; i++) {
+            fixtures.push(createFixture(`W1-${i}`, 'winners', 1, [seeds[i * 2], seeds[i * 2 + 1]]));
+        }
+        for (let round = 2; round <= rounds; round++) {
+            for (let i = 0; i < size / 2 ** round; i++) {
+                fixtures.push(createFixture(`W${round}-${i}`, 'winners', round, null, [
+                    { fixture: `W${round - 1}-${i * 2}`, take: 'winner' },
+                    { fixture: `W${round - 1}-${i * 2 + 1}`, take: 'winner' }
+                ]));
+            }
+        }
+
+        if (!double) return fixtures;
+
+        // Losers bracket: odd rounds play losers bracket survivors against each other
+        // (round 1: the first round's losers), even rounds add the losers of the next
+        // winners round, drawn from the other end of the bracket to avoid early rematches
+        let lastLosersRound = null;
+        for (let step = 1; step < rounds; step++) {
+            const count = size / 2 ** (step + 1);
+            const oddRound = step * 2 - 1;
+            const evenRound = step * 2;
+
+            for (let i = 0; i < count; i++) {
+                const sources = step === 1
+                    ? [{ fixture: `W1-${i * 2}`, take: 'loser' }, { fixture: `W1-${i * 2 + 1}`, take: 'loser' }]
+                    : [{ fixture: `L${oddRound - 1}-${i * 2}`, take: 'winner' }, { fixture: `L${oddRound - 1}-${i * 2 + 1}`, take: 'winner' }];
+                fixtures.push(createFixture(`L${oddRound}-${i}`, 'losers', oddRound, null, sources));
+            }
+            for (let i = 0; i < count; i++) {
+                fixtures.push(createFixture(`L${evenRound}-${i}`, 'losers', evenRound, null, [
+                    { fixture: `L${oddRound}-${i}`, take: 'winner' },
+                    { fixture: `W${step + 1}-${count - 1 - i}`, take: 'loser' }
+                ]));
+            }
+            lastLosersRound = evenRound;
+        }
+
+        // With two players the losers bracket is just the loser of the only game
+        const losersChampion = lastLosersRound
+            ? { fixture: `L${lastLosersRound}-0`, take: 'winner' }
+            : { fixture: 'W1-0', take: 'loser' };
+        fixtures.push(createFixture('GF1', 'final', 1, null, [
+            { fixture: `W${rounds}-0`, take: 'winner' },
+            losersChampion
+        ]));
+        // Only played when the losers bracket player wins GF1 (both then have one loss)
+        fixtures.push(createFixture('GF2', 'final', 2, null, [
+            { fixture: 'GF1', take: 'winner' },
+            { fixture: 'GF1', take: 'loser' }
+        ]));
+
+        return fixtures;
+    }
+
+    /**
+     * Everyone plays everyone once. Fixture IDs: R<round>-<n>
+     */
+    function createRoundRobin(players) {
+        return scheduleRoundRobin(players).flatMap((pairs, i) =>
+            pairs.map((pair, n) => createFixture(`R${i + 1}-${n}`, 'league', i + 1, pair))
+        );
+    }
+
+    /**
+     * Pairings for everyone playing everyone once (circle method), as a list of rounds
+     * of [home, away] pairs; with an odd number one player sits out each round
+     */
+    function scheduleRoundRobin(players) {
+        const circle = [...players];
+        if (circle.length % 2 === 1) circle.push(null);
+
+        const rounds = [];
+        for (let round = 1; round < circle.length; round++) {
+            const pairs = [];
+            for (let i = 0; i < circle.length / 2; i++) {
+                const home = circle[i];
+                const away = circle[circle.length - 1 - i];
+                if (home && away) pairs.push([home, away]);
+            }
+            rounds.push(pairs);
+            // Keep the first player in place and rotate the rest
+            circle.splice(1, 0, circle.pop());
+        }
+        return rounds;
+    }
+
+    /**
+     * Get a fixture by ID
+     */
+    function getFixture(tournament, fixtureId) {
+        return tournament.fixtures.find(f => f.id === fixtureId) || null;
+    }
+
+    /**
+     * Fill in fixtures whose earlier fixtures are decided, pass byes through and
+     * work out the tournament winner. Safe to call any time.
+     */
+    function resolve(tournament) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const fixture of tournament.fixtures) {
+                if (fixture.status === 'done' || fixture.status === 'playing') continue;
+                if (resolveFixture(tournament, fixture)) changed = true;
+            }
+        }
+
+        const winner = getWinner(tournament);
+        if (winner && !tournament.completed_at) {
+            tournament.winner = winner;
+            tournament.is_active = false;
+            tournament.completed_at = new Date().toISOString();
+        }
+        return tournament;
+    }
+
+    /**
+     * Update one fixture from its sources; returns true when it changed
+     */
+    function resolveFixture(tournament, fixture) {
+        if (fixture.sources) {
+            const decided = fixture.sources.map(source => getFixture(tournament, source.fixture));
+            if (decided.some(source => source.status !== 'done')) return false;
+
+            // The reset final is only needed when the losers bracket player won GF1
+            if (fixture.id === 'GF2' && decided[0].winner === decided[0].players[0]) {
+                finishFixture(fixture, decided[0].winner, null, 'skipped');
+                return true;
+            }
+
+            fixture.players = fixture.sources.map((source, i) => decided[i][source.take]);
+        }
+
+        const [home, away] = fixture.players;
+        if (home && away) {
+            if (fixture.status === 'ready') return false;
+            fixture.status = 'ready';
+            return true;
+        }
+
+        // A bye: the player there (if any) goes through without playing
+        finishFixture(fixture, home || away, null, 'bye');
+        return true;
+    }
+
+    /**
+     * Mark a fixture decided
+     */
+    function finishFixture(fixture, winner, loser, result = 'played') {
+        fixture.winner = winner;
+        fixture.loser = loser;
+        fixture.status = 'done';
+        fixture.result = result;
+    }
+
+    /**
+     * Note when a fixture was started, restarted or decided on this device
+     */
+    function touchFixture(fixture) {
+        fixture.updated_at = new Date().toISOString();
+    }
+
+    /**
+     * Create the game for a fixture (two players, the tournament's game settings)
+     */
+    function startFixture(tournament, fixtureId) {
+        const fixture = getFixture(tournament, fixtureId);
+        if (!fixture || fixture.status !== 'ready') {
+            return { success: false, error: 'This fixture can\'t be played yet' };
+        }
+
+        const game = Game.createGame({
+            ...tournament.game_options,
+            playerCount: 2,
+            playerNames: fixture.players
+        });
+        fixture.game_id = game.id;
+        fixture.status = 'playing';
+        touchFixture(fixture);
+        return { success: true, game };
+    }
+
+    /**
+     * Put a fixture that was started but never finished back to ready (e.g. its game was deleted)
+     */
+    function resetFixture(tournament, fixtureId) {
+        const fixture = getFixture(tournament, fixtureId);
+        if (!fixture || fixture.status !== 'playing') return false;
+        fixture.game_id = null;
+        fixture.status = 'ready';
+        touchFixture(fixture);
+        return true;
+    }
+
+    /**
+     * Get the fixture a game is being played for
+     */
+    function getFixtureForGame(tournament, gameId) {
+        return tournament.fixtures.find(f => f.game_id === gameId) || null;
+    }
+
+    /**
+     * Record a finished game's result and move its players on
+     */
+    function recordResult(tournament, game) {
+        const fixture = getFixtureForGame(tournament, game.id);
+        if (!fixture) {
+            return { success: false, error: 'This game isn\'t part of the tournament' };
+        }
+        if (fixture.status === 'done') {
+            return { success: true, fixture, winner: fixture.winner, tournamentWinner: tournament.winner };
+        }
+
+        const gameWinner = game.players.find(p => p.finish_rank === 1) || game.players.find(p => p.winner);
+        if (!gameWinner) {
+            return { success: false, error: 'The game has no winner' };
+        }
+
+        const winner = fixture.players.find(name => name === gameWinner.name);
+        const loser = fixture.players.find(name => name !== gameWinner.name);
+        finishFixture(fixture, winner, loser);
+        touchFixture(fixture);
+        resolve(tournament);
+
+        return { success: true, fixture, winner, tournamentWinner: tournament.winner };
+    }
+
+    /**
+     * Take back a fixture's result (the final turn of its game was undone), putting the
+     * fixture back in play. Fixtures its players moved on to are emptied again, so this
+     * fails once one of them has been started.
+     */
+    function undoResult(tournament, gameId) {
+        const fixture = getFixtureForGame(tournament, gameId);
+        if (!fixture || fixture.status !== 'done') {
+            return { success: false, error: 'This fixture has no result to take back' };
+        }
+
+        // Every fixture that took a player from this one, directly or through a bye
+        const following = [];
+        const queue = [fixture.id];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            tournament.fixtures
+                .filter(f => f.sources?.some(source => source.fixture === id) && !following.includes(f))
+                .forEach(f => {
+                    following.push(f);
+                    queue.push(f.id);
+                });
+        }
+        if (following.some(f => f.status === 'playing' || (f.status === 'done' && f.result === 'played'))) {
+            return { success: false, error: 'The next round of this fixture has already started' };
+        }
+
+        following.forEach(f => {
+            f.players = [null, null];
+            f.winner = null;
+            f.loser = null;
+            f.status = 'pending';
+            delete f.result;
+            touchFixture(f);
+        });
+
+        fixture.winner = null;
+        fixture.loser = null;
+        fixture.status = 'playing';
+        delete fixture.result;
+        touchFixture(fixture);
+
+        tournament.winner = null;
+        tournament.is_active = true;
+        tournament.completed_at = null;
+        tournament.reopened_at = new Date().toISOString();
+        resolve(tournament);
+        return { success: true, fixture };
+    }
+
+    /**
+     * The tournament winner once it is decided, or null
+     */
+    function getWinner(tournament) {
+        if (tournament.format === 'round-robin') {
+            if (tournament.fixtures.some(f => f.status !== 'done')) return null;
+            return getStandings(tournament)[0]?.name || null;
+        }
+
+        const final = tournament.format === 'double-elimination'
+            ? getFixture(tournament, 'GF2')
+            : tournament.fixtures[tournament.fixtures.length - 1];
+        return final?.status === 'done' ? final.winner : null;
+    }
+
+    /**
+     * Round robin table: wins first, then the result between the tied players, then fewest losses
+     */
+    function getStandings(tournament) {
+        const rows = new Map(tournament.players.map(name => [name, { name, played: 0, won: 0, lost: 0 }]));
+        const played = tournament.fixtures.filter(f => f.status === 'done' && f.result === 'played');
+
+        played.forEach(fixture => {
+            fixture.players.forEach(name => {
+                const row = rows.get(name);
+                if (!row) return;
+                row.played++;
+                if (name === fixture.winner) row.won++;
+                else row.lost++;
+            });
+        });
+
+        const beat = (a, b) => played.some(f => f.winner === a && f.loser === b);
+        return Array.from(rows.values()).sort((a, b) =>
+            b.won - a.won ||
+            (beat(a.name, b.name) ? -1 : beat(b.name, a.name) ? 1 : 0) ||
+            a.lost - b.lost
+        );
+    }
+
+    /**
+     * Fixtures grouped for display: [{ title, fixtures }] per bracket round
+     */
+    function getRounds(tournament) {
+        const groups = [];
+        const titles = { winners: 'Round', losers: 'Losers Round', league: 'Round' };
+        const winnersRounds = Math.max(0, ...tournament.fixtures.filter(f => f.bracket === 'winners').map(f => f.round));
+
+        tournament.fixtures.forEach(fixture => {
+            let title;
+            if (fixture.bracket === 'final') {
+                title = fixture.id === 'GF2' ? 'Grand Final (Reset)' : 'Grand Final';
+            } else if (fixture.bracket === 'winners' && fixture.round === winnersRounds && tournament.format === 'single-elimination') {
+                title = 'Final';
+            } else {
+                title = `${titles[fixture.bracket]} ${fixture.round}`;
+            }
+
+            let group = groups.find(g => g.title === title);
+            if (!group) {
+                group = { title, bracket: fixture.bracket, fixtures: [] };
+                groups.push(group);
+            }
+            group.fixtures.push(fixture);
+        });
+        return groups;
+    }
+
+    /**
+     * Combine this device's copy with the database's: each fixture keeps the copy changed
+     * last, so results recorded on two devices at the same time are both kept and a
+     * restarted fixture stays restarted. Fixtures changed at the same time (or before
+     * fixtures were timestamped) keep whichever got further (decided > being played > waiting).
+     * The database copy's result is only kept when this copy wasn't put back in play
+     * (a result taken back) since.
+     */
+    function merge(local, remote) {
+        const progress = fixture => fixture.status === 'done' ? 2 : fixture.status === 'playing' ? 1 : 0;
+        const changedAt = fixture => Date.parse(fixture.updated_at) || 0;
+        const merged = JSON.parse(JSON.stringify(local));
+
+        merged.fixtures = local.fixtures.map(fixture => {
+            const other = remote.fixtures.find(f => f.id === fixture.id);
+            if (!other) return { ...fixture };
+            const newer = changedAt(other) - changedAt(fixture) || progress(other) - progress(fixture);
+            return newer > 0 ? { ...other } : { ...fixture };
+        });
+        if (remote.completed_at && !merged.completed_at && !(Date.parse(local.reopened_at) > Date.parse(remote.completed_at))) {
+            merged.completed_at = remote.completed_at;
+            merged.winner = remote.winner;
+            merged.is_active = false;
+        }
+        return resolve(merged);
+    }
+
+    // Public API
+    return {
+        FORMATS,
+        createTournament,
+        validate,
+        getFixture,
+        getFixtureForGame,
+        startFixture,
+        resetFixture,
+        recordResult,
+        undoResult,
+        resolve,
+        getWinner,
+        getStandings,
+        getRounds,
+        scheduleRoundRobin,
+        merge
+    };
+})();
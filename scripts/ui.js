@@ -4,6 +4,9 @@
  */
 
 const UI = (() => {
+    // Games on the home page, kept so realtime changes can update them in place
+    let recentGames = { interrupted: [], completed: [] };
+
     /**
      * Show toast notification
      */
@@ -106,6 +109,9 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Load and render the home page's interrupted and recent games
+     */
     async function renderRecentGames() {
         try {
             const container = document.getElementById('recent-games-list');
@@ -128,113 +134,171 @@ const UI = (() => {
                 completed: true
             });
 
-            if (interruptedGames.length === 0 && completedGames.length === 0) {
-                container.innerHTML = '<p class="placeholder">No games yet. Start your first game!</p>';
-                return;
+            recentGames = { interrupted: interruptedGames, completed: completedGames };
+            renderRecentGamesList(container);
+        } catch (error) {
+            console.error('Error rendering recent games:', error);
+            const container = document.getElementById('recent-games-list');
+            if (container) {
+                container.innerHTML = '<p class="placeholder">Error loading games. Please refresh the page.</p>';
             }
+        }
+    }
+
+    /**
+     * Render the home page's game cards from the games last loaded
+     */
+    function renderRecentGamesList(container = document.getElementById('recent-games-list')) {
+        if (!container) return;
+        const { interrupted: interruptedGames, completed: completedGames } = recentGames;
+
+        if (interruptedGames.length === 0 && completedGames.length === 0) {
+            container.innerHTML = '<p class="placeholder">No games yet. Start your first game!</p>';
+            return;
+        }
 
-            let html = '';
+        let html = '';
 
-            // Show interrupted games first with Resume button
-            if (interruptedGames.length > 0) {
-                html += '<div class="interrupted-games-section">';
-                html += '<div class="section-title">⏸️ Interrupted Games</div>';
+        // Show interrupted games first with Resume button
+        if (interruptedGames.length > 0) {
+            html += '<div class="interrupted-games-section">';
+            html += '<div class="section-title">⏸️ Interrupted Games</div>';
 
-                interruptedGames.forEach(game => {
-                    const currentPlayerIndex = game.current_player_index || 0;
-                    const currentPlayer = game.players[currentPlayerIndex];
-                    const date = new Date(game.created_at);
-                    const dateStr = date.toLocaleDateString();
-                    const totalTurns = game.players.reduce((sum, p) => sum + p.turns.length, 0);
-                    const isOwner = Device.isGameOwner(game.device_id);
+            interruptedGames.forEach(game => {
+                const currentPlayerIndex = game.current_player_index || 0;
+                const currentPlayer = game.players[currentPlayerIndex];
+                const date = new Date(game.created_at);
+                const dateStr = date.toLocaleDateString();
+                const totalTurns = game.players.reduce((sum, p) => sum + p.turns.length, 0);
+                const isOwner = Device.isGameOwner(game);
 
-                    html += `
-                        <div class="game-card interrupted-card">
-                            <div class="game-card-header">
-                                <div class="game-card-title">${game.game_type} Points</div>
-                                <div style="display: flex; gap: 8px; align-items: center;">
-                                    <div class="game-card-date">${dateStr}</div>
-                                    <span class="game-status-badge" style="background: ${isOwner ? '#ff9800' : '#4caf50'}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">${isOwner ? 'IN PROGRESS' : 'LIVE'}</span>
-                                </div>
-                            </div>
-                            <div class="game-card-players">
-                                ${game.players.map(p => {
-                                    const playerTurns = p.turns.length;
-                                    return `
-                                        <div class="player-badge ${p.name === currentPlayer?.name ? 'current' : ''}" style="display: flex; justify-content: space-between; align-items: center;">
-                                            <span>${p.name}</span>
-                                            <span style="font-weight: 700; color: ${p.currentScore <= 50 ? '#4caf50' : 'inherit'};">${p.currentScore}</span>
-                                        </div>
-                                    `;
-                                }).join('')}
-                            </div>
-                            <div class="game-card-footer">
-                                <span>Turn ${totalTurns} • Now: ${currentPlayer?.name || 'N/A'}</span>
-                                <span class="game-type-badge">${game.players.length} players</span>
+                html += `
+                    <div class="game-card interrupted-card">
+                        <div class="game-card-header">
+                            <div class="game-card-title">${Game.getGameLabel(game)}</div>
+                            <div style="display: flex; gap: 8px; align-items: center;">
+                                <div class="game-card-date">${dateStr}</div>
+                                <span class="game-status-badge" style="background: ${isOwner ? '#ff9800' : '#4caf50'}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">${isOwner ? 'IN PROGRESS' : 'LIVE'}</span>
                             </div>
-                            <button class="btn ${isOwner ? 'btn-primary' : 'btn-success'} btn-small" onclick="Router.navigate('game', {gameId: '${game.id}'})" style="width: 100%; margin-top: 8px;">
-                                ${isOwner ? '▶️ Resume Game' : '📺 Watch Live'}
-                            </button>
                         </div>
-                    `;
-                });
+                        <div class="game-card-players">
+                            ${game.players.map(p => {
+                                const playerTurns = p.turns.length;
+                                return `
+                                    <div class="player-badge ${p.name === currentPlayer?.name ? 'current' : ''}" style="display: flex; justify-content: space-between; align-items: center;">
+                                        <span>${p.name}</span>
+                                        <span style="font-weight: 700; color: ${p.currentScore <= 50 ? '#4caf50' : 'inherit'};">${p.currentScore}</span>
+                                    </div>
+                                `;
+                            }).join('')}
+                        </div>
+                        <div class="game-card-footer">
+                            <span>Turn ${totalTurns} • Now: ${currentPlayer?.name || 'N/A'}</span>
+                            <span class="game-type-badge">${game.players.length} players</span>
+                        </div>
+                        <button class="btn ${isOwner ? 'btn-primary' : 'btn-success'} btn-small" onclick="Router.navigate('game', {gameId: '${game.id}'})" style="width: 100%; margin-top: 8px;">
+                            ${isOwner ? '▶️ Resume Game' : '📺 Watch Live'}
+                        </button>
+                    </div>
+                `;
+            });
 
-                html += '</div>';
-            }
+            html += '</div>';
+        }
 
-            // Show completed games
-            if (completedGames.length > 0) {
-                const needsWrapper = interruptedGames.length > 0;
-                if (needsWrapper) {
-                    html += '<div class="recent-games-section" style="margin-top: 16px;">';
-                }
+        // Show completed games
+        if (completedGames.length > 0) {
+            const needsWrapper = interruptedGames.length > 0;
+            if (needsWrapper) {
+                html += '<div class="recent-games-section" style="margin-top: 16px;">';
+            }
 
-                html += '<div class="section-title">📜 Recent Games</div>';
-
-                html += completedGames.map(game => {
-                    const winner = game.players.find(p => p.winner);
-                    const date = new Date(game.created_at);
-                    const dateStr = date.toLocaleDateString();
-                    const completedDate = game.completed_at ? new Date(game.completed_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
-
-                    return `
-                        <div class="game-card" onclick="Router.navigate('game-detail', {gameId: '${game.id}'})">
-                            <div class="game-card-header">
-                                <div class="game-card-title">${game.game_type} Points</div>
-                                <div style="display: flex; gap: 8px; align-items: center;">
-                                    <div class="game-card-date">${dateStr}</div>
-                                    <span class="game-status-badge" style="background: #4caf50; color: white; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">COMPLETED</span>
-                                </div>
-                            </div>
-                            <div class="game-card-players">
-                                ${game.players.map(p => `
-                                    <div class="player-badge ${p.winner ? 'winner' : ''}">
-                                        ${p.name}
-                                    </div>
-                                `).join('')}
-                            </div>
-                            <div class="game-card-footer">
-                                <span>🏆 ${winner?.name || 'N/A'}</span>
-                                <span class="game-type-badge">${game.players.length} players</span>
+            html += '<div class="section-title">📜 Recent Games</div>';
+
+            html += completedGames.map(game => {
+                const winner = game.players.find(p => p.winner);
+                const date = new Date(game.created_at);
+                const dateStr = date.toLocaleDateString();
+                const completedDate = game.completed_at ? new Date(game.completed_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+
+                return `
+                    <div class="game-card" onclick="Router.navigate('game-detail', {gameId: '${game.id}'})">
+                        <div class="game-card-header">
+                            <div class="game-card-title">${Game.getGameLabel(game)}</div>
+                            <div style="display: flex; gap: 8px; align-items: center;">
+                                <div class="game-card-date">${dateStr}</div>
+                                <span class="game-status-badge" style="background: #4caf50; color: white; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">COMPLETED</span>
                             </div>
                         </div>
-                    `;
-                }).join('');
+                        <div class="game-card-players">
+                            ${game.players.map(p => `
+                                <div class="player-badge ${p.winner ? 'winner' : ''}">
+                                    ${p.name}
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="game-card-footer">
+                            <span>🏆 ${winner?.name || 'N/A'}</span>
+                            <span class="game-type-badge">${game.players.length} players</span>
+                        </div>
+                    </div>
+                `;
+            }).join('');
 
-                if (needsWrapper) {
-                    html += '</div>';
-                }
+            if (needsWrapper) {
+                html += '</div>';
             }
+        }
 
-            container.innerHTML = html;
-            console.log('Recent games rendered successfully');
-        } catch (error) {
-            console.error('Error rendering recent games:', error);
-            const container = document.getElementById('recent-games-list');
-            if (container) {
-                container.innerHTML = '<p class="placeholder">Error loading games. Please refresh the page.</p>';
+        container.innerHTML = html;
+    }
+
+    /**
+     * Apply realtime changes (games and game_players rows) to the home page's games and
+     * re-render them, without loading anything
+     * Returns false when the list itself changes (a game started, finished or was deleted)
+     * and has to be loaded again with renderRecentGames
+     */
+    function applyRecentGamesChanges(changes) {
+        const shown = [...recentGames.interrupted, ...recentGames.completed];
+        const isShown = (id) => shown.some(game => game.id === id);
+        const isInterrupted = (id) => recentGames.interrupted.some(game => game.id === id);
+
+        const needsReload = changes.some(change => {
+            const row = change.new;
+            if (change.table === 'games') {
+                if (change.eventType === 'INSERT') return true;
+                if (change.eventType === 'DELETE') return isShown(change.old?.id);
+                // An interrupted game finished, or a game off the list finished just now
+                if (isInterrupted(row.id)) return !!row.completed_at;
+                return !isShown(row.id) && !!row.completed_at && isRecentlyCompleted(row.completed_at);
             }
-        }
+            return false;
+        });
+        if (needsReload) return false;
+
+        let changed = false;
+        changes.forEach(change => {
+            const row = change.new;
+            const gameId = change.table === 'games' ? row?.id : row?.game_id;
+            const game = shown.find(g => g.id === gameId);
+            if (game && change.eventType === 'UPDATE') {
+                Storage.applyRealtimeChange(game, change);
+                changed = true;
+            }
+        });
+
+        if (changed) renderRecentGamesList();
+        return true;
+    }
+
+    /**
+     * Check whether a game completed at this time belongs in the recent games list
+     */
+    function isRecentlyCompleted(completedAt) {
+        const completed = recentGames.completed;
+        if (completed.length < 5) return true;
+        return completed.some(game => new Date(game.completed_at) < new Date(completedAt));
     }
 
     /**
@@ -260,11 +324,12 @@ const UI = (() => {
         const customPointsInput = document.getElementById('custom-points');
         const playerNamesContainer = document.getElementById('player-names-container');
 
-        // Get all existing players for autocomplete
+        // Get all existing players for autocomplete (and their averages for handicaps)
         let existingPlayers = [];
+        let playerRecords = {};
         try {
-            const players = await Storage.getPlayers();
-            existingPlayers = Object.keys(players) || [];
+            playerRecords = await Storage.getPlayers();
+            existingPlayers = Object.keys(playerRecords) || [];
         } catch (error) {
             console.warn('Could not load players for autocomplete:', error);
         }
@@ -296,7 +361,82 @@ const UI = (() => {
             } else {
                 customPointsInput.classList.add('hidden');
             }
+            updateHandicapScores(true);
         });
+        customPointsInput.oninput = () => updateHandicapScores(true);
+
+        // Handicap starting scores, suggested from averages until changed by hand
+        const handicapCheckbox = document.getElementById('handicap-mode');
+        handicapCheckbox.onchange = () => updateHandicapScores(true);
+
+        function updateHandicapScores(resetEdited = false) {
+            const enabled = handicapCheckbox.checked;
+            document.getElementById('handicap-hint').classList.toggle('hidden', !enabled);
+
+            const rows = Array.from(playerNamesContainer.querySelectorAll('.player-name-row'));
+            const points = gameTypeSelect.value === 'custom' ? customPointsInput.value : gameTypeSelect.value;
+            const averages = rows.map(row => {
+                const name = row.querySelector('.player-name-input').value.trim().toLowerCase();
+                const key = existingPlayers.find(player => player.toLowerCase() === name);
+                return key ? playerRecords[key].avg_per_turn : null;
+            });
+            const suggested = parseInt(points) > 0 ? Game.getHandicapScores(points, averages) : [];
+
+            rows.forEach((row, i) => {
+                const startInput = row.querySelector('.player-start-input');
+                startInput.classList.toggle('hidden', !enabled);
+                if (resetEdited) delete startInput.dataset.edited;
+                if (!startInput.dataset.edited && suggested[i]) {
+                    startInput.value = suggested[i];
+                }
+            });
+        }
+
+        // Legs/sets options are only shown for matches
+        const matchFormatSelect = document.getElementById('match-format');
+        if (matchFormatSelect) {
+            const updateMatchOptions = () => {
+                const format = matchFormatSelect.value;
+                document.getElementById('match-options').classList.toggle('hidden', format === 'single');
+                document.getElementById('match-sets-option').classList.toggle('hidden', format !== 'sets');
+            };
+            matchFormatSelect.onchange = updateMatchOptions;
+            updateMatchOptions();
+        }
+
+        // Double/master out, double in and Cricket need exact zero and per-dart entry
+        const outRuleSelect = document.getElementById('out-rule');
+        const doubleInCheckbox = document.getElementById('double-in');
+        const winBelowCheckbox = document.getElementById('win-below');
+        const perTurnRadio = document.querySelector('input[name="scoringMode"][value="per-turn"]');
+        const perDartRadio = document.querySelector('input[name="scoringMode"][value="per-dart"]');
+
+        const gameModeSelect = document.getElementById('game-mode');
+
+        function updateRuleConstraints() {
+            const isCricket = gameModeSelect?.value === 'cricket';
+            document.querySelectorAll('#new-game-form .x01-option').forEach(group => {
+                group.classList.toggle('hidden', isCricket);
+            });
+            document.getElementById('cricket-options')?.classList.toggle('hidden', !isCricket);
+
+            // Cricket is always scored dart by dart on the board
+            const rulesActive = isCricket || outRuleSelect.value !== 'straight' || doubleInCheckbox.checked;
+            if (rulesActive) {
+                winBelowCheckbox.checked = false;
+                perDartRadio.checked = true;
+            }
+            winBelowCheckbox.disabled = rulesActive;
+            perTurnRadio.disabled = rulesActive;
+            document.getElementById('rules-hint').classList.toggle('hidden', isCricket || !rulesActive);
+        }
+
+        if (outRuleSelect && doubleInCheckbox) {
+            outRuleSelect.onchange = updateRuleConstraints;
+            doubleInCheckbox.onchange = updateRuleConstraints;
+            if (gameModeSelect) gameModeSelect.onchange = updateRuleConstraints;
+            updateRuleConstraints();
+        }
 
         function updatePlayerNameInputs() {
             const count = parseInt(playerCountInput.value);
@@ -306,11 +446,13 @@ const UI = (() => {
             playerNamesContainer.querySelectorAll('.player-name-input').forEach(input => {
                 existingValues.push(input.value);
             });
+            const existingStarts = Array.from(playerNamesContainer.querySelectorAll('.player-start-input'));
 
             playerNamesContainer.innerHTML = '';
 
             for (let i = 0; i < count; i++) {
                 const wrapper = document.createElement('div');
+                wrapper.className = 'player-name-row';
                 wrapper.style.position = 'relative';
 
                 const input = document.createElement('input');
@@ -373,6 +515,7 @@ const UI = (() => {
                             input.value = item.getAttribute('data-player');
                             suggestionsList.style.display = 'none';
                             validatePlayerNames();
+                            updateHandicapScores();
                         });
                     });
                 });
@@ -382,7 +525,9 @@ const UI = (() => {
                     setTimeout(() => {
                         suggestionsList.style.display = 'none';
                     }, 200);
+                    useExistingPlayerName(input);
                     validatePlayerNames();
+                    updateHandicapScores();
                 });
 
                 input.addEventListener('focus', () => {
@@ -392,10 +537,41 @@ const UI = (() => {
                     }
                 });
 
+                // Handicap starting score
+                const startInput = document.createElement('input');
+                startInput.type = 'number';
+                startInput.min = '1';
+                startInput.max = '9999';
+                startInput.className = 'player-start-input';
+                startInput.setAttribute('aria-label', `Player ${i + 1} starting score`);
+                if (existingStarts[i]) {
+                    startInput.value = existingStarts[i].value;
+                    if (existingStarts[i].dataset.edited) startInput.dataset.edited = 'true';
+                }
+                startInput.addEventListener('input', () => {
+                    startInput.dataset.edited = 'true';
+                });
+
                 wrapper.appendChild(input);
+                wrapper.appendChild(startInput);
                 wrapper.appendChild(suggestionsList);
                 playerNamesContainer.appendChild(wrapper);
             }
+            updateHandicapScores();
+        }
+
+        // "sam" is the existing player "Sam": switch to their spelling so stats aren't split
+        function useExistingPlayerName(input) {
+            const typed = input.value.trim().replace(/\s+/g, ' ');
+            if (!typed) return;
+
+            const existing = existingPlayers.find(player => player.toLowerCase() === typed.toLowerCase());
+            if (existing && existing !== input.value) {
+                input.value = existing;
+                if (existing !== typed) {
+                    showToast(`Using existing player "${existing}"`, 'info');
+                }
+            }
         }
 
         // Validate player names for duplicates and enable/disable submit button
@@ -447,6 +623,14 @@ const UI = (() => {
         }
 
         updatePlayerNameInputs();
+
+        // Signed-in players start as player 1
+        const linkedPlayer = Auth.getPlayer();
+        const firstNameInput = playerNamesContainer.querySelector('.player-name-input');
+        if (linkedPlayer && firstNameInput && !firstNameInput.value) {
+            firstNameInput.value = linkedPlayer.name;
+            updateHandicapScores();
+        }
     }
 
     /**
@@ -454,6 +638,14 @@ const UI = (() => {
      */
     function renderScoreboard(game) {
         const container = document.getElementById('scoreboard');
+
+        if (game.game_mode === 'cricket') {
+            container.classList.add('cricket-mode');
+            container.innerHTML = buildCricketGridHtml(game);
+            return;
+        }
+
+        container.classList.remove('cricket-mode');
         container.innerHTML = game.players.map((player, index) => {
             const isCurrent = index === game.current_player_index;
             const stats = player.stats;
@@ -465,43 +657,145 @@ const UI = (() => {
                         <div>Turns: ${player.turns.length}</div>
                         <div>Darts: ${stats.totalDarts}</div>
                         <div>Avg: ${player.turns.length > 0 ? (stats.totalScore / player.turns.length).toFixed(1) : '—'}</div>
+                        ${game.handicap ? `<div>Start: ${player.startingScore}</div>` : ''}
                     </div>
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * Build the Cricket marks grid: one row per number, one column per player
+     */
+    function buildCricketGridHtml(game) {
+        const header = game.players.map((player, index) => `
+            <th class="${index === game.current_player_index && game.is_active ? 'current' : ''}">
+                <div class="cricket-player-name">${player.name}</div>
+                <div class="cricket-player-points">${player.currentScore}</div>
+                <div class="cricket-player-mpr">MPR ${(player.stats.mpr || 0).toFixed(2)}</div>
+            </th>
+        `).join('');
+
+        const rows = Cricket.TARGETS.map(target => {
+            const allClosed = game.players.every(p => p.marks[target] >= Cricket.MARKS_TO_CLOSE);
+            return `
+                <tr class="${allClosed ? 'closed' : ''}">
+                    <td class="cricket-target">${target === 25 ? 'Bull' : target}</td>
+                    ${game.players.map((player, index) => `
+                        <td class="cricket-marks ${index === game.current_player_index && game.is_active ? 'current' : ''}">
+                            ${Cricket.formatMarks(player.marks[target])}
+                        </td>
+                    `).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="cricket-grid">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${header}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Build the legs/sets score table for a match
+     */
+    function buildMatchScoreHtml(match) {
+        const scoreboard = Match.getScoreboard(match);
+        const showSets = Match.isSetsFormat(match);
+        const status = scoreboard.winner
+            ? `${scoreboard.winner} wins the match`
+            : match.is_active
+                ? `${showSets ? `Set ${scoreboard.currentSet} · ` : ''}Leg ${scoreboard.currentLeg}`
+                : 'Match ended';
+
+        return `
+            <div class="match-scoreboard-header">
+                <span>${Match.describeFormat(match)}</span>
+                <span>${status}</span>
+            </div>
+            <table class="match-score-table">
+                <thead>
+                    <tr>
+                        <th>Player</th>
+                        ${showSets ? '<th>Sets</th>' : ''}
+                        <th>Legs</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${scoreboard.players.map(p => `
+                        <tr class="${p.name === scoreboard.winner ? 'match-winner' : ''}">
+                            <td>${p.name}</td>
+                            ${showSets ? `<td class="match-score-value">${p.sets}</td>` : ''}
+                            <td class="match-score-value">${p.legs}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the legs/sets scoreboard (hidden for single games)
+     */
+    function renderMatchScoreboard(match, containerId = 'match-scoreboard') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        if (!match) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = buildMatchScoreHtml(match);
+        container.classList.remove('hidden');
+    }
+
+    // Darts tapped on the board for the current turn (per-dart mode)
+    // Only one board pad is live at a time: the game page's or the practice page's
+    let pendingDarts = [];
+    let activeMultiplier = 1;
+    let boardPad = null;
+    let onPendingDartsChange = null;
+
     /**
      * Render dart input fields
+     * Per-dart mode uses a tap-the-board pad, per-turn mode a single total input
      */
     function renderDartInputs(game) {
         const container = document.getElementById('dart-inputs-container');
-        const player = Game.getCurrentPlayer(game);
         const mode = game.scoring_mode;
 
         container.innerHTML = '';
+        pendingDarts = [];
+        activeMultiplier = 1;
+        boardPad = null;
 
         if (mode === 'per-dart') {
-            for (let i = 0; i < 3; i++) {
-                const group = document.createElement('div');
-                group.className = 'dart-input-group';
-                group.innerHTML = `
-                    <label>Dart ${i + 1}</label>
-                    <input type="number" min="0" max="180" class="dart-input" placeholder="0">
-                `;
-                container.appendChild(group);
-            }
-        } else {
-            const group = document.createElement('div');
-            group.className = 'dart-input-group';
-            group.innerHTML = `
-                <label>Turn Total (3 darts)</label>
-                <input type="number" min="0" max="180" class="dart-input" placeholder="0">
-            `;
-            container.appendChild(group);
+            container.classList.add('board-mode');
+            // Follow each tapped dart with the route for the darts left
+            renderBoardPad(container, () => renderCheckoutSuggestion(game, pendingDarts));
+            return;
         }
 
-        // Add Enter key listener to all dart inputs
+        container.classList.remove('board-mode');
+
+        const group = document.createElement('div');
+        group.className = 'dart-input-group';
+        group.innerHTML = `
+            <label>Turn Total (3 darts)</label>
+            <input type="number" min="0" max="180" class="dart-input" placeholder="0">
+        `;
+        container.appendChild(group);
+
+        // Add Enter key listener to the total input
         container.querySelectorAll('.dart-input').forEach(input => {
             input.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') {
@@ -521,18 +815,183 @@ const UI = (() => {
             btn.textContent = dart;
             btn.onclick = (e) => {
                 e.preventDefault();
-                const inputs = container.querySelectorAll('.dart-input');
-                const firstEmpty = Array.from(inputs).find(input => !input.value);
-                if (firstEmpty) {
-                    firstEmpty.value = dart;
-                    firstEmpty.focus();
-                }
+                const input = container.querySelector('.dart-input');
+                input.value = dart;
+                input.focus();
             };
             quickSection.appendChild(btn);
         });
         container.appendChild(quickSection);
     }
 
+    /**
+     * Render the tap-the-board pad: dart slots, multiplier toggle and segment buttons
+     * onChange is called whenever the tapped darts change
+     */
+    function renderBoardPad(container, onChange = null) {
+        pendingDarts = [];
+        activeMultiplier = 1;
+        boardPad = container;
+        onPendingDartsChange = onChange;
+
+        let html = '<div class="dart-slots">';
+        for (let i = 0; i < 3; i++) {
+            html += `
+                <div class="dart-slot" data-index="${i}">
+                    <label>Dart ${i + 1}</label>
+                    <div class="dart-slot-value">—</div>
+                </div>
+            `;
+        }
+        html += '</div>';
+
+        html += `
+            <div class="multiplier-toggle">
+                <button type="button" class="multiplier-btn active" data-multiplier="1">Single</button>
+                <button type="button" class="multiplier-btn" data-multiplier="2">Double</button>
+                <button type="button" class="multiplier-btn" data-multiplier="3">Treble</button>
+            </div>
+            <div class="segment-pad">
+        `;
+        for (let segment = 1; segment <= 20; segment++) {
+            html += `<button type="button" class="segment-btn" data-segment="${segment}">${segment}</button>`;
+        }
+        html += `
+            </div>
+            <div class="segment-pad segment-pad-extras">
+                <button type="button" class="segment-btn bull-btn" data-segment="25" data-fixed-multiplier="1">25</button>
+                <button type="button" class="segment-btn bull-btn" data-segment="25" data-fixed-multiplier="2">Bull</button>
+                <button type="button" class="segment-btn miss-btn" data-segment="0">Miss</button>
+                <button type="button" class="segment-btn clear-btn remove-dart-btn">⌫</button>
+            </div>
+        `;
+        container.innerHTML = html;
+
+        container.querySelectorAll('.multiplier-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                setActiveMultiplier(parseInt(btn.dataset.multiplier));
+            });
+        });
+
+        container.querySelectorAll('.segment-btn[data-segment]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const multiplier = btn.dataset.fixedMultiplier
+                    ? parseInt(btn.dataset.fixedMultiplier)
+                    : activeMultiplier;
+                addPendingDart(Game.createDart(btn.dataset.segment, multiplier));
+            });
+        });
+
+        container.querySelector('.remove-dart-btn').addEventListener('click', (e) => {
+            e.preventDefault();
+            removePendingDart();
+        });
+
+        // Tapping a filled slot removes that dart and the ones after it
+        container.querySelectorAll('.dart-slot').forEach(slot => {
+            slot.addEventListener('click', () => {
+                const index = parseInt(slot.dataset.index);
+                if (index < pendingDarts.length) {
+                    pendingDarts = pendingDarts.slice(0, index);
+                    renderDartSlots();
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch the multiplier applied to the next segment tap
+     */
+    function setActiveMultiplier(multiplier) {
+        activeMultiplier = multiplier;
+        boardPad?.querySelectorAll('.multiplier-btn').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.multiplier) === multiplier);
+        });
+    }
+
+    /**
+     * Add a tapped dart to the current turn
+     */
+    function addPendingDart(dart) {
+        if (pendingDarts.length >= 3) {
+            showToast('Three darts already entered', 'warning');
+            return;
+        }
+
+        const validation = Game.validateDart(dart);
+        if (!validation.valid) {
+            showToast(validation.error, 'warning');
+            return;
+        }
+
+        pendingDarts.push(validation.dart);
+        // Multiplier applies to a single dart, then falls back to single
+        setActiveMultiplier(1);
+        renderDartSlots();
+    }
+
+    /**
+     * Remove the last tapped dart, returns false if there was none
+     */
+    function removePendingDart() {
+        if (pendingDarts.length === 0) return false;
+        pendingDarts.pop();
+        renderDartSlots();
+        return true;
+    }
+
+    /**
+     * Refresh the dart slot display from the pending darts
+     */
+    function renderDartSlots() {
+        boardPad?.querySelectorAll('.dart-slot').forEach(slot => {
+            const dart = pendingDarts[parseInt(slot.dataset.index)];
+            slot.classList.toggle('filled', !!dart);
+            slot.querySelector('.dart-slot-value').textContent = dart
+                ? `${Game.formatDart(dart)} (${Game.getDartScore(dart)})`
+                : '—';
+        });
+        onPendingDartsChange?.();
+    }
+
+    /**
+     * Get the darts entered for the current turn
+     * Per-dart mode returns dart objects, per-turn mode the entered total
+     */
+    function getEnteredDarts(game) {
+        if (game.scoring_mode === 'per-dart') {
+            return getPendingDarts();
+        }
+        return Array.from(document.querySelectorAll('#dart-inputs-container .dart-input'))
+            .map(input => input.value)
+            .filter(v => v);
+    }
+
+    /**
+     * Get the darts tapped on the board pad
+     */
+    function getPendingDarts() {
+        return [...pendingDarts];
+    }
+
+    /**
+     * Format a recorded turn's darts for display
+     */
+    function formatTurnDarts(turn) {
+        return turn.segments
+            ? turn.segments.map(Game.formatDart)
+            : turn.darts.map(d => `${d}`);
+    }
+
+    /**
+     * Title prefix for the active game page ("501" or "Cricket")
+     */
+    function getGameTitle(game) {
+        return game.game_mode === 'cricket' ? Game.getGameLabel(game) : game.game_type;
+    }
+
     /**
      * Render current player info
      */
@@ -541,16 +1000,45 @@ const UI = (() => {
 
         // Handle completed games or invalid player index
         if (!player) {
+            renderCheckoutSuggestion(game);
             const winner = game.players.find(p => p.winner);
             document.getElementById('current-player-name').textContent = winner
                 ? `${winner.name} Wins!`
                 : 'Game Complete';
-            document.getElementById('game-title').textContent = `${game.game_type} - Finished`;
+            document.getElementById('game-title').textContent = `${getGameTitle(game)} - Finished`;
+            return;
+        }
+
+        // Under double-in, remind the thrower they still need a double to start scoring
+        const openingNote = Game.hasOpened(game, player) ? '' : ' (needs a double to open)';
+        const rulesNote = game.out_rule !== 'straight' || game.in_rule === 'double' || game.handicap
+            ? ` · ${Game.describeRules(game)}`
+            : '';
+
+        document.getElementById('current-player-name').textContent = `${player.name}'s Turn${openingNote}`;
+        document.getElementById('game-title').textContent = `${getGameTitle(game)} - Turn ${game.current_turn + 1}${rulesNote}`;
+        renderCheckoutSuggestion(game);
+    }
+
+    /**
+     * Show the suggested finishing route for the player on throw
+     * Pending darts are the darts tapped so far this turn
+     */
+    function renderCheckoutSuggestion(game, darts = []) {
+        const container = document.getElementById('checkout-suggestion');
+        if (!container) return;
+
+        const player = Game.getCurrentPlayer(game);
+        const suggestion = player && !game.completed_at ? Checkout.getSuggestion(game, player, darts) : null;
+        if (!suggestion) {
+            container.classList.add('hidden');
             return;
         }
 
-        document.getElementById('current-player-name').textContent = `${player.name}'s Turn`;
-        document.getElementById('game-title').textContent = `${game.game_type} - Turn ${game.current_turn + 1}`;
+        container.textContent = suggestion.route
+            ? `🎯 ${suggestion.remaining}: ${Checkout.formatRoute(suggestion.route)}`
+            : `${suggestion.remaining}: no checkout with ${suggestion.dartsLeft} dart${suggestion.dartsLeft > 1 ? 's' : ''}`;
+        container.classList.remove('hidden');
     }
 
     /**
@@ -572,10 +1060,12 @@ const UI = (() => {
                         </div>
                         <div class="turn-item-details">
                             <div class="turn-darts">
-                                ${turn.darts.map(d => `<span class="turn-dart">${d}</span>`).join('')}
+                                ${formatTurnDarts(turn).map(d => `<span class="turn-dart">${d}</span>`).join('')}
                             </div>
                             <div class="turn-remaining">
-                                Remaining: ${turn.remaining}
+                                ${game.game_mode === 'cricket'
+                                    ? `Marks: ${turn.marks} · Points: ${turn.points}`
+                                    : `Remaining: ${turn.remaining}`}
                             </div>
                         </div>
                     </div>
@@ -586,47 +1076,391 @@ const UI = (() => {
     }
 
     /**
-     * Pagination state
+     * Render the practice setup form (mode choices)
      */
-    let paginationState = {
-        currentPage: 1,
-        gamesPerPage: 6,
-        totalPages: 1,
-        totalGames: 0,
-        filter: '',
-        sortOrder: 'newest'
-    };
+    function renderPracticeSetup(playerName = '') {
+        document.getElementById('practice-setup-form').classList.remove('hidden');
+        document.getElementById('practice-session').classList.add('hidden');
+
+        const nameInput = document.getElementById('practice-player-name');
+        if (playerName) nameInput.value = playerName;
+        // Signed-in players practise as themselves
+        else if (!nameInput.value && Auth.getPlayer()) nameInput.value = Auth.getPlayer().name;
+
+        const container = document.getElementById('practice-modes');
+        if (container.children.length > 0) return;
+
+        container.innerHTML = Practice.getModes().map((mode, i) => `
+            <label>
+                <input type="radio" name="practiceMode" value="${mode.id}" ${i === 0 ? 'checked' : ''}>
+                <span><strong>${mode.name}</strong> - ${mode.description}</span>
+            </label>
+        `).join('');
+    }
 
     /**
-     * Render game history list with pagination
-     * OPTIMIZED: Uses database-level pagination instead of client-side
+     * Render an active practice session: target, progress, board pad and visits
      */
-    async function renderGameHistory(filter = '', sortOrder = 'newest', page = 1) {
-        const container = document.getElementById('games-history-list');
+    function renderPracticeSession(session) {
+        const mode = Practice.getMode(session.mode);
 
-        // OPTIMIZED: Database-level pagination and filtering
-        const { games: paginatedGames, pagination } = await Storage.getGamesPaginated(
-            page,
-            paginationState.gamesPerPage,
-            {
-                completed: true,
-                playerName: filter || undefined,
-                sortOrder: sortOrder
-            }
-        );
+        document.getElementById('practice-setup-form').classList.add('hidden');
+        document.getElementById('practice-session').classList.remove('hidden');
 
-        // Update pagination state
-        paginationState.filter = filter;
-        paginationState.sortOrder = sortOrder;
-        paginationState.currentPage = pagination.page;
-        paginationState.totalPages = pagination.totalPages;
-        paginationState.totalGames = pagination.total;
+        document.getElementById('practice-mode-name').textContent = `${mode.name} · ${session.player_name}`;
+        document.getElementById('practice-target').textContent = mode.getTarget(session.state);
+        document.getElementById('practice-progress').textContent = mode.getProgress(session.state);
 
-        // Show/hide pagination controls
-        const paginationControls = document.getElementById('pagination-controls');
-        if (pagination.total === 0) {
-            container.innerHTML = '<p class="placeholder">No games found</p>';
-            if (paginationControls) paginationControls.style.display = 'none';
+        renderBoardPad(document.getElementById('practice-dart-inputs'));
+
+        const turnsContainer = document.getElementById('practice-turns');
+        turnsContainer.innerHTML = session.turns.map((turn, i) => `
+            <div class="turn-item">
+                <div class="turn-item-header">Visit ${i + 1}</div>
+                <div class="turn-item-details">
+                    <div class="turn-darts">
+                        ${turn.darts.map(d => `<span class="turn-dart">${Game.formatDart(d)}</span>`).join('')}
+                    </div>
+                    <div class="turn-remaining">${turn.message}</div>
+                </div>
+            </div>
+        `).reverse().join('');
+    }
+
+    /**
+     * Render a player's practice personal bests and recent sessions
+     */
+    async function renderPracticeHistory(playerName) {
+        const bestsContainer = document.getElementById('practice-bests');
+        const sessionsContainer = document.getElementById('practice-sessions');
+
+        if (!playerName) {
+            bestsContainer.innerHTML = '<p class="placeholder">Enter a player name to see personal bests</p>';
+            sessionsContainer.innerHTML = '';
+            return;
+        }
+
+        const sessions = await Storage.getPracticeSessions(playerName);
+        const bests = Practice.getPersonalBests(sessions);
+
+        bestsContainer.innerHTML = Practice.getModes().map(mode => {
+            const best = bests[mode.id];
+            return `
+                <div class="stat-card">
+                    <div class="stat-content">
+                        <div class="stat-value">${best ? best.score : '—'}</div>
+                        <div class="stat-label">${mode.name} (${mode.scoreLabel})</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        if (sessions.length === 0) {
+            sessionsContainer.innerHTML = '<p class="placeholder">No practice sessions yet</p>';
+            return;
+        }
+
+        sessionsContainer.innerHTML = sessions.map(s => {
+            const mode = Practice.getMode(s.mode);
+            const date = new Date(s.created_at);
+            const isBest = bests[s.mode]?.id === s.id;
+            return `
+                <div class="practice-session-item ${isBest ? 'personal-best' : ''}">
+                    <span class="practice-session-mode">${mode?.name || s.mode}</span>
+                    <span>${s.summary || ''}${s.is_complete ? '' : ' (stopped early)'}</span>
+                    <span class="game-card-date">${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    ${isBest ? '<span class="game-type-badge">PB</span>' : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the signed-in player (or "Sign In") on the navbar account link
+     */
+    function renderAccountNav() {
+        const label = document.getElementById('nav-account-label');
+        if (!label) return;
+
+        const player = Auth.getPlayer();
+        if (player) {
+            label.textContent = `${player.avatar ? `${player.avatar} ` : ''}${player.name}`;
+        } else {
+            label.textContent = Auth.getUser() ? 'Account' : 'Sign In';
+        }
+    }
+
+    /**
+     * Render the account page for the current sign-in state
+     */
+    async function renderAccountPage() {
+        const user = Auth.getUser();
+        const player = Auth.getPlayer();
+
+        document.getElementById('signin-form').classList.toggle('hidden', !!user);
+        document.getElementById('account-signed-in').classList.toggle('hidden', !user);
+        if (!user) return;
+
+        document.getElementById('account-email').textContent = user.email || '';
+        document.getElementById('manage-players-btn').classList.toggle('hidden', !Auth.isAdmin());
+        document.getElementById('claim-player-form').classList.toggle('hidden', !!player);
+        document.getElementById('account-profile').classList.toggle('hidden', !player);
+
+        if (!player) {
+            // Suggest players nobody has claimed yet
+            const players = await Storage.getPlayers();
+            const options = document.getElementById('claim-player-options');
+            options.innerHTML = '';
+            Object.values(players)
+                .filter(p => !p.auth_user_id)
+                .map(p => p.name)
+                .sort((a, b) => a.localeCompare(b))
+                .forEach(name => {
+                    const option = document.createElement('option');
+                    option.value = name;
+                    options.appendChild(option);
+                });
+            return;
+        }
+
+        document.getElementById('account-player-avatar').textContent = player.avatar || '🎯';
+        document.getElementById('account-player-name').textContent = player.nickname
+            ? `${player.name} "${player.nickname}"`
+            : player.name;
+        document.getElementById('profile-nickname').value = player.nickname || '';
+        document.getElementById('profile-avatar').value = player.avatar || '';
+
+        await renderMyGames(player.name);
+    }
+
+    /**
+     * Render the signed-in player's games, newest first
+     */
+    async function renderMyGames(playerName) {
+        const container = document.getElementById('my-games-list');
+        const games = (await Storage.getPlayerGames(playerName, 20))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        if (games.length === 0) {
+            container.innerHTML = '<p class="placeholder">No games yet</p>';
+            return;
+        }
+
+        container.innerHTML = games.map(game => {
+            const me = game.players.find(p => p.name === playerName);
+            let result = 'In progress';
+            if (game.completed_at) {
+                result = me?.finish_rank === 1 ? '🏆 Won' : me?.finish_rank ? `Finished #${me.finish_rank}` : 'Played';
+            }
+            const route = game.completed_at ? 'game-detail' : 'game';
+
+            return `
+                <div class="game-card" onclick="Router.navigate('${route}', {gameId: '${game.id}'})">
+                    <div class="game-card-header">
+                        <div class="game-card-title">${Game.getGameLabel(game)}</div>
+                        <div class="game-card-date">${new Date(game.created_at).toLocaleDateString()}</div>
+                    </div>
+                    <div class="game-card-players">
+                        ${game.players.map(p => `
+                            <div class="player-badge ${p.finish_rank === 1 ? 'winner' : ''}">${p.name}</div>
+                        `).join('')}
+                    </div>
+                    <div class="game-card-footer">
+                        <span>${result}</span>
+                        <span class="game-type-badge">${game.players.length} players</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the Manage Players page: duplicate names, rename and merge pickers
+     */
+    async function renderAdminPage() {
+        const players = Object.values(await Storage.getPlayers())
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        ['rename-player-select', 'merge-source-select', 'merge-target-select'].forEach(id => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = '';
+            players.forEach(player => {
+                const option = document.createElement('option');
+                option.value = player.id;
+                option.textContent = `${player.name} (${player.total_games_played || 0} games)`;
+                select.appendChild(option);
+            });
+            if (players.some(p => p.id === selected)) select.value = selected;
+        });
+
+        // Names that only differ by case or spacing
+        const groups = {};
+        players.forEach(player => {
+            const key = player.name.trim().replace(/\s+/g, ' ').toLowerCase();
+            (groups[key] = groups[key] || []).push(player);
+        });
+        const duplicates = Object.values(groups).filter(group => group.length > 1);
+
+        const container = document.getElementById('duplicate-players-list');
+        if (duplicates.length === 0) {
+            container.innerHTML = '<p class="placeholder">No duplicate names found</p>';
+            return;
+        }
+
+        container.innerHTML = duplicates.map(group => {
+            // Keep the player with the most games (then the oldest)
+            const [keep, ...others] = [...group].sort((a, b) =>
+                (b.total_games_played || 0) - (a.total_games_played || 0) ||
+                new Date(a.created_at) - new Date(b.created_at));
+
+            return `
+                <div class="duplicate-group">
+                    <div class="duplicate-group-names">
+                        ${group.map(p => `<span class="player-badge">${p.name} · ${p.total_games_played || 0}</span>`).join('')}
+                    </div>
+                    <div>
+                        ${others.map(other => `
+                            <button type="button" class="btn btn-secondary btn-small merge-duplicate-btn"
+                                data-source="${other.id}" data-target="${keep.id}">
+                                Merge "${other.name}" into "${keep.name}"
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Player checkboxes for the spreadsheet export, keeping the ones already ticked
+     */
+    function renderExportPlayers(players) {
+        const container = document.getElementById('export-player-list');
+        const ticked = new Set(Array.from(container.querySelectorAll('input:checked')).map(input => input.value));
+        container.innerHTML = '';
+
+        if (players.length === 0) {
+            container.innerHTML = '<p class="placeholder">No players yet</p>';
+            return;
+        }
+
+        players.forEach(player => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = player.id;
+            input.checked = ticked.has(player.id);
+            const name = document.createElement('span');
+            name.textContent = player.name;
+            label.append(input, name);
+            container.appendChild(label);
+        });
+    }
+
+    // Games listed by name in an import preview (the rest are counted)
+    const IMPORT_PREVIEW_LIMIT = 50;
+
+    /**
+     * Render the checked games of an import file: what will be imported, what is already
+     * saved and what can't be imported and why (null clears the preview)
+     * File contents are shown as text, never as HTML
+     */
+    function renderImportPreview(preview) {
+        const container = document.getElementById('import-preview');
+        container.innerHTML = '';
+        container.classList.toggle('hidden', !preview);
+        if (!preview) return;
+
+        const formats = { v2: 'Dart Bee export (v2.0.0)', legacy: 'Dart Bee export (older format)', csv: 'CSV turn sheet' };
+        const summary = document.createElement('p');
+        summary.className = 'import-summary';
+        summary.textContent = [
+            formats[preview.format] || 'Unknown file',
+            `${preview.games.length} new game${preview.games.length === 1 ? '' : 's'}`,
+            `${preview.duplicates.length} already saved`,
+            `${preview.errors.length} with errors`
+        ].join(' · ');
+        container.appendChild(summary);
+
+        const addList = (title, items, className) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h3');
+            heading.textContent = title;
+            const list = document.createElement('ul');
+            list.className = `import-list ${className}`;
+            items.forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            container.append(heading, list);
+        };
+
+        const gameLabels = preview.games.slice(0, IMPORT_PREVIEW_LIMIT).map(Importer.describeGame);
+        if (preview.games.length > IMPORT_PREVIEW_LIMIT) {
+            gameLabels.push(`…and ${preview.games.length - IMPORT_PREVIEW_LIMIT} more`);
+        }
+        addList('To Import', gameLabels, 'import-new');
+        addList('Errors (not imported)', preview.errors.map(e => `${e.label}: ${e.message}`), 'import-errors');
+        addList('Warnings', preview.warnings.map(w => `${w.label}: ${w.message}`), 'import-warnings');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.id = 'import-confirm-btn';
+        button.className = 'btn btn-primary';
+        button.disabled = preview.games.length === 0;
+        button.textContent = preview.games.length > 0
+            ? `Import ${preview.games.length} Game${preview.games.length === 1 ? '' : 's'}`
+            : 'Nothing to Import';
+        container.appendChild(button);
+    }
+
+    /**
+     * Pagination state
+     */
+    let paginationState = {
+        currentPage: 1,
+        gamesPerPage: 6,
+        totalPages: 1,
+        totalGames: 0,
+        filter: '',
+        sortOrder: 'newest',
+        outRule: ''
+    };
+
+    /**
+     * Render game history list with pagination
+     * OPTIMIZED: Uses database-level pagination instead of client-side
+     */
+    async function renderGameHistory(filter = '', sortOrder = 'newest', page = 1, outRule = '') {
+        const container = document.getElementById('games-history-list');
+
+        // OPTIMIZED: Database-level pagination and filtering
+        const { games: paginatedGames, pagination } = await Storage.getGamesPaginated(
+            page,
+            paginationState.gamesPerPage,
+            {
+                completed: true,
+                playerName: filter || undefined,
+                outRule: outRule || undefined,
+                sortOrder: sortOrder
+            }
+        );
+
+        // Update pagination state
+        paginationState.filter = filter;
+        paginationState.sortOrder = sortOrder;
+        paginationState.outRule = outRule;
+        paginationState.currentPage = pagination.page;
+        paginationState.totalPages = pagination.totalPages;
+        paginationState.totalGames = pagination.total;
+
+        // Show/hide pagination controls
+        const paginationControls = document.getElementById('pagination-controls');
+        if (pagination.total === 0) {
+            container.innerHTML = '<p class="placeholder">No games found</p>';
+            if (paginationControls) paginationControls.style.display = 'none';
             document.getElementById('history-games-count').textContent = 'Total: 0 games';
             return;
         }
@@ -641,7 +1475,7 @@ const UI = (() => {
             return `
                 <div class="game-card" onclick="Router.navigate('game-detail', {gameId: '${game.id}'})">
                     <div class="game-card-header">
-                        <div class="game-card-title">${game.game_type} Points</div>
+                        <div class="game-card-title">${Game.getGameLabel(game)}</div>
                         <div style="display: flex; gap: 8px; align-items: center;">
                             <div class="game-card-date">${dateStr} ${timeStr}</div>
                             <span class="game-status-badge" style="background: #4caf50; color: white; padding: 4px 8px; border-radius: 4px; font-size: 11px; font-weight: 600;">COMPLETED</span>
@@ -656,6 +1490,8 @@ const UI = (() => {
                     </div>
                     <div class="game-card-footer">
                         <span>🏆 ${winner?.name || 'N/A'}</span>
+                        ${game.match_id ? `<span class="game-type-badge">Set ${game.set_number} · Leg ${game.leg_number}</span>` : ''}
+                        <span class="game-type-badge">${Game.describeRules(game)}</span>
                         <span class="game-type-badge">${game.players.length} players</span>
                     </div>
                 </div>
@@ -715,12 +1551,51 @@ const UI = (() => {
             btn.textContent = i;
             btn.onclick = (e) => {
                 e.preventDefault();
-                renderGameHistory(paginationState.filter, paginationState.sortOrder, i);
+                renderGameHistory(paginationState.filter, paginationState.sortOrder, i, paginationState.outRule);
             };
             paginationNumbers.appendChild(btn);
         }
     }
 
+    /**
+     * Cards for a game's charts (race, turn scores, running average); canvas ids start
+     * with the prefix, so the detail page and the spectator view each have their own
+     */
+    function buildGameChartsHtml(prefix, game) {
+        const isCricket = game.game_mode === 'cricket';
+        return `
+            <div class="game-charts">
+                <div class="game-chart">
+                    <h4>${isCricket ? 'Points' : 'Remaining Score'} by Round</h4>
+                    <div class="chart-container chart-container-line">
+                        <canvas id="${prefix}RaceChart"></canvas>
+                    </div>
+                </div>
+                <div class="game-chart">
+                    <h4>${isCricket ? 'Marks' : 'Score'} per Turn${isCricket ? '' : ' <span class="game-chart-note">(busts in red)</span>'}</h4>
+                    <div class="chart-container chart-container-bar">
+                        <canvas id="${prefix}TurnsChart"></canvas>
+                    </div>
+                </div>
+                <div class="game-chart">
+                    <h4>${isCricket ? 'Marks per Round' : 'Average per Turn'}</h4>
+                    <div class="chart-container chart-container-line">
+                        <canvas id="${prefix}AverageChart"></canvas>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Draw a game's charts into the canvases of buildGameChartsHtml
+     */
+    function renderGameCharts(prefix, game) {
+        Charts.createGameRaceChart(`${prefix}RaceChart`, game);
+        Charts.createGameTurnsChart(`${prefix}TurnsChart`, game);
+        Charts.createGameAverageChart(`${prefix}AverageChart`, game);
+    }
+
     /**
      * Render game detail view
      */
@@ -741,7 +1616,11 @@ const UI = (() => {
                 <div class="detail-header-row">
                     <div class="detail-header-item">
                         <div class="detail-label">Game Type</div>
-                        <div class="detail-value">${game.game_type} Points</div>
+                        <div class="detail-value">${Game.getGameLabel(game)}</div>
+                    </div>
+                    <div class="detail-header-item">
+                        <div class="detail-label">Rules</div>
+                        <div class="detail-value">${Game.describeRules(game)}</div>
                     </div>
                     <div class="detail-header-item">
                         <div class="detail-label">Date</div>
@@ -759,13 +1638,58 @@ const UI = (() => {
             </div>
         `;
 
+        // Replay of a finished game, opened on demand (see App's replay controls)
+        if (Replay.canReplay(game)) {
+            html += `
+                <div class="detail-section replay-section">
+                    <h3>🎬 Replay</h3>
+                    <div id="replay-panel" class="replay-panel hidden"></div>
+                    <button class="btn btn-primary" id="replay-open-btn" data-replay="open">▶ Replay turn by turn</button>
+                </div>
+            `;
+        }
+
+        if (game.game_mode === 'cricket') {
+            html += `
+                <div class="detail-section">
+                    <h3>🎯 Marks</h3>
+                    <div class="scoreboard cricket-mode">${buildCricketGridHtml(game)}</div>
+                </div>
+            `;
+        }
+
+        // Legs/sets score of the match this game belongs to
+        if (game.match_id) {
+            const match = await Storage.getMatch(game.match_id);
+            if (match) {
+                const legLinks = [...match.legs]
+                    .sort((a, b) => a.set_number - b.set_number || a.leg_number - b.leg_number)
+                    .map(leg => `
+                        <span class="game-type-badge" style="cursor: pointer; ${leg.game_id === game.id ? 'outline: 2px solid var(--color-primary);' : ''}"
+                              onclick="Router.navigate('game-detail', {gameId: '${leg.game_id}'})">
+                            ${Match.isSetsFormat(match) ? `S${leg.set_number} ` : ''}L${leg.leg_number}: ${leg.winner}
+                        </span>
+                    `).join('');
+
+                html += `
+                    <div class="detail-section">
+                        <h3>🎯 Match Score</h3>
+                        <div class="match-scoreboard">${buildMatchScoreHtml(match)}</div>
+                        <div style="display: flex; flex-wrap: wrap; gap: 8px;">${legLinks}</div>
+                    </div>
+                `;
+            }
+        }
+
         // Add final standings section
         if (game.completed_at) {
             const rankings = Game.getRankings(game);
 
             // Separate finished players (with medals) from all players sorted by score
             const finishedPlayers = rankings.filter(p => p.rank !== undefined && p.rank !== null && p.rank > 0);
-            const allPlayersSortedByScore = [...rankings].sort((a, b) => a.score - b.score);
+            const allPlayersSortedByScore = game.game_mode === 'cricket'
+                ? [...rankings].sort((a, b) => (a.rank || 999) - (b.rank || 999))
+                : [...rankings].sort((a, b) => a.score - b.score);
 
             // Show podium if there are finished players
             if (finishedPlayers.length > 0) {
@@ -841,9 +1765,9 @@ const UI = (() => {
                         <span class="detail-standings-position">${positionLabel}</span>
                         <span class="detail-standings-name">${p.name}</span>
                         <span class="detail-standings-stats">
-                            <span>Score: ${p.score}</span>
+                            <span>${game.game_mode === 'cricket' ? 'Points' : 'Score'}: ${p.score}</span>
                             <span>Turns: ${p.turns}</span>
-                            <span>Avg: ${p.avgPerTurn || p.avgPerDart}</span>
+                            <span>${game.game_mode === 'cricket' ? `MPR: ${p.mpr}` : `Avg: ${p.avgPerTurn || p.avgPerDart}`}</span>
                         </span>
                     </div>
                 `;
@@ -852,6 +1776,15 @@ const UI = (() => {
             html += '</div>';
         }
 
+        if (game.players.some(p => p.turns.length > 0)) {
+            html += `
+                <div class="detail-section">
+                    <h3>📈 Charts</h3>
+                    ${buildGameChartsHtml('detail', game)}
+                </div>
+            `;
+        }
+
         game.players.forEach(player => {
             html += `
                 <div class="player-turns">
@@ -862,12 +1795,15 @@ const UI = (() => {
             `;
 
             player.turns.forEach((turn, turnIndex) => {
-                const turnTotal = turn.darts.reduce((a, b) => a + b, 0);
+                // Cricket turns are summed up in marks, X01 turns in points
+                const turnTotal = game.game_mode === 'cricket'
+                    ? `${turn.marks}M`
+                    : turn.darts.reduce((a, b) => a + b, 0);
                 html += `
                     <div class="turn-row">
                         <div class="turn-number">Turn ${turnIndex + 1}</div>
                         <div class="turn-darts-detail">
-                            ${turn.darts.map(d => `<div class="turn-dart-box">${d}</div>`).join('')}
+                            ${formatTurnDarts(turn).map(d => `<div class="turn-dart-box">${d}</div>`).join('')}
                             <div class="turn-dart-box" style="background: #f5f5f5; color: #666;">=</div>
                             <div class="turn-dart-box" style="background: #f5f5f5; color: #666;">${turnTotal}</div>
                         </div>
@@ -880,14 +1816,103 @@ const UI = (() => {
         });
 
         content.innerHTML = html;
+
+        // Render charts after DOM is updated
+        setTimeout(() => renderGameCharts('detail', game), 50);
+        return game;
+    }
+
+    /**
+     * Position as an ordinal (1st, 2nd, 3rd, 4th...)
+     */
+    function formatOrdinal(position) {
+        const suffix = position % 10 === 1 && position % 100 !== 11 ? 'st'
+            : position % 10 === 2 && position % 100 !== 12 ? 'nd'
+            : position % 10 === 3 && position % 100 !== 13 ? 'rd'
+            : 'th';
+        return `${position}${suffix}`;
+    }
+
+    /**
+     * Render one frame of a game replay (Replay.getFrame) with its playback controls
+     * The controls are built once, so dragging the slider isn't interrupted by frames
+     */
+    function renderReplay(frame, playing, speed) {
+        const panel = document.getElementById('replay-panel');
+        if (!panel) return;
+
+        panel.classList.remove('hidden');
+        document.getElementById('replay-open-btn')?.classList.add('hidden');
+
+        if (!panel.querySelector('.replay-controls')) {
+            panel.innerHTML = `
+                <div class="replay-controls">
+                    <button class="btn btn-secondary btn-small" data-replay="start" title="First turn">⏮</button>
+                    <button class="btn btn-secondary btn-small" data-replay="back" title="Previous turn">◀</button>
+                    <button class="btn btn-primary btn-small" data-replay="toggle" id="replay-toggle"></button>
+                    <button class="btn btn-secondary btn-small" data-replay="forward" title="Next turn">▶</button>
+                    <button class="btn btn-secondary btn-small" data-replay="end" title="Last turn">⏭</button>
+                    <select id="replay-speed" title="Playback speed">
+                        ${Replay.SPEEDS.map(s => `<option value="${s}">${s}×</option>`).join('')}
+                    </select>
+                </div>
+                <input type="range" id="replay-seek" class="replay-seek" min="0" max="${frame.steps}" step="1">
+                <div id="replay-status" class="replay-status"></div>
+                <div id="replay-board"></div>
+            `;
+        }
+
+        document.getElementById('replay-toggle').textContent = playing ? '⏸ Pause' : '▶ Play';
+        document.getElementById('replay-speed').value = String(speed);
+        document.getElementById('replay-seek').value = String(frame.step);
+
+        const isCricket = frame.game.game_mode === 'cricket';
+        const clock = frame.elapsed !== null ? ` · ${Game.formatDuration(frame.elapsed)}` : '';
+        let status = `Turn 0/${frame.steps} · Before the first throw`;
+        if (frame.turn) {
+            const { turn, playerIndex, round } = frame.turn;
+            const total = isCricket ? `${turn.marks}M` : turn.darts.reduce((a, b) => a + b, 0);
+            const result = turn.busted ? 'Bust' : isCricket ? `${turn.points || 0} pts` : `${Math.max(0, turn.remaining)} left`;
+            status = `
+                Turn ${frame.step}/${frame.steps} · Round ${round + 1}${clock}<br>
+                <strong>${frame.game.players[playerIndex].name}</strong>:
+                ${formatTurnDarts(turn).join(' ')} = ${total} → ${result}
+            `;
+        }
+        document.getElementById('replay-status').innerHTML = status;
+
+        const rows = frame.standings.map((p, index) => {
+            let finish = '';
+            if (p.finish) {
+                const time = p.finish.elapsed !== null ? ` at ${Game.formatDuration(p.finish.elapsed)}` : '';
+                finish = `✓ ${formatOrdinal(p.rank || index + 1)} · round ${p.finish.round + 1}${time}`;
+            } else if (p.rank) {
+                finish = `${formatOrdinal(p.rank)} · didn't finish`;
+            }
+
+            return `
+                <div class="replay-row ${frame.turn?.playerIndex === p.index ? 'thrown' : ''} ${p.finish ? 'finished' : ''}">
+                    <span class="replay-position">${formatOrdinal(index + 1)}</span>
+                    <span class="replay-name">${p.name}</span>
+                    <span class="replay-score">${p.score}</span>
+                    <span class="replay-meta">Darts: ${p.darts} · ${isCricket ? 'MPR' : 'Avg'}: ${p.average}</span>
+                    <span class="replay-finish">${finish}</span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('replay-board').innerHTML = `
+            ${isCricket ? `<div class="scoreboard cricket-mode">${buildCricketGridHtml(frame.game)}</div>` : ''}
+            <div class="replay-standings">${rows}</div>
+        `;
     }
 
     /**
      * Render leaderboard
      */
-    async function renderLeaderboard(metric = 'wins', timeFilter = 'all-time') {
+    async function renderLeaderboard(metric = 'wins', timeFilter = 'all-time', excludeHandicap = false) {
         const container = document.getElementById('leaderboard-content');
-        const rankings = await Stats.getLeaderboard(metric, timeFilter);
+        const rankings = await Stats.getLeaderboard(metric, timeFilter, excludeHandicap);
 
         if (rankings.length === 0) {
             container.innerHTML = '<p class="placeholder">No games yet</p>';
@@ -898,7 +1923,9 @@ const UI = (() => {
             'wins': 'Wins',
             'win-rate': 'Win Rate',
             'avg-turn': 'Avg/Turn',
-            'max-turn': 'Top Turn'
+            'max-turn': 'Top Turn',
+            // Current ratings, or the change over the games shown
+            'rating': rankings[0].stats.rating !== undefined ? 'Rating' : 'Rating +/-'
         }[metric] || 'Wins';
 
         // Build HTML with chart container first
@@ -929,6 +1956,9 @@ const UI = (() => {
                 case 'max-turn':
                     metricDisplay = entry.stats.maxTurn || entry.fullStats?.maxTurn || 0;
                     break;
+                case 'rating':
+                    metricDisplay = entry.stats.rating ?? formatRatingChange(entry.stats.ratingChange);
+                    break;
             }
 
             return `
@@ -957,6 +1987,14 @@ const UI = (() => {
         }, 50);
     }
 
+    /**
+     * Format a rating change with its sign ("+12", "-7")
+     */
+    function formatRatingChange(change) {
+        const value = Math.round(change || 0);
+        return value > 0 ? `+${value}` : `${value}`;
+    }
+
     /**
      * Render player profile with charts
      */
@@ -967,10 +2005,11 @@ const UI = (() => {
         content.innerHTML = '<div class="loading-charts"><p>Loading stats...</p></div>';
 
         // Fetch all data in parallel for better performance
-        const [stats, scoreDistribution, recentPerformance] = await Promise.all([
+        const [stats, scoreDistribution, recentPerformance, ratingHistory] = await Promise.all([
             Stats.calculatePlayerStats(playerName),
             Stats.getScoreDistribution(playerName),
-            Stats.getRecentPerformance(playerName, 10)
+            Stats.getRecentPerformance(playerName, 10),
+            Stats.getRatingHistory(playerName)
         ]);
 
         let html = `
@@ -1005,6 +2044,18 @@ const UI = (() => {
                 </div>
             </div>
 
+            <!-- Rating Trend Chart -->
+            <div class="chart-card chart-card-wide">
+                <h3>Rating Trend</h3>
+                <div class="chart-container chart-container-line">
+                    <canvas id="ratingChart"></canvas>
+                </div>
+                <div class="chart-summary">
+                    <span class="chart-stat rating">${stats.rating} Rating</span>
+                    <span class="chart-stat">${stats.ratedGames} Rated Games</span>
+                </div>
+            </div>
+
             <!-- Score Distribution Chart -->
             <div class="chart-card chart-card-wide">
                 <h3>Turn Score Distribution</h3>
@@ -1073,6 +2124,33 @@ const UI = (() => {
             </div>
         `;
 
+        // Cricket stats (marks per round = marks per 3-dart turn)
+        if (stats.cricketGamesPlayed > 0) {
+            html += `
+                <div class="profile-section">
+                    <h3>Cricket</h3>
+                    <div class="stats-matrix">
+                        <div class="stat-box">
+                            <div class="stat-box-label">Games</div>
+                            <div class="stat-box-value">${stats.cricketGamesPlayed}</div>
+                        </div>
+                        <div class="stat-box">
+                            <div class="stat-box-label">Wins</div>
+                            <div class="stat-box-value">${stats.cricketGamesWon}</div>
+                        </div>
+                        <div class="stat-box">
+                            <div class="stat-box-label">MPR</div>
+                            <div class="stat-box-value">${stats.cricketMpr}</div>
+                        </div>
+                        <div class="stat-box">
+                            <div class="stat-box-label">Best Round</div>
+                            <div class="stat-box-value">${stats.cricketBestRound} marks</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
         // Head-to-Head section with chart
         if (Object.keys(stats.headToHead).length > 0) {
             html += `
@@ -1117,6 +2195,9 @@ const UI = (() => {
             // Performance Trend Line Chart
             Charts.createPerformanceChart('performanceChart', recentPerformance);
 
+            // Rating Trend Line Chart
+            Charts.createRatingChart('ratingChart', ratingHistory);
+
             // Score Distribution Bar Chart
             Charts.createScoreDistributionChart('scoreDistributionChart', scoreDistribution);
 
@@ -1135,12 +2216,24 @@ const UI = (() => {
         renderCurrentPlayer(game);
         renderDartInputs(game);
         renderTurnHistory(game);
+        renderUndoRedo(game);
 
         // Update live rankings with current game standings
         const rankings = Game.getRankings(game);
         updateWinnersBoard(rankings, animate);
     }
 
+    /**
+     * Enable the undo/redo buttons when there is something to undo or redo
+     * Undo stays enabled in per-dart mode, where it also takes back tapped darts
+     */
+    function renderUndoRedo(game) {
+        const undoBtn = document.getElementById('undo-dart-btn');
+        const redoBtn = document.getElementById('redo-turn-btn');
+        if (undoBtn) undoBtn.disabled = !Game.canUndo(game) && game.scoring_mode !== 'per-dart';
+        if (redoBtn) redoBtn.disabled = !Game.canRedo(game);
+    }
+
     /**
      * Render game in spectator mode (read-only view)
      */
@@ -1171,6 +2264,7 @@ const UI = (() => {
 
         // Show spectator-specific leaderboard with player stats from current game
         renderSpectatorLeaderboard(game);
+        renderSpectatorCharts(game);
     }
 
     /**
@@ -1184,6 +2278,684 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Switch the game page between scoring and spectating: the scorer gets dart entry,
+     * Hand Over and End Game; spectators get Take Over Scoring while the game is live
+     */
+    function setGameControls(game, isScorer) {
+        const dartEntrySection = document.querySelector('.dart-entry-section');
+        if (dartEntrySection) {
+            dartEntrySection.style.display = isScorer ? '' : 'none';
+        }
+
+        const isLive = !game?.completed_at;
+        document.getElementById('redo-turn-btn')?.classList.toggle('hidden', !isScorer);
+        document.getElementById('hand-over-btn')?.classList.toggle('hidden', !isScorer || !isLive);
+        document.getElementById('end-game-btn')?.classList.toggle('hidden', !isScorer);
+        document.getElementById('take-over-btn')?.classList.toggle('hidden', isScorer || !isLive);
+
+        if (isScorer) {
+            document.getElementById('spectator-indicator')?.remove();
+            document.getElementById('spectator-leaderboard-container')?.remove();
+            removeSpectatorCharts();
+        }
+    }
+
+    /**
+     * Show dart entry on a device scoring its own player's turns (remote scoring)
+     * when that player is due to throw
+     */
+    function renderSeatTurn(game, seatOrder) {
+        const dartEntrySection = document.querySelector('.dart-entry-section');
+        if (!dartEntrySection) return;
+
+        const isMyTurn = seatOrder !== null && game.is_active && !game.completed_at &&
+            game.current_player_index === seatOrder;
+        dartEntrySection.style.display = isMyTurn ? '' : 'none';
+        if (isMyTurn) {
+            renderCurrentPlayer(game);
+            renderDartInputs(game);
+        }
+    }
+
+    /**
+     * Render the remote scoring panel: the scorer turns it on and sees who scores on
+     * their own phone; everyone else can take a free player's seat or leave theirs
+     * Not offered for Cricket, which the database doesn't take from players' phones
+     */
+    function renderRemoteScoring(game, isScorer) {
+        const panel = document.getElementById('remote-scoring-panel');
+        if (!panel) return;
+
+        const isLive = game && !game.completed_at && game.game_mode !== 'cricket';
+        if (!isLive || (!isScorer && !game.remote_scoring)) {
+            panel.classList.add('hidden');
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const deviceId = Device.getDeviceId();
+        const current = Game.getCurrentPlayer(game);
+        let html = '<div class="remote-scoring-header"><span>🌐 Remote Scoring</span>';
+        if (isScorer) {
+            html += `<button type="button" class="btn btn-secondary btn-small" id="remote-scoring-toggle">
+                ${game.remote_scoring ? 'Stop Remote Scoring' : 'Let Players Score on Their Phones'}
+            </button>`;
+        }
+        html += '</div>';
+
+        if (!game.remote_scoring) {
+            panel.innerHTML = html + '<p class="remote-scoring-note">Players open the share link on their phone, pick their name and enter their own darts.</p>';
+            return;
+        }
+
+        if (isScorer && current?.seat_device_id) {
+            html += `<p class="remote-scoring-note">📱 ${current.name} is scoring on their phone - you can still enter the turn for them</p>`;
+        }
+
+        html += '<div class="remote-seats">';
+        game.players.forEach((player, index) => {
+            const isMine = player.seat_device_id === deviceId;
+            let action = '';
+            if (isMine) {
+                action = `<button type="button" class="btn btn-secondary btn-small leave-seat-btn" data-order="${index}">Leave</button>`;
+            } else if (player.seat_device_id && isScorer) {
+                action = `<button type="button" class="btn btn-secondary btn-small leave-seat-btn" data-order="${index}">Score Here</button>`;
+            } else if (!player.seat_device_id && !isScorer) {
+                action = `<button type="button" class="btn btn-primary btn-small join-seat-btn" data-order="${index}">I'm ${player.name}</button>`;
+            }
+
+            const status = isMine ? 'you' : player.seat_device_id ? '📱 on their phone' : 'scored by the scorer';
+            html += `
+                <div class="remote-seat${isMine ? ' mine' : ''}">
+                    <span class="remote-seat-name">${player.name}</span>
+                    <span class="remote-seat-status">${status}</span>
+                    ${action}
+                </div>
+            `;
+        });
+        html += '</div>';
+
+        panel.innerHTML = html;
+    }
+
+    /**
+     * Render the chat panel of a game: reaction buttons, messages and the message box.
+     * The scorer can hide it on their screen; null hides the panel (not watching a game).
+     */
+    function renderGameChat(messages, options = {}) {
+        const panel = document.getElementById('game-chat-panel');
+        if (!panel) return;
+
+        if (!messages) {
+            panel.classList.add('hidden');
+            panel.innerHTML = '';
+            return;
+        }
+        panel.classList.remove('hidden');
+
+        const hideButton = options.isScorer
+            ? `<button type="button" class="btn btn-secondary btn-small" id="chat-hide-btn">${options.hidden ? 'Show Chat' : 'Hide'}</button>`
+            : '';
+        let html = `<div class="game-chat-header"><span>💬 Chat</span>${hideButton}</div>`;
+
+        if (options.hidden) {
+            panel.innerHTML = html;
+            return;
+        }
+
+        html += `
+            <div class="reaction-strip">
+                ${GameChat.REACTIONS.map(emoji => `<button type="button" class="reaction-btn" data-emoji="${emoji}">${emoji}</button>`).join('')}
+            </div>
+            <div id="chat-messages" class="chat-messages"></div>
+            <form id="chat-form" class="chat-form" autocomplete="off">
+                <input type="text" id="chat-input" class="form-input" maxlength="${GameChat.MAX_MESSAGE_LENGTH}" placeholder="Say something...">
+                <button type="submit" class="btn btn-primary btn-small">Send</button>
+            </form>
+        `;
+        panel.innerHTML = html;
+        messages.forEach(appendChatMessage);
+    }
+
+    /**
+     * Add a chat message to the chat panel (text only - messages come from other devices)
+     */
+    function appendChatMessage(message) {
+        const list = document.getElementById('chat-messages');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = message.is_own ? 'chat-message own' : 'chat-message';
+        const name = document.createElement('span');
+        name.className = 'chat-message-name';
+        name.textContent = message.is_own ? 'You' : (message.name || 'Spectator');
+        const text = document.createElement('span');
+        text.textContent = message.text;
+        row.append(name, text);
+        list.appendChild(row);
+
+        while (list.children.length > GameChat.HISTORY_SIZE) {
+            list.firstElementChild.remove();
+        }
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Float a reaction up the screen for a moment
+     */
+    function showReaction(emoji) {
+        const reaction = document.createElement('div');
+        reaction.className = 'reaction-float';
+        reaction.textContent = emoji;
+        reaction.style.left = `${10 + Math.random() * 80}%`;
+        document.body.appendChild(reaction);
+        setTimeout(() => reaction.remove(), 2000);
+    }
+
+    /**
+     * Show the handover PIN, with the devices watching the game to hand it to directly
+     */
+    function showHandOverModal(pin, watchers) {
+        showModal(`
+            <div class="hand-over">
+                <p>On the other device, open this game, tap <strong>Take Over Scoring</strong> and enter:</p>
+                <div class="hand-over-pin">${pin}</div>
+                <p class="hand-over-note">The code works once and expires in 10 minutes.</p>
+                <h3>Or hand it to a device watching now</h3>
+                <div id="hand-over-watchers" class="hand-over-watchers"></div>
+            </div>
+        `, 'Hand Over Scoring');
+        renderHandOverWatchers(watchers);
+    }
+
+    /**
+     * Render the devices watching the game in the handover modal (if it is open)
+     * watchers: [{ device_id, name }] from the game channel's presence
+     */
+    function renderHandOverWatchers(watchers) {
+        const container = document.getElementById('hand-over-watchers');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (watchers.length === 0) {
+            container.innerHTML = '<p class="placeholder">Nobody is watching this game right now</p>';
+            return;
+        }
+
+        watchers.forEach(watcher => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-secondary hand-over-device-btn';
+            button.dataset.device = watcher.device_id;
+            button.textContent = `📲 ${watcher.name || `Device ${watcher.device_id.slice(0, 6)}`}`;
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Show the code the scorer needs to hand this device the game it asked for
+     */
+    function showControlRequestModal(code) {
+        showModal(`
+            <div class="hand-over">
+                <p>The scorer needs this code to hand the game over. Tell them:</p>
+                <div class="hand-over-pin">${code}</div>
+                <p class="hand-over-note">Scoring starts here as soon as they enter it.</p>
+            </div>
+        `, 'Take Over Scoring');
+    }
+
+    /**
+     * Ask the scorer for the code shown on the device that asked for the game
+     */
+    function showGrantControlModal(name) {
+        showModal(`
+            <form id="grant-control-form" class="hand-over">
+                <p><strong id="grant-control-device"></strong> wants to take over scoring. Enter the code it shows:</p>
+                <input type="text" id="grant-control-code" class="hand-over-pin-input" inputmode="numeric"
+                    pattern="[0-9]{6}" maxlength="6" autocomplete="off" required>
+                <button type="submit" class="btn btn-primary">Hand Over Scoring</button>
+            </form>
+        `, 'Hand Over Scoring');
+        document.getElementById('grant-control-device').textContent = name;
+        document.getElementById('grant-control-code')?.focus();
+    }
+
+    /**
+     * Ask a spectator for the handover PIN
+     */
+    function showTakeOverModal() {
+        showModal(`
+            <form id="take-over-form" class="hand-over">
+                <p>Enter the PIN shown on the scoring device (Hand Over):</p>
+                <input type="text" id="take-over-pin" class="hand-over-pin-input" inputmode="numeric"
+                    pattern="[0-9]{6}" maxlength="6" autocomplete="one-time-code" required>
+                <button type="submit" class="btn btn-primary">Take Over Scoring</button>
+            </form>
+        `, 'Take Over Scoring');
+        document.getElementById('take-over-pin')?.focus();
+    }
+
+    /**
+     * Ask for the code shown on the TV, or stop casting to the paired one
+     */
+    function showCastModal(pairedCode, tvUrl) {
+        showModal(`
+            <form id="cast-form" class="hand-over">
+                <p>On the TV, open <strong>${tvUrl}</strong> and enter the code it shows:</p>
+                <input type="text" id="cast-code" class="hand-over-pin-input" maxlength="6"
+                    autocapitalize="characters" autocomplete="off" required>
+                <button type="submit" class="btn btn-primary">📺 Show on TV</button>
+                ${pairedCode ? `
+                    <p class="hand-over-note">Casting to TV ${pairedCode} - it follows your next games and rematches.</p>
+                    <button type="button" class="btn btn-secondary" id="cast-stop-btn">Stop Casting</button>
+                ` : ''}
+            </form>
+        `, 'Cast to TV');
+        const input = document.getElementById('cast-code');
+        if (input && pairedCode) input.value = pairedCode;
+        input?.focus();
+    }
+
+    /**
+     * Switch the page chrome (navbar, decorations) off for the big-screen scoreboard
+     */
+    function setTvMode(on) {
+        document.body.classList.toggle('tv-mode', on);
+    }
+
+    /**
+     * TV with no game yet: show the code a phone pairs with
+     */
+    function renderTvWaiting(code) {
+        const container = document.getElementById('tv-content');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="tv-waiting">
+                <div class="tv-waiting-title">🐝 Dart Bee TV</div>
+                <p>On the scoring phone, open the game, tap <strong>📺 Cast to TV</strong> and enter</p>
+                <div class="tv-code">${code}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the big-screen scoreboard: scores, averages, the last turn and the checkout
+     * route of the player on throw (no input controls)
+     */
+    function renderTvGame(game, code) {
+        const container = document.getElementById('tv-content');
+        if (!container) return;
+
+        const isLive = game.is_active && !game.completed_at;
+        const current = isLive ? Game.getCurrentPlayer(game) : null;
+
+        let scores;
+        if (game.game_mode === 'cricket') {
+            scores = `<div class="tv-cricket">${buildCricketGridHtml(game)}</div>`;
+        } else {
+            scores = `<div class="tv-players">${game.players.map((player, index) => {
+                const isCurrent = isLive && index === game.current_player_index;
+                const average = player.turns.length > 0 ? (player.stats.totalScore / player.turns.length).toFixed(1) : '—';
+                return `
+                    <div class="tv-player${isCurrent ? ' current' : ''}${player.winner ? ' finished' : ''}">
+                        <div class="tv-player-name">${player.name}</div>
+                        <div class="tv-player-score">${player.currentScore}</div>
+                        <div class="tv-player-stats">Avg ${average} · Darts ${player.stats.totalDarts}</div>
+                    </div>
+                `;
+            }).join('')}</div>`;
+        }
+
+        let status = '';
+        if (!isLive) {
+            const winner = game.players.find(p => p.finish_rank === 1) || game.players.find(p => p.winner);
+            status = `<div class="tv-status">${winner ? `🏆 ${winner.name} wins!` : 'Game over'} <span class="tv-status-note">Waiting for the next game...</span></div>`;
+        } else if (current) {
+            const suggestion = Checkout.getSuggestion(game, current, []);
+            const checkout = suggestion?.route ? `<span class="tv-checkout">🎯 ${Checkout.formatRoute(suggestion.route)}</span>` : '';
+            status = `<div class="tv-status">➜ ${current.name} to throw ${checkout}</div>`;
+        }
+
+        container.innerHTML = `
+            <div class="tv-header">
+                <span>${Game.getGameLabel(game)}</span>
+                <span class="tv-header-code">TV code ${code}</span>
+            </div>
+            ${scores}
+            ${renderTvLastTurn(game)}
+            ${status}
+        `;
+    }
+
+    /**
+     * The most recent turn of a game for the TV ("Sam: T20 T20 20 = 140"), or ''
+     */
+    function renderTvLastTurn(game) {
+        let last = null;
+        game.players.forEach(player => {
+            const turn = player.turns[player.turns.length - 1];
+            if (turn && (!last || turn.timestamp >= last.turn.timestamp)) {
+                last = { player, turn };
+            }
+        });
+        if (!last) return '';
+
+        const { player, turn } = last;
+        let result;
+        if (turn.busted) {
+            result = 'BUST';
+        } else if (game.game_mode === 'cricket') {
+            result = `${turn.marks} mark${turn.marks === 1 ? '' : 's'}`;
+        } else {
+            result = turn.darts.reduce((sum, dart) => sum + dart, 0);
+        }
+
+        return `
+            <div class="tv-last-turn">
+                <span class="tv-last-turn-name">${player.name}</span>
+                ${formatTurnDarts(turn).map(d => `<span class="tv-dart">${d}</span>`).join('')}
+                <span class="tv-last-turn-total">= ${result}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the list of recent tournaments on the tournaments page
+     */
+    function renderTournamentList(tournaments) {
+        const container = document.getElementById('tournament-list');
+        if (!container) return;
+
+        if (tournaments.length === 0) {
+            container.innerHTML = '<p class="placeholder">No tournaments yet. Create one above!</p>';
+            return;
+        }
+
+        container.innerHTML = tournaments.map(tournament => {
+            const played = tournament.fixtures.filter(f => f.status === 'done' && f.result === 'played').length;
+            const total = tournament.fixtures.filter(f => f.result !== 'bye' && f.result !== 'skipped').length;
+            const status = tournament.winner
+                ? `🏆 ${tournament.winner}`
+                : `${played} of ${total} games played`;
+
+            return `
+                <div class="tournament-card" data-tournament="${tournament.id}">
+                    <div class="tournament-card-header">
+                        <span class="tournament-card-name">${tournament.name}</span>
+                        <span class="game-type-badge">${Tournament.FORMATS[tournament.format]}</span>
+                    </div>
+                    <div class="tournament-card-footer">
+                        <span>${tournament.players.length} players · ${describeTournamentGame(tournament.game_options)}</span>
+                        <span>${status}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render a tournament: the bracket (or the table and rounds for round robin) with
+     * each fixture's state. With canPlay, ready fixtures can be started from here.
+     */
+    function renderTournament(tournament, { canPlay = false } = {}) {
+        document.getElementById('tournament-title').textContent = tournament.name;
+        const container = document.getElementById('tournament-view');
+        if (!container) return;
+
+        const summary = tournament.winner
+            ? `<div class="tournament-winner">🏆 ${tournament.winner} wins the tournament!</div>`
+            : '';
+
+        let standings = '';
+        if (tournament.format === 'round-robin') {
+            standings = `
+                <table class="tournament-standings">
+                    <thead><tr><th>#</th><th>Player</th><th>P</th><th>W</th><th>L</th></tr></thead>
+                    <tbody>
+                        ${Tournament.getStandings(tournament).map((row, index) => `
+                            <tr>
+                                <td>${index + 1}</td>
+                                <td>${row.name}</td>
+                                <td>${row.played}</td>
+                                <td>${row.won}</td>
+                                <td>${row.lost}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        const rounds = Tournament.getRounds(tournament).map(round => `
+            <div class="bracket-round ${round.bracket}">
+                <div class="bracket-round-title">${round.title}</div>
+                ${round.fixtures.map(fixture => renderFixture(fixture, canPlay)).join('')}
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="tournament-meta">
+                <span class="game-type-badge">${Tournament.FORMATS[tournament.format]}</span>
+                <span class="game-type-badge">${describeTournamentGame(tournament.game_options)}</span>
+                <span class="game-type-badge">${tournament.players.length} players</span>
+            </div>
+            ${summary}
+            ${standings}
+            <div class="bracket">${rounds}</div>
+        `;
+    }
+
+    /**
+     * One fixture card of the bracket: its two players and what can be done with it
+     */
+    function renderFixture(fixture, canPlay) {
+        const playerRow = (name) => {
+            const classes = ['fixture-player'];
+            if (fixture.status === 'done' && fixture.result === 'played') {
+                classes.push(name === fixture.winner ? 'won' : 'lost');
+            }
+            return `<div class="${classes.join(' ')}">${name || '<span class="fixture-tbd">TBD</span>'}</div>`;
+        };
+
+        let footer = '';
+        if (fixture.result === 'bye') {
+            footer = '<span class="fixture-note">bye</span>';
+        } else if (fixture.result === 'skipped') {
+            footer = '<span class="fixture-note">not needed</span>';
+        } else if (fixture.status === 'playing') {
+            footer = `
+                <button class="btn btn-success btn-small" data-game="${fixture.game_id}">🔴 Live</button>
+                ${canPlay ? `<button class="btn btn-secondary btn-small" data-restart="${fixture.id}">↺ Restart</button>` : ''}
+            `;
+        } else if (fixture.status === 'ready' && canPlay) {
+            footer = `<button class="btn btn-primary btn-small" data-play="${fixture.id}">▶ Play</button>`;
+        } else if (fixture.status === 'done' && fixture.game_id) {
+            footer = `<button class="btn btn-secondary btn-small" data-game="${fixture.game_id}">View game</button>`;
+        }
+
+        const players = fixture.result === 'bye'
+            ? playerRow(fixture.winner)
+            : fixture.players.map(playerRow).join('');
+
+        return `
+            <div class="fixture-card ${fixture.status}">
+                ${players}
+                ${footer ? `<div class="fixture-actions">${footer}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the list of league seasons on the leagues page
+     */
+    function renderSeasonList(seasons) {
+        const container = document.getElementById('season-list');
+        if (!container) return;
+
+        if (seasons.length === 0) {
+            container.innerHTML = '<p class="placeholder">No seasons yet. Create one above!</p>';
+            return;
+        }
+
+        container.innerHTML = seasons.map(season => {
+            const played = season.fixtures.filter(f => f.status === 'done').length;
+            const status = season.winner
+                ? `🏆 ${season.winner}`
+                : `${played} of ${season.fixtures.length} fixtures played`;
+
+            return `
+                <div class="tournament-card" data-season="${season.id}">
+                    <div class="tournament-card-header">
+                        <span class="tournament-card-name">${season.name}</span>
+                        <span class="game-type-badge">${describeSeasonFormat(season)}</span>
+                    </div>
+                    <div class="tournament-card-footer">
+                        <span>${season.players.length} players · ${describeTournamentGame(season.game_options)}</span>
+                        <span>${status}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render a season: the standings table and the fixtures round by round.
+     * With canPlay, scheduled fixtures can be started from here.
+     */
+    function renderSeason(season, { canPlay = false } = {}) {
+        document.getElementById('season-title').textContent = season.name;
+        const container = document.getElementById('season-view');
+        if (!container) return;
+
+        const summary = season.winner
+            ? `<div class="tournament-winner">🏆 ${season.winner} wins the season!</div>`
+            : '';
+
+        const standings = `
+            <table class="tournament-standings season-standings">
+                <thead>
+                    <tr><th>#</th><th>Player</th><th>P</th><th>W</th><th>L</th><th>Legs</th><th>+/-</th><th>Avg</th><th>Pts</th></tr>
+                </thead>
+                <tbody>
+                    ${Season.getStandings(season).map((row, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${row.name}</td>
+                            <td>${row.played}</td>
+                            <td>${row.won}</td>
+                            <td>${row.lost}</td>
+                            <td>${row.legs_for}-${row.legs_against}</td>
+                            <td>${row.leg_difference > 0 ? '+' : ''}${row.leg_difference}</td>
+                            <td>${row.average !== null ? row.average.toFixed(1) : '—'}</td>
+                            <td><strong>${row.points}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const rounds = Season.getRounds(season).map(round => `
+            <div class="season-round">
+                <div class="bracket-round-title">Round ${round.round}</div>
+                ${round.fixtures.map(fixture => renderSeasonFixture(fixture, canPlay)).join('')}
+            </div>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="tournament-meta">
+                <span class="game-type-badge">${describeSeasonFormat(season)}</span>
+                <span class="game-type-badge">${describeTournamentGame(season.game_options)}</span>
+                <span class="game-type-badge">Win ${season.points_for_win} pts · Loss ${season.points_for_loss} pts</span>
+            </div>
+            ${summary}
+            ${standings}
+            <div class="season-fixtures">${rounds}</div>
+        `;
+    }
+
+    /**
+     * One fixture row of a season: the players, the legs score and what can be done with it
+     */
+    function renderSeasonFixture(fixture, canPlay) {
+        const [home, away] = fixture.players;
+        const score = fixture.status === 'scheduled' ? 'v' : Season.getFixtureScore(fixture).join(' - ');
+        const playerClass = name => fixture.status === 'done' && name === fixture.winner ? ' won' : '';
+
+        let actions = '';
+        if (fixture.status === 'playing') {
+            actions = `
+                <button class="btn btn-success btn-small" data-game="${fixture.game_id}">🔴 Live</button>
+                ${canPlay ? `<button class="btn btn-secondary btn-small" data-restart="${fixture.id}">↺ Restart</button>` : ''}
+            `;
+        } else if (fixture.status === 'scheduled' && canPlay) {
+            actions = `<button class="btn btn-primary btn-small" data-play="${fixture.id}">▶ Play</button>`;
+        }
+
+        return `
+            <div class="season-fixture ${fixture.status}">
+                <span class="season-fixture-player${playerClass(home)}">${home}</span>
+                <span class="season-fixture-score">${score}</span>
+                <span class="season-fixture-player away${playerClass(away)}">${away}</span>
+                ${actions ? `<div class="fixture-actions">${actions}</div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Fixture format of a season ("Best of 3 legs", "Single leg")
+     */
+    function describeSeasonFormat(season) {
+        return season.legs_to_win === 1 ? 'Single leg' : `Best of ${season.legs_to_win * 2 - 1} legs`;
+    }
+
+    /**
+     * Fill the leaderboard's league season picker, selecting the season shown (if any)
+     */
+    function renderSeasonFilter(seasons, selectedId = '') {
+        const select = document.getElementById('leaderboard-season');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">League season...</option>' + seasons.map(season => `
+            <option value="${season.id}">${season.name}</option>
+        `).join('');
+        select.value = seasons.some(season => season.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Short description of a tournament's games ("501 · Double Out", "Cricket")
+     */
+    function describeTournamentGame(options) {
+        if (options.gameMode === 'cricket') return 'Cricket';
+        return `${options.gameType} · ${options.outRule === 'double' ? 'Double Out' : 'Straight Out'}`;
+    }
+
+    /**
+     * Show the sync status in the navbar (status from Sync.getStatus)
+     */
+    function renderSyncStatus(status) {
+        const indicator = document.getElementById('sync-status');
+        if (!indicator) return;
+
+        const labels = {
+            synced: ['Synced', 'All changes saved'],
+            syncing: ['Syncing…', 'Saving changes to the database'],
+            pending: [`${status.pending} to sync`, `Waiting to retry${status.lastError ? `: ${status.lastError}` : ''}`],
+            offline: [
+                status.pending > 0 ? `Offline · ${status.pending}` : 'Offline',
+                'Saved on this device - changes sync when back online'
+            ],
+            error: [`${status.failed} failed`, `Some changes couldn't be saved - tap to retry${status.lastError ? ` (${status.lastError})` : ''}`]
+        };
+        const [label, title] = labels[status.state] || labels.synced;
+
+        indicator.className = `sync-status ${status.state}`;
+        indicator.title = title;
+        indicator.querySelector('.sync-label').textContent = label;
+    }
+
     /**
      * Render leaderboard for spectator view showing players in current game
      */
@@ -1258,6 +3030,38 @@ const UI = (() => {
         }
     }
 
+    /**
+     * Render the charts of the game being watched, below the spectator leaderboard
+     */
+    function renderSpectatorCharts(game) {
+        let container = document.getElementById('spectator-charts-container');
+
+        if (!container) {
+            const leaderboardContainer = document.getElementById('spectator-leaderboard-container');
+            if (!leaderboardContainer) return;
+
+            container = document.createElement('div');
+            container.id = 'spectator-charts-container';
+            container.className = 'spectator-charts';
+            leaderboardContainer.parentNode.insertBefore(container, leaderboardContainer.nextSibling);
+        }
+
+        // Built once per game mode; later updates only redraw the charts
+        if (container.dataset.gameMode !== game.game_mode) {
+            container.dataset.gameMode = game.game_mode;
+            container.innerHTML = `<h3>📈 Charts</h3>${buildGameChartsHtml('spectator', game)}`;
+        }
+        renderGameCharts('spectator', game);
+    }
+
+    /**
+     * Remove the spectator charts when this device becomes the scorer
+     */
+    function removeSpectatorCharts() {
+        ['spectatorRaceChart', 'spectatorTurnsChart', 'spectatorAverageChart'].forEach(Charts.destroyChart);
+        document.getElementById('spectator-charts-container')?.remove();
+    }
+
     // Store previous rankings for animation tracking
     let previousRankings = {};
     let previousPositions = {}; // Track position changes
@@ -1282,8 +3086,9 @@ const UI = (() => {
         // Separate finished and active players
         const finishedPlayers = rankings.filter(p => p.rank !== undefined && p.rank !== null && p.rank > 0)
             .sort((a, b) => a.rank - b.rank);
+        // Cricket rankings come with a standing (closed numbers, then points); X01 sorts by remaining score
         const activePlayers = rankings.filter(p => !(p.rank !== undefined && p.rank !== null && p.rank > 0))
-            .sort((a, b) => a.score - b.score);
+            .sort((a, b) => a.standing !== undefined ? a.standing - b.standing : a.score - b.score);
 
         let html = '';
 
@@ -1765,17 +3570,52 @@ const UI = (() => {
         renderQuickStats,
         renderNewGameForm,
         renderScoreboard,
+        renderMatchScoreboard,
+        renderPracticeSetup,
+        renderPracticeSession,
+        renderPracticeHistory,
+        renderAccountNav,
+        renderAccountPage,
+        renderAdminPage,
+        renderImportPreview,
+        renderExportPlayers,
         renderDartInputs,
+        getEnteredDarts,
+        getPendingDarts,
+        removePendingDart,
         renderCurrentPlayer,
         renderTurnHistory,
         renderGameHistory,
         renderGameDetail,
+        renderReplay,
         renderLeaderboard,
         renderPlayerProfile,
         updateActiveGameUI,
         renderSpectatorGame,
         updateWinnersBoard,
         showLiveIndicator,
+        applyRecentGamesChanges,
+        setGameControls,
+        renderSeatTurn,
+        renderRemoteScoring,
+        renderGameChat,
+        appendChatMessage,
+        showReaction,
+        showCastModal,
+        setTvMode,
+        renderTvWaiting,
+        renderTvGame,
+        renderTournamentList,
+        renderTournament,
+        renderSeasonList,
+        renderSeason,
+        renderSeasonFilter,
+        showHandOverModal,
+        renderHandOverWatchers,
+        showTakeOverModal,
+        showControlRequestModal,
+        showGrantControlModal,
+        renderSyncStatus,
         getPaginationState: () => paginationState,
         renderStatsPage,
         renderPlayerStatsWidgets,
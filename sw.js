@@ -0,0 +1,110 @@
+/**
+ * Service Worker
+ * Precaches the app shell (page, scripts, styles and CDN libraries) so the app loads offline.
+ * Game data isn't cached here - LocalStore and Sync handle that.
+ * VERSION matches the ?v= cache-busting in index.html; scripts/bump-version.sh updates both.
+ */
+
+const VERSION = '20261019.1355';
+const CACHE_NAME = `dart-bee-${VERSION}`;
+
+const APP_SCRIPTS = [
+    'config', 'device', 'supabase-client', 'localStore', 'sync', 'storage', 'auth', 'cast',
+    'game', 'cricket', 'match', 'tournament', 'season', 'checkout', 'gameChat',
+    'aroundTheClock', 'bobs27', 'doublesPractice', 'checkoutDrill', 'practice', 'importer', 'exporter',
+    'replay',
+    'stats', 'charts', 'statsWidgets', 'router', 'ui', 'app'
+];
+
+const APP_STYLES = ['main', 'components', 'bee-theme'];
+
+const CDN_LIBRARIES = [
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js'
+];
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.json',
+    ...APP_STYLES.map(name => `styles/${name}.css?v=${VERSION}`),
+    ...APP_SCRIPTS.map(name => `scripts/${name}.js?v=${VERSION}`),
+    ...CDN_LIBRARIES
+];
+
+/**
+ * Install: cache the app shell for this version
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Activate: drop caches from older versions
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('dart-bee-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetch: network first for the page (so a new version shows up straight away),
+ * cache first for everything else; Supabase API calls always go to the network
+ */
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.hostname.endsWith('.supabase.co') || url.protocol === 'ws:' || url.protocol === 'wss:') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Try the network, fall back to the cached page when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put('index.html', response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match('index.html')) || (await cache.match('./')) || Response.error();
+    }
+}
+
+/**
+ * Serve from the cache, fetching and caching anything missing (e.g. Google Fonts)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Opaque responses (cross-origin without CORS) report status 0 but are still usable
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}